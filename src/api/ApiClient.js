@@ -1,3 +1,13 @@
+import ErmisError, {
+  ApiError,
+  AuthError,
+  ErrorCodes,
+} from "../errors/ErmisError.js";
+import Logger from "../utils/Logger.js";
+
+// Methods that can be replayed without side effects
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "OPTIONS", "PUT", "DELETE"]);
+
 /**
  * API Client for handling HTTP requests to Ermis Meeting API
  */
@@ -7,6 +17,24 @@ class ApiClient {
     this.apiBaseUrl = config.apiUrl || `https://${this.host}/meeting`;
     this.jwtToken = null;
     this.userId = null;
+    this.tokenRefresher = null;
+    this.logger = (config.logger || new Logger()).child("api");
+
+    // Request policy
+    this.timeout = config.timeout ?? 15000;
+    this.retries = config.retries ?? 2;
+    this.retryDelay = config.retryDelay ?? 500;
+    this.maxRetryDelay = config.maxRetryDelay ?? 5000;
+    this.fetchImpl = config.fetch || null;
+
+    this.requestInterceptors = [];
+    this.responseInterceptors = [];
+    (config.interceptors?.request || []).forEach((interceptor) =>
+      this.addRequestInterceptor(interceptor)
+    );
+    (config.interceptors?.response || []).forEach((interceptor) =>
+      this.addResponseInterceptor(interceptor)
+    );
   }
 
   /**
@@ -17,38 +45,97 @@ class ApiClient {
     this.userId = userId;
   }
 
+  /**
+   * Set the callback used to obtain a fresh token after a 401
+   */
+  setTokenRefresher(refresher) {
+    this.tokenRefresher = refresher;
+  }
+
+  /**
+   * Run `interceptor(request)` before every request attempt.
+   * It receives `{ url, endpoint, method, headers, body }` and may modify it
+   * or return a replacement. Returns a function that removes it.
+   */
+  addRequestInterceptor(interceptor) {
+    this.requestInterceptors.push(interceptor);
+    return () => this._removeInterceptor(this.requestInterceptors, interceptor);
+  }
+
+  /**
+   * Run `interceptor(response, request)` after every response.
+   * It may return a replacement response. Returns a function that removes it.
+   */
+  addResponseInterceptor(interceptor) {
+    this.responseInterceptors.push(interceptor);
+    return () =>
+      this._removeInterceptor(this.responseInterceptors, interceptor);
+  }
+
   /**
    * Generic API call method
+   * @param {string} endpoint - Path below the API base URL
+   * @param {string} [method="GET"]
+   * @param {Object|null} [body=null] - JSON body
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request and any pending retry
+   * @param {number} [options.timeout] - Per-attempt timeout in ms, 0 disables it
+   * @param {boolean} [options.idempotent] - Allow retries; defaults by method
+   * @param {number} [options.retries] - Retries after the first attempt
    */
-  async apiCall(endpoint, method = "GET", body = null) {
+  async apiCall(endpoint, method = "GET", body = null, options = {}) {
     if (!this.userId) {
-      throw new Error("Please authenticate first");
+      throw new AuthError("Please authenticate first", {
+        code: ErrorCodes.AUTH_REQUIRED,
+      });
     }
 
     if (!this.jwtToken) {
-      throw new Error("JWT token not found");
+      throw new AuthError("JWT token not found", {
+        code: ErrorCodes.AUTH_REQUIRED,
+      });
     }
 
-    const options = {
+    const request = {
+      endpoint,
       method,
       headers: {
         Authorization: `Bearer ${this.jwtToken}`,
         "Content-Type": "application/json",
       },
+      body: body ? JSON.stringify(body) : undefined,
     };
-
-    if (body) {
-      options.body = JSON.stringify(body);
-    }
+    const idempotent = options.idempotent ?? IDEMPOTENT_METHODS.has(method);
 
     try {
-      const response = await fetch(`${this.apiBaseUrl}${endpoint}`, options);
+      const response = await this._send(request, {
+        ...options,
+        retries: idempotent ? options.retries : 0,
+      });
+
+      // Token expired or revoked: refresh once and replay the request
+      if (
+        response.status === 401 &&
+        !options.authRetried &&
+        this.tokenRefresher
+      ) {
+        await this.tokenRefresher();
+        return await this.apiCall(endpoint, method, body, {
+          ...options,
+          authRetried: true,
+        });
+      }
+
       if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+        throw ApiError.fromStatus(response.status, endpoint);
       }
       return await response.json();
     } catch (error) {
-      console.error("API call failed:", error);
+      if (error.code === ErrorCodes.ABORTED) {
+        this.logger.debug(`${method} ${endpoint} aborted`);
+      } else {
+        this.logger.error(`${method} ${endpoint} failed:`, error);
+      }
       throw error;
     }
   }
@@ -58,7 +145,8 @@ class ApiClient {
    */
   async getDummyToken(userId) {
     const endpoint = "/get-token";
-    const options = {
+    const request = {
+      endpoint,
       method: "POST",
       headers: {
         "Content-Type": "application/json",
@@ -67,17 +155,166 @@ class ApiClient {
     };
 
     try {
-      const response = await fetch(`${this.apiBaseUrl}${endpoint}`, options);
+      // Issuing a token has no side effects, so it is safe to retry
+      const response = await this._send(request);
       if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+        throw new AuthError(`HTTP error! status: ${response.status}`, {
+          retryable: response.status >= 500,
+          details: { status: response.status, endpoint },
+        });
       }
       return await response.json();
     } catch (error) {
-      console.error("Token request failed:", error);
+      this.logger.error("Token request failed:", error);
       throw error;
     }
   }
 
+  /**
+   * Send a request, retrying retryable failures with exponential backoff
+   */
+  async _send(request, { signal, timeout, retries = this.retries } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      let response = null;
+      let error = null;
+
+      try {
+        response = await this._fetch(request, { signal, timeout });
+      } catch (err) {
+        error = err;
+      }
+
+      const retryable = error
+        ? error.retryable
+        : response.status >= 500 ||
+          response.status === 408 ||
+          response.status === 429;
+
+      if (!retryable || attempt >= retries) {
+        if (error) throw error;
+        return response;
+      }
+
+      const delay = Math.min(
+        this.retryDelay * Math.pow(2, attempt),
+        this.maxRetryDelay
+      );
+      this.logger.debug(
+        `${request.method} ${request.endpoint} failed, retry ${attempt + 1}/${retries} in ${delay}ms:`,
+        error?.message || `status ${response.status}`
+      );
+      await this._wait(delay, signal, request.endpoint);
+    }
+  }
+
+  /**
+   * Make one request attempt through the interceptors.
+   * Network failures and timeouts become retryable ApiErrors; a caller
+   * abort becomes an ABORTED ErmisError.
+   */
+  async _fetch(request, { signal, timeout = this.timeout } = {}) {
+    const { endpoint } = request;
+    if (signal?.aborted) {
+      throw this._abortError(signal, endpoint);
+    }
+
+    let prepared = {
+      ...request,
+      url: `${this.apiBaseUrl}${endpoint}`,
+      headers: { ...request.headers },
+    };
+    for (const interceptor of this.requestInterceptors) {
+      prepared = (await interceptor(prepared)) || prepared;
+    }
+
+    // Our own controller so a timeout doesn't abort the caller's signal
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    signal?.addEventListener("abort", onAbort);
+    let timedOut = false;
+    const timer =
+      timeout > 0
+        ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+          }, timeout)
+        : null;
+
+    let response;
+    try {
+      const fetchImpl = this.fetchImpl || fetch;
+      response = await fetchImpl(prepared.url, {
+        method: prepared.method,
+        headers: prepared.headers,
+        body: prepared.body,
+        signal: controller.signal,
+      });
+    } catch (error) {
+      if (signal?.aborted) {
+        throw this._abortError(signal, endpoint);
+      }
+      if (timedOut) {
+        throw new ApiError(`Request timed out after ${timeout}ms`, {
+          code: ErrorCodes.TIMEOUT,
+          retryable: true,
+          cause: error,
+          details: { endpoint, timeout },
+        });
+      }
+      throw new ApiError(`Network error: ${error.message}`, {
+        code: ErrorCodes.NETWORK_ERROR,
+        retryable: true,
+        cause: error,
+        details: { endpoint },
+      });
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+    }
+
+    for (const interceptor of this.responseInterceptors) {
+      response = (await interceptor(response, prepared)) || response;
+    }
+    return response;
+  }
+
+  /**
+   * Sleep between retries, waking early if the caller aborts
+   */
+  _wait(delay, signal, endpoint) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(this._abortError(signal, endpoint));
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      }, delay);
+
+      if (signal?.aborted) {
+        onAbort();
+      } else {
+        signal?.addEventListener("abort", onAbort, { once: true });
+      }
+    });
+  }
+
+  _abortError(signal, endpoint) {
+    return new ErmisError("Request aborted", {
+      code: ErrorCodes.ABORTED,
+      cause: signal.reason,
+      details: { endpoint },
+    });
+  }
+
+  _removeInterceptor(interceptors, interceptor) {
+    const index = interceptors.indexOf(interceptor);
+    if (index !== -1) {
+      interceptors.splice(index, 1);
+    }
+  }
+
   /**
    * Create a new room
    */
@@ -108,18 +345,23 @@ class ApiClient {
   /**
    * Get room details by ID
    */
-  async getRoomById(roomId) {
-    return await this.apiCall(`/rooms/${roomId}`);
+  async getRoomById(roomId, options = {}) {
+    return await this.apiCall(`/rooms/${roomId}`, "GET", null, options);
   }
 
   /**
    * Join a room by room code
    */
-  async joinRoom(roomCode, appName = "Ermis-Meeting") {
-    return await this.apiCall("/rooms/join", "POST", {
-      room_code: roomCode,
-      app_name: appName,
-    });
+  async joinRoom(roomCode, appName = "Ermis-Meeting", options = {}) {
+    return await this.apiCall(
+      "/rooms/join",
+      "POST",
+      {
+        room_code: roomCode,
+        app_name: appName,
+      },
+      options
+    );
   }
 
   /**
@@ -140,6 +382,47 @@ class ApiClient {
     return await this.apiCall(`/rooms/${parentRoomId}/sub-rooms`);
   }
 
+  /**
+   * Invite a participant to a sub room; they decide whether to join
+   */
+  async inviteToSubRoom(subRoomId, userId) {
+    return await this.apiCall(`/rooms/${subRoomId}/invitations`, "POST", {
+      user_id: userId,
+    });
+  }
+
+  /**
+   * Move a participant into a sub room (host action)
+   */
+  async assignToSubRoom(subRoomId, userId) {
+    return await this.apiCall(`/rooms/${subRoomId}/assignments`, "POST", {
+      user_id: userId,
+    });
+  }
+
+  /**
+   * Send a message to everyone in a sub room
+   */
+  async broadcastToSubRoom(subRoomId, message, type = "info") {
+    return await this.apiCall(`/rooms/${subRoomId}/broadcast`, "POST", {
+      message,
+      message_type: type,
+    });
+  }
+
+  /**
+   * Get the media gateways serving a room.
+   * Resolves to `{ publish: string[], subscribe: string[] }` URL templates.
+   */
+  async getMediaEndpoints(roomId, options = {}) {
+    return await this.apiCall(
+      `/rooms/${roomId}/media-endpoints`,
+      "GET",
+      null,
+      options
+    );
+  }
+
   /**
    * Leave a room
    */
@@ -167,6 +450,108 @@ class ApiClient {
     return await this.apiCall(`/rooms/${roomId}/members`);
   }
 
+  /**
+   * Remove a member from a room (host action); `ban` blocks rejoining
+   */
+  async removeMember(roomId, membershipId, { ban = false } = {}) {
+    return await this.apiCall(
+      `/rooms/${roomId}/members/${membershipId}/kick`,
+      "POST",
+      { ban }
+    );
+  }
+
+  /**
+   * Change a member's role (host action)
+   */
+  async updateMemberRole(roomId, membershipId, role) {
+    return await this.apiCall(
+      `/rooms/${roomId}/members/${membershipId}`,
+      "PATCH",
+      { role }
+    );
+  }
+
+  /**
+   * Ask a member to turn off their microphone or camera (host action)
+   */
+  async requestMute(roomId, membershipId, kind = "audio") {
+    return await this.apiCall(
+      `/rooms/${roomId}/members/${membershipId}/mute`,
+      "POST",
+      { kind }
+    );
+  }
+
+  /**
+   * Ask every other member to turn off their microphone or camera
+   */
+  async muteAll(roomId, kind = "audio") {
+    return await this.apiCall(`/rooms/${roomId}/mute-all`, "POST", { kind });
+  }
+
+  /**
+   * Pin a member on everyone's screen, or clear the pin with a null userId
+   */
+  async pinForEveryone(roomId, userId) {
+    return await this.apiCall(`/rooms/${roomId}/pin`, "POST", {
+      user_id: userId,
+    });
+  }
+
+  /**
+   * Page through a room's chat history, newest first. `before` is the id
+   * of the oldest message already loaded.
+   */
+  async getChatMessages(roomId, { before, limit = 50 } = {}) {
+    const query = new URLSearchParams({ limit: String(limit) });
+    if (before) {
+      query.set("before", before);
+    }
+    return await this.apiCall(`/rooms/${roomId}/messages?${query}`);
+  }
+
+  /**
+   * Polls of a room, with the results the caller may see
+   */
+  async getPolls(roomId, options = {}) {
+    return await this.apiCall(`/rooms/${roomId}/polls`, "GET", null, options);
+  }
+
+  /**
+   * Create a poll in draft status
+   */
+  async createPoll(roomId, poll) {
+    return await this.apiCall(`/rooms/${roomId}/polls`, "POST", poll);
+  }
+
+  /**
+   * Open or close a poll
+   */
+  async updatePollStatus(roomId, pollId, status) {
+    return await this.apiCall(`/rooms/${roomId}/polls/${pollId}`, "PATCH", {
+      status,
+    });
+  }
+
+  /**
+   * Answer a poll; answering again replaces the previous answer
+   */
+  async submitPollAnswer(roomId, pollId, answer) {
+    return await this.apiCall(
+      `/rooms/${roomId}/polls/${pollId}/answers`,
+      "POST",
+      answer
+    );
+  }
+
+  /**
+   * Snapshot of a room's shared state: `{ version, entries }`
+   */
+  async getRoomState(roomId, options = {}) {
+    return await this.apiCall(`/rooms/${roomId}/state`, "GET", null, options);
+  }
+
   /**
    * Update room settings
    */
@@ -0,0 +1,166 @@
+import ErmisError, { ErrorCodes } from "../errors/ErmisError.js";
+import Logger from "../utils/Logger.js";
+
+let messageCount = 0;
+
+/**
+ * Chat message as the app sees it, from a server event or history entry
+ */
+export function parseChatMessage(data) {
+  return {
+    id: data.id,
+    roomId: data.room_id,
+    senderId: data.sender?.user_id || data.sender_id,
+    text: data.text,
+    to: data.to || null, // Recipient of a private message
+    toSubRooms: Boolean(data.to_sub_rooms), // Host post into every breakout
+    timestamp: data.timestamp,
+    status: "sent",
+  };
+}
+
+/**
+ * One room's chat over the publisher's meeting_control event stream.
+ * Messages stay in an outbox until the server acknowledges them and are
+ * resent while unacknowledged, including after the stream reconnects.
+ */
+class ChatChannel {
+  /**
+   * @param {Object} config
+   * @param {Function} config.send - async (event) => void, writes to the event stream
+   * @param {Function} config.canSend - () => boolean, whether the stream is open
+   * @param {number} [config.retryInterval=5000] - ms to wait for an ack before resending
+   */
+  constructor(config) {
+    this.send = config.send;
+    this.canSend = config.canSend;
+    this.retryInterval = config.retryInterval || 5000;
+    this.logger = (config.logger || new Logger()).child("chat");
+
+    this._outbox = new Map(); // message id -> { message, sentAt, resolve, reject }
+    this._retryTimer = null;
+  }
+
+  /**
+   * Queue a message and send it when the stream is open.
+   * Resolves with the message once the server acknowledged it.
+   * @param {Object} fields - text, to, toSubRooms, roomId, senderId
+   */
+  post(fields) {
+    const message = {
+      id: `msg_${Date.now()}_${++messageCount}`,
+      ...fields,
+      timestamp: Date.now(),
+      status: "sending",
+    };
+
+    return new Promise((resolve, reject) => {
+      const entry = { message, sentAt: null, resolve, reject };
+      this._outbox.set(message.id, entry);
+      this._transmit(entry);
+      this._startRetryTimer();
+    });
+  }
+
+  /**
+   * Resend everything unacknowledged, e.g. once the stream is back
+   */
+  flush() {
+    for (const entry of this._outbox.values()) {
+      this._transmit(entry);
+    }
+  }
+
+  /**
+   * Apply a server ack. Returns the acknowledged message, if it was ours.
+   * @param {Object} ack - `{ id, timestamp?, error? }`
+   */
+  acknowledge(ack) {
+    const entry = this._outbox.get(ack.id);
+    if (!entry) return null;
+
+    this._outbox.delete(ack.id);
+    if (this._outbox.size === 0) {
+      this._stopRetryTimer();
+    }
+
+    const { message } = entry;
+    if (ack.error) {
+      message.status = "failed";
+      entry.reject(
+        new ErmisError(`Chat message rejected: ${ack.error}`, {
+          details: { messageId: message.id },
+        })
+      );
+    } else {
+      message.status = "sent";
+      message.timestamp = ack.timestamp || message.timestamp;
+      entry.resolve(message);
+    }
+    return message;
+  }
+
+  /**
+   * Give up on unsent messages, e.g. after leaving the room
+   */
+  close() {
+    this._stopRetryTimer();
+    for (const { message, reject } of this._outbox.values()) {
+      message.status = "failed";
+      reject(
+        new ErmisError("Left the room before the message was delivered", {
+          code: ErrorCodes.ABORTED,
+          details: { messageId: message.id },
+        })
+      );
+    }
+    this._outbox.clear();
+  }
+
+  /**
+   * Messages still waiting for an ack
+   */
+  getPending() {
+    return Array.from(this._outbox.values(), ({ message }) => message);
+  }
+
+  _transmit(entry) {
+    if (!this.canSend()) return;
+
+    const { message } = entry;
+    entry.sentAt = Date.now();
+    this.send({
+      type: "ChatMessage",
+      id: message.id,
+      text: message.text,
+      to: message.to,
+      toSubRooms: message.toSubRooms,
+      timestamp: message.timestamp,
+    }).catch((error) => {
+      // Stays in the outbox for the next retry
+      this.logger.warn("Failed to send chat message:", error);
+    });
+  }
+
+  _startRetryTimer() {
+    if (this._retryTimer) return;
+
+    this._retryTimer = setInterval(() => {
+      const now = Date.now();
+      for (const entry of this._outbox.values()) {
+        if (!entry.sentAt || now - entry.sentAt >= this.retryInterval) {
+          this._transmit(entry);
+        }
+      }
+    }, this.retryInterval);
+  }
+
+  _stopRetryTimer() {
+    if (this._retryTimer) {
+      clearInterval(this._retryTimer);
+      this._retryTimer = null;
+    }
+  }
+}
+
+export default ChatChannel;
@@ -0,0 +1,151 @@
+import ErmisError, {
+  ErrorCodes,
+  TransportError,
+  ValidationError,
+} from "../errors/ErmisError.js";
+
+const isBinary = (payload) =>
+  payload instanceof ArrayBuffer || ArrayBuffer.isView(payload);
+
+const toBytes = (payload) =>
+  payload instanceof ArrayBuffer
+    ? new Uint8Array(payload)
+    : new Uint8Array(payload.buffer, payload.byteOffset, payload.byteLength);
+
+function toBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+function fromBase64(data) {
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Data message as the app sees it, from a server event or datagram.
+ * Binary payloads arrive as a Uint8Array, JSON payloads as the value sent.
+ */
+export function parseDataMessage(data) {
+  return {
+    senderId: data.sender?.user_id || data.sender_id,
+    topic: data.topic || null,
+    to: data.to || null,
+    reliable: data.reliable !== false,
+    payload: data.encoding === "binary" ? fromBase64(data.data) : data.data,
+  };
+}
+
+/**
+ * App-defined messages between participants. Reliable messages go over the
+ * publisher's event stream, lossy ones as WebTransport datagrams, both as
+ * the same JSON envelope with binary payloads in base64.
+ */
+class DataChannel {
+  /**
+   * @param {Object} config
+   * @param {Function} config.send - async (event) => void, writes to the event stream
+   * @param {Function} config.sendDatagram - async (bytes) => void
+   * @param {Function} config.canSend - () => boolean, whether the transport is open
+   * @param {number} [config.maxSize=16384] - Encoded bytes per reliable message
+   * @param {number} [config.maxDatagramSize=1024] - Encoded bytes per lossy message
+   * @param {number} [config.rateLimit=30] - Messages per second
+   */
+  constructor(config) {
+    this.send = config.send;
+    this.sendDatagram = config.sendDatagram;
+    this.canSend = config.canSend;
+    this.maxSize = config.maxSize || 16384;
+    this.maxDatagramSize = config.maxDatagramSize || 1024;
+    this.rateLimit = config.rateLimit || 30;
+
+    this._sentAt = []; // Send times within the last second, oldest first
+  }
+
+  /**
+   * Send one message. Lossy messages are dropped while the transport is
+   * down; reliable ones fail with a TransportError.
+   * @param {*} payload - JSON value, ArrayBuffer or typed array
+   * @param {Object} [options]
+   * @param {string} [options.to] - Recipient userId, default everyone
+   * @param {boolean} [options.reliable=true]
+   * @param {string} [options.topic]
+   */
+  async post(payload, { to = null, reliable = true, topic = null } = {}) {
+    const event = {
+      type: "DataMessage",
+      topic,
+      to,
+      reliable,
+      ...this._encode(payload),
+    };
+    const bytes = new TextEncoder().encode(JSON.stringify(event));
+
+    const limit = reliable ? this.maxSize : this.maxDatagramSize;
+    if (bytes.byteLength > limit) {
+      throw new ValidationError(
+        `Data message is ${bytes.byteLength} bytes, the limit is ${limit}`,
+        { details: { size: bytes.byteLength, limit, reliable } }
+      );
+    }
+    this._takeRateSlot();
+
+    if (!this.canSend()) {
+      if (!reliable) return;
+      throw new TransportError("Data channel is not connected", {
+        code: ErrorCodes.CONNECTION_LOST,
+      });
+    }
+
+    if (reliable) {
+      await this.send(event);
+    } else {
+      await this.sendDatagram(bytes);
+    }
+  }
+
+  _encode(payload) {
+    if (isBinary(payload)) {
+      return { encoding: "binary", data: toBase64(toBytes(payload)) };
+    }
+
+    let json;
+    try {
+      json = JSON.stringify(payload);
+    } catch (error) {
+      throw new ValidationError("Data payload is not serializable", {
+        cause: error,
+      });
+    }
+    if (json === undefined) {
+      throw new ValidationError("Data payload must be JSON or binary");
+    }
+    return { encoding: "json", data: payload };
+  }
+
+  _takeRateSlot(now = Date.now()) {
+    while (this._sentAt.length && now - this._sentAt[0] >= 1000) {
+      this._sentAt.shift();
+    }
+    if (this._sentAt.length >= this.rateLimit) {
+      throw new ErmisError(
+        `Data messages are limited to ${this.rateLimit} per second`,
+        {
+          code: ErrorCodes.RATE_LIMITED,
+          retryable: true,
+          details: { limit: this.rateLimit },
+        }
+      );
+    }
+    this._sentAt.push(now);
+  }
+}
+
+export default DataChannel;
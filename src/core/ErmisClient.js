@@ -2,6 +2,29 @@ import EventEmitter from "../events/EventEmitter.js";
 import ApiClient from "../api/ApiClient.js";
 import Room from "./Room.js";
 import SubRoom from "./SubRoom.js";
+import Permissions, { Capabilities } from "./Permissions.js";
+import { resolveAssetUrls } from "../utils/assets.js";
+import { resolveMediaEndpoints } from "../utils/endpoints.js";
+import Logger from "../utils/Logger.js";
+import ErmisError, {
+  AuthError,
+  ErrorCodes,
+  InvalidStateError,
+  RoomNotFoundError,
+  ValidationError,
+} from "../errors/ErmisError.js";
+
+/**
+ * Get localStorage when the environment provides it
+ */
+function getDefaultStorage() {
+  try {
+    return typeof localStorage !== "undefined" ? localStorage : null;
+  } catch (error) {
+    // Access can throw when storage is disabled
+    return null;
+  }
+}
 
 /**
  * Main Ermis Classroom client
@@ -18,16 +41,48 @@ class ErmisClient extends EventEmitter {
         `https://${config.host || "daibo.ermis.network:9999"}/meeting`,
       webtpUrl:
         config.webtpUrl || "https://daibo.ermis.network:4455/meeting/wt",
+      endpoints: config.endpoints || {}, // { api, publish, subscribe }
+      discoverEndpoints: config.discoverEndpoints || false,
       reconnectAttempts: config.reconnectAttempts || 3,
       reconnectDelay: config.reconnectDelay || 2000,
+      maxReconnectDelay: config.maxReconnectDelay || 30_000,
+      tokenProvider: config.tokenProvider || null,
+      tokenRefreshMargin: config.tokenRefreshMargin ?? 60_000,
+      autoSaveCredentials: config.autoSaveCredentials !== false,
+      storage:
+        config.storage !== undefined ? config.storage : getDefaultStorage(),
+      sessionKey: config.sessionKey || "ermis-classroom-session",
+      assetBaseUrl: config.assetBaseUrl || "",
+      assets: config.assets || {},
+      cacheBustAssets: config.cacheBustAssets || false,
       debug: config.debug || false,
+      logLevel: config.logLevel || (config.debug ? "debug" : "silent"),
+      logCategories: config.logCategories || null,
+      logSink: config.logSink || null,
+      requestTimeout: config.requestTimeout ?? 15000,
+      requestRetries: config.requestRetries ?? 2,
+      requestRetryDelay: config.requestRetryDelay ?? 500,
+      fetch: config.fetch || null,
+      interceptors: config.interceptors || { request: [], response: [] },
+      permissions: config.permissions || {}, // role -> capabilities overrides
     };
 
+    // Logging (silent unless debug or logLevel is set)
+    this.logger = new Logger({
+      level: this.config.logLevel,
+      categories: this.config.logCategories,
+      sink: this.config.logSink,
+    }).child("client");
+
     // API client
-    this.apiClient = new ApiClient({
-      host: this.config.host,
-      apiUrl: this.config.apiUrl,
-    });
+    this.apiClient = this._createApiClient();
+
+    // Role permission matrix, shared with every room
+    this.permissions = new Permissions(this.config.permissions);
+
+    // Token refresh
+    this._tokenRefreshTimer = null;
+    this._tokenRefreshPromise = null;
 
     // State management
     this.state = {
@@ -35,13 +90,27 @@ class ErmisClient extends EventEmitter {
       isAuthenticated: false,
       currentRoom: null,
       rooms: new Map(), // roomId -> Room
-      connectionStatus: "disconnected", // 'disconnected', 'connecting', 'connected', 'failed'
+      connectionStatus: "disconnected", // 'disconnected', 'connecting', 'connected', 'reconnecting', 'failed'
     };
 
+    // Reconnection
+    this._reconnecting = false;
+    this._joiningRoom = null; // Room whose join() is in flight
+
+    // Resumable session (mirrors what is in storage)
+    this._session = null;
+    this._sessionRead = false; // Storage is read once before the first save
+    this._sessionWrites = Promise.resolve(); // Saves and clears run in order
+
     // Media configuration
     this.mediaConfig = {
       host: this.config.host,
       webtpUrl: this.config.webtpUrl,
+      endpoints: resolveMediaEndpoints(this.config),
+      logger: this.logger,
+      permissions: this.permissions,
+      discoverEndpoints: this.config.discoverEndpoints,
+      assets: this._resolveAssets(),
       defaultVideoConfig: {
         width: 1280,
         height: 720,
@@ -73,38 +142,80 @@ class ErmisClient extends EventEmitter {
       if (userId.includes("@")) {
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
         if (!emailRegex.test(userId)) {
-          throw new Error("Invalid email format");
+          throw new ValidationError("Invalid email format");
         }
       }
 
       // Get authentication token
-      const tokenResponse = await this.apiClient.getDummyToken(userId);
+      const token = await this._fetchToken(userId);
 
-      // Set authentication in API client
-      this.apiClient.setAuth(tokenResponse.access_token, userId);
-
-      // Update state
-      this.state.user = {
-        id: userId,
-        token: tokenResponse.access_token,
-        authenticatedAt: Date.now(),
-      };
-      this.state.isAuthenticated = true;
+      this._setAuthenticatedUser(userId, token);
 
-      this._setConnectionStatus("connected");
-      this.emit("authenticated", { user: this.state.user });
-
-      this._debug("User authenticated successfully:", userId);
+      this.logger.debug("User authenticated successfully:", userId);
 
       return this.state.user;
-    } catch (error) {
+    } catch (err) {
+      // Token provider failures arrive as plain errors
+      const error = err instanceof ErmisError ? err : AuthError.from(err);
       this._setConnectionStatus("failed");
       this.emit("authenticationFailed", { userId, error });
-      this._debug("Authentication failed:", error);
+      this.logger.debug("Authentication failed:", error);
       throw error;
     }
   }
 
+  /**
+   * Fetch a fresh token from the token provider and apply it
+   */
+  async refreshToken() {
+    this._ensureAuthenticated();
+
+    // Share a single in-flight refresh between concurrent callers
+    if (this._tokenRefreshPromise) {
+      return this._tokenRefreshPromise;
+    }
+
+    this._tokenRefreshPromise = (async () => {
+      const userId = this.state.user.id;
+
+      try {
+        const token = await this._fetchToken(userId);
+
+        // User may have logged out while the provider was running
+        if (!this.state.isAuthenticated || this.state.user?.id !== userId) {
+          return token;
+        }
+
+        this.apiClient.setAuth(token, userId);
+        this.state.user = {
+          ...this.state.user,
+          token,
+          expiresAt: this._getTokenExpiry(token),
+        };
+
+        this._scheduleTokenRefresh();
+        this.emit("tokenRefreshed", { user: this.state.user });
+        this.logger.debug("Token refreshed for:", userId);
+
+        return token;
+      } catch (error) {
+        this.emit("tokenRefreshFailed", { userId, error });
+        this.logger.debug("Token refresh failed:", error);
+
+        // Try again later while the current token is still usable
+        const expiresAt = this.state.user?.expiresAt;
+        if (expiresAt && expiresAt > Date.now()) {
+          this._scheduleTokenRefresh(this.config.reconnectDelay);
+        }
+        throw error;
+      } finally {
+        this._tokenRefreshPromise = null;
+      }
+    })();
+
+    return this._tokenRefreshPromise;
+  }
+
   /**
    * Logout user
    */
@@ -121,16 +232,20 @@ class ErmisClient extends EventEmitter {
         await this.state.currentRoom.leave();
       }
 
+      this._clearTokenRefresh();
+
       // Reset state
       this.state.user = null;
       this.state.isAuthenticated = false;
       this.state.currentRoom = null;
       this.state.rooms.clear();
 
+      await this._clearSession();
+
       this._setConnectionStatus("disconnected");
       this.emit("loggedOut");
 
-      this._debug("User logged out successfully");
+      this.logger.debug("User logged out successfully");
     } catch (error) {
       this.emit("error", { error, action: "logout" });
       throw error;
@@ -159,13 +274,14 @@ class ErmisClient extends EventEmitter {
         ownerId: roomData.user_id,
         apiClient: this.apiClient,
         mediaConfig: this.mediaConfig,
+        subRoomFactory: (subRoomConfig) => this._createSubRoom(subRoomConfig),
       });
 
       this._setupRoomEvents(room);
       this.state.rooms.set(room.id, room);
 
       this.emit("roomCreated", { room });
-      this._debug("Room created:", room.getInfo());
+      this.logger.debug("Room created:", room.getInfo());
 
       // Auto-join if specified
       if (config.autoJoin !== false) {
@@ -182,7 +298,7 @@ class ErmisClient extends EventEmitter {
   /**
    * Join a room by code
    */
-  async joinRoom(roomCode) {
+  async joinRoom(roomCode, options = {}) {
     this._ensureAuthenticated();
 
     try {
@@ -204,33 +320,45 @@ class ErmisClient extends EventEmitter {
           code: roomCode,
           apiClient: this.apiClient,
           mediaConfig: this.mediaConfig,
+          subRoomFactory: (subRoomConfig) => this._createSubRoom(subRoomConfig),
         });
 
         this._setupRoomEvents(room);
       }
 
-      // Join the room
-      const joinResult = await room.join(this.state.user.id);
+      // Join the room; leaveRoom() cancels it until it completes
+      this._joiningRoom = room;
+      const joinResult = await room.join(this.state.user.id, options);
 
       // Update state
       this.state.currentRoom = room;
       this.state.rooms.set(room.id, room);
 
+      await this._saveRoomSession(room);
+
       this.emit("roomJoined", { room, joinResult });
-      this._debug("Joined room:", room.getInfo());
+      this.logger.debug("Joined room:", room.getInfo());
 
       return joinResult;
     } catch (error) {
-      this.emit("error", { error, action: "joinRoom" });
+      // A join cancelled by leaveRoom() is expected, not an error
+      if (error.code === ErrorCodes.ABORTED) {
+        this.emit("joinCancelled", { roomCode });
+      } else {
+        this.emit("error", { error, action: "joinRoom" });
+      }
       throw error;
+    } finally {
+      this._joiningRoom = null;
     }
   }
 
   /**
-   * Leave current room
+   * Leave current room, or cancel a join that is still in progress
    */
   async leaveRoom() {
     if (!this.state.currentRoom) {
+      await this._joiningRoom?.leave();
       return;
     }
 
@@ -242,14 +370,106 @@ class ErmisClient extends EventEmitter {
 
       this.state.currentRoom = null;
 
+      await this._saveSession({
+        roomCode: null,
+        roomId: null,
+        membershipId: null,
+        pinnedUserId: null,
+      });
+
       this.emit("roomLeft", { room });
-      this._debug("Left room:", room.getInfo());
+      this.logger.debug("Left room:", room.getInfo());
     } catch (error) {
       this.emit("error", { error, action: "leaveRoom" });
       throw error;
     }
   }
 
+  /**
+   * Restore the session saved before a page reload: credentials, room,
+   * pinned participant and mic/camera state. Resolves to null when there
+   * is nothing to resume.
+   */
+  async resumeSession() {
+    const session = await this._loadSession();
+    if (!session?.userId) {
+      return null;
+    }
+
+    try {
+      this.emit("resumingSession", { session });
+
+      if (
+        !this.state.isAuthenticated ||
+        this.state.user?.id !== session.userId
+      ) {
+        // Reuse the saved token while it is still valid, otherwise log in again
+        const expiresAt = session.token
+          ? this._getTokenExpiry(session.token)
+          : null;
+        const tokenUsable =
+          session.token &&
+          (!expiresAt ||
+            expiresAt - this.config.tokenRefreshMargin > Date.now());
+
+        if (tokenUsable) {
+          this._setAuthenticatedUser(session.userId, session.token);
+        } else {
+          await this.authenticate(session.userId);
+        }
+      }
+
+      if (!session.roomCode) {
+        this.emit("sessionResumed", { user: this.state.user, room: null });
+        return { user: this.state.user, room: null };
+      }
+
+      // The previous page never left: drop its membership before rejoining
+      if (session.roomId && session.membershipId) {
+        try {
+          await this.apiClient.leaveRoom(session.roomId, session.membershipId);
+        } catch (error) {
+          this.logger.debug("Stale membership already gone:", error.message);
+        }
+      }
+
+      const joinResult = await this.joinRoom(session.roomCode, {
+        audioEnabled: session.audioEnabled,
+        videoEnabled: session.videoEnabled,
+        audio: session.publishAudio,
+        video: session.publishVideo,
+      });
+
+      const room = joinResult.room;
+      if (session.pinnedUserId && room.getParticipant(session.pinnedUserId)) {
+        room.pinParticipant(session.pinnedUserId);
+      }
+
+      this.emit("sessionResumed", { user: this.state.user, room, joinResult });
+      this.logger.debug("Session resumed in room:", room.code);
+
+      return { user: this.state.user, room, joinResult };
+    } catch (error) {
+      this.emit("error", { error, action: "resumeSession" });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the saved resumable session, if any
+   */
+  async getSavedSession() {
+    await this._sessionWrites;
+    return this._loadSession();
+  }
+
+  /**
+   * Forget the saved resumable session
+   */
+  async clearSavedSession() {
+    await this._clearSession();
+  }
+
   /**
    * Get available rooms
    */
@@ -290,12 +510,17 @@ class ErmisClient extends EventEmitter {
    */
   async createSubRoom(config) {
     if (!this.state.currentRoom) {
-      throw new Error("Must be in a main room to create sub rooms");
+      throw new InvalidStateError("Must be in a main room to create sub rooms");
     }
 
     if (this.state.currentRoom.type !== "main") {
-      throw new Error("Can only create sub rooms from main rooms");
+      throw new InvalidStateError("Can only create sub rooms from main rooms");
     }
+    this.permissions.assert(
+      this.state.currentRoom.localParticipant?.role,
+      Capabilities.CREATE_SUB_ROOM,
+      "createSubRoom"
+    );
 
     try {
       this.emit("creatingSubRoom", {
@@ -309,7 +534,7 @@ class ErmisClient extends EventEmitter {
         subRoom,
         parentRoom: this.state.currentRoom,
       });
-      this._debug("Sub room created:", subRoom.getInfo());
+      this.logger.debug("Sub room created:", subRoom.getInfo());
 
       return subRoom;
     } catch (error) {
@@ -323,7 +548,7 @@ class ErmisClient extends EventEmitter {
    */
   async joinSubRoom(subRoomCode) {
     if (!this.state.currentRoom) {
-      throw new Error("Must be in a main room to join sub rooms");
+      throw new InvalidStateError("Must be in a main room to join sub rooms");
     }
 
     try {
@@ -337,31 +562,43 @@ class ErmisClient extends EventEmitter {
       const subRoom = subRooms.find((sr) => sr.code === subRoomCode);
 
       if (!subRoom) {
-        throw new Error(`Sub room with code ${subRoomCode} not found`);
+        throw new RoomNotFoundError(
+          `Sub room with code ${subRoomCode} not found`,
+          { details: { roomCode: subRoomCode } }
+        );
       }
 
-      // Join sub room
-      const joinResult = await subRoom.joinFromMain(this.state.user.id);
-
-      this.emit("subRoomJoined", {
-        subRoom,
-        parentRoom: this.state.currentRoom,
-      });
-      this._debug("Joined sub room:", subRoom.getInfo());
-
-      return joinResult;
+      return await this._enterSubRoom(subRoom);
     } catch (error) {
       this.emit("error", { error, action: "joinSubRoom" });
       throw error;
     }
   }
 
+  /**
+   * Move from the current main room into one of its sub rooms
+   */
+  async _enterSubRoom(subRoom) {
+    const parentRoom = this.state.currentRoom;
+    const joinResult = await subRoom.joinFromMain(this.state.user.id);
+
+    this.state.currentRoom = subRoom;
+    this.state.rooms.set(subRoom.id, subRoom);
+
+    this.emit("subRoomJoined", { subRoom, parentRoom });
+    this.logger.debug("Joined sub room:", subRoom.getInfo());
+
+    return joinResult;
+  }
+
   /**
    * Return to main room from sub room
    */
   async returnToMainRoom() {
     if (!this.state.currentRoom || this.state.currentRoom.type !== "breakout") {
-      throw new Error("Must be in a sub room to return to main room");
+      throw new InvalidStateError(
+        "Must be in a sub room to return to main room"
+      );
     }
 
     try {
@@ -373,7 +610,7 @@ class ErmisClient extends EventEmitter {
       this.state.currentRoom = mainRoom;
 
       this.emit("returnedToMainRoom", { mainRoom, previousSubRoom: subRoom });
-      this._debug("Returned to main room from sub room");
+      this.logger.debug("Returned to main room from sub room");
 
       return mainRoom;
     } catch (error) {
@@ -387,7 +624,9 @@ class ErmisClient extends EventEmitter {
    */
   async switchSubRoom(targetSubRoomCode) {
     if (!this.state.currentRoom || this.state.currentRoom.type !== "breakout") {
-      throw new Error("Must be in a sub room to switch to another sub room");
+      throw new InvalidStateError(
+        "Must be in a sub room to switch to another sub room"
+      );
     }
 
     try {
@@ -406,30 +645,41 @@ class ErmisClient extends EventEmitter {
       );
 
       if (!targetSubRoom) {
-        throw new Error(`Sub room with code ${targetSubRoomCode} not found`);
+        throw new RoomNotFoundError(
+          `Sub room with code ${targetSubRoomCode} not found`,
+          { details: { roomCode: targetSubRoomCode } }
+        );
       }
 
-      // Switch to target sub room
-      const joinResult = await currentSubRoom.switchToSubRoom(targetSubRoom);
-
-      this.state.currentRoom = targetSubRoom;
-
-      this.emit("subRoomSwitched", {
-        fromSubRoom: currentSubRoom,
-        toSubRoom: targetSubRoom,
-      });
-      this._debug("Switched sub rooms:", {
-        from: currentSubRoom.getInfo(),
-        to: targetSubRoom.getInfo(),
-      });
-
-      return joinResult;
+      return await this._moveToSubRoom(targetSubRoom);
     } catch (error) {
       this.emit("error", { error, action: "switchSubRoom" });
       throw error;
     }
   }
 
+  /**
+   * Move from the current sub room into one of its siblings
+   */
+  async _moveToSubRoom(targetSubRoom) {
+    const currentSubRoom = this.state.currentRoom;
+    const joinResult = await currentSubRoom.switchToSubRoom(targetSubRoom);
+
+    this.state.currentRoom = targetSubRoom;
+    this.state.rooms.set(targetSubRoom.id, targetSubRoom);
+
+    this.emit("subRoomSwitched", {
+      fromSubRoom: currentSubRoom,
+      toSubRoom: targetSubRoom,
+    });
+    this.logger.debug("Switched sub rooms:", {
+      from: currentSubRoom.getInfo(),
+      to: targetSubRoom.getInfo(),
+    });
+
+    return joinResult;
+  }
+
   /**
    * Get client state
    */
@@ -457,17 +707,53 @@ class ErmisClient extends EventEmitter {
     this.config = { ...this.config, ...newConfig };
 
     // Update API client if needed
-    if (newConfig.host || newConfig.apiUrl) {
-      this.apiClient = new ApiClient({
-        host: this.config.host,
-        apiUrl: this.config.apiUrl,
-      });
+    const apiKeys = [
+      "host",
+      "apiUrl",
+      "requestTimeout",
+      "requestRetries",
+      "requestRetryDelay",
+      "fetch",
+      "interceptors",
+    ];
+    if (
+      apiKeys.some((key) => newConfig[key] !== undefined) ||
+      newConfig.endpoints?.api
+    ) {
+      this.apiClient = this._createApiClient();
 
       if (this.state.isAuthenticated) {
         this.apiClient.setAuth(this.state.user.token, this.state.user.id);
       }
     }
 
+    if (
+      newConfig.logLevel !== undefined ||
+      newConfig.logCategories !== undefined ||
+      newConfig.logSink !== undefined
+    ) {
+      this.logger.configure({
+        level: newConfig.logLevel,
+        categories: newConfig.logCategories,
+        sink: newConfig.logSink,
+      });
+    }
+
+    // Rooms read mediaConfig on each connection; new URLs apply on next join
+    if (newConfig.endpoints || newConfig.webtpUrl) {
+      this.mediaConfig.endpoints = resolveMediaEndpoints(this.config);
+    }
+    if (newConfig.discoverEndpoints !== undefined) {
+      this.mediaConfig.discoverEndpoints = newConfig.discoverEndpoints;
+    }
+    if (
+      newConfig.assetBaseUrl !== undefined ||
+      newConfig.assets ||
+      newConfig.cacheBustAssets !== undefined
+    ) {
+      this.mediaConfig.assets = this._resolveAssets();
+    }
+
     this.emit("configUpdated", { config: this.config });
   }
 
@@ -476,7 +762,8 @@ class ErmisClient extends EventEmitter {
    */
   enableDebug() {
     this.config.debug = true;
-    this._debug("Debug mode enabled");
+    this.setLogLevel("debug");
+    this.logger.debug("Debug mode enabled");
   }
 
   /**
@@ -484,6 +771,44 @@ class ErmisClient extends EventEmitter {
    */
   disableDebug() {
     this.config.debug = false;
+    this.setLogLevel("silent");
+  }
+
+  /**
+   * Set the minimum level written by the SDK logger
+   * @param {string} level - debug | info | warn | error | silent
+   */
+  setLogLevel(level) {
+    this.config.logLevel = level;
+    this.logger.configure({ level });
+  }
+
+  /**
+   * Route SDK log entries to a custom sink
+   * @param {Function|null} sink - Receives `{ level, category, message, args, timestamp }`; null restores the console
+   */
+  setLogSink(sink) {
+    this.config.logSink = sink;
+    this.logger.configure({ sink });
+  }
+
+  /**
+   * Change what roles may do; the current room applies it immediately
+   * @param {Object<string, string[]>} overrides - Capabilities per role
+   */
+  async setPermissions(overrides) {
+    this.permissions.update(overrides);
+    this.config.permissions = { ...this.config.permissions, ...overrides };
+
+    await this.state.currentRoom?._applyLocalPermissions();
+  }
+
+  /**
+   * Whether the local user may use `capability` in the current room
+   * @param {string} capability - One of ErmisClassroom.Capabilities
+   */
+  can(capability) {
+    return this.state.currentRoom?.can(capability) || false;
   }
 
   /**
@@ -501,6 +826,8 @@ class ErmisClient extends EventEmitter {
         await room.cleanup();
       }
 
+      this._clearTokenRefresh();
+
       // Clear state
       this.state.rooms.clear();
       this.state.currentRoom = null;
@@ -508,9 +835,9 @@ class ErmisClient extends EventEmitter {
       // Remove all listeners
       this.removeAllListeners();
 
-      this._debug("Client cleanup completed");
+      this.logger.debug("Client cleanup completed");
     } catch (error) {
-      console.error("Error during cleanup:", error);
+      this.logger.error("Error during cleanup:", error);
     }
   }
 
@@ -518,6 +845,21 @@ class ErmisClient extends EventEmitter {
    * Setup event handlers for rooms
    */
   _setupRoomEvents(room) {
+    // Keep the resumable session in sync with pin and mic/camera state
+    [
+      "participantPinned",
+      "participantUnpinned",
+      "audioToggled",
+      "videoToggled",
+      "publishingChanged",
+    ].forEach((event) => {
+      room.on(event, () => {
+        if (room === this.state.currentRoom) {
+          this._saveRoomSession(room);
+        }
+      });
+    });
+
     // Forward room events to client
     const eventsToForward = [
       "roomJoined",
@@ -527,11 +869,35 @@ class ErmisClient extends EventEmitter {
       "participantPinned",
       "participantUnpinned",
       "subRoomCreated",
+      "subRoomInvite",
+      "subRoomAssigned",
+      "broadcast",
+      "roleChanged",
+      "muteRequested",
+      "permissionsChanged",
+      "publishingChanged",
+      "deviceSwitched",
+      "deviceListChanged",
+      "activeDeviceLost",
+      "screenShareStarted",
+      "screenShareStopped",
       "localStreamReady",
       "remoteStreamReady",
       "streamRemoved",
       "audioToggled",
       "videoToggled",
+      "remoteAudioToggled",
+      "remoteVideoToggled",
+      "activeSpeakersChanged",
+      "subscriptionChanged",
+      "chatMessage",
+      "dataReceived",
+      "participantUpdated",
+      "reaction",
+      "stateChanged",
+      "pollUpdated",
+      "pollResults",
+      "gatewayFailed",
       "error",
     ];
 
@@ -543,7 +909,47 @@ class ErmisClient extends EventEmitter {
           data
         );
       });
-    });    
+    });
+
+    // Removed by the server: the room is gone for us, drop it from the session
+    room.on("kicked", ({ ban, by }) => {
+      this._handleRoomRemoval(room);
+      this.emit("kicked", { room, ban, by });
+    });
+    room.on("ended", ({ by }) => {
+      this._handleRoomRemoval(room);
+      this.emit("roomEnded", { room, by });
+    });
+
+    // The host moved us into a sub room: follow the assignment. While we
+    // are in a sub room the main room is paused, so the move to another
+    // sub room arrives on the sub room's own event stream.
+    room.on("subRoomAssigned", ({ subRoom, userId }) => {
+      const current = this.state.currentRoom;
+      const fromParent = room === current?.parentRoom;
+      if (
+        (room !== current && !fromParent) ||
+        userId !== this.state.user?.id ||
+        subRoom === current
+      ) {
+        return;
+      }
+
+      const move = current.parentRoom
+        ? this._moveToSubRoom(subRoom)
+        : this._enterSubRoom(subRoom);
+      move.catch((error) => {
+        this.emit("error", { error, action: "subRoomAssigned" });
+      });
+    });
+
+    // Media transport lost: restore the whole session
+    room.on("connectionLost", ({ source, reason }) => {
+      if (room !== this.state.currentRoom) return;
+
+      this.logger.debug(`Connection lost (${source}): ${reason}`);
+      this._attemptReconnect(reason);
+    });
   }
 
   /**
@@ -551,8 +957,13 @@ class ErmisClient extends EventEmitter {
    */
   _setupEventHandlers() {
     // Handle authentication token refresh
-    this.on("authenticated", () => {
-      // Could implement token refresh logic here
+    this.on("authenticated", ({ user }) => {
+      this._scheduleTokenRefresh();
+      this._saveSession({ userId: user.id, token: user.token });
+    });
+
+    this.on("tokenRefreshed", ({ user }) => {
+      this._saveSession({ token: user.token });
     });
 
     // Handle connection status changes
@@ -564,34 +975,344 @@ class ErmisClient extends EventEmitter {
   }
 
   /**
-   * Attempt to reconnect
+   * Apply a token for a user and mark the client authenticated
    */
-  async _attemptReconnect() {
-    let attempts = 0;
+  _setAuthenticatedUser(userId, token) {
+    // Set authentication in API client
+    this.apiClient.setAuth(token, userId);
+
+    // Update state
+    this.state.user = {
+      id: userId,
+      token,
+      expiresAt: this._getTokenExpiry(token),
+      authenticatedAt: Date.now(),
+    };
+    this.state.isAuthenticated = true;
+
+    this._setConnectionStatus("connected");
+    this.emit("authenticated", { user: this.state.user });
+  }
+
+  /**
+   * Read the resumable session from storage
+   */
+  async _loadSession() {
+    const storage = this.config.storage;
+    if (!storage) return this._session;
+
+    try {
+      const raw = await storage.getItem(this.config.sessionKey);
+      this._session = raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      this.logger.debug("Failed to read saved session:", error.message);
+      this._session = null;
+    }
+
+    return this._session;
+  }
+
+  /**
+   * Merge fields into the resumable session and persist it
+   */
+  _saveSession(patch) {
+    if (!this.config.autoSaveCredentials) return this._sessionWrites;
+
+    return this._queueSessionWrite(() => this._writeSession(patch));
+  }
+
+  async _writeSession(patch) {
+    // Merge into what is stored, e.g. the room of a session not resumed yet
+    if (!this._sessionRead) {
+      this._sessionRead = true;
+      await this._loadSession();
+    }
+
+    this._session = { ...this._session, ...patch, savedAt: Date.now() };
+
+    const storage = this.config.storage;
+    if (!storage) return;
+
+    try {
+      await storage.setItem(
+        this.config.sessionKey,
+        JSON.stringify(this._session)
+      );
+    } catch (error) {
+      this.logger.debug("Failed to save session:", error.message);
+    }
+  }
+
+  /**
+   * Persist the room part of the resumable session
+   */
+  async _saveRoomSession(room) {
+    const local = room.localParticipant;
+
+    await this._saveSession({
+      roomCode: room.code,
+      roomId: room.id,
+      membershipId: room.membershipId,
+      pinnedUserId: room.pinnedParticipant?.userId || null,
+      audioEnabled: local ? local.isAudioEnabled : true,
+      videoEnabled: local ? local.isVideoEnabled : true,
+      publishAudio: room._publishTracks?.audio ?? true,
+      publishVideo: room._publishTracks?.video ?? true,
+    });
+  }
+
+  /**
+   * Remove the resumable session from storage
+   */
+  _clearSession() {
+    return this._queueSessionWrite(async () => {
+      this._session = null;
+
+      const storage = this.config.storage;
+      if (!storage) return;
 
-    while (attempts < this.config.reconnectAttempts) {
       try {
+        await storage.removeItem(this.config.sessionKey);
+      } catch (error) {
+        this.logger.debug("Failed to clear saved session:", error.message);
+      }
+    });
+  }
+
+  // Run a storage write once the ones before it are done
+  _queueSessionWrite(write) {
+    this._sessionWrites = this._sessionWrites.then(write).catch((error) => {
+      this.logger.debug("Failed to update session:", error.message);
+    });
+    return this._sessionWrites;
+  }
+
+  /**
+   * Resolve worker, polyfill, WASM and Opus script URLs from config
+   */
+  _resolveAssets() {
+    return resolveAssetUrls({
+      assetBaseUrl: this.config.assetBaseUrl,
+      assets: this.config.assets,
+      cacheBust: this.config.cacheBustAssets,
+    });
+  }
+
+  /**
+   * Forget a room the server removed us from
+   */
+  _handleRoomRemoval(room) {
+    if (room !== this.state.currentRoom) return;
+
+    this.state.currentRoom = null;
+    this._saveSession({
+      roomCode: null,
+      roomId: null,
+      membershipId: null,
+      pinnedUserId: null,
+    });
+  }
+
+  /**
+   * Sub room factory handed to rooms, so sub rooms are SubRoom instances
+   * whose events reach client listeners
+   */
+  _createSubRoom(config) {
+    const subRoom = new SubRoom(config);
+    this._setupRoomEvents(subRoom);
+    return subRoom;
+  }
+
+  /**
+   * Create the API client wired to this client's token refresh
+   */
+  _createApiClient() {
+    const apiClient = new ApiClient({
+      host: this.config.host,
+      apiUrl: this.config.endpoints.api || this.config.apiUrl,
+      logger: this.logger,
+      timeout: this.config.requestTimeout,
+      retries: this.config.requestRetries,
+      retryDelay: this.config.requestRetryDelay,
+      fetch: this.config.fetch,
+      interceptors: this.config.interceptors,
+    });
+
+    apiClient.setTokenRefresher(() => this.refreshToken());
+
+    return apiClient;
+  }
+
+  /**
+   * Get a token from the configured provider or the dummy token endpoint
+   */
+  async _fetchToken(userId) {
+    const provider = this.config.tokenProvider;
+    let result;
+
+    if (typeof provider === "function") {
+      result = await provider(userId);
+    } else if (provider && typeof provider.getToken === "function") {
+      result = await provider.getToken(userId);
+    } else {
+      result = await this.apiClient.getDummyToken(userId);
+    }
+
+    const token = typeof result === "string" ? result : result?.access_token;
+    if (!token) {
+      throw new AuthError("Token provider did not return an access token", {
+        code: ErrorCodes.TOKEN_INVALID,
+      });
+    }
+
+    return token;
+  }
+
+  /**
+   * Read the expiry time (ms) from a JWT `exp` claim
+   */
+  _getTokenExpiry(token) {
+    try {
+      const payload = token.split(".")[1];
+      if (!payload) return null;
+
+      const base64 = payload.replace(/-/g, "+").replace(/_/g, "/");
+      const padded = base64.padEnd(Math.ceil(base64.length / 4) * 4, "=");
+      const claims = JSON.parse(atob(padded));
+
+      return typeof claims.exp === "number" ? claims.exp * 1000 : null;
+    } catch (error) {
+      this.logger.debug("Could not decode token expiry:", error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Schedule the next token refresh ahead of expiry
+   */
+  _scheduleTokenRefresh(delay) {
+    this._clearTokenRefresh();
+
+    const expiresAt = this.state.user?.expiresAt;
+    if (delay === undefined) {
+      if (!expiresAt) return;
+      delay = expiresAt - Date.now() - this.config.tokenRefreshMargin;
+    }
+
+    // setTimeout overflows past ~24.8 days
+    const safeDelay = Math.min(Math.max(0, delay), 2_147_483_647);
+
+    this._tokenRefreshTimer = setTimeout(() => {
+      this._tokenRefreshTimer = null;
+      this.refreshToken().catch(() => {});
+    }, safeDelay);
+
+    this.logger.debug(
+      `Token refresh scheduled in ${Math.round(safeDelay / 1000)}s`
+    );
+  }
+
+  /**
+   * Cancel any scheduled token refresh
+   */
+  _clearTokenRefresh() {
+    if (this._tokenRefreshTimer) {
+      clearTimeout(this._tokenRefreshTimer);
+      this._tokenRefreshTimer = null;
+    }
+  }
+
+  /**
+   * Attempt to reconnect: re-authenticate if needed, then rejoin the
+   * current room and restore its publisher and subscribers
+   */
+  async _attemptReconnect(reason = "connection failed") {
+    if (this._reconnecting) return;
+    this._reconnecting = true;
+
+    const room = this.state.currentRoom;
+    const maxAttempts = this.config.reconnectAttempts;
+    let attempts = 0;
+    let lastError = null;
+
+    if (room) {
+      this._setConnectionStatus("reconnecting");
+    }
+
+    try {
+      while (attempts < maxAttempts) {
         attempts++;
-        this._debug(
-          `Reconnection attempt ${attempts}/${this.config.reconnectAttempts}`
-        );
 
-        await new Promise((resolve) =>
-          setTimeout(resolve, this.config.reconnectDelay)
-        );
+        // Stop if the user logged out or left the room meanwhile
+        if (!this.state.user || this.state.currentRoom !== room) {
+          return;
+        }
 
-        if (this.state.user) {
-          await this.authenticate(this.state.user.id);
-          this._debug("Reconnection successful");
+        try {
+          this.emit("reconnecting", {
+            attempt: attempts,
+            maxAttempts,
+            reason,
+            room,
+          });
+          this.logger.debug(`Reconnection attempt ${attempts}/${maxAttempts}`);
+
+          // Exponential backoff
+          const delay = Math.min(
+            this.config.reconnectDelay * 2 ** (attempts - 1),
+            this.config.maxReconnectDelay
+          );
+          await new Promise((resolve) => setTimeout(resolve, delay));
+
+          if (!this.state.user || this.state.currentRoom !== room) {
+            return;
+          }
+
+          if (!this.state.isAuthenticated) {
+            await this.authenticate(this.state.user.id);
+          } else if (
+            this.state.user.expiresAt &&
+            this.state.user.expiresAt <= Date.now()
+          ) {
+            await this.refreshToken();
+          }
+
+          if (room) {
+            await room.reconnect();
+          }
+
+          if (room) {
+            await this._saveRoomSession(room);
+          }
+
+          this._setConnectionStatus("connected");
+          this.emit("reconnected", { attempts, room });
+          this.logger.debug("Reconnection successful");
           return;
+        } catch (error) {
+          lastError = error;
+          this.logger.debug(
+            `Reconnection attempt ${attempts} failed:`,
+            error.message
+          );
+
+          // Retrying won't fix a revoked token, closed room or denied device
+          if (
+            error instanceof ErmisError &&
+            !error.retryable &&
+            error.code !== ErrorCodes.UNKNOWN
+          ) {
+            break;
+          }
         }
-      } catch (error) {
-        this._debug(`Reconnection attempt ${attempts} failed:`, error.message);
       }
-    }
 
-    this.emit("reconnectionFailed");
-    this._debug("All reconnection attempts failed");
+      this._setConnectionStatus("failed");
+      this.emit("reconnectionFailed", { attempts, room, error: lastError });
+      this.logger.debug("All reconnection attempts failed");
+    } finally {
+      this._reconnecting = false;
+    }
   }
 
   /**
@@ -601,7 +1322,7 @@ class ErmisClient extends EventEmitter {
     if (this.state.connectionStatus !== status) {
       this.state.connectionStatus = status;
       this.emit("connectionStatusChanged", { status });
-      this._debug("Connection status changed:", status);
+      this.logger.debug("Connection status changed:", status);
     }
   }
 
@@ -610,16 +1331,9 @@ class ErmisClient extends EventEmitter {
    */
   _ensureAuthenticated() {
     if (!this.state.isAuthenticated) {
-      throw new Error("User must be authenticated first");
-    }
-  }
-
-  /**
-   * Debug logging
-   */
-  _debug(...args) {
-    if (this.config.debug) {
-      console.log("[ErmisClient]", ...args);
+      throw new AuthError("User must be authenticated first", {
+        code: ErrorCodes.AUTH_REQUIRED,
+      });
     }
   }
 }
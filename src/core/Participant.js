@@ -1,4 +1,13 @@
 import EventEmitter from "../events/EventEmitter.js";
+import Logger from "../utils/Logger.js";
+import Permissions, { Capabilities } from "./Permissions.js";
+import {
+  ErrorCodes,
+  InvalidStateError,
+  TransportError,
+} from "../errors/ErmisError.js";
+
+const REACTION_DURATION = 5000; // ms a reaction stays on the participant
 
 /**
  * Represents a participant in a meeting room
@@ -13,11 +22,24 @@ class Participant extends EventEmitter {
     this.role = config.role || "participant";
     this.roomId = config.roomId;
     this.isLocal = config.isLocal || false;
+    this.logger = config.logger || new Logger().child("room");
+    this.permissions = config.permissions || new Permissions();
 
     // Media state
     this.isAudioEnabled = true;
     this.isVideoEnabled = true;
     this.isPinned = false;
+    this.isScreenSharing = false;
+    this.screenStream = null; // Shared screen, separate from the camera stream
+    this.audioLevel = 0; // Smoothed, 0 to 1, updated while the room has media
+    this.isSpeaking = false;
+    this.subscription = null; // Tracks received, remote participants only
+
+    // Classroom signals
+    this.isHandRaised = false;
+    this.handRaisedAt = null; // Orders the room's raised hand queue
+    this.reaction = null; // { emoji, timestamp } while it is shown
+    this._reactionTimer = null;
 
     // Media components
     this.publisher = null;
@@ -41,6 +63,18 @@ class Participant extends EventEmitter {
    */
   async toggleMicrophone() {
     if (!this.isLocal || !this.publisher) return;
+    if (!this.isAudioEnabled) {
+      this.permissions.assert(
+        this.role,
+        Capabilities.PUBLISH_AUDIO,
+        "toggleMicrophone"
+      );
+      if (this.publisher.hasMic === false) {
+        throw new InvalidStateError(
+          "Microphone is not published; call room.startPublishing() first"
+        );
+      }
+    }
 
     try {
       await this.publisher.toggleMic();
@@ -63,6 +97,18 @@ class Participant extends EventEmitter {
    */
   async toggleCamera() {
     if (!this.isLocal || !this.publisher) return;
+    if (!this.isVideoEnabled) {
+      this.permissions.assert(
+        this.role,
+        Capabilities.PUBLISH_VIDEO,
+        "toggleCamera"
+      );
+      if (this.publisher.hasCamera === false) {
+        throw new InvalidStateError(
+          "Camera is not published; call room.startPublishing() first"
+        );
+      }
+    }
 
     try {
       await this.publisher.toggleCamera();
@@ -76,6 +122,40 @@ class Participant extends EventEmitter {
     }
   }
 
+  /**
+   * Publish from another camera without leaving the room (local only)
+   * @param {string} deviceId - Camera from MediaDevices.getDevices()
+   */
+  async switchCamera(deviceId) {
+    await this._switchDevice("video", deviceId, "switchCamera");
+  }
+
+  /**
+   * Publish from another microphone without leaving the room (local only)
+   * @param {string} deviceId - Microphone from MediaDevices.getDevices()
+   */
+  async switchMicrophone(deviceId) {
+    await this._switchDevice("audio", deviceId, "switchMicrophone");
+  }
+
+  async _switchDevice(kind, deviceId, action) {
+    if (!this.isLocal || !this.publisher) {
+      throw new InvalidStateError(`${action}() needs the local publisher`);
+    }
+
+    try {
+      if (kind === "video") {
+        await this.publisher.switchCamera(deviceId);
+      } else {
+        await this.publisher.switchMicrophone(deviceId);
+      }
+      this.emit("deviceSwitched", { participant: this, kind, deviceId });
+    } catch (error) {
+      this.emit("error", { participant: this, error, action });
+      throw error;
+    }
+  }
+
   /**
    * Toggle remote participant's audio
    */
@@ -98,6 +178,107 @@ class Participant extends EventEmitter {
     }
   }
 
+  /**
+   * Apply the microphone / camera state a remote participant published
+   * @param {"audio"|"video"} kind
+   * @param {boolean} enabled
+   */
+  setRemoteMediaState(kind, enabled) {
+    if (this.isLocal) return;
+
+    const key = kind === "audio" ? "isAudioEnabled" : "isVideoEnabled";
+    if (this[key] === enabled) return;
+
+    this[key] = enabled;
+    this.emit(kind === "audio" ? "remoteAudioToggled" : "remoteVideoToggled", {
+      participant: this,
+      enabled,
+    });
+  }
+
+  /**
+   * Update the speaking indicators from the room's active speaker detection
+   * @param {number} level - Smoothed audio level, 0 to 1
+   * @param {boolean} speaking
+   */
+  setAudioLevel(level, speaking) {
+    this.audioLevel = level;
+    this.isSpeaking = speaking;
+  }
+
+  /**
+   * Raise the hand (local only). Resolves once the server was notified.
+   */
+  async raiseHand() {
+    if (this.isHandRaised) return;
+    await this._sendEvent({ type: "RaiseHand" }, "raiseHand");
+    this.setHandRaised(true);
+  }
+
+  /**
+   * Lower the hand (local only)
+   */
+  async lowerHand() {
+    if (!this.isHandRaised) return;
+    await this._sendEvent({ type: "LowerHand" }, "lowerHand");
+    this.setHandRaised(false);
+  }
+
+  /**
+   * Apply a raised or lowered hand
+   * @param {boolean} raised
+   * @param {number} [raisedAt=Date.now()] - Server time the hand went up
+   */
+  setHandRaised(raised, raisedAt = Date.now()) {
+    const handRaisedAt = raised ? raisedAt : null;
+    if (raised === this.isHandRaised && handRaisedAt === this.handRaisedAt) {
+      return;
+    }
+
+    this.isHandRaised = raised;
+    this.handRaisedAt = handRaisedAt;
+    this.emit("updated", {
+      participant: this,
+      changes: ["isHandRaised", "handRaisedAt"],
+    });
+  }
+
+  /**
+   * Show a reaction for a few seconds
+   * @param {string} emoji
+   * @param {number} [timestamp=Date.now()]
+   */
+  showReaction(emoji, timestamp = Date.now()) {
+    clearTimeout(this._reactionTimer);
+    this.reaction = { emoji, timestamp };
+    this._reactionTimer = setTimeout(() => {
+      this._reactionTimer = null;
+      this.reaction = null;
+      this.emit("updated", { participant: this, changes: ["reaction"] });
+    }, REACTION_DURATION);
+
+    this.emit("reaction", { participant: this, emoji, timestamp });
+    this.emit("updated", { participant: this, changes: ["reaction"] });
+  }
+
+  async _sendEvent(event, action) {
+    if (!this.isLocal || !this.publisher) {
+      throw new InvalidStateError(`${action}() needs the local publisher`);
+    }
+    if (!this.publisher.isChannelOpen) {
+      throw new TransportError("Event stream is not connected", {
+        code: ErrorCodes.CONNECTION_LOST,
+      });
+    }
+
+    try {
+      await this.publisher.sendEvent(event);
+    } catch (error) {
+      this.emit("error", { participant: this, error, action });
+      throw error;
+    }
+  }
+
   /**
    * Toggle pin status
    */
@@ -105,10 +286,10 @@ class Participant extends EventEmitter {
     if (!this.isLocal) {
       if (this.isPinned) {
         this.subscriber?.switchBitrate("360p");
-        console.warn("Unpin participant, switch to low quality");
+        this.logger.debug("Unpin participant, switch to low quality");
       } else {
         this.subscriber?.switchBitrate("720p");
-        console.warn("Pin participant, switch to high quality");
+        this.logger.debug("Pin participant, switch to high quality");
       }
     }
     
@@ -116,6 +297,24 @@ class Participant extends EventEmitter {
     this.emit("pinToggled", { participant: this, pinned: this.isPinned });
   }
 
+  /**
+   * Apply a role change made by a host
+   */
+  setRole(role) {
+    const previousRole = this.role;
+    if (role === previousRole) return;
+
+    this.role = role;
+    this.emit("roleChanged", { participant: this, role, previousRole });
+  }
+
+  /**
+   * Whether this participant's role grants `capability`
+   */
+  can(capability) {
+    return this.permissions.can(this.role, capability);
+  }
+
   /**
    * Update connection status
    */
@@ -166,6 +365,9 @@ class Participant extends EventEmitter {
    * Cleanup participant resources
    */
   cleanup() {
+    clearTimeout(this._reactionTimer);
+    this._reactionTimer = null;
+
     // Stop media streams
     if (this.publisher) {
       this.publisher.stop();
@@ -196,6 +398,11 @@ class Participant extends EventEmitter {
       isAudioEnabled: this.isAudioEnabled,
       isVideoEnabled: this.isVideoEnabled,
       isPinned: this.isPinned,
+      isScreenSharing: this.isScreenSharing,
+      isSpeaking: this.isSpeaking,
+      isHandRaised: this.isHandRaised,
+      handRaisedAt: this.handRaisedAt,
+      reaction: this.reaction,
       connectionStatus: this.connectionStatus,
     };
   }
@@ -0,0 +1,116 @@
+import { ParticipantRoles, isValidRole } from "./roles.js";
+import {
+  PermissionDeniedError,
+  ValidationError,
+} from "../errors/ErmisError.js";
+
+/**
+ * Actions gated by the permission matrix
+ */
+export const Capabilities = {
+  PUBLISH_AUDIO: "publishAudio",
+  PUBLISH_VIDEO: "publishVideo",
+  PUBLISH_SCREEN: "publishScreen",
+  CREATE_SUB_ROOM: "createSubRoom",
+  PIN_FOR_EVERYONE: "pinForEveryone",
+  MODERATE: "moderate",
+  CHAT: "chat",
+};
+
+const ALL_CAPABILITIES = Object.values(Capabilities);
+
+/**
+ * What each role may do unless the app overrides it
+ */
+export const DEFAULT_PERMISSIONS = {
+  [ParticipantRoles.OWNER]: ALL_CAPABILITIES,
+  [ParticipantRoles.MODERATOR]: ALL_CAPABILITIES,
+  [ParticipantRoles.PARTICIPANT]: [
+    Capabilities.PUBLISH_AUDIO,
+    Capabilities.PUBLISH_VIDEO,
+    Capabilities.PUBLISH_SCREEN,
+    Capabilities.CHAT,
+  ],
+  [ParticipantRoles.OBSERVER]: [Capabilities.CHAT],
+};
+
+/**
+ * Role -> capability matrix checked before the SDK acts.
+ * The server stays the authority; this only fails fast on the client.
+ */
+class Permissions {
+  /**
+   * @param {Object<string, string[]>} [overrides] - Capabilities per role,
+   *   replacing the defaults for the roles listed
+   */
+  constructor(overrides = {}) {
+    this._matrix = new Map(); // role -> Set of capabilities
+    this.update({ ...DEFAULT_PERMISSIONS, ...overrides });
+  }
+
+  /**
+   * Replace the capabilities of the roles listed in `overrides`
+   */
+  update(overrides = {}) {
+    for (const [role, capabilities] of Object.entries(overrides)) {
+      if (!isValidRole(role)) {
+        throw new ValidationError(`Unknown role: ${role}`, {
+          details: { role },
+        });
+      }
+      if (!Array.isArray(capabilities)) {
+        throw new ValidationError(`Permissions for ${role} must be an array`, {
+          details: { role },
+        });
+      }
+      for (const capability of capabilities) {
+        if (!ALL_CAPABILITIES.includes(capability)) {
+          throw new ValidationError(`Unknown capability: ${capability}`, {
+            details: { role, capability },
+          });
+        }
+      }
+      this._matrix.set(role, new Set(capabilities));
+    }
+  }
+
+  /**
+   * Whether `role` may use `capability`
+   */
+  can(role, capability) {
+    return this._matrix.get(role)?.has(capability) || false;
+  }
+
+  /**
+   * Throw a PermissionDeniedError unless `role` may use `capability`
+   */
+  assert(role, capability, action = capability) {
+    if (!this.can(role, capability)) {
+      throw new PermissionDeniedError(
+        `Role ${role || "unknown"} is not allowed to call ${action}()`,
+        { details: { action, role, capability } }
+      );
+    }
+  }
+
+  /**
+   * Capabilities granted to `role`
+   */
+  forRole(role) {
+    return Array.from(this._matrix.get(role) || []);
+  }
+
+  /**
+   * Plain copy of the whole matrix
+   */
+  toJSON() {
+    return Object.fromEntries(
+      Array.from(this._matrix, ([role, capabilities]) => [
+        role,
+        Array.from(capabilities),
+      ])
+    );
+  }
+}
+
+export default Permissions;
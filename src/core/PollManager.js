@@ -0,0 +1,442 @@
+import EventEmitter from "../events/EventEmitter.js";
+import { InvalidStateError, ValidationError } from "../errors/ErmisError.js";
+
+export const PollTypes = {
+  SINGLE: "single",
+  MULTIPLE: "multiple",
+  TEXT: "text",
+};
+
+const MAX_TEXT_ANSWER = 2000;
+
+/**
+ * Aggregated answers as the app sees them. `voters` and the `userId` of
+ * text answers are null in anonymous polls.
+ */
+export function parsePollResults(data) {
+  return {
+    total: data?.total || 0,
+    counts: { ...data?.counts }, // optionId -> answers
+    voters: data?.voters ? { ...data.voters } : null, // optionId -> userIds
+    answers: (data?.answers || []).map((answer) => ({
+      userId: answer.user_id || null,
+      text: answer.text,
+    })),
+  };
+}
+
+/**
+ * Poll as the app sees it, from an API response or server event
+ */
+export function parsePoll(data) {
+  return {
+    id: data.id,
+    roomId: data.room_id,
+    question: data.question,
+    type: data.type,
+    options: (data.options || []).map(({ id, text }) => ({ id, text })),
+    anonymous: Boolean(data.anonymous),
+    showResults: Boolean(data.show_results), // Results visible to students
+    includeSubRooms: Boolean(data.include_sub_rooms), // Copied into breakouts
+    parentPollId: data.parent_poll_id || null, // Main room poll of a copy
+    status: data.status || "draft", // 'draft', 'open', 'closed'
+    createdBy: data.created_by,
+    createdAt: data.created_at,
+    results: data.results ? parsePollResults(data.results) : null,
+    // subRoomId -> results, main room polls only
+    subRoomResults: Object.fromEntries(
+      Object.entries(data.sub_room_results || {}).map(([id, results]) => [
+        id,
+        parsePollResults(results),
+      ])
+    ),
+    myAnswer: data.my_answer ?? null,
+  };
+}
+
+// Sum results from several rooms into one
+function mergeResults(poll, list) {
+  const merged = {
+    total: 0,
+    counts: {},
+    voters: poll.anonymous ? null : {},
+    answers: [],
+  };
+  for (const option of poll.options) {
+    merged.counts[option.id] = 0;
+    if (merged.voters) merged.voters[option.id] = [];
+  }
+
+  for (const results of list) {
+    merged.total += results.total;
+    merged.answers.push(...results.answers);
+    for (const [optionId, count] of Object.entries(results.counts)) {
+      merged.counts[optionId] = (merged.counts[optionId] || 0) + count;
+    }
+    for (const [optionId, userIds] of Object.entries(results.voters || {})) {
+      merged.voters?.[optionId]?.push(...userIds);
+    }
+  }
+  return merged;
+}
+
+function csvCell(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  // Spreadsheets run text starting like a formula; user text is kept as text
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvRow = (cells) => cells.map(csvCell).join(",");
+
+/**
+ * Polls and quizzes of one room.
+ *
+ * Hosts create, open and close polls and everyone answers through the API;
+ * the server aggregates the answers and pushes `poll_results` on the event
+ * stream, to students only when the poll shows results. Polls created with
+ * `includeSubRooms` are copied into every sub room, and the main room also
+ * receives each sub room's results so they can be rolled up.
+ *
+ * Emits `updated` with `{ poll }`, `results` with `{ poll, results }` and
+ * `error` with `{ error, action }`.
+ */
+class PollManager extends EventEmitter {
+  /**
+   * @param {Object} config
+   * @param {Object} config.apiClient
+   * @param {Function} config.getRoomId - () => current room id
+   * @param {Function} config.ensureJoined - (action) => void, throws unless joined
+   * @param {Function} config.ensureHost - (action) => void, throws unless the local role may moderate
+   */
+  constructor(config) {
+    super();
+
+    this.apiClient = config.apiClient;
+    this.getRoomId = config.getRoomId;
+    this.ensureJoined = config.ensureJoined;
+    this.ensureHost = config.ensureHost;
+
+    this._polls = new Map(); // pollId -> poll, in creation order
+  }
+
+  /**
+   * Create a poll (host action). It stays a draft until open() is called.
+   * @param {Object} config
+   * @param {string} config.question
+   * @param {string} [config.type="single"] - "single", "multiple" or "text"
+   * @param {string[]} [config.options] - Choices, at least two for choice polls
+   * @param {boolean} [config.anonymous=false] - Hide who answered what
+   * @param {boolean} [config.showResults=false] - Send live results to students
+   * @param {boolean} [config.includeSubRooms=false] - Also run it in every sub room
+   */
+  async create({
+    question,
+    type = PollTypes.SINGLE,
+    options = [],
+    anonymous = false,
+    showResults = false,
+    includeSubRooms = false,
+  }) {
+    this.ensureHost("polls.create");
+    this._validatePoll({ question, type, options });
+
+    return await this._call("polls.create", async () => {
+      const response = await this.apiClient.createPoll(this.getRoomId(), {
+        question: question.trim(),
+        type,
+        options: type === PollTypes.TEXT ? [] : options,
+        anonymous,
+        show_results: showResults,
+        include_sub_rooms: includeSubRooms,
+      });
+      return this.applyPoll(response);
+    });
+  }
+
+  /**
+   * Start accepting answers (host action)
+   */
+  async open(pollId) {
+    return await this._setStatus(pollId, "open");
+  }
+
+  /**
+   * Stop accepting answers (host action)
+   */
+  async close(pollId) {
+    return await this._setStatus(pollId, "closed");
+  }
+
+  /**
+   * Answer an open poll. Answering again replaces the previous answer.
+   * @param {string} pollId
+   * @param {string|string[]} answer - Option id, option ids for multiple
+   *   choice, or the text of a free text answer
+   */
+  async submit(pollId, answer) {
+    this.ensureJoined("polls.submit");
+    const poll = this._getPoll(pollId);
+    if (poll.status !== "open") {
+      throw new InvalidStateError("This poll is not open", {
+        details: { pollId, status: poll.status },
+      });
+    }
+    const body = this._toAnswer(poll, answer);
+
+    await this._call("polls.submit", () =>
+      this.apiClient.submitPollAnswer(this.getRoomId(), pollId, body)
+    );
+    poll.myAnswer = answer;
+    this.emit("updated", { poll });
+  }
+
+  /**
+   * Reload every poll, e.g. when joining
+   */
+  async refresh() {
+    const response = await this._call("polls.refresh", () =>
+      this.apiClient.getPolls(this.getRoomId())
+    );
+    this.load(response);
+  }
+
+  /**
+   * Merge an API response: `{ polls: [...] }`. Polls already known, e.g.
+   * from events received while it loaded, keep their results.
+   */
+  load(response) {
+    for (const data of response?.polls || []) {
+      this._merge(data);
+    }
+  }
+
+  get(pollId) {
+    return this._polls.get(pollId) || null;
+  }
+
+  getAll() {
+    return Array.from(this._polls.values());
+  }
+
+  /**
+   * Current results, null until the server sent any
+   * @param {string} pollId
+   * @param {Object} [options]
+   * @param {boolean} [options.includeSubRooms=true] - Add the sub rooms'
+   *   results to this room's
+   */
+  getResults(pollId, { includeSubRooms = true } = {}) {
+    const poll = this._getPoll(pollId);
+    const subRoomResults = includeSubRooms
+      ? Object.values(poll.subRoomResults)
+      : [];
+    if (!poll.results && subRoomResults.length === 0) return null;
+
+    return mergeResults(poll, [
+      ...(poll.results ? [poll.results] : []),
+      ...subRoomResults,
+    ]);
+  }
+
+  /**
+   * Results as a JSON or CSV string, one CSV row per room and option (or
+   * per text answer), so sub rooms can be compared
+   * @param {string} pollId
+   * @param {string} [format="json"] - "json" or "csv"
+   */
+  export(pollId, format = "json") {
+    const poll = this._getPoll(pollId);
+    const rooms = [
+      [poll.roomId, poll.results],
+      ...Object.entries(poll.subRoomResults),
+    ].filter(([, results]) => results);
+
+    if (format === "json") {
+      // Per-room results go under `rooms`; our own answer is not exported
+      const fields = { ...poll };
+      delete fields.subRoomResults;
+      delete fields.myAnswer;
+      return JSON.stringify(
+        {
+          ...fields,
+          results: this.getResults(pollId),
+          rooms: Object.fromEntries(rooms),
+        },
+        null,
+        2
+      );
+    }
+    if (format !== "csv") {
+      throw new ValidationError(`Unknown export format: ${format}`, {
+        details: { format },
+      });
+    }
+
+    if (poll.type === PollTypes.TEXT) {
+      const rows = [["room_id", "user_id", "answer"]];
+      for (const [roomId, results] of rooms) {
+        for (const { userId, text } of results.answers) {
+          rows.push([roomId, userId, text]);
+        }
+      }
+      return rows.map(csvRow).join("\r\n");
+    }
+
+    const rows = [["room_id", "option_id", "option", "votes", "voters"]];
+    for (const [roomId, results] of rooms) {
+      for (const { id, text } of poll.options) {
+        const voters = results.voters?.[id] || [];
+        rows.push([
+          roomId,
+          id,
+          text,
+          results.counts[id] || 0,
+          voters.join(";"),
+        ]);
+      }
+    }
+    return rows.map(csvRow).join("\r\n");
+  }
+
+  /**
+   * Apply a poll from an API response or a poll_created / poll_updated
+   * event. Returns the poll.
+   */
+  applyPoll(data) {
+    const poll = this._merge(data);
+    this.emit("updated", { poll });
+    return poll;
+  }
+
+  /**
+   * Apply a poll_results event: `{ poll_id, room_id, results }`.
+   * Results from a sub room are kept apart for the roll-up.
+   */
+  applyResults(event) {
+    const poll = this._polls.get(event.poll_id);
+    if (!poll) return;
+
+    const results = parsePollResults(event.results);
+    if (!event.room_id || event.room_id === poll.roomId) {
+      poll.results = results;
+    } else {
+      poll.subRoomResults[event.room_id] = results;
+    }
+    this.emit("results", { poll, results: this.getResults(poll.id) });
+  }
+
+  /**
+   * Forget every poll, e.g. after leaving the room
+   */
+  clear() {
+    this._polls.clear();
+  }
+
+  _merge(data) {
+    const update = parsePoll(data);
+    const poll = this._polls.get(update.id);
+    if (!poll) {
+      this._polls.set(update.id, update);
+      return update;
+    }
+
+    // Results and our answer arrive separately; keep them
+    return Object.assign(poll, {
+      ...update,
+      results: update.results || poll.results,
+      subRoomResults: { ...poll.subRoomResults, ...update.subRoomResults },
+      myAnswer: update.myAnswer ?? poll.myAnswer,
+    });
+  }
+
+  async _setStatus(pollId, status) {
+    const action = status === "open" ? "polls.open" : "polls.close";
+    this.ensureHost(action);
+    this._getPoll(pollId);
+
+    return await this._call(action, async () => {
+      const response = await this.apiClient.updatePollStatus(
+        this.getRoomId(),
+        pollId,
+        status
+      );
+      return this.applyPoll(response);
+    });
+  }
+
+  async _call(action, request) {
+    try {
+      return await request();
+    } catch (error) {
+      this.emit("error", { error, action });
+      throw error;
+    }
+  }
+
+  _getPoll(pollId) {
+    const poll = this._polls.get(pollId);
+    if (!poll) {
+      throw new ValidationError(`Unknown poll: ${pollId}`, {
+        details: { pollId },
+      });
+    }
+    return poll;
+  }
+
+  _validatePoll({ question, type, options }) {
+    if (typeof question !== "string" || !question.trim()) {
+      throw new ValidationError("A poll needs a question");
+    }
+    if (!Object.values(PollTypes).includes(type)) {
+      throw new ValidationError(`Unknown poll type: ${type}`, {
+        details: { type },
+      });
+    }
+    if (type === PollTypes.TEXT) return;
+
+    const valid =
+      Array.isArray(options) &&
+      options.length >= 2 &&
+      options.every((option) => typeof option === "string" && option.trim());
+    if (!valid) {
+      throw new ValidationError("A choice poll needs at least two options");
+    }
+  }
+
+  // Server body for an answer, after checking it fits the poll
+  _toAnswer(poll, answer) {
+    if (poll.type === PollTypes.TEXT) {
+      if (typeof answer !== "string" || !answer.trim()) {
+        throw new ValidationError("The answer is empty");
+      }
+      if (answer.length > MAX_TEXT_ANSWER) {
+        throw new ValidationError(
+          `Answers are limited to ${MAX_TEXT_ANSWER} characters`
+        );
+      }
+      return { text: answer };
+    }
+
+    const optionIds = Array.isArray(answer) ? answer : [answer];
+    const known = new Set(poll.options.map((option) => option.id));
+    const countFits =
+      poll.type === PollTypes.SINGLE
+        ? optionIds.length === 1
+        : optionIds.length >= 1;
+    if (
+      !countFits ||
+      new Set(optionIds).size !== optionIds.length ||
+      !optionIds.every((id) => known.has(id))
+    ) {
+      throw new ValidationError("The answer does not match the poll options", {
+        details: { pollId: poll.id, answer },
+      });
+    }
+    return { option_ids: optionIds };
+  }
+}
+
+export default PollManager;
@@ -1,9 +1,30 @@
 import EventEmitter from "../events/EventEmitter.js";
 import Participant from "./Participant.js";
+import { isValidRole } from "./roles.js";
+import Permissions, { Capabilities } from "./Permissions.js";
 
 import Publisher from "../media/Publisher.js";
 import Subscriber from "../media/Subscriber.js";
 import AudioMixer from "../media/AudioMixer.js";
+import DeviceWatcher from "../media/DeviceWatcher.js";
+import ActiveSpeakerDetector from "../media/ActiveSpeakerDetector.js";
+import ChatChannel, { parseChatMessage } from "./ChatChannel.js";
+import DataChannel, { parseDataMessage } from "./DataChannel.js";
+import RoomState from "./RoomState.js";
+import PollManager from "./PollManager.js";
+import Logger from "../utils/Logger.js";
+import ErmisError, {
+  ErrorCodes,
+  InvalidStateError,
+  PermissionDeniedError,
+  TransportError,
+  ValidationError,
+} from "../errors/ErmisError.js";
+import {
+  formatEndpoint,
+  resolveMediaEndpoints,
+  toGatewayList,
+} from "../utils/endpoints.js";
 
 /**
  * Represents a meeting room
@@ -23,6 +44,9 @@ class Room extends EventEmitter {
     // Configuration
     this.apiClient = config.apiClient;
     this.mediaConfig = config.mediaConfig;
+    this.logger = (this.mediaConfig?.logger || new Logger()).child("room");
+    // Shared with the client so matrix updates reach every room
+    this.permissions = this.mediaConfig?.permissions || new Permissions();
 
     // Participants management
     this.participants = new Map(); // userId -> Participant
@@ -30,29 +54,140 @@ class Room extends EventEmitter {
 
     // Sub rooms (for main rooms only)
     this.subRooms = new Map(); // subRoomId -> Room
+    // Builds sub room instances; the client injects one that creates SubRooms
+    // (SubRoom extends Room, so Room cannot import it)
+    this.subRoomFactory = config.subRoomFactory || null;
+    this.isPaused = false; // Media stopped while the user is in a sub room
+    this._pausedMediaState = null;
 
     // Media management
     this.audioMixer = null;
     this.pinnedParticipant = null;
+    this._publishTracks = { audio: true, video: true }; // Tracks the user chose to send
+    this._deviceIds = { audio: null, video: null }; // Chosen microphone / camera
+    this._outputDeviceId = ""; // Chosen speaker, "" = system default
+    this.deviceWatcher = null; // Runs while this room has media
+    this.speakerDetector = null; // Runs while this room has media
+    this.activeSpeakers = []; // Participants speaking now, dominant first
+    this.isFollowingSpeaker = false; // Auto-pin the dominant speaker
+
+    // Selective subscription, kept across reconnects
+    this._subscriptions = new Map(); // userId -> { video, audio, quality }
+    this._autoSubscribe = true; // Receive participants not listed above
+    this._lastN = null; // Video only for this many participants, null = all
+    this._visibleUserIds = []; // Tiles on screen, ranked first by last-N
+    this._recentSpeakers = []; // userIds, most recent first
+    this._pendingSubscribers = new Set(); // userIds whose subscriber is starting
+
+    // Chat rides on the local publisher's event stream
+    this._chat = new ChatChannel({
+      send: (event) => this.localParticipant.publisher.sendEvent(event),
+      canSend: () => Boolean(this.localParticipant?.publisher?.isChannelOpen),
+      logger: this.logger,
+    });
+    this._data = new DataChannel({
+      send: (event) => this.localParticipant.publisher.sendEvent(event),
+      sendDatagram: (bytes) =>
+        this.localParticipant.publisher.sendDatagram(bytes),
+      canSend: () => Boolean(this.localParticipant?.publisher?.isChannelOpen),
+    });
+
+    // Shared key-value state, written through the event stream
+    this.state = new RoomState({
+      send: async (event) => {
+        if (!this.isActive) {
+          throw new InvalidStateError("Not joined to this room");
+        }
+        await this._sendEvent(event);
+      },
+      ensureHost: (action) =>
+        this._ensureAllowed(Capabilities.MODERATE, action),
+    });
+    this.state.on("changed", (change) => {
+      this.emit("stateChanged", { room: this, ...change });
+    });
+    this.state.on("error", ({ error, action }) => {
+      this.emit("error", { room: this, error, action });
+    });
+
+    // Polls go through the API; results arrive on the event stream
+    this.polls = new PollManager({
+      apiClient: this.apiClient,
+      getRoomId: () => this.id,
+      ensureJoined: () => {
+        if (!this.isActive) {
+          throw new InvalidStateError("Not joined to this room");
+        }
+      },
+      ensureHost: (action) => this._ensureModerator(action),
+    });
+    this.polls.on("updated", ({ poll }) => {
+      this.emit("pollUpdated", { room: this, poll });
+    });
+    this.polls.on("results", ({ poll, results }) => {
+      this.emit("pollResults", { room: this, poll, results });
+    });
+    this.polls.on("error", ({ error, action }) => {
+      this.emit("error", { room: this, error, action });
+    });
 
     // Connection info
     this.membershipId = null;
     this.streamId = null;
+    this.localUserId = null;
+    this.mediaEndpoints = null; // { publish: string[], subscribe: string[] }
+
+    // Reconnection state
+    this._rejoinState = null; // Local media kept alive between reconnect attempts
+    this._subscriberRestarts = new Map(); // userId -> last restart timestamp
+    this._joinController = null; // Aborted by leave() while join() runs
   }
 
   /**
    * Join this room
+   * @param {string} userId - Local user
+   * @param {Object} [options]
+   * @param {boolean} [options.publish=true] - false joins as a viewer
+   * @param {boolean} [options.audio=true] - Publish the microphone
+   * @param {boolean} [options.video=true] - Publish the camera
+   * @param {boolean} [options.audioEnabled=true] - Start unmuted
+   * @param {boolean} [options.videoEnabled=true] - Start with the camera on
+   * @param {string} [options.audioDeviceId] - Microphone to open
+   * @param {string} [options.videoDeviceId] - Camera to open
+   * @param {MediaStream} [options.mediaStream] - Publish this stream instead of opening devices
+   * @param {boolean} [options.autoSubscribe=true] - false receives nobody
+   *   until subscribe() / setSubscriptions() asks for them
    */
-  async join(userId) {
+  async join(userId, options = {}) {
     if (this.isActive) {
-      throw new Error("Already joined this room");
+      throw new InvalidStateError("Already joined this room", {
+        code: ErrorCodes.ALREADY_JOINED,
+      });
     }
 
+    this.localUserId = userId;
+    this._publishTracks = {
+      audio: options.publish !== false && options.audio !== false,
+      video: options.publish !== false && options.video !== false,
+    };
+    this._deviceIds = {
+      audio: options.audioDeviceId || null,
+      video: options.videoDeviceId || null,
+    };
+    this._autoSubscribe = options.autoSubscribe !== false;
+
+    // leave() aborts this to cancel a join that is still in flight
+    const joinController = new AbortController();
+    this._joinController = joinController;
+    const { signal } = joinController;
+
     try {
       this.emit("joining", { room: this });
-      console.log("Joining room with code", this.code);
+      this.logger.info("Joining room with code", this.code);
       // Join via API
-      const joinResponse = await this.apiClient.joinRoom(this.code);
+      const joinResponse = await this.apiClient.joinRoom(this.code, undefined, {
+        signal,
+      });
 
       // Store connection info
       this.id = joinResponse.room_id;
@@ -61,18 +196,29 @@ class Room extends EventEmitter {
 
       // Get room details and members
       const roomDetails = await this.apiClient.getRoomById(
-        joinResponse.room_id
+        joinResponse.room_id,
+        { signal }
       );
-      console.log("Joined room, details:", roomDetails);
+      this.logger.debug("Joined room, details:", roomDetails);
 
       // Update room info
       this._updateFromApiData(roomDetails.room);
 
+      // Pick media gateways before opening any media connection
+      this.mediaEndpoints = await this._resolveMediaEndpoints(signal);
+
       // Setup participants
       await this._setupParticipants(roomDetails.participants, userId);
 
       // Setup media connections
-      await this._setupMediaConnections();
+      await this._setupMediaConnections(options);
+      this._throwIfAborted(signal);
+
+      // Snapshots are fetched once the event stream is up so no change
+      // falls in between; changes that arrive while they load are merged
+      this.state.load(await this.apiClient.getRoomState(this.id, { signal }));
+      await this._loadPolls(signal);
+      this._throwIfAborted(signal);
 
       this.isActive = true;
       this.emit("joined", { room: this, participants: this.participants });
@@ -82,22 +228,46 @@ class Room extends EventEmitter {
         localParticipant: this.localParticipant,
         participants: Array.from(this.participants.values()),
       };
-    } catch (error) {
+    } catch (err) {
+      // leave() cannot reach a room that never became active, so undo
+      // whatever this attempt set up before reporting the failure
+      await this._abandonJoin();
+
+      if (signal.aborted) {
+        this.emit("joinCancelled", { room: this });
+        throw this._joinAbortedError(err);
+      }
+
+      const error = ErmisError.from(err);
       this.emit("error", { room: this, error, action: "join" });
       throw error;
+    } finally {
+      if (this._joinController === joinController) {
+        this._joinController = null;
+      }
     }
   }
 
   /**
-   * Leave this room
+   * Leave this room. Leaving while join() is still running cancels it.
    */
   async leave() {
+    this._releaseRejoinState();
+
+    if (this._joinController) {
+      this._joinController.abort();
+      return;
+    }
+
     if (!this.isActive) {
       return;
     }
 
     try {
       this.emit("leaving", { room: this });
+      this._chat.close();
+      this.state.close();
+      this.polls.clear();
 
       // Cleanup media connections
       await this._cleanupMediaConnections();
@@ -111,6 +281,8 @@ class Room extends EventEmitter {
       }
 
       this.isActive = false;
+      this.isPaused = false;
+      this._pausedMediaState = null;
       this.emit("left", { room: this });
     } catch (error) {
       this.emit("error", { room: this, error, action: "leave" });
@@ -118,13 +290,83 @@ class Room extends EventEmitter {
     }
   }
 
+  /**
+   * Rejoin this room after the media transport was lost.
+   * Local tracks are reused so the user is not prompted again.
+   */
+  async reconnect() {
+    if (!this.localUserId) {
+      throw new InvalidStateError(
+        "Cannot reconnect a room that was never joined"
+      );
+    }
+
+    // Capture local media state once; later attempts reuse it
+    if (!this._rejoinState) {
+      this._rejoinState = {
+        mediaStream: this.localParticipant?.publisher?.stream || null,
+        appTracks: this.localParticipant?.publisher?.appTracks || new Set(),
+        audioEnabled: this.localParticipant?.isAudioEnabled ?? true,
+        videoEnabled: this.localParticipant?.isVideoEnabled ?? true,
+        publishTracks: { ...this._publishTracks },
+        pinnedUserId: this.pinnedParticipant?.userId || null,
+        autoSubscribe: this._autoSubscribe,
+      };
+    }
+    const {
+      mediaStream,
+      audioEnabled,
+      videoEnabled,
+      publishTracks,
+      pinnedUserId,
+      autoSubscribe,
+    } = this._rejoinState;
+
+    // Tear down dead connections, including leftovers of a failed attempt
+    await this._cleanupMediaConnections({ keepLocalStream: true });
+    this._cleanupParticipants();
+    this._subscriberRestarts.clear();
+    this.isActive = false;
+
+    // Drop the stale membership so it does not linger in the member list
+    if (this.membershipId) {
+      try {
+        await this.apiClient.leaveRoom(this.id, this.membershipId);
+      } catch (error) {
+        this.logger.warn("Failed to remove stale membership:", error);
+      }
+      this.membershipId = null;
+    }
+
+    const joinResult = await this.join(this.localUserId, {
+      mediaStream,
+      audioEnabled,
+      videoEnabled,
+      audio: publishTracks.audio,
+      video: publishTracks.video,
+      audioDeviceId: this._deviceIds.audio,
+      videoDeviceId: this._deviceIds.video,
+      autoSubscribe,
+    });
+
+    if (pinnedUserId && this.participants.has(pinnedUserId)) {
+      this.pinParticipant(pinnedUserId, { auto: true });
+    }
+
+    this._rejoinState = null;
+    this.emit("reconnected", { room: this });
+
+    return joinResult;
+  }
+
   /**
    * Create a sub room (main room only)
    */
   async createSubRoom(config) {
     if (this.type !== "main") {
-      throw new Error("Only main rooms can create sub rooms");
+      throw new InvalidStateError("Only main rooms can create sub rooms");
     }
+    this._ensureAllowed(Capabilities.CREATE_SUB_ROOM, "createSubRoom");
 
     try {
       this.emit("creatingSubRoom", { room: this, config });
@@ -136,21 +378,12 @@ class Room extends EventEmitter {
         config.type || "breakout"
       );
 
-      // Create sub room instance
-      const subRoom = new Room({
-        id: subRoomData.id,
-        name: subRoomData.room_name,
-        code: subRoomData.room_code,
-        type: config.type || "breakout",
-        parentRoomId: this.id,
-        ownerId: subRoomData.user_id,
-        apiClient: this.apiClient,
-        mediaConfig: this.mediaConfig,
+      // Create and store sub room instance
+      const subRoom = this._getOrCreateSubRoom({
+        room_type: config.type || "breakout",
+        ...subRoomData,
       });
 
-      // Store sub room
-      this.subRooms.set(subRoom.id, subRoom);
-
       this.emit("subRoomCreated", { room: this, subRoom });
 
       return subRoom;
@@ -173,20 +406,7 @@ class Room extends EventEmitter {
 
       // Update local sub rooms map
       for (const subRoomData of subRoomsData) {
-        if (!this.subRooms.has(subRoomData.id)) {
-          const subRoom = new Room({
-            id: subRoomData.id,
-            name: subRoomData.room_name,
-            code: subRoomData.room_code,
-            type: subRoomData.room_type,
-            parentRoomId: this.id,
-            ownerId: subRoomData.user_id,
-            apiClient: this.apiClient,
-            mediaConfig: this.mediaConfig,
-          });
-
-          this.subRooms.set(subRoom.id, subRoom);
-        }
+        this._getOrCreateSubRoom(subRoomData);
       }
 
       return Array.from(this.subRooms.values());
@@ -237,7 +457,7 @@ class Room extends EventEmitter {
    */
   async returnToMainRoom() {
     if (!this.parentRoomId) {
-      throw new Error("This is not a sub room");
+      throw new InvalidStateError("This is not a sub room");
     }
 
     try {
@@ -267,8 +487,15 @@ class Room extends EventEmitter {
       role: memberData.role,
       roomId: this.id,
       isLocal,
+      logger: this.logger,
+      permissions: this.permissions,
     });
 
+    // Joined with the hand already up (rejoin or late snapshot)
+    if (memberData.hand_raised_at) {
+      participant.setHandRaised(true, memberData.hand_raised_at);
+    }
+
     // Setup participant events
     this._setupParticipantEvents(participant);
 
@@ -284,9 +511,9 @@ class Room extends EventEmitter {
   }
 
   /**
-   * Remove a participant from the room
+   * Drop a participant who left from local state
    */
-  removeParticipant(userId) {
+  _removeParticipant(userId) {
     const participant = this.participants.get(userId);
     if (!participant) return null;
 
@@ -304,244 +531,1395 @@ class Room extends EventEmitter {
       this.pinnedParticipant = null;
     }
 
+    // Free their last-N slot
+    this._recentSpeakers = this._recentSpeakers.filter((id) => id !== userId);
+    if (this._lastN !== null) {
+      this._syncSubscriptions();
+    }
+
     this.emit("participantRemoved", { room: this, participant });
 
     return participant;
   }
 
   /**
-   * Get a participant by user ID
+   * Remove a participant from the meeting (host action)
+   * @param {string} userId - Participant to remove
+   * @param {Object} [options]
+   * @param {boolean} [options.ban=false] - Also block them from rejoining
    */
-  getParticipant(userId) {
-    return this.participants.get(userId);
+  async removeParticipant(userId, { ban = false } = {}) {
+    const participant = this._getModerationTarget(userId, "removeParticipant");
+
+    try {
+      await this.apiClient.removeMember(this.id, participant.membershipId, {
+        ban,
+      });
+      this._removeParticipant(userId);
+    } catch (error) {
+      this.emit("error", { room: this, error, action: "removeParticipant" });
+      throw error;
+    }
   }
 
   /**
-   * Get all participants
+   * Change a participant's role (host action)
+   * @param {string} userId - Participant to update
+   * @param {string} role - One of ErmisClassroom.ParticipantRoles
    */
-  getParticipants() {
-    return Array.from(this.participants.values());
+  async setRole(userId, role) {
+    if (!isValidRole(role)) {
+      throw new ValidationError(`Unknown role: ${role}`, {
+        details: { role },
+      });
+    }
+    const participant = this._getModerationTarget(userId, "setRole");
+
+    try {
+      await this.apiClient.updateMemberRole(
+        this.id,
+        participant.membershipId,
+        role
+      );
+      await this._applyRoleChange(participant, role, this.localUserId);
+    } catch (error) {
+      this.emit("error", { room: this, error, action: "setRole" });
+      throw error;
+    }
   }
 
   /**
-   * Pin a participant's video
+   * Ask a participant to turn off their microphone or camera (host action)
+   * @param {string} userId - Participant to mute
+   * @param {string} [kind="audio"] - "audio" or "video"
    */
-  // pinParticipant(userId) {
-  //   const participant = this.participants.get(userId);
-  //   if (!participant) return false;
-
-  //   // Unpin current participant
-  //   if (this.pinnedParticipant) {
-  //     this.pinnedParticipant.isPinned = false;
-  //   }
-
-  //   // Pin new participant
-  //   participant.isPinned = true;
-  //   this.pinnedParticipant = participant;
-
-  //   this.emit("participantPinned", { room: this, participant });
+  async requestMute(userId, kind = "audio") {
+    this._validateMuteKind(kind);
+    const participant = this._getModerationTarget(userId, "requestMute");
 
-  //   return true;
-  // }
+    try {
+      await this.apiClient.requestMute(this.id, participant.membershipId, kind);
+    } catch (error) {
+      this.emit("error", { room: this, error, action: "requestMute" });
+      throw error;
+    }
+  }
 
-  pinParticipant(userId) {
-    const participant = this.participants.get(userId);
-    if (!participant) return false;
+  /**
+   * Ask every other participant to turn off their microphone or camera
+   * @param {string} [kind="audio"] - "audio" or "video"
+   */
+  async muteAll(kind = "audio") {
+    this._validateMuteKind(kind);
+    this._ensureModerator("muteAll");
 
-    // Unpin current participant và move về sidebar
-    if (this.pinnedParticipant && this.pinnedParticipant !== participant) {
-      this.pinnedParticipant.isPinned = false;
+    try {
+      await this.apiClient.muteAll(this.id, kind);
+    } catch (error) {
+      this.emit("error", { room: this, error, action: "muteAll" });
+      throw error;
     }
+  }
 
-    // Pin new participant và move lên main
-    participant.isPinned = true;
-    this.pinnedParticipant = participant;
-
-    this.emit("participantPinned", { room: this, participant });
+  /**
+   * End the meeting for everyone (host action)
+   */
+  async end() {
+    this._ensureModerator("end");
 
-    return true;
+    try {
+      await this.apiClient.deleteRoom(this.id);
+      await this._handleRemoval("ended", { by: this.localUserId });
+    } catch (error) {
+      this.emit("error", { room: this, error, action: "end" });
+      throw error;
+    }
   }
 
   /**
-   * Unpin currently pinned participant
+   * Start sending local media after joining as a viewer or with only some
+   * tracks. Defaults to every track the local role may publish.
+   * @param {Object} [options]
+   * @param {boolean} [options.audio] - Publish the microphone
+   * @param {boolean} [options.video] - Publish the camera
    */
-  // unpinParticipant() {
-  //   if (!this.pinnedParticipant) return false;
-
-  //   this.pinnedParticipant.isPinned = false;
-  //   const unpinnedParticipant = this.pinnedParticipant;
-  //   this.pinnedParticipant = null;
+  async startPublishing({ audio, video } = {}) {
+    if (!this.isActive) {
+      throw new InvalidStateError("Not joined to this room");
+    }
 
-  //   this.emit("participantUnpinned", {
-  //     room: this,
-  //     participant: unpinnedParticipant,
-  //   });
+    const tracks = {
+      audio: audio ?? this.can(Capabilities.PUBLISH_AUDIO),
+      video: video ?? this.can(Capabilities.PUBLISH_VIDEO),
+    };
+    // Nothing to publish gets an error rather than a no-op
+    if (!tracks.audio && !tracks.video) {
+      const mayPublish =
+        this.can(Capabilities.PUBLISH_AUDIO) ||
+        this.can(Capabilities.PUBLISH_VIDEO);
+      if (!mayPublish) {
+        const role = this.localParticipant?.role;
+        throw new PermissionDeniedError(
+          `Role ${role || "unknown"} is not allowed to publish media`,
+          { details: { action: "startPublishing", role } }
+        );
+      }
+      throw new ValidationError("Nothing to publish: pass audio or video");
+    }
+    if (tracks.audio) {
+      this._ensureAllowed(Capabilities.PUBLISH_AUDIO, "startPublishing");
+    }
+    if (tracks.video) {
+      this._ensureAllowed(Capabilities.PUBLISH_VIDEO, "startPublishing");
+    }
 
-  //   return true;
-  // }
+    try {
+      this._publishTracks = tracks;
+      await this._syncLocalPublisher({ enableAddedTracks: true });
+      this.emit("publishingChanged", { room: this, ...tracks });
+    } catch (error) {
+      this.emit("error", { room: this, error, action: "startPublishing" });
+      throw error;
+    }
+  }
 
-  unpinParticipant() {
-    if (!this.pinnedParticipant) return false;
+  /**
+   * Stop sending local media and release the devices; room events and
+   * remote media keep flowing
+   */
+  async stopPublishing() {
+    if (!this.isActive) {
+      throw new InvalidStateError("Not joined to this room");
+    }
 
-    this.pinnedParticipant.isPinned = false;
-    const unpinnedParticipant = this.pinnedParticipant;
+    const tracks = { audio: false, video: false };
 
-    this.pinnedParticipant = null;
+    try {
+      this._publishTracks = tracks;
+      await this._syncLocalPublisher();
+      this.emit("publishingChanged", { room: this, ...tracks });
+    } catch (error) {
+      this.emit("error", { room: this, error, action: "stopPublishing" });
+      throw error;
+    }
+  }
 
-    // Auto-pin local participant nếu có
-    if (this.localParticipant) {
-      this.pinParticipant(this.localParticipant.userId);
+  /**
+   * Share the screen next to the camera, over the same publisher connection
+   * @param {Object} [options]
+   * @param {boolean} [options.audio=false] - Also share tab / system audio,
+   *   mixed into the published microphone
+   */
+  async startScreenShare({ audio = false } = {}) {
+    if (!this.isActive) {
+      throw new InvalidStateError("Not joined to this room");
     }
+    this._ensureAllowed(Capabilities.PUBLISH_SCREEN, "startScreenShare");
 
-    this.emit("participantUnpinned", {
-      room: this,
-      participant: unpinnedParticipant,
-    });
+    const publisher = this.localParticipant?.publisher;
+    if (!publisher) {
+      throw new InvalidStateError("Local media is not connected");
+    }
 
-    return true;
+    try {
+      await publisher.startScreenShare({ audio });
+    } catch (error) {
+      this.emit("error", { room: this, error, action: "startScreenShare" });
+      throw error;
+    }
   }
 
   /**
-   * Get room info
+   * Stop sharing the screen; the camera and microphone keep going
    */
-  getInfo() {
-    return {
-      id: this.id,
-      name: this.name,
-      code: this.code,
-      type: this.type,
-      parentRoomId: this.parentRoomId,
-      ownerId: this.ownerId,
-      isActive: this.isActive,
-      participantCount: this.participants.size,
-      subRoomCount: this.subRooms.size,
-      pinnedParticipant: this.pinnedParticipant?.userId || null,
-    };
+  async stopScreenShare() {
+    await this.localParticipant?.publisher?.stopScreenShare();
   }
 
   /**
-   * Setup participants from API data
+   * Play remote audio on another speaker. The choice is kept for the rest
+   * of the session, also when media restarts.
+   * @param {string} sinkId - deviceId of an audiooutput device, "" for the
+   *   system default
    */
-  async _setupParticipants(participantsData, userId) {
-    for (const participantData of participantsData) {
-      this.addParticipant(participantData, userId);
+  async setOutputDevice(sinkId = "") {
+    try {
+      await this.audioMixer?.setOutputDevice(sinkId);
+      this._outputDeviceId = sinkId;
+    } catch (error) {
+      this.emit("error", { room: this, error, action: "setOutputDevice" });
+      throw error;
     }
   }
 
   /**
-   * Setup media connections for all participants
+   * Choose what to receive from each listed participant. Participants not
+   * listed keep their subscription; entries for users who have not joined
+   * yet apply when they do.
+   * @param {Array<{userId: string, video?: boolean, audio?: boolean, quality?: "360p"|"720p"}>} subscriptions
    */
-  async _setupMediaConnections() {
-    // Initialize audio mixer
-    if (!this.audioMixer) {
-      this.audioMixer = new AudioMixer();
-      await this.audioMixer.initialize();
+  async setSubscriptions(subscriptions) {
+    if (subscriptions.some((subscription) => !subscription.userId)) {
+      throw new ValidationError("Every subscription needs a userId");
     }
 
-    // Setup publisher for local participant
-    if (this.localParticipant) {
-      await this._setupLocalPublisher();
+    for (const subscription of subscriptions) {
+      const { userId, video = true, audio = true, quality } = subscription;
+      this._subscriptions.set(userId, {
+        video,
+        audio,
+        quality: quality || null,
+      });
     }
 
-    // Setup subscribers for remote participants
-    for (const participant of this.participants.values()) {
-      if (!participant.isLocal) {
-        await this._setupRemoteSubscriber(participant);
+    if (!this.isActive || this.isPaused) return;
+
+    try {
+      for (const { userId } of subscriptions) {
+        const participant = this.participants.get(userId);
+        if (participant && !participant.isLocal) {
+          await this._syncSubscription(participant);
+        }
       }
+    } catch (error) {
+      this.emit("error", { room: this, error, action: "setSubscriptions" });
+      throw error;
     }
 
-    // Setup stream event forwarding
-    this._setupStreamEventForwarding();
+    // A participant turning video on or off moves the others' last-N slots
+    if (this._lastN !== null) {
+      await this._syncSubscriptions();
+    }
   }
 
   /**
-   * Setup publisher for local participant
+   * Receive a participant's video and / or audio
+   * @param {string} userId
+   * @param {Object} [options]
+   * @param {boolean} [options.video=true]
+   * @param {boolean} [options.audio=true]
+   * @param {"360p"|"720p"} [options.quality]
    */
-  async _setupLocalPublisher() {
-    if (!this.localParticipant || !this.streamId) return;
-
-    // Video rendering handled by app through stream events
-
-    const publishUrl = `${this.mediaConfig.webtpUrl}/${this.id}/${this.streamId}`;
-    console.log("trying to connect webtransport to", publishUrl);
-
-    const publisher = new Publisher({
-      publishUrl,
-      streamType: "camera",
-      streamId: "camera_stream",
-      width: 1280,
-      height: 720,
-      framerate: 30,
-      bitrate: 1_500_000,
-      onStatusUpdate: (msg, isError) => {
-        this.localParticipant.setConnectionStatus(
-          isError ? "failed" : "connected"
-        );
-      },
-      onServerEvent: async (event) => {
-        await this._handleServerEvent(event);
-      },
-    });
-
-    // Setup stream event forwarding
-    publisher.on("localStreamReady", (data) => {
-      this.emit("localStreamReady", {
-        ...data,
-        participant: this.localParticipant.getInfo(),
-        roomId: this.id
-      });
-    });
-
-    await publisher.startPublishing();
-    this.localParticipant.setPublisher(publisher);
+  async subscribe(userId, { video = true, audio = true, quality } = {}) {
+    await this.setSubscriptions([{ userId, video, audio, quality }]);
   }
 
   /**
-   * Setup subscriber for remote participant
+   * Stop receiving a participant and close their media connection
    */
-  async _setupRemoteSubscriber(participant) {
+  async unsubscribe(userId) {
+    await this.setSubscriptions([{ userId, video: false, audio: false }]);
+  }
+
+  /**
+   * Receive video from only `n` remote participants: the pinned one, then
+   * the visible tiles (see setVisibleParticipants()), then the most recent
+   * speakers. Audio still comes from everyone. null receives all video.
+   * @param {number|null} n
+   */
+  async setLastN(n) {
+    if (n !== null && !(Number.isInteger(n) && n >= 0)) {
+      throw new ValidationError("Last-N must be a non-negative integer", {
+        details: { n },
+      });
+    }
+
+    this._lastN = n;
+    await this._syncSubscriptions();
+  }
+
+  /**
+   * Tell last-N which participants have a tile on screen, most important
+   * first
+   * @param {string[]} userIds
+   */
+  async setVisibleParticipants(userIds) {
+    this._visibleUserIds = [...userIds];
+    if (this._lastN !== null) {
+      await this._syncSubscriptions();
+    }
+  }
+
+  /**
+   * Send a chat message to everyone in this room, or privately with `to`.
+   * Sub rooms have their own chat; a host can post into all of them with
+   * `toSubRooms`. Resolves with the message once the server acknowledged
+   * it. Until then it is resent, also after a reconnect, until the room is
+   * left.
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {string} [options.to] - userId of the recipient of a private message
+   * @param {boolean} [options.toSubRooms=false] - Post into every sub room
+   */
+  async sendChatMessage(text, { to = null, toSubRooms = false } = {}) {
+    if (!this.isActive) {
+      throw new InvalidStateError("Not joined to this room");
+    }
+    this._ensureAllowed(Capabilities.CHAT, "sendChatMessage");
+    if (toSubRooms) {
+      this._ensureAllowed(Capabilities.MODERATE, "sendChatMessage");
+    }
+    if (typeof text !== "string" || !text.trim()) {
+      throw new ValidationError("Chat message is empty");
+    }
+    if (to && toSubRooms) {
+      throw new ValidationError("A private message cannot go to sub rooms");
+    }
+    if (to && !this.participants.has(to)) {
+      throw new ValidationError(`Participant ${to} is not in this room`, {
+        details: { userId: to },
+      });
+    }
+
+    try {
+      return await this._chat.post({
+        roomId: this.id,
+        senderId: this.localUserId,
+        text,
+        to,
+        toSubRooms,
+      });
+    } catch (error) {
+      // Dropped on leave: not worth an error event
+      if (error.code !== ErrorCodes.ABORTED) {
+        this.emit("error", { room: this, error, action: "sendChatMessage" });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Load a page of chat history, newest first
+   * @param {Object} [options]
+   * @param {string} [options.before] - id of the oldest message already loaded
+   * @param {number} [options.limit=50]
+   * @returns {Promise<{messages: Object[], hasMore: boolean}>}
+   */
+  async getChatHistory({ before, limit = 50 } = {}) {
+    try {
+      const response = await this.apiClient.getChatMessages(this.id, {
+        before,
+        limit,
+      });
+      return {
+        messages: (response.messages || []).map(parseChatMessage),
+        hasMore: Boolean(response.has_more),
+      };
+    } catch (error) {
+      this.emit("error", { room: this, error, action: "getChatHistory" });
+      throw error;
+    }
+  }
+
+  /**
+   * Chat messages sent but not yet acknowledged by the server
+   */
+  getPendingChatMessages() {
+    return this._chat.getPending();
+  }
+
+  /**
+   * Send an app-defined message to the room or to one participant.
+   * Reliable messages arrive in order; lossy ones (`reliable: false`) may be
+   * dropped and suit frequent updates such as cursor positions.
+   * @param {*} payload - JSON value, ArrayBuffer or typed array
+   * @param {Object} [options]
+   * @param {string} [options.to] - Recipient userId, default everyone
+   * @param {boolean} [options.reliable=true]
+   * @param {string} [options.topic] - Lets receivers tell message kinds apart
+   */
+  async sendData(payload, { to = null, reliable = true, topic = null } = {}) {
+    if (!this.isActive) {
+      throw new InvalidStateError("Not joined to this room");
+    }
+    if (to && !this.participants.has(to)) {
+      throw new ValidationError(`Participant ${to} is not in this room`, {
+        details: { userId: to },
+      });
+    }
+
+    try {
+      await this._data.post(payload, { to, reliable, topic });
+    } catch (error) {
+      // Throttling is the caller's to handle, not an error worth reporting
+      if (error.code !== ErrorCodes.RATE_LIMITED) {
+        this.emit("error", { room: this, error, action: "sendData" });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Participants with a raised hand, in the order they raised it
+   */
+  getRaisedHands() {
+    return this.getParticipants()
+      .filter((p) => p.isHandRaised)
+      .sort((a, b) => a.handRaisedAt - b.handRaisedAt);
+  }
+
+  /**
+   * Lower every raised hand (host action)
+   */
+  async lowerAllHands() {
+    this._ensureModerator("lowerAllHands");
+
+    try {
+      await this._sendEvent({ type: "LowerAllHands" });
+    } catch (error) {
+      this.emit("error", { room: this, error, action: "lowerAllHands" });
+      throw error;
+    }
+    for (const participant of this.participants.values()) {
+      participant.setHandRaised(false);
+    }
+  }
+
+  /**
+   * Show a short-lived reaction on the local participant for everyone
+   * @param {string} emoji - e.g. "👍"
+   */
+  async sendReaction(emoji) {
+    if (!this.isActive) {
+      throw new InvalidStateError("Not joined to this room");
+    }
+    if (typeof emoji !== "string" || !emoji || emoji.length > 16) {
+      throw new ValidationError("A reaction is a single emoji", {
+        details: { emoji },
+      });
+    }
+
+    try {
+      await this._sendEvent({ type: "Reaction", emoji });
+    } catch (error) {
+      this.emit("error", { room: this, error, action: "sendReaction" });
+      throw error;
+    }
+    this.localParticipant.showReaction(emoji);
+  }
+
+  /**
+   * Pin a participant on everyone's screen (host action)
+   * @param {string|null} userId - Participant to pin, or null to clear the pin
+   */
+  async pinForEveryone(userId) {
+    if (!this.isActive) {
+      throw new InvalidStateError("Not joined to this room");
+    }
+    this._ensureAllowed(Capabilities.PIN_FOR_EVERYONE, "pinForEveryone");
+    if (userId && !this.participants.has(userId)) {
+      throw new ValidationError(`Participant ${userId} is not in this room`, {
+        details: { userId },
+      });
+    }
+
+    try {
+      await this.apiClient.pinForEveryone(this.id, userId || null);
+      this._applyPin(userId);
+    } catch (error) {
+      this.emit("error", { room: this, error, action: "pinForEveryone" });
+      throw error;
+    }
+  }
+
+  /**
+   * Whether the local user's role grants `capability`
+   * @param {string} capability - One of ErmisClassroom.Capabilities
+   */
+  can(capability) {
+    return this.permissions.can(this.localParticipant?.role, capability);
+  }
+
+  /**
+   * Get a participant by user ID
+   */
+  getParticipant(userId) {
+    return this.participants.get(userId);
+  }
+
+  /**
+   * Get all participants
+   */
+  getParticipants() {
+    return Array.from(this.participants.values());
+  }
+
+  /**
+   * Pin a participant's video
+   */
+  // pinParticipant(userId) {
+  //   const participant = this.participants.get(userId);
+  //   if (!participant) return false;
+
+  //   // Unpin current participant
+  //   if (this.pinnedParticipant) {
+  //     this.pinnedParticipant.isPinned = false;
+  //   }
+
+  //   // Pin new participant
+  //   participant.isPinned = true;
+  //   this.pinnedParticipant = participant;
+
+  //   this.emit("participantPinned", { room: this, participant });
+
+  //   return true;
+  // }
+
+  /**
+   * Pin a participant to the main view
+   * @param {string} userId
+   * @param {Object} [options]
+   * @param {boolean} [options.auto=false] - Pinned by the SDK rather than the
+   *   user; manual pins turn off follow-the-speaker mode
+   */
+  pinParticipant(userId, { auto = false } = {}) {
+    const participant = this.participants.get(userId);
+    if (!participant) return false;
+
+    if (!auto) {
+      this.isFollowingSpeaker = false;
+    }
+
+    // Unpin current participant và move về sidebar
+    if (this.pinnedParticipant && this.pinnedParticipant !== participant) {
+      this.pinnedParticipant.isPinned = false;
+    }
+
+    // Pin new participant và move lên main
+    participant.isPinned = true;
+    this.pinnedParticipant = participant;
+
+    // The pinned participant always gets a last-N slot
+    if (this._lastN !== null) {
+      this._syncSubscriptions();
+    }
+
+    this.emit("participantPinned", { room: this, participant, auto });
+
+    return true;
+  }
+
+  /**
+   * Unpin currently pinned participant
+   */
+  // unpinParticipant() {
+  //   if (!this.pinnedParticipant) return false;
+
+  //   this.pinnedParticipant.isPinned = false;
+  //   const unpinnedParticipant = this.pinnedParticipant;
+  //   this.pinnedParticipant = null;
+
+  //   this.emit("participantUnpinned", {
+  //     room: this,
+  //     participant: unpinnedParticipant,
+  //   });
+
+  //   return true;
+  // }
+
+  unpinParticipant() {
+    if (!this.pinnedParticipant) return false;
+
+    this.pinnedParticipant.isPinned = false;
+    const unpinnedParticipant = this.pinnedParticipant;
+
+    this.pinnedParticipant = null;
+    this.isFollowingSpeaker = false;
+
+    // Auto-pin local participant nếu có
+    if (this.localParticipant) {
+      this.pinParticipant(this.localParticipant.userId, { auto: true });
+    }
+
+    this.emit("participantUnpinned", {
+      room: this,
+      participant: unpinnedParticipant,
+    });
+
+    return true;
+  }
+
+  /**
+   * Keep the dominant remote speaker pinned, following whoever speaks.
+   * Pinning or unpinning someone by hand turns this off.
+   * @param {boolean} [enabled=true]
+   */
+  setFollowActiveSpeaker(enabled = true) {
+    this.isFollowingSpeaker = enabled;
+    if (enabled) {
+      this._followDominantSpeaker();
+    }
+  }
+
+  /**
+   * Get room info
+   */
+  getInfo() {
+    return {
+      id: this.id,
+      name: this.name,
+      code: this.code,
+      type: this.type,
+      parentRoomId: this.parentRoomId,
+      ownerId: this.ownerId,
+      isActive: this.isActive,
+      participantCount: this.participants.size,
+      subRoomCount: this.subRooms.size,
+      pinnedParticipant: this.pinnedParticipant?.userId || null,
+    };
+  }
+
+  /**
+   * Setup participants from API data
+   */
+  async _setupParticipants(participantsData, userId) {
+    for (const participantData of participantsData) {
+      this.addParticipant(participantData, userId);
+    }
+  }
+
+  /**
+   * Setup media connections for all participants
+   */
+  async _setupMediaConnections(options = {}) {
+    // Initialize audio mixer
+    if (!this.audioMixer) {
+      this.audioMixer = new AudioMixer({
+        logger: this.logger,
+        outputDeviceId: this._outputDeviceId,
+      });
+      await this.audioMixer.initialize();
+    }
+
+    await this._startDeviceWatcher();
+    this._startSpeakerDetector();
+
+    // Setup publisher for local participant
+    if (this.localParticipant) {
+      await this._setupLocalPublisher(options);
+    }
+
+    // Setup subscribers for remote participants
+    for (const participant of this.participants.values()) {
+      if (!participant.isLocal) {
+        await this._setupRemoteSubscriber(participant);
+      }
+    }
+
+    // Setup stream event forwarding
+    this._setupStreamEventForwarding();
+  }
+
+  /**
+   * Pick the media gateways for this room: discovered ones when enabled,
+   * otherwise (or when discovery fails) the configured templates
+   */
+  async _resolveMediaEndpoints(signal) {
+    const configured = resolveMediaEndpoints(this.mediaConfig);
+
+    if (!this.mediaConfig.discoverEndpoints) {
+      return configured;
+    }
+
+    try {
+      const discovered = await this.apiClient.getMediaEndpoints(this.id, {
+        signal,
+      });
+      const publish = toGatewayList(discovered?.publish);
+      const subscribe = toGatewayList(discovered?.subscribe);
+
+      return {
+        publish: publish.length ? publish : configured.publish,
+        subscribe: subscribe.length ? subscribe : configured.subscribe,
+      };
+    } catch (error) {
+      this._throwIfAborted(signal);
+      this.logger.warn(
+        "Endpoint discovery failed, using configured endpoints:",
+        error
+      );
+      return configured;
+    }
+  }
+
+  /**
+   * Load the polls already in the room. Polls are optional: when they
+   * cannot be loaded the error is reported and the join goes on.
+   */
+  async _loadPolls(signal) {
+    try {
+      this.polls.load(await this.apiClient.getPolls(this.id, { signal }));
+    } catch (err) {
+      this._throwIfAborted(signal);
+      const error = ErmisError.from(err);
+      this.logger.warn("Failed to load polls:", error);
+      this.emit("error", { room: this, error, action: "polls.refresh" });
+    }
+  }
+
+  /**
+   * Turn gateway templates into URLs for one stream
+   */
+  _formatEndpoints(templates, streamId) {
+    return templates.map((template) =>
+      formatEndpoint(template, { roomId: this.id, streamId })
+    );
+  }
+
+  /**
+   * Setup publisher for local participant
+   */
+  async _setupLocalPublisher(options = {}) {
+    if (!this.localParticipant || !this.streamId) return;
+
+    // Video rendering handled by app through stream events
+
+    const publishUrls = this._formatEndpoints(
+      this.mediaEndpoints.publish,
+      this.streamId
+    );
+    this.logger.debug("Connecting publisher to", publishUrls);
+
+    // Viewers and roles without publish rights only open the event stream
+    const { audio: publishAudio, video: publishVideo } =
+      this._getPublishedTracks();
+
+    const publisher = new Publisher({
+      publishUrls,
+      streamType: "camera",
+      streamId: "camera_stream",
+      width: 1280,
+      height: 720,
+      framerate: 30,
+      bitrate: 1_500_000,
+      mediaStream: options.mediaStream,
+      // A rejoin or restart reuses our own tracks too; only the app's stay
+      // running
+      appTracks: options.appTracks || this._rejoinState?.appTracks,
+      audioDeviceId: this._deviceIds.audio,
+      videoDeviceId: this._deviceIds.video,
+      cameraEnabled: options.videoEnabled,
+      micEnabled: options.audioEnabled,
+      hasCamera: publishVideo,
+      hasMic: publishAudio,
+      assets: this.mediaConfig.assets,
+      logger: this.logger,
+      onStatusUpdate: (msg, isError) => {
+        this.localParticipant.setConnectionStatus(
+          isError ? "failed" : "connected"
+        );
+      },
+      // The publisher does not wait on this, so nothing may escape it
+      onServerEvent: async (event) => {
+        try {
+          await this._handleServerEvent(event);
+        } catch (err) {
+          const error = ErmisError.from(err);
+          this.logger.error("Failed to handle server event:", event, error);
+          this.emit("error", { room: this, error, action: "serverEvent" });
+        }
+      },
+    });
+
+    publisher.on("screenShareStarted", ({ stream, hasAudio }) => {
+      this._setScreenShare(this.localParticipant, stream, { hasAudio });
+    });
+
+    publisher.on("screenShareStopped", () => {
+      this._setScreenShare(this.localParticipant, null);
+    });
+
+    // Setup stream event forwarding
+    publisher.on("localStreamReady", (data) => {
+      this.emit("localStreamReady", {
+        ...data,
+        participant: this.localParticipant.getInfo(),
+        roomId: this.id
+      });
+    });
+
+    publisher.on("connectionLost", ({ reason, error }) => {
+      this.emit("connectionLost", {
+        room: this,
+        source: "publisher",
+        reason,
+        error,
+      });
+    });
+
+    publisher.on("gatewayFailed", ({ url, error }) => {
+      this.emit("gatewayFailed", {
+        room: this,
+        source: "publisher",
+        url,
+        reason: error?.message,
+      });
+    });
+
+    await publisher.startPublishing();
+    this.localParticipant.setPublisher(publisher);
+
+    // Messages queued while the stream was down
+    this._chat.flush();
+
+    this.localParticipant.isAudioEnabled =
+      publishAudio && options.audioEnabled !== false;
+    this.localParticipant.isVideoEnabled =
+      publishVideo && options.videoEnabled !== false;
+  }
+
+  /**
+   * Tracks the local publisher should send: chosen by the user and allowed
+   * for the local role
+   */
+  _getPublishedTracks() {
+    return {
+      audio: this._publishTracks.audio && this.can(Capabilities.PUBLISH_AUDIO),
+      video: this._publishTracks.video && this.can(Capabilities.PUBLISH_VIDEO),
+    };
+  }
+
+  /**
+   * Restart the local publisher when the tracks it sends no longer match
+   * _getPublishedTracks(). Tracks it keeps retain their mute state; added
+   * tracks start enabled only when `enableAddedTracks` is set.
+   *
+   * Kept tracks move over to the new publisher, so the app's stream stays
+   * in use and the user is only asked for a device that is being added.
+   */
+  async _syncLocalPublisher({ enableAddedTracks = false } = {}) {
+    const participant = this.localParticipant;
+    const publisher = participant?.publisher;
+    if (!this.isActive || this.isPaused || !publisher) return;
+
+    const { audio, video } = this._getPublishedTracks();
+    if (publisher.hasMic === audio && publisher.hasCamera === video) return;
+
+    const audioEnabled =
+      audio &&
+      (publisher.hasMic ? participant.isAudioEnabled : enableAddedTracks);
+    const videoEnabled =
+      video &&
+      (publisher.hasCamera ? participant.isVideoEnabled : enableAddedTracks);
+
+    const wanted = (kind) => (kind === "audio" ? audio : video);
+    const appTracks = publisher.appTracks || new Set();
+    const current = publisher.stream?.getTracks() || [];
+    const tracks = current.filter((track) => wanted(track.kind));
+
+    // Opened before the old publisher stops, so a denied device leaves
+    // publishing as it was
+    for (const kind of ["audio", "video"]) {
+      if (!wanted(kind) || tracks.some((track) => track.kind === kind)) {
+        continue;
+      }
+      const appTrack = [...appTracks].find(
+        (track) => track.kind === kind && track.readyState !== "ended"
+      );
+      tracks.push(appTrack || (await publisher.openDeviceTrack(kind)));
+    }
+
+    await publisher.stop({ keepStream: true });
+    participant.setPublisher(null);
+    current
+      .filter((track) => !tracks.includes(track) && !appTracks.has(track))
+      .forEach((track) => track.stop());
+
+    await this._setupLocalPublisher({
+      audioEnabled,
+      videoEnabled,
+      mediaStream: tracks.length > 0 ? new MediaStream(tracks) : undefined,
+      appTracks,
+    });
+  }
+
+  /**
+   * Bring local media in line with what the local role may publish.
+   * Demoted users release their devices; promoted users start muted.
+   */
+  async _applyLocalPermissions() {
+    const participant = this.localParticipant;
+    if (!participant) return;
+
+    try {
+      if (!this.can(Capabilities.PUBLISH_SCREEN)) {
+        await participant.publisher?.stopScreenShare?.();
+      }
+      await this._syncLocalPublisher();
+    } catch (error) {
+      this.emit("error", { room: this, error, action: "applyPermissions" });
+    }
+
+    this.emit("permissionsChanged", {
+      room: this,
+      role: participant.role,
+      capabilities: this.permissions.forRole(participant.role),
+    });
+  }
+
+  /**
+   * Record a participant's screen share and emit screenShareStarted /
+   * screenShareStopped. `stream` is null when the share ended.
+   */
+  _setScreenShare(participant, stream, { hasAudio = false } = {}) {
+    if (!participant || participant.isScreenSharing === Boolean(stream)) {
+      return;
+    }
+
+    participant.isScreenSharing = Boolean(stream);
+    participant.screenStream = stream;
+
+    if (stream) {
+      this.emit("screenShareStarted", {
+        room: this,
+        participant,
+        stream,
+        hasAudio,
+      });
+    } else {
+      this.emit("screenShareStopped", { room: this, participant });
+    }
+  }
+
+  /**
+   * Watch for plugged / unplugged devices while this room has media
+   */
+  async _startDeviceWatcher() {
+    if (this.deviceWatcher) return;
+
+    this.deviceWatcher = new DeviceWatcher({ logger: this.logger });
+    this.deviceWatcher.on("deviceListChanged", (devices) => {
+      this._handleDeviceListChanged(devices);
+    });
+    await this.deviceWatcher.start();
+  }
+
+  /**
+   * Meter everyone's audio while this room has media
+   */
+  _startSpeakerDetector() {
+    if (this.speakerDetector) return;
+
+    this.speakerDetector = new ActiveSpeakerDetector({
+      getLevels: () => this._readAudioLevels(),
+    });
+    this.speakerDetector.on("levels", (levels) => {
+      for (const [userId, level] of levels) {
+        this.participants
+          .get(userId)
+          ?.setAudioLevel(level, this.speakerDetector.isSpeaking(userId));
+      }
+    });
+    this.speakerDetector.on("activeSpeakersChanged", ({ speakers }) => {
+      this._handleActiveSpeakersChanged(speakers);
+    });
+    this.speakerDetector.start();
+  }
+
+  /**
+   * Raw audio level per participant: the local microphone from the
+   * publisher, remote audio from the mixer
+   */
+  _readAudioLevels() {
+    const levels = new Map();
+    for (const participant of this.participants.values()) {
+      let level = 0;
+      if (participant.isLocal) {
+        level = participant.publisher?.getAudioLevel() || 0;
+      } else if (participant.subscriber && this.audioMixer) {
+        level = this.audioMixer.getSubscriberLevel(
+          participant.subscriber.subscriberId
+        );
+      }
+      levels.set(participant.userId, level);
+    }
+    return levels;
+  }
+
+  _handleActiveSpeakersChanged(userIds) {
+    this.activeSpeakers = userIds
+      .map((userId) => this.participants.get(userId))
+      .filter(Boolean);
+
+    this._recentSpeakers = [
+      ...new Set([
+        ...this.activeSpeakers.filter((p) => !p.isLocal).map((p) => p.userId),
+        ...this._recentSpeakers,
+      ]),
+    ];
+    if (this._lastN !== null) {
+      this._syncSubscriptions();
+    }
+
+    this.emit("activeSpeakersChanged", {
+      room: this,
+      speakers: this.activeSpeakers,
+      dominantSpeaker: this.activeSpeakers[0] || null,
+    });
+
+    this._followDominantSpeaker();
+  }
+
+  /**
+   * In follow-the-speaker mode, pin the dominant speaker (never ourselves)
+   */
+  _followDominantSpeaker() {
+    const speaker = this.activeSpeakers[0];
+    if (
+      !this.isFollowingSpeaker ||
+      !speaker ||
+      speaker.isLocal ||
+      speaker === this.pinnedParticipant
+    ) {
+      return;
+    }
+
+    this.pinParticipant(speaker.userId, { auto: true });
+  }
+
+  /**
+   * Re-emit the new device list and move off any active device that was
+   * unplugged
+   */
+  async _handleDeviceListChanged(devices) {
+    this.emit("deviceListChanged", { room: this, ...devices });
+
+    const removedIds = (kind) =>
+      devices.removed.filter((d) => d.kind === kind).map((d) => d.deviceId);
+
+    const microphone = this._getActiveDeviceId("audio");
+    if (microphone && removedIds("audioinput").includes(microphone)) {
+      await this._replaceLostDevice("audio", microphone, devices.microphones);
+    }
+
+    const camera = this._getActiveDeviceId("video");
+    if (camera && removedIds("videoinput").includes(camera)) {
+      await this._replaceLostDevice("video", camera, devices.cameras);
+    }
+
+    const speaker = this._outputDeviceId;
+    if (speaker && removedIds("audiooutput").includes(speaker)) {
+      let fallbackDeviceId = "";
+      try {
+        await this.setOutputDevice("");
+      } catch (error) {
+        fallbackDeviceId = null;
+      }
+      this.emit("activeDeviceLost", {
+        room: this,
+        kind: "speaker",
+        deviceId: speaker,
+        fallbackDeviceId,
+      });
+    }
+  }
+
+  /**
+   * Device the local publisher is capturing `kind` ("audio" / "video") from
+   */
+  _getActiveDeviceId(kind) {
+    if (this._deviceIds[kind]) {
+      return this._deviceIds[kind];
+    }
+
+    const stream = this.localParticipant?.publisher?.stream;
+    const track =
+      kind === "audio"
+        ? stream?.getAudioTracks()[0]
+        : stream?.getVideoTracks()[0];
+    return track?.getSettings?.().deviceId || null;
+  }
+
+  /**
+   * Switch a published track to the default device (or the first one left)
+   * after its device was unplugged
+   */
+  async _replaceLostDevice(kind, deviceId, available) {
+    const participant = this.localParticipant;
+    const publisher = participant?.publisher;
+    const isPublished =
+      kind === "audio" ? publisher?.hasMic : publisher?.hasCamera;
+    const fallback =
+      available.find((d) => d.deviceId === "default") || available[0];
+
+    // Later publisher restarts open the default device
+    this._deviceIds[kind] = null;
+
+    let fallbackDeviceId = null;
+    if (isPublished && fallback) {
+      try {
+        if (kind === "audio") {
+          await participant.switchMicrophone(fallback.deviceId);
+        } else {
+          await participant.switchCamera(fallback.deviceId);
+        }
+        fallbackDeviceId = fallback.deviceId;
+      } catch (error) {
+        // The participant already reported it as participantError
+        this.logger.warn(`Failed to fall back to another ${kind} device`);
+      }
+    }
+
+    this.emit("activeDeviceLost", {
+      room: this,
+      kind,
+      deviceId,
+      fallbackDeviceId,
+    });
+  }
+
+  /**
+   * Setup subscriber for remote participant
+   */
+  async _setupRemoteSubscriber(participant) {
+    const { video, audio, quality } = this._getSubscription(participant);
+    if (!video && !audio) {
+      this._updateSubscriptionState(participant);
+      return;
+    }
+    if (this._pendingSubscribers.has(participant.userId)) return;
+
     const subscriber = new Subscriber({
       streamId: participant.streamId,
       roomId: this.id,
       host: this.mediaConfig.host,
+      mediaUrls: this._formatEndpoints(
+        this.mediaEndpoints.subscribe,
+        participant.streamId
+      ),
       streamOutputEnabled: true,
       onStatus: (msg, isError) => {
         participant.setConnectionStatus(isError ? "failed" : "connected");
       },
-      audioWorkletUrl: "workers/audio-worklet1.js",
-      mstgPolyfillUrl: "polyfills/MSTG_polyfill.js",
+      assets: this.mediaConfig.assets,
+      logger: this.logger,
+      video,
+      audio,
+      quality: quality || undefined,
+    });
+    // Add to audio mixer
+    if (this.audioMixer) {
+      subscriber.setAudioMixer(this.audioMixer);
+    }
+
+    // Setup stream event forwarding
+    subscriber.on("remoteStreamReady", (data) => {
+      this.emit("remoteStreamReady", {
+        ...data,
+        participant: participant.getInfo(),
+        roomId: this.id
+      });
+    });
+
+    // subscriber.on("streamRemoved", (data) => {
+    //   this.emit("streamRemoved", {
+    //     ...data,
+    //     participant: participant.getInfo(),
+    //     roomId: this.id
+    //   });
+    // });
+
+    subscriber.on("screenShareStarted", ({ stream }) => {
+      this._setScreenShare(participant, stream);
+    });
+
+    subscriber.on("screenShareStopped", () => {
+      this._setScreenShare(participant, null);
+    });
+
+    subscriber.on("connectionLost", ({ reason, error }) => {
+      this._handleSubscriberLost(participant, reason, error);
+    });
+
+    subscriber.on("gatewayFailed", ({ url, reason }) => {
+      this.emit("gatewayFailed", {
+        room: this,
+        source: "subscriber",
+        participant,
+        url,
+        reason,
+      });
+    });
+
+    this._pendingSubscribers.add(participant.userId);
+    try {
+      await subscriber.start();
+    } finally {
+      this._pendingSubscribers.delete(participant.userId);
+    }
+    participant.setSubscriber(subscriber);
+    this._updateSubscriptionState(participant);
+  }
+
+  /**
+   * What to receive from a remote participant: their subscription (or the
+   * auto-subscribe default), with video limited by last-N
+   */
+  _getSubscription(participant) {
+    const subscription = this._getRequestedSubscription(participant.userId);
+
+    if (this._lastN !== null && subscription.video) {
+      subscription.video = this._getLastNUserIds().includes(participant.userId);
+      if (subscription.video && !subscription.quality) {
+        subscription.quality =
+          participant === this.pinnedParticipant ? "720p" : "360p";
+      }
+    }
+    return subscription;
+  }
+
+  _getRequestedSubscription(userId) {
+    const subscription = this._subscriptions.get(userId);
+    if (subscription) {
+      return { ...subscription };
+    }
+    return {
+      video: this._autoSubscribe,
+      audio: this._autoSubscribe,
+      quality: null,
+    };
+  }
+
+  /**
+   * Remote participants whose video fits in the last-N slots
+   */
+  _getLastNUserIds() {
+    const candidates = this.getParticipants()
+      .filter(
+        (p) => !p.isLocal && this._getRequestedSubscription(p.userId).video
+      )
+      .map((p) => p.userId);
+
+    const ranked = new Set([
+      this.pinnedParticipant?.userId,
+      ...this._visibleUserIds,
+      ...this._recentSpeakers,
+      ...candidates,
+    ]);
+    return [...ranked]
+      .filter((userId) => candidates.includes(userId))
+      .slice(0, this._lastN);
+  }
+
+  /**
+   * Bring every remote participant's subscriber in line with their
+   * subscription. Runs in the background: failures are reported as errors.
+   */
+  async _syncSubscriptions() {
+    if (!this.isActive || this.isPaused) return;
+
+    for (const participant of this.getParticipants()) {
+      if (participant.isLocal) continue;
+
+      try {
+        await this._syncSubscription(participant);
+      } catch (error) {
+        this.emit("error", {
+          room: this,
+          error: ErmisError.from(error),
+          action: "subscribe",
+        });
+      }
+    }
+  }
+
+  /**
+   * Start, update or stop a remote participant's subscriber
+   */
+  async _syncSubscription(participant) {
+    const { video, audio, quality } = this._getSubscription(participant);
+    const { subscriber } = participant;
+
+    if (!subscriber) {
+      await this._setupRemoteSubscriber(participant);
+      return;
+    }
+
+    if (!video && !audio) {
+      subscriber.stop();
+      participant.setSubscriber(null);
+    } else {
+      subscriber.setTracks({ video, audio });
+      if (quality && quality !== subscriber.quality) {
+        subscriber.switchBitrate(quality);
+      }
+    }
+    this._updateSubscriptionState(participant);
+  }
+
+  /**
+   * Record what is received from a participant and emit
+   * `subscriptionChanged` when it differs
+   */
+  _updateSubscriptionState(participant) {
+    const { subscriber } = participant;
+    const subscription = {
+      video: Boolean(subscriber?.tracks.video),
+      audio: Boolean(subscriber?.tracks.audio),
+      quality: subscriber?.quality || null,
+    };
+
+    const previous = participant.subscription;
+    participant.subscription = subscription;
+    if (
+      previous?.video === subscription.video &&
+      previous?.audio === subscription.audio &&
+      previous?.quality === subscription.quality
+    ) {
+      return;
+    }
+
+    this.emit("subscriptionChanged", {
+      room: this,
+      participant,
+      ...subscription,
     });
-    // Add to audio mixer
-    if (this.audioMixer) {
-      subscriber.setAudioMixer(this.audioMixer);
+  }
+
+  /**
+   * Restart a single subscriber whose media WebSocket closed.
+   * Repeated failures are escalated to a full room reconnect.
+   */
+  async _handleSubscriberLost(participant, reason, error) {
+    if (
+      !this.isActive ||
+      this.participants.get(participant.userId) !== participant
+    ) {
+      return;
     }
 
-    // Setup stream event forwarding
-    subscriber.on("remoteStreamReady", (data) => {
-      this.emit("remoteStreamReady", {
-        ...data,
-        participant: participant.getInfo(),
-        roomId: this.id
+    const lastRestart = this._subscriberRestarts.get(participant.userId);
+    if (lastRestart && Date.now() - lastRestart < 10_000) {
+      this.emit("connectionLost", {
+        room: this,
+        source: "subscriber",
+        reason,
+        error,
       });
-    });
+      return;
+    }
 
-    // subscriber.on("streamRemoved", (data) => {
-    //   this.emit("streamRemoved", {
-    //     ...data,
-    //     participant: participant.getInfo(),
-    //     roomId: this.id
-    //   });
-    // });
+    this._subscriberRestarts.set(participant.userId, Date.now());
 
-    await subscriber.start();
-    participant.setSubscriber(subscriber);
+    try {
+      participant.subscriber?.stop();
+      participant.setSubscriber(null);
+      await this._setupRemoteSubscriber(participant);
+    } catch (restartError) {
+      this.emit("connectionLost", {
+        room: this,
+        source: "subscriber",
+        reason,
+        error,
+      });
+    }
   }
 
   /**
    * Handle server events from publisher
    */
   async _handleServerEvent(event) {
-    console.log("-----Received server event----", event);
+    this.logger.debug("Received server event:", event);
     if (event.type === "join") {
       const joinedParticipant = event.participant;
       if (joinedParticipant.user_id === this.localParticipant?.userId) return;
@@ -560,17 +1938,364 @@ class Room extends EventEmitter {
     }
 
     if (event.type === "leave") {
-      const participant = this.participants.get(event.participant.user_id);
+      const participant = this.participants.get(event.participant?.user_id);
       if (participant) {
         // Sau đó cleanup participant
-        this.removeParticipant(event.participant.user_id);
+        this._removeParticipant(participant.userId);
 
         // Nếu người bị remove là pinned participant, auto-pin local
         if (!this.pinnedParticipant && this.localParticipant) {
-          this.pinParticipant(this.localParticipant.userId);
+          this.pinParticipant(this.localParticipant.userId, { auto: true });
         }
       }
     }
+
+    // A kick without a participant names nobody; it must not remove us
+    if (event.type === "kick" && event.participant?.user_id) {
+      const userId = event.participant.user_id;
+      if (userId === this.localParticipant?.userId) {
+        await this._handleRemoval("kicked", {
+          ban: Boolean(event.ban),
+          by: event.by,
+        });
+      } else {
+        this._removeParticipant(userId);
+      }
+    }
+
+    if (event.type === "role_changed") {
+      const participant = this.participants.get(event.participant?.user_id);
+      if (participant) {
+        await this._applyRoleChange(participant, event.role, event.by);
+      }
+    }
+
+    if (event.type === "publisher_state") {
+      const participant = this.participants.get(event.participant?.user_id);
+      if (participant && !participant.isLocal) {
+        this._applyPublisherState(participant, event);
+      }
+    }
+
+    if (event.type === "pin") {
+      this._applyPin(event.user_id);
+    }
+
+    if (event.type === "mute_request" || event.type === "mute_all") {
+      const isTarget =
+        event.type === "mute_all"
+          ? event.by !== this.localParticipant?.userId
+          : Boolean(this.localParticipant) &&
+            event.participant?.user_id === this.localParticipant.userId;
+      if (isTarget) {
+        await this._applyMuteRequest(event.kind || "audio", event.by);
+      }
+    }
+
+    if (event.type === "state_changed") {
+      this.state.applyChange(event);
+    }
+
+    if (event.type === "state_rejected") {
+      this.state.reject(event);
+    }
+
+    if (event.type === "poll_created" || event.type === "poll_updated") {
+      this.polls.applyPoll(event.poll);
+    }
+
+    if (event.type === "poll_results") {
+      this.polls.applyResults(event);
+    }
+
+    if (event.type === "hand_raised" || event.type === "hand_lowered") {
+      const participant = this.participants.get(event.participant?.user_id);
+      participant?.setHandRaised(
+        event.type === "hand_raised",
+        event.raised_at || Date.now()
+      );
+    }
+
+    if (event.type === "hands_lowered") {
+      for (const participant of this.participants.values()) {
+        participant.setHandRaised(false);
+      }
+    }
+
+    if (event.type === "reaction") {
+      const participant = this.participants.get(event.participant?.user_id);
+      // Our own reaction showed when it was sent
+      if (participant && !participant.isLocal) {
+        participant.showReaction(event.emoji, event.timestamp);
+      }
+    }
+
+    if (event.type === "room_ended") {
+      await this._handleRemoval("ended", { by: event.by });
+    }
+
+    if (event.type === "sub_room_invite") {
+      this.emit("subRoomInvite", {
+        room: this,
+        subRoom: this._getOrCreateSubRoom(event.sub_room),
+        userId: event.user_id,
+        invitedBy: event.invited_by,
+      });
+    }
+
+    if (event.type === "sub_room_assigned") {
+      // In a sub room this is a move to a sibling, owned by the main room
+      const mainRoom = this.parentRoom || this;
+      this.emit("subRoomAssigned", {
+        room: this,
+        subRoom: mainRoom._getOrCreateSubRoom(event.sub_room),
+        userId: event.user_id,
+        assignedBy: event.assigned_by,
+      });
+    }
+
+    if (event.type === "chat_message") {
+      const message = parseChatMessage(event);
+      // Our own messages are confirmed by chat_ack
+      if (message.senderId !== this.localUserId) {
+        this.emit("chatMessage", {
+          room: this,
+          message,
+          participant: this.participants.get(message.senderId) || null,
+        });
+      }
+    }
+
+    if (event.type === "chat_ack") {
+      this._chat.acknowledge(event);
+    }
+
+    if (event.type === "data_message") {
+      const { senderId, ...message } = parseDataMessage(event);
+      if (senderId !== this.localUserId) {
+        this.emit("dataReceived", {
+          room: this,
+          participant: this.participants.get(senderId) || null,
+          ...message,
+        });
+      }
+    }
+
+    if (event.type === "broadcast") {
+      this.emit("broadcast", {
+        room: this,
+        message: event.message,
+        type: event.message_type || "info",
+        senderId: event.sender_id,
+      });
+    }
+  }
+
+  /**
+   * Apply the state a remote publisher sends on connect and on every mute,
+   * unmute or screen share change. Fields missing from the event are left
+   * as they are.
+   */
+  _applyPublisherState(participant, event) {
+    if (event.mic_enabled !== undefined) {
+      participant.setRemoteMediaState(
+        "audio",
+        Boolean(event.mic_enabled && event.has_mic !== false)
+      );
+    }
+    if (event.camera_enabled !== undefined) {
+      participant.setRemoteMediaState(
+        "video",
+        Boolean(event.camera_enabled && event.has_camera !== false)
+      );
+    }
+
+    // No frame marks the end of a share, so the publisher announces it
+    if (event.screen_sharing === false) {
+      participant.subscriber?.stopScreenShare();
+    }
+  }
+
+  /**
+   * Check the local user may moderate and that `userId` is in the room
+   */
+  _getModerationTarget(userId, action) {
+    this._ensureModerator(action);
+
+    const participant = this.participants.get(userId);
+    if (!participant) {
+      throw new ValidationError(`Participant ${userId} is not in this room`, {
+        details: { userId },
+      });
+    }
+    return participant;
+  }
+
+  _ensureModerator(action) {
+    if (!this.isActive) {
+      throw new InvalidStateError("Not joined to this room");
+    }
+    this._ensureAllowed(Capabilities.MODERATE, action);
+  }
+
+  _ensureAllowed(capability, action) {
+    this.permissions.assert(this.localParticipant?.role, capability, action);
+  }
+
+  // Writes to the local publisher's event stream
+  async _sendEvent(event) {
+    const publisher = this.localParticipant?.publisher;
+    if (!publisher?.isChannelOpen) {
+      throw new TransportError("Event stream is not connected", {
+        code: ErrorCodes.CONNECTION_LOST,
+      });
+    }
+    await publisher.sendEvent(event);
+  }
+
+  _validateMuteKind(kind) {
+    if (kind !== "audio" && kind !== "video") {
+      throw new ValidationError(`Unknown mute kind: ${kind}`, {
+        details: { kind },
+      });
+    }
+  }
+
+  async _applyRoleChange(participant, role, by) {
+    const previousRole = participant.role;
+    if (role === previousRole) return;
+
+    participant.setRole(role);
+    this.emit("roleChanged", {
+      room: this,
+      participant,
+      role,
+      previousRole,
+      by,
+    });
+
+    if (participant.isLocal) {
+      await this._applyLocalPermissions();
+    }
+  }
+
+  /**
+   * Pin `userId` locally, or clear the pin when it is empty
+   */
+  _applyPin(userId) {
+    if (userId) {
+      this.pinParticipant(userId);
+    } else {
+      this.unpinParticipant();
+    }
+  }
+
+  /**
+   * A host asked us to mute: turn off the local track, then tell the app
+   */
+  async _applyMuteRequest(kind, by) {
+    const participant = this.localParticipant;
+    if (!participant) return;
+
+    if (kind === "audio" && participant.isAudioEnabled) {
+      await participant.toggleMicrophone();
+    }
+    if (kind === "video" && participant.isVideoEnabled) {
+      await participant.toggleCamera();
+    }
+
+    this.emit("muteRequested", { room: this, kind, by });
+  }
+
+  /**
+   * The server removed us (kicked) or closed the room (ended).
+   * The membership is already gone, so only local state is torn down.
+   */
+  async _handleRemoval(reason, data) {
+    if (!this.isActive) return;
+
+    this._releaseRejoinState();
+    this._chat.close();
+    this.state.close();
+    this.polls.clear();
+    await this._cleanupMediaConnections();
+    this._cleanupParticipants();
+    this.isActive = false;
+    this.isPaused = false;
+    this.membershipId = null;
+
+    this.emit(reason, { room: this, ...data });
+    this.emit("left", { room: this });
+  }
+
+  /**
+   * Sub room instance for API/event data, created on first sight
+   */
+  _getOrCreateSubRoom(subRoomData) {
+    const existing = this.subRooms.get(subRoomData.id);
+    if (existing) {
+      return existing;
+    }
+
+    const config = {
+      id: subRoomData.id,
+      name: subRoomData.room_name,
+      code: subRoomData.room_code,
+      type: subRoomData.room_type || "breakout",
+      parentRoomId: this.id,
+      parentRoom: this,
+      ownerId: subRoomData.user_id,
+      apiClient: this.apiClient,
+      mediaConfig: this.mediaConfig,
+      subRoomFactory: this.subRoomFactory,
+    };
+    const subRoom = this.subRoomFactory
+      ? this.subRoomFactory(config)
+      : new Room(config);
+
+    this.subRooms.set(subRoom.id, subRoom);
+    return subRoom;
+  }
+
+  /**
+   * Stop this room's media while the local user is in one of its sub
+   * rooms. The membership is kept, so returning needs no new join.
+   */
+  async _pauseMediaConnections() {
+    if (!this.isActive || this.isPaused) {
+      return;
+    }
+
+    this._pausedMediaState = {
+      audioEnabled: this.localParticipant?.isAudioEnabled ?? true,
+      videoEnabled: this.localParticipant?.isVideoEnabled ?? true,
+    };
+    this.isPaused = true;
+
+    await this._cleanupMediaConnections();
+    this.emit("mediaPaused", { room: this });
+  }
+
+  /**
+   * Restart media after returning from a sub room
+   */
+  async _resumeMediaConnections() {
+    if (!this.isPaused) {
+      return;
+    }
+
+    const { audioEnabled, videoEnabled } = this._pausedMediaState;
+
+    // No events arrive while paused: reload who is still here
+    const roomDetails = await this.apiClient.getRoomById(this.id);
+    this._cleanupParticipants();
+    await this._setupParticipants(roomDetails.participants, this.localUserId);
+
+    await this._setupMediaConnections({ audioEnabled, videoEnabled });
+
+    this.isPaused = false;
+    this._pausedMediaState = null;
+    this.emit("mediaResumed", { room: this });
   }
 
   _setupParticipantEvents(participant) {
@@ -582,6 +2307,41 @@ class Room extends EventEmitter {
       }
     });
 
+    participant.on("audioToggled", ({ participant: p, enabled }) => {
+      this.emit("audioToggled", { room: this, participant: p, enabled });
+    });
+
+    participant.on("videoToggled", ({ participant: p, enabled }) => {
+      this.emit("videoToggled", { room: this, participant: p, enabled });
+    });
+
+    participant.on("remoteAudioToggled", ({ participant: p, enabled }) => {
+      this.emit("remoteAudioToggled", { room: this, participant: p, enabled });
+    });
+
+    participant.on("remoteVideoToggled", ({ participant: p, enabled }) => {
+      this.emit("remoteVideoToggled", { room: this, participant: p, enabled });
+    });
+
+    participant.on("deviceSwitched", ({ participant: p, kind, deviceId }) => {
+      // Later publisher restarts open the same device
+      this._deviceIds[kind] = deviceId;
+      this.emit("deviceSwitched", {
+        room: this,
+        participant: p,
+        kind,
+        deviceId,
+      });
+    });
+
+    participant.on("updated", ({ participant: p, changes }) => {
+      this.emit("participantUpdated", { room: this, participant: p, changes });
+    });
+
+    participant.on("reaction", ({ participant: p, emoji, timestamp }) => {
+      this.emit("reaction", { room: this, participant: p, emoji, timestamp });
+    });
+
     participant.on("error", ({ participant: p, error, action }) => {
       this.emit("participantError", {
         room: this,
@@ -603,7 +2363,23 @@ class Room extends EventEmitter {
   /**
    * Cleanup media connections
    */
-  async _cleanupMediaConnections() {
+  async _cleanupMediaConnections({ keepLocalStream = false } = {}) {
+    if (this.deviceWatcher) {
+      this.deviceWatcher.stop();
+      this.deviceWatcher.removeAllListeners();
+      this.deviceWatcher = null;
+    }
+
+    if (this.speakerDetector) {
+      this.speakerDetector.stop();
+      this.speakerDetector.removeAllListeners();
+      this.speakerDetector = null;
+      this.activeSpeakers = [];
+      for (const participant of this.participants.values()) {
+        participant.setAudioLevel(0, false);
+      }
+    }
+
     // Cleanup audio mixer
     if (this.audioMixer) {
       await this.audioMixer.cleanup();
@@ -613,7 +2389,11 @@ class Room extends EventEmitter {
     // Cleanup all participants' media
     for (const participant of this.participants.values()) {
       if (participant.publisher) {
-        participant.publisher.stop();
+        try {
+          await participant.publisher.stop({ keepStream: keepLocalStream });
+        } catch (error) {
+          this.logger.warn("Error stopping publisher:", error);
+        }
         participant.publisher = null;
       }
       if (participant.subscriber) {
@@ -623,6 +2403,56 @@ class Room extends EventEmitter {
     }
   }
 
+  _throwIfAborted(signal) {
+    if (signal?.aborted) {
+      throw this._joinAbortedError();
+    }
+  }
+
+  _joinAbortedError(cause) {
+    if (cause?.code === ErrorCodes.ABORTED) {
+      return cause;
+    }
+    return new ErmisError("Join cancelled", {
+      code: ErrorCodes.ABORTED,
+      cause,
+    });
+  }
+
+  /**
+   * Undo whatever a failed or cancelled join() had already set up. A
+   * reconnect attempt keeps its local stream for the next attempt.
+   */
+  async _abandonJoin() {
+    try {
+      await this._cleanupMediaConnections({
+        keepLocalStream: Boolean(this._rejoinState),
+      });
+      this._cleanupParticipants();
+
+      if (this.membershipId) {
+        await this.apiClient.leaveRoom(this.id, this.membershipId);
+        this.membershipId = null;
+      }
+    } catch (error) {
+      this.logger.warn("Failed to clean up abandoned join:", error);
+    }
+  }
+
+  /**
+   * Stop local tracks kept for a reconnect that will not happen
+   */
+  _releaseRejoinState() {
+    if (this._rejoinState?.mediaStream) {
+      const { mediaStream, appTracks } = this._rejoinState;
+      mediaStream
+        .getTracks()
+        .filter((track) => !appTracks.has(track))
+        .forEach((track) => track.stop());
+    }
+    this._rejoinState = null;
+  }
+
   /**
    * Cleanup all participants
    */
@@ -0,0 +1,289 @@
+import EventEmitter from "../events/EventEmitter.js";
+import ErmisError, {
+  ErrorCodes,
+  ValidationError,
+} from "../errors/ErmisError.js";
+
+const MAX_KEY_LENGTH = 128;
+const MAX_VALUE_SIZE = 16384; // Encoded bytes
+
+let requestCount = 0;
+
+/**
+ * Shared key-value state of a room, e.g. the current slide or quiz phase.
+ *
+ * Writes go to the server, which orders them and broadcasts each one with a
+ * version; every client, the writer included, applies a write only from
+ * that broadcast and ignores versions older than what it holds, so the last
+ * write the server accepted wins everywhere. Host-only keys can only be
+ * written by roles with the moderate capability.
+ *
+ * Emits `changed` with `{ key, value, previousValue, entry }` and `error`
+ * with `{ error, action }` for failed writes.
+ */
+class RoomState extends EventEmitter {
+  /**
+   * @param {Object} config
+   * @param {Function} config.send - async (event) => void, throws when not connected
+   * @param {Function} config.ensureHost - (action) => void, throws unless the local role may moderate
+   * @param {number} [config.timeout=10000] - ms to wait for the server to apply a write
+   */
+  constructor(config) {
+    super();
+
+    this.send = config.send;
+    this.ensureHost = config.ensureHost;
+    this.timeout = config.timeout || 10000;
+
+    this._entries = new Map(); // key -> { value, version, hostOnly, updatedBy, updatedAt }
+    this._pending = new Map(); // request id -> { resolve, reject, timer }
+  }
+
+  /**
+   * Current value of `key`, undefined if unset
+   */
+  get(key) {
+    return this._entries.get(key)?.value;
+  }
+
+  /**
+   * Value and metadata of `key`, null if unset
+   * @returns {{value: *, version: number, hostOnly: boolean, updatedBy: string, updatedAt: number}|null}
+   */
+  getEntry(key) {
+    const entry = this._entries.get(key);
+    return entry && entry.value !== undefined ? { ...entry } : null;
+  }
+
+  /**
+   * Every key and value, as a plain object
+   */
+  getAll() {
+    const values = {};
+    for (const [key, { value }] of this._entries) {
+      if (value !== undefined) values[key] = value;
+    }
+    return values;
+  }
+
+  /**
+   * Write a key. Resolves with the entry once the server applied it.
+   * @param {string} key
+   * @param {*} value - Any JSON value; null deletes the key
+   * @param {Object} [options]
+   * @param {boolean} [options.hostOnly] - Only hosts may write the key from
+   *   now on. Omitted keeps the key's current setting.
+   */
+  async set(key, value, { hostOnly } = {}) {
+    this._validate(key, value);
+
+    const entry = this._entries.get(key);
+    const restricted = hostOnly ?? entry?.hostOnly ?? false;
+    if (restricted || entry?.hostOnly) {
+      this.ensureHost("state.set");
+    }
+
+    return await this._write({
+      type: "StateSet",
+      key,
+      value,
+      hostOnly: restricted,
+    });
+  }
+
+  /**
+   * Remove a key
+   */
+  async delete(key) {
+    return await this.set(key, null);
+  }
+
+  /**
+   * Call `listener(value, entry)` whenever `key` changes, including when a
+   * snapshot brings a new value. Returns a function that unsubscribes.
+   */
+  subscribe(key, listener) {
+    const handler = (change) => {
+      if (change.key === key) {
+        listener(change.value, change.entry);
+      }
+    };
+    this.on("changed", handler);
+    return () => this.off("changed", handler);
+  }
+
+  /**
+   * Apply a `state_changed` broadcast. Returns whether it changed anything.
+   */
+  applyChange(event) {
+    const applied = this._apply({
+      key: event.key,
+      value: event.value ?? null,
+      version: event.version,
+      hostOnly: Boolean(event.host_only),
+      updatedBy: event.by || null,
+      updatedAt: event.timestamp || Date.now(),
+    });
+
+    const request = this._pending.get(event.request_id);
+    if (request) {
+      this._settle(event.request_id);
+      request.resolve(this.getEntry(event.key));
+    }
+    return applied;
+  }
+
+  /**
+   * Fail the write the server refused
+   * @param {Object} event - `{ request_id, error }`
+   */
+  reject(event) {
+    const request = this._pending.get(event.request_id);
+    if (!request) return;
+
+    this._settle(event.request_id);
+    this._fail(
+      request,
+      new ErmisError(`State update rejected: ${event.error}`, {
+        details: { requestId: event.request_id },
+      })
+    );
+  }
+
+  /**
+   * Merge a snapshot from `GET /rooms/:id/state`.
+   * Keys missing from it were deleted, unless we saw a newer write already.
+   * @param {Object} snapshot - `{ version, entries: [{ key, value, version, host_only, updated_by, updated_at }] }`
+   */
+  load(snapshot) {
+    const keys = new Set();
+    for (const item of snapshot.entries || []) {
+      keys.add(item.key);
+      this._apply({
+        key: item.key,
+        value: item.value ?? null,
+        version: item.version,
+        hostOnly: Boolean(item.host_only),
+        updatedBy: item.updated_by || null,
+        updatedAt: item.updated_at || null,
+      });
+    }
+
+    for (const [key, entry] of this._entries) {
+      const live = entry.value !== undefined;
+      if (live && !keys.has(key) && entry.version <= snapshot.version) {
+        this._apply({ ...entry, key, value: null, version: snapshot.version });
+      }
+    }
+  }
+
+  /**
+   * Forget the state and fail pending writes, e.g. after leaving the room.
+   * Subscriptions are kept for the next join.
+   */
+  close() {
+    for (const [id, request] of this._pending) {
+      this._settle(id);
+      request.reject(
+        new ErmisError("Left the room before the state was updated", {
+          code: ErrorCodes.ABORTED,
+        })
+      );
+    }
+    this._entries.clear();
+  }
+
+  _apply({ key, value, version, ...meta }) {
+    const current = this._entries.get(key);
+    // Older than what we hold: arrived out of order or already in a snapshot
+    if (current && version <= current.version) return false;
+
+    if (value === null) {
+      // Deleted keys keep their version so late, older writes stay ignored
+      this._entries.set(key, { value: undefined, version, ...meta });
+    } else {
+      this._entries.set(key, { value, version, ...meta });
+    }
+
+    const previousValue = current?.value;
+    if (previousValue === undefined && value === null) return false;
+
+    this.emit("changed", {
+      key,
+      value: value ?? undefined,
+      previousValue,
+      entry: this.getEntry(key),
+    });
+    return true;
+  }
+
+  async _write(event) {
+    const id = `state_${Date.now()}_${++requestCount}`;
+
+    return new Promise((resolve, reject) => {
+      const request = { resolve, reject, action: "state.set", timer: null };
+      request.timer = setTimeout(() => {
+        this._settle(id);
+        this._fail(
+          request,
+          new ErmisError("Timed out waiting for the state update", {
+            code: ErrorCodes.TIMEOUT,
+            retryable: true,
+            details: { key: event.key },
+          })
+        );
+      }, this.timeout);
+      this._pending.set(id, request);
+
+      this.send({ ...event, id }).catch((error) => {
+        this._settle(id);
+        this._fail(request, error);
+      });
+    });
+  }
+
+  _settle(id) {
+    const request = this._pending.get(id);
+    clearTimeout(request?.timer);
+    this._pending.delete(id);
+  }
+
+  _fail(request, error) {
+    this.emit("error", { error, action: request.action });
+    request.reject(error);
+  }
+
+  _validate(key, value) {
+    if (typeof key !== "string" || !key || key.length > MAX_KEY_LENGTH) {
+      throw new ValidationError(
+        `State keys are strings of 1 to ${MAX_KEY_LENGTH} characters`,
+        { details: { key } }
+      );
+    }
+
+    let json;
+    try {
+      json = JSON.stringify(value);
+    } catch (error) {
+      throw new ValidationError("State value is not serializable", {
+        cause: error,
+        details: { key },
+      });
+    }
+    if (json === undefined) {
+      throw new ValidationError("State value must be JSON or null", {
+        details: { key },
+      });
+    }
+
+    const size = new TextEncoder().encode(json).byteLength;
+    if (size > MAX_VALUE_SIZE) {
+      throw new ValidationError(
+        `State value is ${size} bytes, the limit is ${MAX_VALUE_SIZE}`,
+        { details: { key, size, limit: MAX_VALUE_SIZE } }
+      );
+    }
+  }
+}
+
+export default RoomState;
@@ -1,4 +1,5 @@
 import Room from "./Room.js";
+import { InvalidStateError } from "../errors/ErmisError.js";
 
 /**
  * SubRoom extends Room with additional functionality for breakout rooms
@@ -28,7 +29,7 @@ class SubRoom extends Room {
    */
   async joinFromMain(userId) {
     if (!this.parentRoom) {
-      throw new Error("No parent room reference");
+      throw new InvalidStateError("No parent room reference");
     }
 
     try {
@@ -65,7 +66,7 @@ class SubRoom extends Room {
    */
   async returnToMainRoom() {
     if (!this.parentRoom) {
-      throw new Error("No parent room reference");
+      throw new InvalidStateError("No parent room reference");
     }
 
     try {
@@ -96,7 +97,7 @@ class SubRoom extends Room {
    */
   async switchToSubRoom(targetSubRoom) {
     if (!this.parentRoom) {
-      throw new Error("No parent room reference");
+      throw new InvalidStateError("No parent room reference");
     }
 
     try {
@@ -105,13 +106,14 @@ class SubRoom extends Room {
         toSubRoom: targetSubRoom,
       });
 
+      // leave() drops the local participant, so keep the user id first
+      const userId = this.localUserId;
+
       // Leave current sub room
       await this.leave();
 
       // Join target sub room
-      const joinResult = await targetSubRoom.joinFromMain(
-        this.localParticipant?.userId
-      );
+      const joinResult = await targetSubRoom.joinFromMain(userId);
 
       this.emit("switchedToSubRoom", {
         fromSubRoom: this,
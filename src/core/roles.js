@@ -0,0 +1,16 @@
+/**
+ * Participant roles, as sent by the server
+ */
+export const ParticipantRoles = {
+  OWNER: "owner",
+  MODERATOR: "moderator",
+  PARTICIPANT: "participant",
+  OBSERVER: "observer",
+};
+
+/**
+ * Whether `role` is one of ParticipantRoles
+ */
+export function isValidRole(role) {
+  return Object.values(ParticipantRoles).includes(role);
+}
@@ -0,0 +1,226 @@
+/**
+ * Stable error codes carried by every ErmisError
+ */
+export const ErrorCodes = {
+  UNKNOWN: "UNKNOWN",
+  INVALID_ARGUMENT: "INVALID_ARGUMENT",
+  INVALID_STATE: "INVALID_STATE",
+  ALREADY_JOINED: "ALREADY_JOINED",
+  AUTH_REQUIRED: "AUTH_REQUIRED",
+  AUTH_FAILED: "AUTH_FAILED",
+  TOKEN_INVALID: "TOKEN_INVALID",
+  UNAUTHORIZED: "UNAUTHORIZED",
+  ROOM_NOT_FOUND: "ROOM_NOT_FOUND",
+  PERMISSION_DENIED: "PERMISSION_DENIED",
+  DEVICE_PERMISSION_DENIED: "DEVICE_PERMISSION_DENIED",
+  DEVICE_NOT_FOUND: "DEVICE_NOT_FOUND",
+  DEVICE_IN_USE: "DEVICE_IN_USE",
+  DEVICE_ERROR: "DEVICE_ERROR",
+  TRANSPORT_FAILED: "TRANSPORT_FAILED",
+  CONNECTION_LOST: "CONNECTION_LOST",
+  ASSET_LOAD_FAILED: "ASSET_LOAD_FAILED",
+  UNSUPPORTED_BROWSER: "UNSUPPORTED_BROWSER",
+  API_ERROR: "API_ERROR",
+  NETWORK_ERROR: "NETWORK_ERROR",
+  TIMEOUT: "TIMEOUT",
+  ABORTED: "ABORTED",
+  RATE_LIMITED: "RATE_LIMITED",
+};
+
+/**
+ * Base class for every error the SDK throws or emits
+ */
+export default class ErmisError extends Error {
+  /**
+   * @param {string} message - Human readable description
+   * @param {Object} [options]
+   * @param {string} [options.code] - One of ErrorCodes
+   * @param {boolean} [options.retryable] - Whether retrying the same call may succeed
+   * @param {*} [options.cause] - Underlying error
+   * @param {Object} [options.details] - Extra context (status, userId, ...)
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.code = options.code || this.constructor.defaultCode;
+    this.retryable = options.retryable ?? this.constructor.defaultRetryable;
+    this.details = options.details || {};
+    if (options.cause !== undefined) {
+      this.cause = options.cause;
+    }
+  }
+
+  static get defaultCode() {
+    return ErrorCodes.UNKNOWN;
+  }
+
+  static get defaultRetryable() {
+    return false;
+  }
+
+  /**
+   * Wrap any thrown value, keeping ErmisErrors untouched
+   */
+  static from(error, options = {}) {
+    if (error instanceof ErmisError) {
+      return error;
+    }
+
+    return new this(error?.message || String(error), {
+      ...options,
+      cause: error,
+    });
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      code: this.code,
+      message: this.message,
+      retryable: this.retryable,
+      details: this.details,
+    };
+  }
+}
+
+/** Bad argument or configuration */
+export class ValidationError extends ErmisError {
+  static get defaultCode() {
+    return ErrorCodes.INVALID_ARGUMENT;
+  }
+}
+
+/** Call made in the wrong state (not joined, already joined, wrong room) */
+export class InvalidStateError extends ErmisError {
+  static get defaultCode() {
+    return ErrorCodes.INVALID_STATE;
+  }
+}
+
+/** Missing, rejected or expired credentials */
+export class AuthError extends ErmisError {
+  static get defaultCode() {
+    return ErrorCodes.AUTH_FAILED;
+  }
+}
+
+/** Room or sub room does not exist */
+export class RoomNotFoundError extends ErmisError {
+  static get defaultCode() {
+    return ErrorCodes.ROOM_NOT_FOUND;
+  }
+}
+
+/** Server refused the action for this user's role */
+export class PermissionDeniedError extends ErmisError {
+  static get defaultCode() {
+    return ErrorCodes.PERMISSION_DENIED;
+  }
+}
+
+/** Camera / microphone could not be opened */
+export class MediaDeviceError extends ErmisError {
+  static get defaultCode() {
+    return ErrorCodes.DEVICE_ERROR;
+  }
+
+  /**
+   * Map a getUserMedia / getDisplayMedia rejection to a stable code
+   */
+  static fromDomException(error) {
+    const codes = {
+      NotAllowedError: ErrorCodes.DEVICE_PERMISSION_DENIED,
+      SecurityError: ErrorCodes.DEVICE_PERMISSION_DENIED,
+      NotFoundError: ErrorCodes.DEVICE_NOT_FOUND,
+      OverconstrainedError: ErrorCodes.DEVICE_NOT_FOUND,
+      NotReadableError: ErrorCodes.DEVICE_IN_USE,
+      AbortError: ErrorCodes.DEVICE_IN_USE,
+    };
+    const code = codes[error?.name] || ErrorCodes.DEVICE_ERROR;
+
+    return new MediaDeviceError(error?.message || "Media device error", {
+      code,
+      // A busy device may free up; a denied permission will not
+      retryable: code === ErrorCodes.DEVICE_IN_USE,
+      cause: error,
+      details: { name: error?.name },
+    });
+  }
+}
+
+/** WebTransport / WebSocket could not connect or dropped */
+export class TransportError extends ErmisError {
+  static get defaultCode() {
+    return ErrorCodes.TRANSPORT_FAILED;
+  }
+
+  static get defaultRetryable() {
+    return true;
+  }
+}
+
+/** A required browser API is missing and no polyfill covers it */
+export class UnsupportedBrowserError extends ErmisError {
+  static get defaultCode() {
+    return ErrorCodes.UNSUPPORTED_BROWSER;
+  }
+}
+
+/** Non-2xx API response or failed request */
+export class ApiError extends ErmisError {
+  static get defaultCode() {
+    return ErrorCodes.API_ERROR;
+  }
+
+  constructor(message, options = {}) {
+    super(message, options);
+    this.status = options.status ?? null;
+    if (this.status !== null) {
+      this.details.status = this.status;
+    }
+  }
+
+  /**
+   * Build the most specific error for an HTTP status
+   * @param {number} status - Response status
+   * @param {string} endpoint - Request path, used to tell room lookups apart
+   */
+  static fromStatus(status, endpoint = "") {
+    const message = `HTTP error! status: ${status}`;
+    const details = { status, endpoint };
+
+    if (status === 401) {
+      return new AuthError(message, {
+        code: ErrorCodes.UNAUTHORIZED,
+        details,
+      });
+    }
+    if (status === 403) {
+      return new PermissionDeniedError(message, { details });
+    }
+    if (status === 404 && endpoint.startsWith("/rooms")) {
+      return new RoomNotFoundError(message, { details });
+    }
+
+    return new ApiError(message, {
+      status,
+      details,
+      retryable: status >= 500 || status === 408 || status === 429,
+    });
+  }
+}
+
+// Explicit names survive minification, unlike constructor.name
+[
+  [ErmisError, "ErmisError"],
+  [ValidationError, "ValidationError"],
+  [InvalidStateError, "InvalidStateError"],
+  [AuthError, "AuthError"],
+  [RoomNotFoundError, "RoomNotFoundError"],
+  [PermissionDeniedError, "PermissionDeniedError"],
+  [MediaDeviceError, "MediaDeviceError"],
+  [TransportError, "TransportError"],
+  [UnsupportedBrowserError, "UnsupportedBrowserError"],
+  [ApiError, "ApiError"],
+].forEach(([ErrorClass, name]) => {
+  ErrorClass.prototype.name = name;
+});
@@ -9,6 +9,26 @@ import SubRoom from "./core/SubRoom.js";
 import Participant from "./core/Participant.js";
 import ApiClient from "./api/ApiClient.js";
 import EventEmitter from "./events/EventEmitter.js";
+import { ParticipantRoles } from "./core/roles.js";
+import { PollTypes } from "./core/PollManager.js";
+import Permissions, {
+  Capabilities,
+  DEFAULT_PERMISSIONS,
+} from "./core/Permissions.js";
+import { checkSupport } from "./utils/support.js";
+import Logger, { LogLevels, consoleSink } from "./utils/Logger.js";
+import ErmisError, {
+  ApiError,
+  AuthError,
+  ErrorCodes,
+  InvalidStateError,
+  MediaDeviceError,
+  PermissionDeniedError,
+  RoomNotFoundError,
+  TransportError,
+  UnsupportedBrowserError,
+  ValidationError,
+} from "./errors/ErmisError.js";
 
 /**
  * SDK Version
@@ -47,6 +67,15 @@ class ErmisClassroom {
     return client;
   }
 
+  /**
+   * Check browser APIs, bundled polyfill coverage and video codec support
+   * @param {Object} options - Codecs and layers to probe (optional)
+   * @returns {Promise<Object>} - Report with an overall "full" / "degraded" / "unsupported" verdict
+   */
+  static async checkSupport(options = {}) {
+    return await checkSupport(options);
+  }
+
   /**
    * Get SDK version
    */
@@ -64,11 +93,17 @@ class ErmisClassroom {
       CLIENT_AUTHENTICATION_FAILED: "authenticationFailed",
       CLIENT_LOGGED_OUT: "loggedOut",
       CLIENT_CONNECTION_STATUS_CHANGED: "connectionStatusChanged",
+      CLIENT_RECONNECTING: "reconnecting",
+      CLIENT_RECONNECTED: "reconnected",
+      CLIENT_RECONNECTION_FAILED: "reconnectionFailed",
 
       // Room events
       ROOM_CREATED: "roomCreated",
       ROOM_JOINED: "roomJoined",
+      ROOM_JOIN_CANCELLED: "joinCancelled",
       ROOM_LEFT: "roomLeft",
+      ROOM_ENDED: "roomEnded",
+      KICKED: "kicked",
 
       // Participant events
       PARTICIPANT_ADDED: "participantAdded",
@@ -77,6 +112,24 @@ class ErmisClassroom {
       PARTICIPANT_UNPINNED: "participantUnpinned",
       AUDIO_TOGGLED: "audioToggled",
       VIDEO_TOGGLED: "videoToggled",
+      REMOTE_AUDIO_TOGGLED: "remoteAudioToggled",
+      REMOTE_VIDEO_TOGGLED: "remoteVideoToggled",
+      ACTIVE_SPEAKERS_CHANGED: "activeSpeakersChanged",
+      SUBSCRIPTION_CHANGED: "subscriptionChanged",
+      CHAT_MESSAGE: "chatMessage",
+      DATA_RECEIVED: "dataReceived",
+      PARTICIPANT_UPDATED: "participantUpdated",
+      REACTION: "reaction",
+      STATE_CHANGED: "stateChanged",
+      POLL_UPDATED: "pollUpdated",
+      POLL_RESULTS: "pollResults",
+      DEVICE_SWITCHED: "deviceSwitched",
+      DEVICE_LIST_CHANGED: "deviceListChanged",
+      ACTIVE_DEVICE_LOST: "activeDeviceLost",
+      ROLE_CHANGED: "roleChanged",
+      PERMISSIONS_CHANGED: "permissionsChanged",
+      PUBLISHING_CHANGED: "publishingChanged",
+      MUTE_REQUESTED: "muteRequested",
 
       // Sub room events
       SUB_ROOM_CREATED: "subRoomCreated",
@@ -88,6 +141,9 @@ class ErmisClassroom {
       LOCAL_STREAM_READY: "localStreamReady",
       REMOTE_STREAM_READY: "remoteStreamReady",
       STREAM_REMOVED: "streamRemoved",
+      SCREEN_SHARE_STARTED: "screenShareStarted",
+      SCREEN_SHARE_STOPPED: "screenShareStopped",
+      GATEWAY_FAILED: "gatewayFailed",
 
       // Error events
       ERROR: "error",
@@ -104,7 +160,7 @@ class ErmisClassroom {
        */
       async getDevices() {
         if (!navigator.mediaDevices?.enumerateDevices) {
-          throw new Error("Media devices not supported");
+          throw new UnsupportedBrowserError("Media devices not supported");
         }
 
         const devices = await navigator.mediaDevices.enumerateDevices();
@@ -121,10 +177,14 @@ class ErmisClassroom {
        */
       async getUserMedia(constraints = { video: true, audio: true }) {
         if (!navigator.mediaDevices?.getUserMedia) {
-          throw new Error("getUserMedia not supported");
+          throw new UnsupportedBrowserError("getUserMedia not supported");
         }
 
-        return await navigator.mediaDevices.getUserMedia(constraints);
+        try {
+          return await navigator.mediaDevices.getUserMedia(constraints);
+        } catch (error) {
+          throw MediaDeviceError.fromDomException(error);
+        }
       },
 
       /**
@@ -142,7 +202,7 @@ class ErmisClassroom {
               name: "microphone",
             });
           } catch (error) {
-            console.warn("Permission check failed:", error);
+            // Some browsers reject camera/microphone permission queries
           }
         }
 
@@ -171,20 +231,37 @@ class ErmisClassroom {
       DISCONNECTED: "disconnected",
       CONNECTING: "connecting",
       CONNECTED: "connected",
+      RECONNECTING: "reconnecting",
       FAILED: "failed",
     };
   }
 
+  /**
+   * Error code constants
+   */
+  static get ErrorCodes() {
+    return ErrorCodes;
+  }
+
   /**
    * Participant roles constants
    */
   static get ParticipantRoles() {
-    return {
-      OWNER: "owner",
-      MODERATOR: "moderator",
-      PARTICIPANT: "participant",
-      OBSERVER: "observer",
-    };
+    return { ...ParticipantRoles };
+  }
+
+  /**
+   * Permission matrix capability constants
+   */
+  static get Capabilities() {
+    return { ...Capabilities };
+  }
+
+  /**
+   * Poll type constants
+   */
+  static get PollTypes() {
+    return { ...PollTypes };
   }
 }
 
@@ -193,6 +270,33 @@ class ErmisClassroom {
  */
 export { ErmisClient, Room, SubRoom, Participant, ApiClient, EventEmitter };
 
+/**
+ * Role permissions
+ */
+export { Permissions, Capabilities, DEFAULT_PERMISSIONS };
+
+/**
+ * Logging
+ */
+export { Logger, LogLevels, consoleSink };
+
+/**
+ * Error classes and codes
+ */
+export {
+  ErmisError,
+  ErrorCodes,
+  ValidationError,
+  InvalidStateError,
+  AuthError,
+  RoomNotFoundError,
+  PermissionDeniedError,
+  MediaDeviceError,
+  TransportError,
+  UnsupportedBrowserError,
+  ApiError,
+};
+
 /**
  * Default export - Main SDK class
  */
@@ -0,0 +1,102 @@
+import EventEmitter from "../events/EventEmitter.js";
+
+/**
+ * Turns raw per-participant audio levels into smoothed levels and a stable
+ * list of who is speaking.
+ *
+ * Every tick it emits `levels` (userId -> smoothed level) and, when the
+ * speakers or the dominant speaker change, `activeSpeakersChanged` with
+ * `{ speakers, dominantSpeaker }` (userIds, dominant first).
+ */
+class ActiveSpeakerDetector extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.getLevels = config.getLevels || (() => new Map()); // userId -> 0..1
+    this.interval = config.interval || 100; // ms between samples
+    this.threshold = config.threshold ?? 0.35; // Smoothed level counted as speech
+    this.smoothing = config.smoothing ?? 0.3; // Weight of the newest sample
+    this.holdTime = config.holdTime ?? 800; // ms of quiet before speech ends
+
+    this.levels = new Map(); // userId -> smoothed level
+    this.speakers = []; // userIds, dominant first
+    this.dominantSpeaker = null;
+    this._lastHeard = new Map(); // userId -> last time above threshold
+    this._timer = null;
+  }
+
+  start() {
+    if (this._timer) return;
+    this._timer = setInterval(
+      () => this.update(this.getLevels()),
+      this.interval
+    );
+  }
+
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /**
+   * Feed one round of raw levels
+   * @param {Map<string, number>} samples - userId -> level, 0 to 1
+   * @param {number} [now=Date.now()]
+   */
+  update(samples, now = Date.now()) {
+    const levels = new Map();
+    for (const [userId, level] of samples) {
+      const previous = this.levels.get(userId) || 0;
+      const smoothed = previous + this.smoothing * (level - previous);
+      levels.set(userId, smoothed);
+
+      if (smoothed >= this.threshold) {
+        this._lastHeard.set(userId, now);
+      }
+    }
+
+    // Participants no longer sampled have left
+    for (const userId of this._lastHeard.keys()) {
+      if (!levels.has(userId)) this._lastHeard.delete(userId);
+    }
+    this.levels = levels;
+
+    const speaking = [...this._lastHeard]
+      .filter(([, heardAt]) => now - heardAt < this.holdTime)
+      .map(([userId]) => userId)
+      .sort((a, b) => levels.get(b) - levels.get(a));
+
+    // The dominant speaker keeps the floor until they stop speaking, so
+    // short interjections do not flip it back and forth
+    const dominantSpeaker = speaking.includes(this.dominantSpeaker)
+      ? this.dominantSpeaker
+      : speaking[0] || null;
+    const speakers = dominantSpeaker
+      ? [dominantSpeaker, ...speaking.filter((id) => id !== dominantSpeaker)]
+      : [];
+
+    const changed =
+      dominantSpeaker !== this.dominantSpeaker ||
+      speakers.length !== this.speakers.length ||
+      speakers.some((id) => !this.speakers.includes(id));
+
+    this.speakers = speakers;
+    this.dominantSpeaker = dominantSpeaker;
+
+    this.emit("levels", levels);
+    if (changed) {
+      this.emit("activeSpeakersChanged", { speakers, dominantSpeaker });
+    }
+  }
+
+  /**
+   * Whether the user currently counts as speaking
+   */
+  isSpeaking(userId) {
+    return this.speakers.includes(userId);
+  }
+}
+
+export default ActiveSpeakerDetector;
@@ -1,3 +1,10 @@
+import Logger from "../utils/Logger.js";
+import { createLevelMeter, readLevel } from "../utils/audioLevel.js";
+import {
+  MediaDeviceError,
+  UnsupportedBrowserError,
+} from "../errors/ErmisError.js";
+
 /**
  * AudioMixer Class for combining multiple subscriber audio streams
  * Provides centralized audio mixing and playback management
@@ -16,7 +23,9 @@ class AudioMixer {
     this.sampleRate = config.sampleRate || 48000;
     this.bufferSize = config.bufferSize || 256;
     this.enableEchoCancellation = config.enableEchoCancellation !== false;
-    this.debug = config.debug || false;
+    this.outputDeviceId = config.outputDeviceId || ""; // "" = system default
+    this.logger = (config.logger || new Logger()).child("mixer");
+    this.workletLogger = this.logger.child("worklet");
   }
 
   /**
@@ -24,7 +33,7 @@ class AudioMixer {
    */
   async initialize() {
     if (this.isInitialized) {
-      this._debug("AudioMixer already initialized");
+      this.logger.debug("AudioMixer already initialized");
       return;
     }
 
@@ -62,13 +71,20 @@ class AudioMixer {
 
       document.body.appendChild(this.outputAudioElement);
 
+      // Keep the speaker chosen before this mixer was created
+      if (this.outputDeviceId) {
+        await this._applyOutputDevice().catch((error) => {
+          this.logger.warn("Failed to restore output device:", error);
+        });
+      }
+
       this.isInitialized = true;
-      this._debug("AudioMixer initialized successfully");
+      this.logger.debug("AudioMixer initialized successfully");
 
       // Setup error handlers
       this._setupErrorHandlers();
     } catch (error) {
-      console.error("Failed to initialize AudioMixer:", error);
+      this.logger.error("Failed to initialize AudioMixer:", error);
       throw error;
     }
   }
@@ -82,14 +98,14 @@ class AudioMixer {
     isOwnAudio = false,
     channelWorkletPort
   ) {
-    console.warn(`Adding subscriber ${subscriberId} to audio mixer`);
+    this.logger.debug(`Adding subscriber ${subscriberId} to audio mixer`);
     if (!this.isInitialized) {
       await this.initialize();
     }
 
     // Skip adding own audio to prevent echo/feedback
     if (isOwnAudio) {
-      this._debug(
+      this.logger.debug(
         `Skipping own audio for subscriber ${subscriberId} to prevent echo`
       );
       return null;
@@ -97,7 +113,7 @@ class AudioMixer {
 
     // Check if subscriber already exists
     if (this.subscriberNodes.has(subscriberId)) {
-      this._debug(`Subscriber ${subscriberId} already exists in mixer`);
+      this.logger.debug(`Subscriber ${subscriberId} already exists in mixer`);
       return this.subscriberNodes.get(subscriberId);
     }
 
@@ -132,10 +148,15 @@ class AudioMixer {
       workletNode.connect(gainNode);
       gainNode.connect(this.mixerNode);
 
+      // Meter before the gain so local volume does not hide who is speaking
+      const levelMeter = createLevelMeter(this.audioContext);
+      workletNode.connect(levelMeter);
+
       // Store reference with gain node
       this.subscriberNodes.set(subscriberId, {
         workletNode,
         gainNode,
+        levelMeter,
         isActive: true,
         addedAt: Date.now(),
       });
@@ -146,10 +167,10 @@ class AudioMixer {
       // Setup message handler
       this._setupWorkletMessageHandler(subscriberId, workletNode);
 
-      this._debug(`Added subscriber ${subscriberId} to audio mixer`);
+      this.logger.debug(`Added subscriber ${subscriberId} to audio mixer`);
       return workletNode;
     } catch (error) {
-      console.error(
+      this.logger.error(
         `Failed to add subscriber ${subscriberId} to mixer:`,
         error
       );
@@ -163,7 +184,7 @@ class AudioMixer {
   removeSubscriber(subscriberId) {
     const subscriberData = this.subscriberNodes.get(subscriberId);
     if (!subscriberData) {
-      this._debug(`Subscriber ${subscriberId} not found in mixer`);
+      this.logger.debug(`Subscriber ${subscriberId} not found in mixer`);
       return false;
     }
 
@@ -180,10 +201,10 @@ class AudioMixer {
       // Update audio element if no more subscribers
       this._updateOutputAudio();
 
-      this._debug(`Removed subscriber ${subscriberId} from audio mixer`);
+      this.logger.debug(`Removed subscriber ${subscriberId} from audio mixer`);
       return true;
     } catch (error) {
-      console.error(`Failed to remove subscriber ${subscriberId}:`, error);
+      this.logger.error(`Failed to remove subscriber ${subscriberId}:`, error);
       return false;
     }
   }
@@ -194,7 +215,9 @@ class AudioMixer {
   setSubscriberVolume(subscriberId, volume) {
     const subscriberData = this.subscriberNodes.get(subscriberId);
     if (!subscriberData) {
-      this._debug(`Subscriber ${subscriberId} not found for volume adjustment`);
+      this.logger.debug(
+        `Subscriber ${subscriberId} not found for volume adjustment`
+      );
       return false;
     }
 
@@ -202,12 +225,12 @@ class AudioMixer {
       const normalizedVolume = Math.max(0, Math.min(1, volume));
       subscriberData.gainNode.gain.value = normalizedVolume;
 
-      this._debug(
+      this.logger.debug(
         `Set volume for subscriber ${subscriberId}: ${normalizedVolume}`
       );
       return true;
     } catch (error) {
-      console.error(
+      this.logger.error(
         `Failed to set volume for subscriber ${subscriberId}:`,
         error
       );
@@ -215,6 +238,16 @@ class AudioMixer {
     }
   }
 
+  /**
+   * Current loudness of a subscriber's audio, 0 to 1
+   */
+  getSubscriberLevel(subscriberId) {
+    const subscriberData = this.subscriberNodes.get(subscriberId);
+    if (!subscriberData?.levelMeter) return 0;
+
+    return readLevel(subscriberData.levelMeter);
+  }
+
   /**
    * Mute/unmute a specific subscriber
    */
@@ -233,20 +266,37 @@ class AudioMixer {
       this.mixerNode.gain.value = normalizedVolume;
       this.masterVolume = normalizedVolume;
 
-      this._debug(`Set master volume: ${normalizedVolume}`);
+      this.logger.debug(`Set master volume: ${normalizedVolume}`);
       return true;
     } catch (error) {
-      console.error("Failed to set master volume:", error);
+      this.logger.error("Failed to set master volume:", error);
       return false;
     }
   }
 
+  /**
+   * Play the mixed audio on another speaker
+   * @param {string} sinkId - deviceId of an audiooutput device, "" for the
+   *   system default
+   */
+  async setOutputDevice(sinkId = "") {
+    const previous = this.outputDeviceId;
+    this.outputDeviceId = sinkId;
+
+    try {
+      await this._applyOutputDevice();
+    } catch (error) {
+      this.outputDeviceId = previous;
+      throw error;
+    }
+  }
+
   /**
    * Get mixed audio output stream
    */
   getOutputMediaStream() {
     if (!this.outputDestination) {
-      this._debug("Output destination not initialized");
+      this.logger.debug("Output destination not initialized");
       return null;
     }
     return this.outputDestination.stream;
@@ -293,7 +343,7 @@ class AudioMixer {
   async suspend() {
     if (this.audioContext && this.audioContext.state === "running") {
       await this.audioContext.suspend();
-      this._debug("Audio context suspended");
+      this.logger.debug("Audio context suspended");
     }
   }
 
@@ -303,7 +353,7 @@ class AudioMixer {
   async resume() {
     if (this.audioContext && this.audioContext.state === "suspended") {
       await this.audioContext.resume();
-      this._debug("Audio context resumed");
+      this.logger.debug("Audio context resumed");
     }
   }
 
@@ -311,7 +361,7 @@ class AudioMixer {
    * Cleanup mixer resources
    */
   async cleanup() {
-    this._debug("Starting AudioMixer cleanup");
+    this.logger.debug("Starting AudioMixer cleanup");
 
     try {
       // Remove audio element
@@ -332,7 +382,7 @@ class AudioMixer {
           workletNode.disconnect();
           gainNode.disconnect();
         } catch (error) {
-          console.error(
+          this.logger.error(
             `Error disconnecting subscriber ${subscriberId}:`,
             error
           );
@@ -359,9 +409,9 @@ class AudioMixer {
       this.audioContext = null;
       this.isInitialized = false;
 
-      this._debug("AudioMixer cleanup completed");
+      this.logger.debug("AudioMixer cleanup completed");
     } catch (error) {
-      console.error("Error during AudioMixer cleanup:", error);
+      this.logger.error("Error during AudioMixer cleanup:", error);
     }
   }
 
@@ -369,18 +419,37 @@ class AudioMixer {
    * Load audio worklet module
    */
   async _loadAudioWorklet(audioWorkletUrl) {
-    console.warn("Loading audio worklet from:", audioWorkletUrl);
+    this.logger.debug("Loading audio worklet from:", audioWorkletUrl);
     try {
       await this.audioContext.audioWorklet.addModule(audioWorkletUrl);
-      this._debug("Audio worklet loaded:", audioWorkletUrl);
+      this.logger.debug("Audio worklet loaded:", audioWorkletUrl);
     } catch (error) {
       // Worklet might already be loaded
       if (!error.message.includes("already been loaded")) {
-        this._debug("Audio worklet load warning:", error.message);
+        this.logger.debug("Audio worklet load warning:", error.message);
       }
     }
   }
 
+  /**
+   * Route the output element to `outputDeviceId`
+   */
+  async _applyOutputDevice() {
+    if (!this.outputAudioElement) return;
+
+    if (typeof this.outputAudioElement.setSinkId !== "function") {
+      throw new UnsupportedBrowserError(
+        "Selecting the audio output device is not supported"
+      );
+    }
+
+    try {
+      await this.outputAudioElement.setSinkId(this.outputDeviceId);
+    } catch (error) {
+      throw MediaDeviceError.fromDomException(error);
+    }
+  }
+
   /**
    * Update output audio element
    */
@@ -394,7 +463,7 @@ class AudioMixer {
         this.outputAudioElement.srcObject = null;
       }
     } catch (error) {
-      console.error("Failed to update output audio:", error);
+      this.logger.error("Failed to update output audio:", error);
     }
   }
 
@@ -407,20 +476,23 @@ class AudioMixer {
 
       switch (type) {
         case "bufferStatus":
-          this._debug(
+          this.logger.debug(
             `Subscriber ${subscriberId} buffer: ${bufferMs}ms, playing: ${isPlaying}`
           );
           break;
         case "bufferSizeChanged":
-          this._debug(
+          this.logger.debug(
             `Subscriber ${subscriberId} buffer size changed: ${newBufferSize}`
           );
           break;
         case "error":
-          console.error(`Subscriber ${subscriberId} worklet error:`, error);
+          this.logger.error(`Subscriber ${subscriberId} worklet error:`, error);
+          break;
+        case "log":
+          this.workletLogger.log(event.data.level, event.data.message);
           break;
         default:
-          this._debug(
+          this.logger.debug(
             `Subscriber ${subscriberId} worklet message:`,
             event.data
           );
@@ -428,7 +500,10 @@ class AudioMixer {
     };
 
     workletNode.port.onerror = (error) => {
-      console.error(`Subscriber ${subscriberId} worklet port error:`, error);
+      this.logger.error(
+        `Subscriber ${subscriberId} worklet port error:`,
+        error
+      );
     };
   }
 
@@ -439,10 +514,12 @@ class AudioMixer {
     if (!this.audioContext) return;
 
     this.audioContext.onstatechange = () => {
-      this._debug(`Audio context state changed: ${this.audioContext.state}`);
+      this.logger.debug(
+        `Audio context state changed: ${this.audioContext.state}`
+      );
 
       if (this.audioContext.state === "interrupted") {
-        console.warn("Audio context was interrupted");
+        this.logger.warn("Audio context was interrupted");
       }
     };
 
@@ -458,15 +535,6 @@ class AudioMixer {
     });
   }
 
-  /**
-   * Debug logging
-   */
-  _debug(...args) {
-    if (this.debug) {
-      console.log("[AudioMixer]", ...args);
-    }
-  }
-
   /**
    * Sleep utility for delays
    */
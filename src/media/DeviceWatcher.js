@@ -0,0 +1,107 @@
+import EventEmitter from "../events/EventEmitter.js";
+import Logger from "../utils/Logger.js";
+
+/**
+ * Split enumerateDevices() output the same way MediaDevices.getDevices() does
+ */
+function categorize(devices) {
+  return {
+    cameras: devices.filter((d) => d.kind === "videoinput"),
+    microphones: devices.filter((d) => d.kind === "audioinput"),
+    speakers: devices.filter((d) => d.kind === "audiooutput"),
+  };
+}
+
+const deviceKey = (device) => `${device.kind}:${device.deviceId}`;
+
+/**
+ * Watches navigator.mediaDevices for plugged / unplugged devices and emits
+ * `deviceListChanged` with the new list and what was added or removed
+ */
+class DeviceWatcher extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.logger = (config.logger || new Logger()).child("devices");
+    this.devices = []; // Last enumerateDevices() result
+    this.isWatching = false;
+    this._onDeviceChange = () => this.refresh();
+  }
+
+  /**
+   * Take the first device snapshot and start listening.
+   * Does nothing where devicechange is not available.
+   */
+  async start() {
+    const mediaDevices = navigator.mediaDevices;
+    if (this.isWatching || !mediaDevices?.enumerateDevices) {
+      return;
+    }
+
+    this.isWatching = true;
+    mediaDevices.addEventListener?.("devicechange", this._onDeviceChange);
+
+    try {
+      this.devices = await mediaDevices.enumerateDevices();
+    } catch (error) {
+      this.logger.warn("Failed to list media devices:", error);
+    }
+  }
+
+  /**
+   * Stop listening for device changes
+   */
+  stop() {
+    if (!this.isWatching) {
+      return;
+    }
+
+    this.isWatching = false;
+    navigator.mediaDevices?.removeEventListener?.(
+      "devicechange",
+      this._onDeviceChange
+    );
+  }
+
+  /**
+   * Current devices grouped by kind
+   */
+  getDevices() {
+    return categorize(this.devices);
+  }
+
+  /**
+   * Re-read the device list and emit `deviceListChanged` when it differs
+   */
+  async refresh() {
+    let devices;
+    try {
+      devices = await navigator.mediaDevices.enumerateDevices();
+    } catch (error) {
+      this.logger.warn("Failed to list media devices:", error);
+      return;
+    }
+
+    // stop() may have run while enumerating
+    if (!this.isWatching) {
+      return;
+    }
+
+    const previousKeys = new Set(this.devices.map(deviceKey));
+    const currentKeys = new Set(devices.map(deviceKey));
+    const added = devices.filter((d) => !previousKeys.has(deviceKey(d)));
+    const removed = this.devices.filter((d) => !currentKeys.has(deviceKey(d)));
+    this.devices = devices;
+
+    if (added.length === 0 && removed.length === 0) {
+      return;
+    }
+
+    this.logger.debug(
+      `Devices changed: ${added.length} added, ${removed.length} removed`
+    );
+    this.emit("deviceListChanged", { ...categorize(devices), added, removed });
+  }
+}
+
+export default DeviceWatcher;
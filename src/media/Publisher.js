@@ -1,4 +1,60 @@
 import EventEmitter from "../events/EventEmitter.js";
+import { resolveAssetUrls } from "../utils/assets.js";
+import Logger from "../utils/Logger.js";
+import { createLevelMeter, readLevel } from "../utils/audioLevel.js";
+import ErmisError, {
+  ErrorCodes,
+  InvalidStateError,
+  MediaDeviceError,
+  TransportError,
+  UnsupportedBrowserError,
+  ValidationError,
+} from "../errors/ErmisError.js";
+
+/**
+ * Encoded layers published for every camera stream, plus screen and mic
+ */
+export const DEFAULT_SUB_STREAMS = [
+  {
+    name: "high",
+    width: 1280,
+    height: 720,
+    bitrate: 800_000,
+    framerate: 30,
+    channelName: "cam_720p",
+  },
+  // {
+  //   name: "low",
+  //   width: 854,
+  //   height: 480,
+  //   bitrate: 500_000,
+  //   framerate: 30,
+  //   channelName: "cam_360p",
+  // },
+  {
+    name: "low",
+    width: 640,
+    height: 360,
+    bitrate: 400_000,
+    framerate: 30,
+    channelName: "cam_360p",
+  },
+  {
+    name: "screen",
+    width: 1920,
+    height: 1080,
+    bitrate: 2_000_000,
+    framerate: 30,
+    channelName: "screen_share_1080p",
+  },
+  {
+    name: "microphone",
+    channelName: "mic_48k",
+  },
+];
+
+/** H.264 High profile, level 5.2 */
+export const DEFAULT_VIDEO_CODEC = "avc1.640c34";
 
 /**
  * WebRTC Publisher Class
@@ -8,19 +64,33 @@ export default class Publisher extends EventEmitter {
   constructor(options = {}) {
     super();
     
+    // Gateways to try in order; a single publishUrl is still accepted
+    this.publishUrls =
+      options.publishUrls || (options.publishUrl ? [options.publishUrl] : []);
+
     // Validate required options
-    if (!options.publishUrl) {
-      throw new Error("publishUrl is required");
+    if (this.publishUrls.length === 0) {
+      throw new ValidationError("publishUrl is required");
     }
 
     // Configuration
-    this.publishUrl = options.publishUrl;
+    this.publishUrl = this.publishUrls[0];
     this.streamType = options.streamType || "camera"; // 'camera' or 'display'
     this.streamId = options.streamId || "test_stream";
+    this.providedStream = options.mediaStream || null; // Reuse an existing stream instead of prompting
+    // Tracks the app owns: published but never stopped by the SDK
+    this.appTracks = new Set(
+      options.appTracks || this.providedStream?.getTracks() || []
+    );
+    this.audioDeviceId = options.audioDeviceId || null;
+    this.videoDeviceId = options.videoDeviceId || null;
+    this.maxMissedPings = options.maxMissedPings || 3;
+    this.assets = options.assets || resolveAssetUrls();
+    this.logger = (options.logger || new Logger()).child("publisher");
 
     // Video configuration
     this.currentConfig = {
-      codec: "avc1.640c34",
+      codec: DEFAULT_VIDEO_CODEC,
       width: options.width || 1280,
       height: options.height || 720,
       framerate: options.framerate || 30,
@@ -38,19 +108,37 @@ export default class Publisher extends EventEmitter {
     this.stream = null;
     this.audioProcessor = null;
     this.videoProcessor = null;
+    this.videoReader = null; // Reader of the track currently being encoded
+    this.screenStream = null; // getDisplayMedia() capture while sharing
+    this.screenReader = null;
+    this.screenTriggerWorker = null;
+    this.screenAudioSource = null; // Tab audio mixed into the microphone
+    this.isScreenSharing = false;
+    this.levelMeter = null; // Analyser on the microphone, made on first read
+    this.levelSource = null; // Recorder source the analyser listens to
     this.webTransport = null;
+    this.datagramWriter = null; // App data messages sent as datagrams
     this.isChannelOpen = false;
     this.sequenceNumber = 0;
     this.isPublishing = false;
-
-    this.cameraEnabled = true;
-    this.micEnabled = true;
+    this.isStopping = false;
+    this.connectionLost = false;
+    this.pingWorker = null;
+    this.triggerWorker = null;
+    this.missedPings = 0;
+
+    this.cameraEnabled =
+      options.cameraEnabled !== undefined ? options.cameraEnabled : true;
+    this.micEnabled =
+      options.micEnabled !== undefined ? options.micEnabled : true;
     this.hasCamera = options.hasCamera !== undefined ? options.hasCamera : true;
     this.hasMic = options.hasMic !== undefined ? options.hasMic : true;
 
     // Callbacks
     this.onStatusUpdate =
-      options.onStatusUpdate || ((message, isError) => console.log(message));
+      options.onStatusUpdate ||
+      ((message, isError) =>
+        this.logger.log(isError ? "error" : "debug", message));
     this.onStreamStart = options.onStreamStart || (() => {});
     this.onStreamStop = options.onStreamStop || (() => {});
     this.onServerEvent = options.onServerEvent || ((event) => {});
@@ -60,6 +148,8 @@ export default class Publisher extends EventEmitter {
     this.wasmInitializing = false;
     this.wasmInitPromise = null;
     this.initAudioRecorder = null;
+    this.replaceRecorderTrack = null;
+    this.addRecorderTrack = null;
     this.WasmEncoder = null;
 
     // Stream management
@@ -67,44 +157,9 @@ export default class Publisher extends EventEmitter {
     this.videoEncoders = new Map();
     this.eventStream = null; // Dedicated event stream
 
-    this.subStreams = [
-      {
-        name: "high",
-        width: 1280,
-        height: 720,
-        bitrate: 800_000,
-        framerate: 30,
-        channelName: "cam_720p",
-      },
-      // {
-      //   name: "low",
-      //   width: 854,
-      //   height: 480,
-      //   bitrate: 500_000,
-      //   framerate: 30,
-      //   channelName: "cam_360p",
-      // },
-      {
-        name: "low",
-        width: 640,
-        height: 360,
-        bitrate: 400_000,
-        framerate: 30,
-        channelName: "cam_360p",
-      },
-      {
-        name: "screen",
-        width: 1920,
-        height: 1080,
-        bitrate: 2_000_000,
-        framerate: 30,
-        channelName: "screen_share_1080p",
-      },
-      {
-        name: "microphone",
-        channelName: "mic_48k",
-      },
-    ];
+    this.subStreams = DEFAULT_SUB_STREAMS.map((subStream) => ({
+      ...subStream,
+    }));
   }
 
   async init() {
@@ -119,13 +174,13 @@ export default class Publisher extends EventEmitter {
       ) {
         await new Promise((resolve, reject) => {
           const script = document.createElement("script");
-          script.src = "../polyfills/MSTP_polyfill.js";
+          script.src = this.assets.mstpPolyfill;
           script.onload = () => resolve();
           script.onerror = () =>
             reject(new Error("Failed to load MSTP polyfill"));
           document.head.appendChild(script);
         });
-        console.log("Polyfill loaded successfully");
+        this.logger.debug("Polyfill loaded successfully");
       }
 
       if (!this.wasmInitialized) {
@@ -139,15 +194,15 @@ export default class Publisher extends EventEmitter {
 
           this.WasmEncoder = WasmEncoder;
 
-          this.wasmInitPromise = init("../raptorQ/raptorq_wasm_bg.wasm")
+          this.wasmInitPromise = init(this.assets.raptorqWasm)
             .then(() => {
               this.wasmInitialized = true;
               this.wasmInitializing = false;
-              console.log("WASM encoder module loaded successfully");
+              this.logger.debug("WASM encoder module loaded successfully");
             })
             .catch((err) => {
               this.wasmInitializing = false;
-              console.error("Failed to load WASM encoder module:", err);
+              this.logger.error("Failed to load WASM encoder module:", err);
               throw new Error("Failed to load WASM encoder module");
             });
 
@@ -155,16 +210,17 @@ export default class Publisher extends EventEmitter {
         }
       }
 
-      const opusModule = await import(
-        `/opus_decoder/opusDecoder.js?t=${Date.now()}`
-      );
+      const opusModule = await import(this.assets.opusDecoder);
       this.initAudioRecorder = opusModule.initAudioRecorder;
-      console.log("Opus decoder module loaded successfully");
+      this.replaceRecorderTrack = opusModule.replaceRecorderTrack;
+      this.addRecorderTrack = opusModule.addRecorderTrack;
+      opusModule.setLogger?.(this.logger);
+      this.logger.debug("Opus decoder module loaded successfully");
 
       this.onStatusUpdate("All dependencies loaded successfully");
     } catch (error) {
       this.onStatusUpdate(`Dependency loading error: ${error.message}`, true);
-      throw error;
+      throw ErmisError.from(error, { code: ErrorCodes.ASSET_LOAD_FAILED });
     }
   }
 
@@ -173,17 +229,34 @@ export default class Publisher extends EventEmitter {
       this.onStatusUpdate("Already publishing", true);
       return;
     }
-    await this.init();
+
+    // Viewers and roles without publish rights keep only the event stream:
+    // they need no encoder and load no media modules
+    const hasMedia = this.hasCamera || this.hasMic;
+
+    if (hasMedia) {
+      this.assertSupported(["WebTransport", "VideoEncoder"]);
+      await this.init();
+      // Open devices first so a denied permission fails before connecting
+      await this.getMediaStream();
+    } else {
+      this.assertSupported(["WebTransport"]);
+    }
 
     // Setup WebTransport connection
-    await this.setupConnection();
+    try {
+      await this.setupConnection();
+    } catch (error) {
+      this.releaseStream();
+      throw error;
+    }
 
     try {
-      // Get media stream based on type
-      await this.getMediaStream();
       this.isPublishing = true;
       // Start streaming
-      await this.startStreaming();
+      if (hasMedia) {
+        await this.startStreaming();
+      }
 
       this.onStreamStart();
       this.onStatusUpdate("Publishing started successfully");
@@ -193,32 +266,44 @@ export default class Publisher extends EventEmitter {
     }
   }
 
+  // Throw for the first API this browser lacks
+  assertSupported(apis) {
+    for (const api of apis) {
+      if (typeof globalThis[api] === "undefined") {
+        throw new UnsupportedBrowserError(`${api} is not supported`, {
+          details: { api },
+        });
+      }
+    }
+  }
+
   // Toggle camera
   toggleCamera() {
     if (this.cameraEnabled) {
-      this.turnOffCamera();
+      return this.turnOffCamera();
     } else {
-      this.turnOnCamera();
+      return this.turnOnCamera();
     }
   }
 
   // Toggle mic
   toggleMic() {
     if (this.micEnabled) {
-      this.turnOffMic();
+      return this.turnOffMic();
     } else {
-      this.turnOnMic();
+      return this.turnOnMic();
     }
   }
 
   // Turn off camera (stop encoding video frames)
-  turnOffCamera() {
+  async turnOffCamera() {
     this.cameraEnabled = false;
     this.onStatusUpdate("Camera turned off");
+    await this.updatePublisherState();
   }
 
   // Turn on camera (resume encoding video frames)
-  turnOnCamera() {
+  async turnOnCamera() {
     this.cameraEnabled = true;
     // if (
     //   this.stream &&
@@ -230,45 +315,66 @@ export default class Publisher extends EventEmitter {
     //   this.videoElement.srcObject = videoOnlyStream;
     // }
     this.onStatusUpdate("Camera turned on");
+    await this.updatePublisherState();
   }
 
   // Turn off mic (stop encoding audio chunks)
-  turnOffMic() {
+  async turnOffMic() {
     this.micEnabled = false;
     this.onStatusUpdate("Mic turned off");
+    await this.updatePublisherState();
   }
 
   // Turn on mic (resume encoding audio chunks)
-  turnOnMic() {
+  async turnOnMic() {
     this.micEnabled = true;
     this.onStatusUpdate("Mic turned on");
+    await this.updatePublisherState();
+  }
+
+  getAudioConstraints() {
+    return {
+      sampleRate: this.kSampleRate,
+      channelCount: 1,
+      echoCancellation: true,
+      noiseSuppression: true,
+      ...(this.audioDeviceId && { deviceId: { exact: this.audioDeviceId } }),
+    };
+  }
+
+  getVideoConstraints() {
+    return {
+      width: { ideal: this.currentConfig.width },
+      height: { ideal: this.currentConfig.height },
+      frameRate: { ideal: this.currentConfig.framerate },
+      ...(this.videoDeviceId && { deviceId: { exact: this.videoDeviceId } }),
+    };
   }
 
   async getMediaStream() {
-    if (this.streamType === "camera") {
+    if (this.streamType === "camera" && this.providedStream) {
+      this.checkProvidedStream(this.providedStream);
+      this.stream = this.providedStream;
+    } else if (this.streamType === "camera") {
       const constraints = {
-        audio: {
-          sampleRate: this.kSampleRate,
-          channelCount: 1,
-          echoCancellation: true,
-          noiseSuppression: true,
-        },
-        video: {
-          width: { ideal: this.currentConfig.width },
-          height: { ideal: this.currentConfig.height },
-          frameRate: { ideal: this.currentConfig.framerate },
-        },
+        audio: this.hasMic && this.getAudioConstraints(),
+        video: this.hasCamera && this.getVideoConstraints(),
       };
       try {
         this.stream = await navigator.mediaDevices.getUserMedia(constraints);
       } catch (error) {
-        console.error("Error accessing media devices:", error);
+        this.logger.error("Error accessing media devices:", error);
+        throw MediaDeviceError.fromDomException(error);
       }
     } else if (this.streamType === "display") {
-      this.stream = await navigator.mediaDevices.getDisplayMedia({
-        video: true,
-        audio: true,
-      });
+      try {
+        this.stream = await navigator.mediaDevices.getDisplayMedia({
+          video: true,
+          audio: true,
+        });
+      } catch (error) {
+        throw MediaDeviceError.fromDomException(error);
+      }
 
       // Handle user stopping screen share via browser UI
       const videoTrack = this.stream.getVideoTracks()[0];
@@ -279,6 +385,11 @@ export default class Publisher extends EventEmitter {
       }
     }
 
+    this.emitLocalStream();
+  }
+
+  // Tell the app which stream to preview
+  emitLocalStream() {
     // Create video-only stream for display
     const videoOnlyStream = new MediaStream();
     const videoTracks = this.stream.getVideoTracks();
@@ -298,54 +409,362 @@ export default class Publisher extends EventEmitter {
     this.onStatusUpdate(`${this.streamType} stream ready`);
   }
 
+  /**
+   * Move publishing to another camera without reconnecting: the transport,
+   * encoders and sent config stay as they are and the next frame is a key
+   * frame, so viewers only see a short freeze
+   * @param {string} deviceId - Camera to use
+   */
+  async switchCamera(deviceId) {
+    if (!this.isPublishing || !this.hasCamera || !this.videoProcessor) {
+      throw new InvalidStateError("Camera is not being published");
+    }
+
+    const track = await this.openDeviceTrack("video", deviceId);
+    this.videoDeviceId = deviceId;
+    this.replaceLocalTrack(track);
+    this.startVideoFrameLoop(track);
+    this.onStatusUpdate("Camera switched");
+  }
+
+  /**
+   * Move publishing to another microphone without restarting the Opus
+   * encoder or reconnecting
+   * @param {string} deviceId - Microphone to use
+   */
+  async switchMicrophone(deviceId) {
+    if (!this.isPublishing || !this.hasMic || !this.audioProcessor) {
+      throw new InvalidStateError("Microphone is not being published");
+    }
+
+    const track = await this.openDeviceTrack("audio", deviceId);
+    this.replaceRecorderTrack(this.audioProcessor, track);
+    this.audioDeviceId = deviceId;
+    this.replaceLocalTrack(track);
+    this.onStatusUpdate("Microphone switched");
+  }
+
+  /**
+   * Loudness of the published microphone, 0 to 1 (0 while muted)
+   */
+  getAudioLevel() {
+    const sourceNode = this.audioProcessor?.sourceNode;
+    if (!this.micEnabled || !sourceNode) return 0;
+
+    // switchMicrophone() swaps the recorder source: follow it
+    if (this.levelSource !== sourceNode) {
+      if (!this.levelMeter) {
+        this.levelMeter = createLevelMeter(sourceNode.context);
+      }
+      sourceNode.connect(this.levelMeter);
+      this.levelSource = sourceNode;
+    }
+    return readLevel(this.levelMeter);
+  }
+
+  /**
+   * Share the screen over this publisher's connection, next to the camera.
+   * Frames go out on the screen subStream (frame types 4 and 5).
+   * @param {Object} [options]
+   * @param {boolean} [options.audio=false] - Also capture tab / system audio.
+   *   It is mixed into the microphone, so the mic must be published.
+   */
+  async startScreenShare({ audio = false } = {}) {
+    if (!this.isPublishing) {
+      throw new InvalidStateError("Publisher is not connected");
+    }
+    if (this.isScreenSharing) {
+      throw new InvalidStateError("Screen is already being shared");
+    }
+    if (audio && !this.audioProcessor) {
+      throw new InvalidStateError(
+        "Screen audio is sent with the microphone, which is not being published"
+      );
+    }
+    if (!navigator.mediaDevices?.getDisplayMedia) {
+      throw new UnsupportedBrowserError("getDisplayMedia is not supported", {
+        details: { api: "getDisplayMedia" },
+      });
+    }
+    // A viewer publisher started without the encoder and media modules
+    if (!this.hasCamera && !this.hasMic) {
+      this.assertSupported(["VideoEncoder"]);
+      await this.init();
+    }
+
+    try {
+      this.screenStream = await navigator.mediaDevices.getDisplayMedia({
+        video: true,
+        audio,
+      });
+    } catch (error) {
+      throw MediaDeviceError.fromDomException(error);
+    }
+
+    const subStream = this.getScreenSubStream();
+    const videoTrack = this.screenStream.getVideoTracks()[0];
+    const audioTrack = this.screenStream.getAudioTracks()[0];
+
+    try {
+      await this.createBidirectionalStream(subStream.channelName);
+      const { encoder, config } = this.createVideoEncoder(subStream);
+      encoder.configure(config);
+
+      this.isScreenSharing = true;
+      this.startScreenFrameLoop(videoTrack, subStream);
+      if (audio && audioTrack) {
+        this.screenAudioSource = this.addRecorderTrack(
+          this.audioProcessor,
+          audioTrack
+        );
+      }
+    } catch (error) {
+      await this.stopScreenShare({ silent: true });
+      throw error;
+    }
+
+    // Ended from the browser's own "Stop sharing" button
+    videoTrack.onended = () => {
+      this.stopScreenShare().catch((error) =>
+        this.logger.warn("Error stopping screen share:", error)
+      );
+    };
+
+    await this.updatePublisherState();
+    this.emit("screenShareStarted", {
+      stream: this.screenStream,
+      streamId: this.streamId,
+      hasAudio: Boolean(this.screenAudioSource),
+    });
+    this.onStatusUpdate("Screen share started");
+  }
+
+  /**
+   * Stop sharing the screen and close its channel; the camera and
+   * microphone keep going
+   * @param {Object} [options]
+   * @param {boolean} [options.silent=false] - Skip the screenShareStopped event
+   */
+  async stopScreenShare({ silent = false } = {}) {
+    if (!this.screenStream) {
+      return;
+    }
+
+    const wasSharing = this.isScreenSharing;
+    this.isScreenSharing = false;
+
+    this.screenReader?.cancel().catch(() => {});
+    this.screenReader = null;
+    if (this.screenTriggerWorker) {
+      this.screenTriggerWorker.terminate();
+      this.screenTriggerWorker = null;
+    }
+    if (this.screenAudioSource) {
+      this.screenAudioSource.disconnect();
+      this.screenAudioSource = null;
+    }
+
+    const { name, channelName } = this.getScreenSubStream();
+    const encoderObj = this.videoEncoders.get(name);
+    if (encoderObj && encoderObj.encoder.state !== "closed") {
+      encoderObj.encoder.close();
+    }
+    this.videoEncoders.delete(name);
+
+    const streamData = this.publishStreams.get(channelName);
+    this.publishStreams.delete(channelName);
+    await streamData?.writer.close().catch(() => {});
+
+    this.screenStream.getTracks().forEach((track) => {
+      track.onended = null;
+      track.stop();
+    });
+    this.screenStream = null;
+
+    await this.updatePublisherState();
+    if (wasSharing && !silent) {
+      this.emit("screenShareStopped", { streamId: this.streamId });
+    }
+    this.onStatusUpdate("Screen share stopped");
+  }
+
+  getScreenSubStream() {
+    return this.subStreams.find((s) => s.channelName.startsWith("screen"));
+  }
+
+  // Encode shared screen frames on the screen subStream. Uses its own
+  // trigger worker so it does not take over the camera's.
+  startScreenFrameLoop(track, subStream) {
+    this.screenTriggerWorker = new Worker(this.assets.triggerWorker);
+    this.screenTriggerWorker.postMessage({ frameRate: subStream.framerate });
+
+    const processor = new MediaStreamTrackProcessor(
+      track,
+      this.screenTriggerWorker,
+      true
+    );
+    const reader = processor.readable.getReader();
+    this.screenReader = reader;
+    const { encoder } = this.videoEncoders.get(subStream.name);
+    let frameCounter = 0;
+
+    (async () => {
+      try {
+        while (this.isScreenSharing && this.screenReader === reader) {
+          const result = await reader.read();
+
+          if (result.done) break;
+
+          const frame = result.value;
+
+          if (this.screenReader !== reader) {
+            frame.close();
+            break;
+          }
+
+          if (!window.videoBaseTimestamp) {
+            window.videoBaseTimestamp = frame.timestamp;
+          }
+
+          const keyFrame = frameCounter % subStream.framerate === 0;
+          frameCounter++;
+
+          if (encoder.encodeQueueSize <= 2) {
+            encoder.encode(frame, { keyFrame });
+          }
+          frame.close();
+        }
+      } catch (error) {
+        this.onStatusUpdate(`Screen processing error: ${error.message}`, true);
+        this.logger.error("Screen capture error:", error);
+      }
+    })();
+  }
+
+  // Open a single track, from a specific device when one is given
+  async openDeviceTrack(kind, deviceId) {
+    const constraints =
+      kind === "audio"
+        ? this.getAudioConstraints()
+        : this.getVideoConstraints();
+
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        [kind]: {
+          ...constraints,
+          ...(deviceId && { deviceId: { exact: deviceId } }),
+        },
+      });
+      return stream.getTracks()[0];
+    } catch (error) {
+      throw MediaDeviceError.fromDomException(error);
+    }
+  }
+
+  // Swap the track of the same kind in the local stream and stop the old one
+  // unless the app owns it. A new MediaStream is built so a stream handed
+  // over by the app is not changed.
+  replaceLocalTrack(track) {
+    const previous = this.stream
+      .getTracks()
+      .filter((t) => t.kind === track.kind);
+    const kept = this.stream.getTracks().filter((t) => t.kind !== track.kind);
+
+    previous.filter((t) => !this.appTracks.has(t)).forEach((t) => t.stop());
+    this.stream = new MediaStream([...kept, track]);
+    this.emitLocalStream();
+  }
+
+  // A stream handed over by the app must carry every track we publish
+  checkProvidedStream(stream) {
+    const missing = [
+      this.hasMic && stream.getAudioTracks().length === 0 && "audio",
+      this.hasCamera && stream.getVideoTracks().length === 0 && "video",
+    ].filter(Boolean);
+
+    if (missing.length > 0) {
+      throw new MediaDeviceError(
+        `Provided mediaStream has no ${missing.join(" or ")} track`,
+        { code: ErrorCodes.DEVICE_NOT_FOUND, details: { missing } }
+      );
+    }
+  }
+
+  // Stop tracks we opened ourselves; tracks from the app are left running
+  releaseStream() {
+    this.stream
+      ?.getTracks()
+      .filter((track) => !this.appTracks.has(track))
+      .forEach((track) => track.stop());
+    this.stream = null;
+  }
+
+  // Camera layers; the screen encoder is created by startScreenShare()
   initVideoEncoders() {
     this.subStreams.forEach((subStream) => {
-      if (!subStream.channelName.startsWith("mic")) {
-        console.log(`Setting up encoder for ${subStream.name}`);
-        const encoder = new VideoEncoder({
-          output: (chunk, metadata) =>
-            this.handleVideoChunk(
-              chunk,
-              metadata,
-              subStream.name,
-              subStream.channelName
-            ),
-          error: (e) =>
-            this.onStatusUpdate(
-              `Encoder ${subStream.name} error: ${e.message}`,
-              true
-            ),
-        });
-
-        this.videoEncoders.set(subStream.name, {
-          encoder,
-          channelName: subStream.channelName,
-          config: {
-            codec: this.currentConfig.codec,
-            width: subStream.width,
-            height: subStream.height,
-            bitrate: subStream.bitrate,
-            framerate: this.currentConfig.framerate,
-            latencyMode: "realtime",
-            hardwareAcceleration: "prefer-hardware",
-          },
-          metadataReady: false,
-          videoDecoderConfig: null,
-        });
+      if (subStream.channelName.startsWith("cam")) {
+        this.createVideoEncoder(subStream);
       }
     });
   }
 
+  createVideoEncoder(subStream) {
+    this.logger.debug(`Setting up encoder for ${subStream.name}`);
+    const encoder = new VideoEncoder({
+      output: (chunk, metadata) =>
+        this.handleVideoChunk(
+          chunk,
+          metadata,
+          subStream.name,
+          subStream.channelName
+        ),
+      error: (e) =>
+        this.onStatusUpdate(
+          `Encoder ${subStream.name} error: ${e.message}`,
+          true
+        ),
+    });
+
+    const encoderObj = {
+      encoder,
+      channelName: subStream.channelName,
+      config: {
+        codec: this.currentConfig.codec,
+        width: subStream.width,
+        height: subStream.height,
+        bitrate: subStream.bitrate,
+        framerate: this.currentConfig.framerate,
+        latencyMode: "realtime",
+        hardwareAcceleration: "prefer-hardware",
+      },
+      metadataReady: false,
+      videoDecoderConfig: null,
+    };
+    this.videoEncoders.set(subStream.name, encoderObj);
+    return encoderObj;
+  }
+
   async setupConnection() {
-    this.webTransport = new WebTransport(this.publishUrl);
-    await this.webTransport.ready;
-    console.log("WebTransport connected to server");
+    this.webTransport = await this.connectToGateway();
+    this.logger.debug("WebTransport connected to server", this.publishUrl);
+
+    this.webTransport.closed
+      .then(() => this.handleConnectionLost("WebTransport closed"))
+      .catch((error) =>
+        this.handleConnectionLost(`WebTransport closed: ${error.message}`)
+      );
 
     await this.createEventStream();
+    this.setupDatagramReader();
 
+    // The screen channel is opened by startScreenShare()
     for (const subStream of this.subStreams) {
-      if (!subStream.channelName.startsWith("screen")) {
-        await this.createBidirectionalStream(subStream.channelName);
+      const { channelName } = subStream;
+      const needed = channelName.startsWith("mic")
+        ? this.hasMic
+        : this.hasCamera && !channelName.startsWith("screen");
+      if (needed) {
+        await this.createBidirectionalStream(channelName);
       }
     }
 
@@ -355,6 +774,30 @@ export default class Publisher extends EventEmitter {
     );
   }
 
+  // Try each gateway in order until one accepts the session
+  async connectToGateway() {
+    let lastError = null;
+
+    for (const url of this.publishUrls) {
+      let transport = null;
+      try {
+        transport = new WebTransport(url);
+        await transport.ready;
+        this.publishUrl = url;
+        return transport;
+      } catch (error) {
+        lastError = error;
+        transport?.closed.catch(() => {});
+        this.logger.warn(`Gateway ${url} unreachable:`, error);
+        this.emit("gatewayFailed", { url, error });
+      }
+    }
+
+    throw TransportError.from(lastError, {
+      details: { urls: this.publishUrls },
+    });
+  }
+
   async createEventStream() {
     const stream = await this.webTransport.createBidirectionalStream();
     const readable = stream.readable;
@@ -365,7 +808,7 @@ export default class Publisher extends EventEmitter {
 
     this.eventStream = { writer, reader };
 
-    console.log("WebTransport event stream established");
+    this.logger.debug("WebTransport event stream established");
 
     const initData = new TextEncoder().encode("meeting_control");
     await this.sendOverEventStream(initData);
@@ -375,15 +818,23 @@ export default class Publisher extends EventEmitter {
 
     await this.sendPublisherState();
 
-    const workerInterval = new Worker("polyfills/intervalWorker.js");
-    workerInterval.postMessage({ interval: 1000 });
+    this.pingWorker = new Worker(this.assets.intervalWorker);
+    this.pingWorker.postMessage({ interval: 1000 });
     let lastPingTime = Date.now();
 
-    workerInterval.onmessage = (e) => {
+    this.pingWorker.onmessage = async (e) => {
       const ping = new TextEncoder().encode("ping");
-      this.sendOverEventStream(ping);
+      try {
+        await this.sendOverEventStream(ping);
+        this.missedPings = 0;
+      } catch (error) {
+        this.missedPings++;
+        if (this.missedPings >= this.maxMissedPings) {
+          this.handleConnectionLost(`${this.missedPings} pings failed`);
+        }
+      }
       if (Date.now() - lastPingTime > 1200) {
-        console.warn("Ping delay detected, connection may be unstable");
+        this.logger.warn("Ping delay detected, connection may be unstable");
       }
       lastPingTime = Date.now();
     };
@@ -401,7 +852,8 @@ export default class Publisher extends EventEmitter {
         while (true) {
           const { value, done } = await reader.read();
           if (done) {
-            console.log("Event stream closed by server");
+            this.logger.debug("Event stream closed by server");
+            this.handleConnectionLost("Event stream closed by server");
             break;
           }
           if (value) {
@@ -410,19 +862,70 @@ export default class Publisher extends EventEmitter {
               const event = JSON.parse(msg);
               this.onServerEvent(event);
             } catch (e) {
-              console.log("Non-JSON event message:", msg);
+              this.logger.debug("Non-JSON event message:", msg);
             }
           }
         }
       } catch (err) {
-        console.error("Error reading from event stream:", err);
+        this.logger.error("Error reading from event stream:", err);
+        this.handleConnectionLost(`Event stream error: ${err.message}`);
       }
     })();
   }
 
+  // Datagrams carry lossy app data messages, JSON like the event stream.
+  // Any peer can send one, so nothing else is trusted from this path.
+  setupDatagramReader() {
+    if (!this.webTransport.datagrams) return;
+
+    const reader = this.webTransport.datagrams.readable.getReader();
+    (async () => {
+      try {
+        while (true) {
+          const { value, done } = await reader.read();
+          if (done) break;
+          let event;
+          try {
+            event = JSON.parse(new TextDecoder().decode(value));
+          } catch (e) {
+            this.logger.debug("Non-JSON datagram dropped");
+            continue;
+          }
+          if (event?.type !== "data_message") {
+            this.logger.debug(
+              "Datagram dropped, not a data message:",
+              event?.type
+            );
+            continue;
+          }
+          this.onServerEvent({ ...event, reliable: false });
+        }
+      } catch (err) {
+        // The event stream reader reports the lost connection
+        this.logger.debug("Datagram reader stopped:", err.message);
+      }
+    })();
+  }
+
+  /**
+   * Report a lost transport once, unless we are closing it ourselves
+   */
+  handleConnectionLost(reason) {
+    if (this.isStopping || this.connectionLost || !this.webTransport) return;
+
+    this.connectionLost = true;
+    this.isChannelOpen = false;
+    this.onStatusUpdate(`Connection lost: ${reason}`, true);
+    this.emit("connectionLost", {
+      reason,
+      streamId: this.streamId,
+      error: new TransportError(reason, { code: ErrorCodes.CONNECTION_LOST }),
+    });
+  }
+
   async sendOverEventStream(data) {
     if (!this.eventStream) {
-      console.error("Event stream not available");
+      this.logger.error("Event stream not available");
       return;
     }
 
@@ -437,7 +940,7 @@ export default class Publisher extends EventEmitter {
       out.set(bytes, 4);
       await this.eventStream.writer.write(out);
     } catch (error) {
-      console.error("Failed to send over event stream:", error);
+      this.logger.error("Failed to send over event stream:", error);
       throw error;
     }
   }
@@ -447,6 +950,20 @@ export default class Publisher extends EventEmitter {
     await this.sendOverEventStream(eventJson);
   }
 
+  /**
+   * Send one unreliable datagram; it may be dropped or arrive out of order
+   * @param {Uint8Array} bytes
+   */
+  async sendDatagram(bytes) {
+    if (!this.webTransport?.datagrams) {
+      throw new TransportError("Datagrams are not available");
+    }
+    if (!this.datagramWriter) {
+      this.datagramWriter = this.webTransport.datagrams.writable.getWriter();
+    }
+    await this.datagramWriter.write(bytes);
+  }
+
   async sendPublisherState() {
     const stateEvent = {
       type: "PublisherState",
@@ -456,6 +973,7 @@ export default class Publisher extends EventEmitter {
       cameraEnabled: this.hasCamera ? this.cameraEnabled : false,
       micEnabled: this.hasMic ? this.micEnabled : false,
       streamType: this.streamType, // 'camera' or 'display'
+      screenSharing: this.isScreenSharing,
       timestamp: Date.now(),
     };
 
@@ -463,6 +981,18 @@ export default class Publisher extends EventEmitter {
     this.onStatusUpdate("Publisher state sent to server");
   }
 
+  // Resend the state after a local change so other participants see it.
+  // The change already applies locally, so a failed send is only logged.
+  async updatePublisherState() {
+    if (!this.isChannelOpen) return;
+
+    try {
+      await this.sendPublisherState();
+    } catch (error) {
+      this.logger.warn("Failed to send publisher state:", error);
+    }
+  }
+
   async createBidirectionalStream(channelName) {
     const stream = await this.webTransport.createBidirectionalStream();
     const readable = stream.readable;
@@ -478,7 +1008,7 @@ export default class Publisher extends EventEmitter {
       config: null,
     });
 
-    console.log(
+    this.logger.debug(
       `WebTransport bidirectional stream (${channelName}) established`
     );
 
@@ -487,7 +1017,7 @@ export default class Publisher extends EventEmitter {
 
     this.setupStreamReader(channelName, reader);
 
-    console.log(`Stream created: ${channelName}`);
+    this.logger.debug(`Stream created: ${channelName}`);
   }
 
   setupStreamReader(channelName, reader) {
@@ -496,18 +1026,18 @@ export default class Publisher extends EventEmitter {
         while (true) {
           const { value, done } = await reader.read();
           if (done) {
-            console.log(`Stream ${channelName} closed by server`);
+            this.logger.debug(`Stream ${channelName} closed by server`);
             break;
           }
           if (value) {
             const msg = new TextDecoder().decode(value);
             if (msg.startsWith("ack:") || msg.startsWith("config:")) {
-              console.log(`${channelName} received:`, msg);
+              this.logger.debug(`${channelName} received:`, msg);
             }
           }
         }
       } catch (err) {
-        console.error(`Error reading from stream ${channelName}:`, err);
+        this.logger.error(`Error reading from stream ${channelName}:`, err);
       }
     })();
   }
@@ -515,7 +1045,7 @@ export default class Publisher extends EventEmitter {
   async sendOverStream(channelName, frameBytes) {
     const streamData = this.publishStreams.get(channelName);
     if (!streamData) {
-      console.error(`Stream ${channelName} not found`);
+      this.logger.error(`Stream ${channelName} not found`);
       return;
     }
 
@@ -527,28 +1057,34 @@ export default class Publisher extends EventEmitter {
       out.set(frameBytes, 4);
       await streamData.writer.write(out);
     } catch (error) {
-      console.error(`Failed to send over stream ${channelName}:`, error);
+      this.logger.error(`Failed to send over stream ${channelName}:`, error);
       throw error;
     }
   }
 
   async startStreaming() {
     // Start video capture
-    await this.startVideoCapture();
+    if (this.hasCamera) {
+      await this.startVideoCapture();
+    }
 
     // Start audio streaming
-    this.audioProcessor = await this.startOpusAudioStreaming();
+    if (this.hasMic) {
+      this.audioProcessor = await this.startOpusAudioStreaming();
+    }
   }
 
   async startVideoCapture() {
     if (!this.stream) {
-      throw new Error("No media stream available");
+      throw new MediaDeviceError("No media stream available", {
+        code: ErrorCodes.DEVICE_NOT_FOUND,
+      });
     }
 
     this.initVideoEncoders();
 
     this.videoEncoders.forEach((encoderObj) => {
-      console.log(
+      this.logger.debug(
         `Configuring encoder for ${encoderObj.channelName}`,
         encoderObj,
         "config",
@@ -557,21 +1093,33 @@ export default class Publisher extends EventEmitter {
       encoderObj.encoder.configure(encoderObj.config);
     });
 
-    const triggerWorker = new Worker("polyfills/triggerWorker.js");
-    triggerWorker.postMessage({ frameRate: this.currentConfig.framerate });
+    this.triggerWorker = new Worker(this.assets.triggerWorker);
+    this.triggerWorker.postMessage({ frameRate: this.currentConfig.framerate });
+
+    this.startVideoFrameLoop(this.stream.getVideoTracks()[0]);
+  }
+
+  // Encode frames from `track`. Calling it again hands encoding over to a
+  // new track: the previous reader is cancelled and its loop ends.
+  startVideoFrameLoop(track) {
+    const previousReader = this.videoReader;
 
-    const track = this.stream.getVideoTracks()[0];
-    console.log("Using video track:", track);
+    this.logger.debug("Using video track:", track);
     this.videoProcessor = new MediaStreamTrackProcessor(
       track,
-      triggerWorker,
+      this.triggerWorker,
       true
     );
 
     const reader = this.videoProcessor.readable.getReader();
-    console.log("Video processor reader created:", reader);
+    this.videoReader = reader;
+    this.logger.debug("Video processor reader created:", reader);
 
+    // Viewers can only decode the new track from a key frame
     let frameCounter = 0;
+    let forceKeyFrame = Boolean(previousReader);
+    let skipping = false; // Logged on change, not for every frame
+    previousReader?.cancel().catch(() => {});
 
     const cameraEncoders = Array.from(this.videoEncoders.entries()).filter(
       ([_, obj]) => obj.channelName.startsWith("cam")
@@ -580,25 +1128,38 @@ export default class Publisher extends EventEmitter {
     // Process video frames
     (async () => {
       try {
-        while (this.isPublishing) {
+        while (this.isPublishing && this.videoReader === reader) {
           const result = await reader.read();
 
           if (result.done) break;
 
           const frame = result.value;
 
+          if (this.videoReader !== reader) {
+            frame.close();
+            break;
+          }
+
           if (!window.videoBaseTimestamp) {
             window.videoBaseTimestamp = frame.timestamp;
           }
 
           if (!this.cameraEnabled) {
-            console.log("Camera disabled, skipping frame");
+            if (!skipping) {
+              this.logger.debug("Camera disabled, skipping frames");
+              skipping = true;
+            }
             frame.close();
             continue;
           }
+          if (skipping) {
+            this.logger.debug("Camera enabled, encoding frames");
+            skipping = false;
+          }
 
           frameCounter++;
-          const keyFrame = frameCounter % 30 === 0;
+          const keyFrame = forceKeyFrame || frameCounter % 30 === 0;
+          forceKeyFrame = false;
 
           for (let i = 0; i < cameraEncoders.length; i++) {
             const [quality, encoderObj] = cameraEncoders[i];
@@ -615,19 +1176,23 @@ export default class Publisher extends EventEmitter {
         }
       } catch (error) {
         this.onStatusUpdate(`Video processing error: ${error.message}`, true);
-        console.error("Video capture error:", error);
+        this.logger.error("Video capture error:", error);
       }
     })();
   }
 
   async startOpusAudioStreaming() {
     if (!this.stream) {
-      throw new Error("No media stream available");
+      throw new MediaDeviceError("No media stream available", {
+        code: ErrorCodes.DEVICE_NOT_FOUND,
+      });
     }
 
     const audioTrack = this.stream.getAudioTracks()[0];
     if (!audioTrack) {
-      throw new Error("No audio track found in stream");
+      throw new MediaDeviceError("No audio track found in stream", {
+        code: ErrorCodes.DEVICE_NOT_FOUND,
+      });
     }
 
     const audioRecorderOptions = {
@@ -635,6 +1200,8 @@ export default class Publisher extends EventEmitter {
       encoderComplexity: 0,
       encoderFrameSize: 20,
       timeSlice: 100,
+      recorderScriptUrl: this.assets.opusRecorder,
+      encoderPath: this.assets.opusEncoderWorker,
     };
 
     const audioRecorder = await this.initAudioRecorder(
@@ -667,7 +1234,7 @@ export default class Publisher extends EventEmitter {
         description: metadata.decoderConfig.description,
       };
       encoderObj.metadataReady = true;
-      console.warn(
+      this.logger.debug(
         "Video config ready for",
         channelName,
         encoderObj.videoDecoderConfig
@@ -710,6 +1277,7 @@ export default class Publisher extends EventEmitter {
   }
 
   handleOpusAudioChunk(typedArray, channelName) {
+    // Screen audio is mixed in, so it is muted with the microphone
     if (!this.micEnabled) return;
     if (!this.isChannelOpen || !typedArray || typedArray.byteLength === 0)
       return;
@@ -768,7 +1336,7 @@ export default class Publisher extends EventEmitter {
         }
       }
     } catch (error) {
-      console.error("Failed to send audio data:", error);
+      this.logger.error("Failed to send audio data:", error);
     }
   }
 
@@ -813,7 +1381,7 @@ export default class Publisher extends EventEmitter {
           },
         };
       }
-      console.log("send stream config", configPacket);
+      this.logger.debug("send stream config", configPacket);
       const packet = new TextEncoder().encode(JSON.stringify(configPacket));
       await this.sendOverStream(channelName, packet);
 
@@ -822,7 +1390,7 @@ export default class Publisher extends EventEmitter {
 
       this.onStatusUpdate(`Config sent for stream: ${channelName}`);
     } catch (error) {
-      console.error(`Failed to send config for ${channelName}:`, error);
+      this.logger.error(`Failed to send config for ${channelName}:`, error);
     }
   }
 
@@ -880,13 +1448,31 @@ export default class Publisher extends EventEmitter {
     return btoa(binary);
   }
 
-  async stop() {
+  /**
+   * Stop publishing
+   * @param {Object} [options]
+   * @param {boolean} [options.keepStream=false] - Leave the local tracks running (used when reconnecting)
+   */
+  async stop({ keepStream = false } = {}) {
     if (!this.isPublishing) {
       return;
     }
 
     try {
       this.isPublishing = false;
+      this.isStopping = true;
+
+      await this.stopScreenShare();
+
+      // Stop helper workers
+      if (this.pingWorker) {
+        this.pingWorker.terminate();
+        this.pingWorker = null;
+      }
+      if (this.triggerWorker) {
+        this.triggerWorker.terminate();
+        this.triggerWorker = null;
+      }
 
       // Close video encoders
       for (const [quality, encoderObj] of this.videoEncoders) {
@@ -905,18 +1491,25 @@ export default class Publisher extends EventEmitter {
         await this.audioProcessor.stop();
         this.audioProcessor = null;
       }
+      this.levelMeter = null;
+      this.levelSource = null;
 
-      // Close all streams
+      // Close all streams (writers reject if the transport is already gone)
       for (const [channelName, streamData] of this.publishStreams) {
         if (streamData.writer) {
-          await streamData.writer.close();
+          await streamData.writer.close().catch(() => {});
         }
       }
       this.publishStreams.clear();
 
+      if (this.datagramWriter) {
+        this.datagramWriter.releaseLock();
+        this.datagramWriter = null;
+      }
+
       // Close event stream
       if (this.eventStream && this.eventStream.writer) {
-        await this.eventStream.writer.close();
+        await this.eventStream.writer.close().catch(() => {});
         this.eventStream = null;
       }
 
@@ -926,10 +1519,11 @@ export default class Publisher extends EventEmitter {
         this.webTransport = null;
       }
 
-      // Stop all tracks
-      if (this.stream) {
-        this.stream.getTracks().forEach((track) => track.stop());
+      // Stop the tracks we opened
+      if (keepStream) {
         this.stream = null;
+      } else {
+        this.releaseStream();
       }
 
       // Reset state
@@ -948,6 +1542,8 @@ export default class Publisher extends EventEmitter {
     } catch (error) {
       this.onStatusUpdate(`Error stopping publishing: ${error.message}`, true);
       throw error;
+    } finally {
+      this.isStopping = false;
     }
   }
 
@@ -1,4 +1,16 @@
 import EventEmitter from "../events/EventEmitter.js";
+import { resolveAssetUrls } from "../utils/assets.js";
+import {
+  DEFAULT_SUBSCRIBE_TEMPLATE,
+  formatEndpoint,
+} from "../utils/endpoints.js";
+import Logger, { LogLevels } from "../utils/Logger.js";
+import ErmisError, {
+  ErrorCodes,
+  InvalidStateError,
+  TransportError,
+  UnsupportedBrowserError,
+} from "../errors/ErmisError.js";
 
 /**
  * Enhanced Subscriber class for receiving media streams
@@ -13,17 +25,36 @@ class Subscriber extends EventEmitter {
     this.roomId = config.roomId || "";
     this.host = config.host || "stream-gate.bandia.vn";
     this.isOwnStream = config.isOwnStream || false;
+    this.logger = (config.logger || new Logger()).child("subscriber");
+    this.workerLogger = this.logger.child("worker");
+    this.workletLogger = this.logger.child("worklet");
+
+    // Media gateways, tried in order when the WebSocket cannot stay up
+    this.mediaUrls = config.mediaUrls || [
+      formatEndpoint(DEFAULT_SUBSCRIBE_TEMPLATE, {
+        roomId: this.roomId,
+        streamId: this.streamId,
+      }),
+    ];
+    this.gatewayIndex = 0;
+    this.failedGateways = 0; // Consecutive failures since the last connect
 
     // Media configuration
-    this.mediaWorkerUrl = config.mediaWorkerUrl || "workers/media-worker-ab.js";
-    this.audioWorkletUrl =
-      config.audioWorkletUrl || "workers/audio-worklet1.js";
-    this.mstgPolyfillUrl =
-      config.mstgPolyfillUrl || "polyfills/MSTG_polyfill.js";
+    const assets = config.assets || resolveAssetUrls();
+    this.mediaWorkerUrl = config.mediaWorkerUrl || assets.mediaWorker;
+    this.audioWorkletUrl = config.audioWorkletUrl || assets.audioWorklet;
+    this.mstgPolyfillUrl = config.mstgPolyfillUrl || assets.mstgPolyfill;
+    this.opusDecoderWorkerUrl = assets.opusDecoderWorker;
 
     // State
     this.isStarted = false;
     this.isAudioEnabled = true;
+    this.quality = config.quality || "360p"; // Camera layer requested
+    // Tracks requested from the gateway (selective subscription)
+    this.tracks = {
+      video: config.video !== false,
+      audio: config.audio !== false,
+    };
     this.connectionStatus = "disconnected"; // 'disconnected', 'connecting', 'connected', 'failed'
 
     // Media components
@@ -32,6 +63,9 @@ class Subscriber extends EventEmitter {
     this.videoGenerator = null;
     this.videoWriter = null;
     this.mediaStream = null;
+    this.screenGenerator = null; // Created on the first screen frame
+    this.screenWriter = null; // Held for as long as the generator lives
+    this.screenStream = null;
 
     // Unique subscriber ID
     this.subscriberId = `subscriber_${this.streamId}_${Date.now()}`;
@@ -45,11 +79,11 @@ class Subscriber extends EventEmitter {
    */
   async start() {
     if (this.isStarted) {
-      throw new Error("Subscriber already started");
+      throw new InvalidStateError("Subscriber already started");
     }
 
     try {
-      console.log("Starting subscriber:", this.subscriberId);
+      this.logger.debug("Starting subscriber:", this.subscriberId);
       this.emit("starting", { subscriber: this });
       this._updateConnectionStatus("connecting");
 
@@ -102,6 +136,7 @@ class Subscriber extends EventEmitter {
       }
 
       // Close video components
+      this._cleanupScreenShare();
       this._cleanupVideoSystem();
 
       // Clear references
@@ -121,7 +156,7 @@ class Subscriber extends EventEmitter {
    */
   async toggleAudio() {
     if (!this.isStarted || !this.worker) {
-      throw new Error("Subscriber not started");
+      throw new InvalidStateError("Subscriber not started");
     }
 
     try {
@@ -140,6 +175,30 @@ class Subscriber extends EventEmitter {
     }
   }
 
+  /**
+   * Choose which of the participant's tracks to receive. The connection
+   * stays open; unsubscribed frames are not sent or decoded.
+   * @param {Object} tracks
+   * @param {boolean} tracks.video - Camera video
+   * @param {boolean} tracks.audio - Microphone audio
+   */
+  setTracks({ video, audio }) {
+    if (video === this.tracks.video && audio === this.tracks.audio) return;
+
+    this.tracks = { video, audio };
+    this.worker?.postMessage({ type: "setTracks", data: { video, audio } });
+  }
+
+  /**
+   * Drop the remote screen share after its publisher stopped sharing
+   */
+  stopScreenShare() {
+    if (!this.screenStream) return;
+
+    this.worker?.postMessage({ type: "stopScreenShare" });
+    this._cleanupScreenShare();
+  }
+
   /**
    * Set audio mixer reference
    */
@@ -159,6 +218,8 @@ class Subscriber extends EventEmitter {
       isOwnStream: this.isOwnStream,
       isStarted: this.isStarted,
       isAudioEnabled: this.isAudioEnabled,
+      quality: this.quality,
+      tracks: { ...this.tracks },
       connectionStatus: this.connectionStatus,
     };
   }
@@ -171,7 +232,7 @@ class Subscriber extends EventEmitter {
       try {
         await import(this.mstgPolyfillUrl);
       } catch (error) {
-        console.warn("Failed to load MSTG polyfill:", error);
+        this.logger.warn("Failed to load MSTG polyfill:", error);
       }
     }
   }
@@ -181,7 +242,7 @@ class Subscriber extends EventEmitter {
    */
   async _initWorker(channelPort) {
     try {
-      this.worker = new Worker(`${this.mediaWorkerUrl}?t=${Date.now()}`, {
+      this.worker = new Worker(this.mediaWorkerUrl, {
         type: "module",
       });
 
@@ -189,30 +250,40 @@ class Subscriber extends EventEmitter {
       this.worker.onerror = (error) => {
         this.emit("error", {
           subscriber: this,
-          error: new Error(`Media Worker error: ${error.message}`),
+          error: new ErmisError(`Media Worker error: ${error.message}`),
           action: "workerError",
         });
       };
 
-      const mediaUrl = `wss://sfu-adaptive-bitrate.ermis-network.workers.dev/meeting/${this.roomId}/${this.streamId}`;
-      console.log("try to init worker with url:", mediaUrl);
+      const mediaUrl = this.mediaUrls[this.gatewayIndex];
+      this.logger.debug("Initializing media worker with url:", mediaUrl);
 
       this.worker.postMessage(
         {
           type: "init",
-          data: { mediaUrl },
+          data: {
+            mediaUrl,
+            decoderWorkerUrl: this.opusDecoderWorkerUrl,
+            logLevel: this._getWorkerLogLevel(),
+            video: this.tracks.video,
+            audio: this.tracks.audio,
+          },
           port: channelPort,
-          quality: "360p", // default quality
+          quality: this.quality,
         },
         [channelPort]
       );
     } catch (error) {
-      throw new Error(`Worker initialization failed: ${error.message}`);
+      if (error instanceof ErmisError) throw error;
+      throw new ErmisError(`Worker initialization failed: ${error.message}`, {
+        cause: error,
+      });
     }
   }
 
   switchBitrate(quality) {
     // 360p | 720p
+    this.quality = quality;
     if (this.worker) {
       this.worker.postMessage({
         type: "switchBitrate",
@@ -237,8 +308,8 @@ class Subscriber extends EventEmitter {
 
       // Audio mixer should be set externally before starting
       if (this.audioMixer) {
-        console.warn(
-          "Adding subscriber to audio mixer in new subscriber:",
+        this.logger.debug(
+          "Adding subscriber to audio mixer:",
           this.subscriberId
         );
         this.audioWorkletNode = await this.audioMixer.addSubscriber(
@@ -251,6 +322,10 @@ class Subscriber extends EventEmitter {
         if (this.audioWorkletNode) {
           this.audioWorkletNode.port.onmessage = (event) => {
             const { type, bufferMs, isPlaying, newBufferSize } = event.data;
+            if (type === "log") {
+              this.workletLogger.log(event.data.level, event.data.message);
+              return;
+            }
             this.emit("audioStatus", {
               subscriber: this,
               type,
@@ -264,7 +339,11 @@ class Subscriber extends EventEmitter {
 
       this.emit("audioInitialized", { subscriber: this });
     } catch (error) {
-      throw new Error(`Audio system initialization failed: ${error.message}`);
+      if (error instanceof ErmisError) throw error;
+      throw new ErmisError(
+        `Audio system initialization failed: ${error.message}`,
+        { cause: error }
+      );
     }
   }
 
@@ -278,8 +357,9 @@ class Subscriber extends EventEmitter {
           kind: "video",
         });
       } else {
-        throw new Error(
-          "MediaStreamTrackGenerator not supported in this browser"
+        throw new UnsupportedBrowserError(
+          "MediaStreamTrackGenerator not supported in this browser",
+          { details: { api: "MediaStreamTrackGenerator" } }
         );
       }
 
@@ -298,7 +378,11 @@ class Subscriber extends EventEmitter {
       });
       this.emit("videoInitialized", { subscriber: this });
     } catch (error) {
-      throw new Error(`Video system initialization failed: ${error.message}`);
+      if (error instanceof ErmisError) throw error;
+      throw new ErmisError(
+        `Video system initialization failed: ${error.message}`,
+        { cause: error }
+      );
     }
   }
 
@@ -330,7 +414,7 @@ class Subscriber extends EventEmitter {
         this.videoGenerator = null;
       }
     } catch (error) {
-      console.warn("Error cleaning video system:", error);
+      this.logger.warn("Error cleaning video system:", error);
     }
   }
 
@@ -355,6 +439,10 @@ class Subscriber extends EventEmitter {
         this._handleVideoData(frame);
         break;
 
+      case "screenData":
+        this._handleScreenData(frame);
+        break;
+
       case "status":
         this.emit("status", { subscriber: this, message, isError: false });
         break;
@@ -363,7 +451,7 @@ class Subscriber extends EventEmitter {
         this.emit("status", { subscriber: this, message, isError: true });
         this.emit("error", {
           subscriber: this,
-          error: new Error(message),
+          error: new ErmisError(message),
           action: "workerMessage",
         });
         break;
@@ -383,11 +471,69 @@ class Subscriber extends EventEmitter {
         this.emit("frameResumed", { subscriber: this });
         break;
 
+      case "log":
+        if (e.data.event === "ws-connected") {
+          this.failedGateways = 0;
+        }
+        this.workerLogger.log(e.data.level || "info", message, {
+          event: e.data.event,
+          streamId: this.streamId,
+        });
+        break;
+
+      case "connectionClosed":
+        if (this.isStarted && !this._failoverGateway(message)) {
+          this._updateConnectionStatus("failed");
+          this.emit("connectionLost", {
+            subscriber: this,
+            streamId: this.streamId,
+            reason: message,
+            error: new TransportError(message, {
+              code: ErrorCodes.CONNECTION_LOST,
+            }),
+          });
+        }
+        break;
+
       default:
-        console.log(`Unknown worker message type: ${type}`, e.data);
+        this.logger.debug(`Unknown worker message type: ${type}`, e.data);
     }
   }
 
+  /**
+   * Lowest level the worker should post back; filtering there avoids a
+   * postMessage per frame when worker logs are off
+   */
+  _getWorkerLogLevel() {
+    const level = Object.keys(LogLevels).find((name) =>
+      this.workerLogger.isEnabled(name)
+    );
+    return level || "silent";
+  }
+
+  /**
+   * Point the worker at the next gateway after the media WebSocket closed.
+   * Returns false once every gateway failed in a row.
+   */
+  _failoverGateway(reason) {
+    const url = this.mediaUrls[this.gatewayIndex];
+    this.failedGateways++;
+
+    if (this.failedGateways >= this.mediaUrls.length) {
+      this.failedGateways = 0;
+      return false;
+    }
+
+    this.emit("gatewayFailed", { subscriber: this, url, reason });
+
+    this.gatewayIndex = (this.gatewayIndex + 1) % this.mediaUrls.length;
+    const mediaUrl = this.mediaUrls[this.gatewayIndex];
+    this.logger.info("Switching media gateway to", mediaUrl);
+
+    this.worker.postMessage({ type: "reset", data: { mediaUrl } });
+    return true;
+  }
+
   /**
    * Handle video data from worker
    */
@@ -402,13 +548,66 @@ class Subscriber extends EventEmitter {
       } catch (error) {
         this.emit("error", {
           subscriber: this,
-          error: new Error(`Video write error: ${error.message}`),
+          error: new ErmisError(`Video write error: ${error.message}`),
           action: "videoWrite",
         });
       }
     }
   }
 
+  /**
+   * Write a decoded screen frame, creating the screen stream on the first one
+   */
+  async _handleScreenData(frame) {
+    if (!this.screenStream) {
+      this.screenGenerator = new MediaStreamTrackGenerator({ kind: "video" });
+      this.screenWriter = this.screenGenerator.writable.getWriter();
+      this.screenStream = new MediaStream([this.screenGenerator]);
+      this.emit("screenShareStarted", {
+        stream: this.screenStream,
+        streamId: this.streamId,
+        subscriberId: this.subscriberId,
+        roomId: this.roomId,
+      });
+    }
+
+    try {
+      await this.screenWriter.write(frame);
+    } catch (error) {
+      frame.close();
+      // A write still pending when the share stops fails on release
+      if (!this.screenStream) return;
+      this.emit("error", {
+        subscriber: this,
+        error: new ErmisError(`Screen write error: ${error.message}`),
+        action: "screenWrite",
+      });
+    }
+  }
+
+  /**
+   * Stop the screen track and emit screenShareStopped if one was running
+   */
+  _cleanupScreenShare() {
+    if (!this.screenStream) return;
+
+    try {
+      this.screenWriter.releaseLock();
+      this.screenGenerator.stop?.();
+    } catch (e) {
+      // Generator might already be stopped
+    }
+    this.screenWriter = null;
+    this.screenGenerator = null;
+    this.screenStream = null;
+
+    this.emit("screenShareStopped", {
+      streamId: this.streamId,
+      subscriberId: this.subscriberId,
+      roomId: this.roomId,
+    });
+  }
+
   /**
    * Update connection status
    */
@@ -2,16 +2,25 @@ let recorderScriptLoaded = false;
 let recorderScriptLoading = false;
 let recorderScriptLoadPromise = null;
 let configNumberOfChannels = 1; // Default to stereo
+let logger = null; // Silent until setLogger() is called
 
-console.log(
-  "[Opus Decoder] Initializing OpusAudioDecoder module, version 1.0.0"
-);
+/**
+ * Route this module's log output, e.g. to the SDK logger or, inside a
+ * worker, to a function that posts messages to the main thread
+ * @param {Object|null} newLogger - Object with debug/info/warn/error methods
+ */
+export function setLogger(newLogger) {
+  logger = newLogger;
+}
 
 /**
  * Ensures the Recorder.js script is loaded
+ * @param {string} [scriptUrl] - Location of recorder.min.js
  * @returns {Promise} - Resolves when the Recorder.js script is loaded
  */
-export async function ensureRecorderScriptLoaded() {
+export async function ensureRecorderScriptLoaded(
+  scriptUrl = "opus_decoder/recorder.min.js"
+) {
   if (recorderScriptLoaded) {
     return Promise.resolve();
   }
@@ -30,21 +39,21 @@ export async function ensureRecorderScriptLoaded() {
     }
 
     const script = document.createElement("script");
-    script.src = `opus_decoder/recorder.min.js?t=${Date.now()}`;
+    script.src = scriptUrl;
 
     script.onload = () => {
       recorderScriptLoaded = true;
       recorderScriptLoading = false;
-      console.log("Recorder.js loaded successfully");
+      log("debug", "Recorder.js loaded successfully");
       resolve();
     };
 
     script.onerror = (err) => {
       recorderScriptLoading = false;
-      console.error("Failed to load Recorder.js:", err);
+      log("error", "Failed to load Recorder.js:", err);
       reject(
         new Error(
-          "Failed to load Recorder.js. Please ensure the file exists at /opus_decoder/recorder.min.js"
+          `Failed to load Recorder.js. Please ensure the file exists at ${scriptUrl}`
         )
       );
     };
@@ -57,9 +66,9 @@ export async function ensureRecorderScriptLoaded() {
 
 export async function initAudioRecorder(source, options = {}) {
   try {
-    await ensureRecorderScriptLoaded();
+    await ensureRecorderScriptLoaded(options.recorderScriptUrl);
   } catch (err) {
-    console.error("Error loading Recorder.js:", err);
+    log("error", "Error loading Recorder.js:", err);
     throw err;
   }
 
@@ -76,6 +85,7 @@ export async function initAudioRecorder(source, options = {}) {
     timeSlice: 100, // ms
     streamPages: true,
     maxFramesPerPage: 1,
+    encoderPath: "opus_decoder/encoderWorker.min.js",
   };
 
   const finalOptions = { ...defaultOptions, ...options };
@@ -90,7 +100,7 @@ export async function initAudioRecorder(source, options = {}) {
 
   try {
     const audioStream = new MediaStream([source]);
-    console.log("Using provided MediaStreamTrack");
+    log("debug", "Using provided MediaStreamTrack");
 
     const AudioContext = window.AudioContext || window.webkitAudioContext;
     const context = new AudioContext({
@@ -104,7 +114,7 @@ export async function initAudioRecorder(source, options = {}) {
       recordingGain: finalOptions.recordingGain,
       numberOfChannels: finalOptions.numberOfChannels,
       encoderSampleRate: finalOptions.encoderSampleRate,
-      encoderPath: `opus_decoder/encoderWorker.min.js?t=${Date.now()}`,
+      encoderPath: finalOptions.encoderPath,
       sourceNode: sourceNode,
       streamPages: finalOptions.streamPages,
       encoderFrameSize: finalOptions.encoderFrameSize,
@@ -113,28 +123,59 @@ export async function initAudioRecorder(source, options = {}) {
       encoderComplexity: finalOptions.encoderComplexity,
       maxFramesPerPage: finalOptions.maxFramesPerPage,
     };
-    console.log("Recorder options:", recorderOptions);
+    log("debug", "Recorder options:", recorderOptions);
 
     const recorder = new Recorder(recorderOptions);
 
-    recorder.onstart = () => console.log("Recorder started");
-    recorder.onstop = () => console.log("Recorder stopped");
-    recorder.onpause = () => console.log("Recorder paused");
-    recorder.onresume = () => console.log("Recorder resumed");
+    recorder.onstart = () => log("debug", "Recorder started");
+    recorder.onstop = () => log("debug", "Recorder stopped");
+    recorder.onpause = () => log("debug", "Recorder paused");
+    recorder.onresume = () => log("debug", "Recorder resumed");
 
     return recorder;
   } catch (err) {
-    console.error("Error initializing recorder:", err);
+    log("error", "Error initializing recorder:", err);
     throw err;
   }
 }
 
-function log(message, ...args) {
-  if (args.length === 0) {
-    console.log(`[Opus Decoder] ${message}`);
-  } else {
-    console.log(`[Opus Decoder] ${message}`, ...args);
-  }
+/**
+ * Feed a running recorder from another microphone track. The encoder keeps
+ * going, so the Ogg/Opus stream continues without a new header.
+ * @param {Recorder} recorder - Recorder returned by initAudioRecorder()
+ * @param {MediaStreamTrack} track - New audio track
+ */
+export function replaceRecorderTrack(recorder, track) {
+  const previous = recorder.sourceNode;
+  const context = previous?.context || recorder.audioContext;
+  const sourceNode = context.createMediaStreamSource(new MediaStream([track]));
+
+  previous?.disconnect();
+  sourceNode.connect(recorder.monitorGainNode);
+  sourceNode.connect(recorder.recordingGainNode);
+  recorder.sourceNode = sourceNode;
+  recorder.config.sourceNode = sourceNode;
+  log("debug", "Recorder source replaced");
+}
+
+/**
+ * Mix another audio track into what a running recorder encodes, next to
+ * its current source. Not monitored locally.
+ * @param {Recorder} recorder - Recorder returned by initAudioRecorder()
+ * @param {MediaStreamTrack} track - Audio track to add
+ * @returns {MediaStreamAudioSourceNode} Node to disconnect() to remove it
+ */
+export function addRecorderTrack(recorder, track) {
+  const context = recorder.sourceNode?.context || recorder.audioContext;
+  const sourceNode = context.createMediaStreamSource(new MediaStream([track]));
+
+  sourceNode.connect(recorder.recordingGainNode);
+  log("debug", "Recorder source added");
+  return sourceNode;
+}
+
+function log(level, message, ...args) {
+  logger?.[level]?.(message, ...args);
 }
 
 class OpusAudioDecoder {
@@ -142,10 +183,13 @@ class OpusAudioDecoder {
    * @param {Object} init - Initialization options
    * @param {Function} init.output - Callback function to receive decoded audio data
    * @param {Function} init.error - Error callback function (optional)
+   * @param {string} init.workerUrl - Location of decoderWorker.min.js (optional)
    */
   constructor(init) {
     this.output = init.output;
-    this.error = init.error || console.error;
+    this.error =
+      init.error || ((error) => log("error", "Opus decoder error:", error));
+    this.workerUrl = init.workerUrl || "../opus_decoder/decoderWorker.min.js";
     this.state = "unconfigured";
     this.frameCounter = 0;
     this.decoderWorker = null;
@@ -183,8 +227,7 @@ class OpusAudioDecoder {
       }
 
       // Initialize decoder worker
-      const workerUrl = `../opus_decoder/decoderWorker.min.js?t=${Date.now()}`;
-      this.decoderWorker = new Worker(workerUrl);
+      this.decoderWorker = new Worker(this.workerUrl);
 
       this.decoderWorker.onmessage = (e) => {
         if (e.data === null) {
@@ -211,7 +254,7 @@ class OpusAudioDecoder {
       this.baseTimestamp = 0;
       this.isSetBaseTimestamp = false;
       this.lastDuration = 0;
-      log("Opus decoder initialized and configured");
+      log("debug", "Opus decoder initialized and configured");
       return true;
     } catch (err) {
       this.error(`Error initializing decoder: ${err.message}`);
@@ -230,7 +273,7 @@ class OpusAudioDecoder {
   decode(chunk) {
     // this.counter++;
     if (this.state !== "configured") {
-      log("Decoder not configured, cannot decode chunk");
+      log("debug", "Decoder not configured, cannot decode chunk");
       this.error("Decoder not configured");
       return;
     }
@@ -268,7 +311,7 @@ class OpusAudioDecoder {
 
       this.frameCounter++;
     } catch (err) {
-      log("Opus decoding error:", err);
+      log("error", "Opus decoding error:", err);
       this.error(`Opus decoding error: ${err.message || err}`);
     }
   }
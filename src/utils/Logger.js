@@ -0,0 +1,121 @@
+/**
+ * Numeric severity for each level; a message is written when its level is
+ * at or above the logger's level
+ */
+export const LogLevels = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100,
+};
+
+/**
+ * Default sink: prefix with the category and write to the console
+ */
+export function consoleSink({ level, category, message, args }) {
+  const method = level === "debug" ? "debug" : level;
+  console[method](`[Ermis:${category}]`, message, ...args);
+}
+
+/**
+ * Leveled, categorized logger.
+ * Children created with `child()` share level, categories and sink with
+ * their parent, so configuring the root reconfigures every component.
+ */
+class Logger {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.level="silent"] - debug | info | warn | error | silent
+   * @param {string[]|null} [options.categories=null] - Only log these categories (null = all)
+   * @param {Function} [options.sink] - Receives `{ level, category, message, args, timestamp }`
+   * @param {string} [options.category="sdk"] - Category of this logger
+   */
+  constructor(options = {}) {
+    this.category = options.category || "sdk";
+    this._shared = options._shared || {
+      level: "silent",
+      categories: null,
+      sink: consoleSink,
+    };
+
+    if (!options._shared) {
+      this.configure(options);
+    }
+  }
+
+  /**
+   * Update level, categories and/or sink for this logger and its children
+   */
+  configure({ level, categories, sink } = {}) {
+    if (level !== undefined) {
+      if (!(level in LogLevels)) {
+        throw new TypeError(`Unknown log level: ${level}`);
+      }
+      this._shared.level = level;
+    }
+    if (categories !== undefined) {
+      this._shared.categories = categories ? new Set(categories) : null;
+    }
+    if (sink !== undefined) {
+      this._shared.sink = sink || consoleSink;
+    }
+    return this;
+  }
+
+  get level() {
+    return this._shared.level;
+  }
+
+  /**
+   * Logger for a component, sharing this logger's configuration
+   */
+  child(category) {
+    return new Logger({ category, _shared: this._shared });
+  }
+
+  /**
+   * Whether a message at `level` would be written by this logger
+   */
+  isEnabled(level) {
+    const { level: threshold, categories } = this._shared;
+    return (
+      LogLevels[level] >= LogLevels[threshold] &&
+      (!categories || categories.has(this.category))
+    );
+  }
+
+  log(level, message, ...args) {
+    if (!this.isEnabled(level)) return;
+
+    try {
+      this._shared.sink({
+        level,
+        category: this.category,
+        message,
+        args,
+        timestamp: Date.now(),
+      });
+    } catch (error) {
+      // A broken sink must never break media handling
+    }
+  }
+
+  debug(message, ...args) {
+    this.log("debug", message, ...args);
+  }
+
+  info(message, ...args) {
+    this.log("info", message, ...args);
+  }
+
+  warn(message, ...args) {
+    this.log("warn", message, ...args);
+  }
+
+  error(message, ...args) {
+    this.log("error", message, ...args);
+  }
+}
+
+export default Logger;
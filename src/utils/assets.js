@@ -0,0 +1,75 @@
+/**
+ * Runtime asset locations for workers, polyfills, WASM and Opus scripts.
+ * Paths are relative to the asset base URL (the `dist/` folder layout).
+ */
+export const DEFAULT_ASSET_PATHS = {
+  mediaWorker: "workers/media-worker-ab.js",
+  audioWorklet: "workers/audio-worklet1.js",
+  mstpPolyfill: "polyfills/MSTP_polyfill.js",
+  mstgPolyfill: "polyfills/MSTG_polyfill.js",
+  intervalWorker: "polyfills/intervalWorker.js",
+  triggerWorker: "polyfills/triggerWorker.js",
+  raptorqWasm: "raptorQ/raptorq_wasm_bg.wasm",
+  opusDecoder: "opus_decoder/opusDecoder.js",
+  opusRecorder: "opus_decoder/recorder.min.js",
+  opusEncoderWorker: "opus_decoder/encoderWorker.min.js",
+  opusDecoderWorker: "opus_decoder/decoderWorker.min.js",
+};
+
+/**
+ * Resolve every runtime asset to an absolute URL
+ * @param {Object} [options]
+ * @param {string} [options.assetBaseUrl] - Folder holding the asset tree, defaults to the page location
+ * @param {Object} [options.assets] - Per-asset URL overrides, keyed like DEFAULT_ASSET_PATHS
+ * @param {boolean} [options.cacheBust=false] - Append `?t=<timestamp>` to every URL
+ * @returns {Object} - Asset name -> URL
+ */
+export function resolveAssetUrls({
+  assetBaseUrl = "",
+  assets = {},
+  cacheBust = false,
+} = {}) {
+  const base = toBaseUrl(assetBaseUrl);
+  const stamp = Date.now();
+  const urls = {};
+
+  for (const [name, path] of Object.entries(DEFAULT_ASSET_PATHS)) {
+    // Overrides resolve against the page, defaults against the base URL
+    let url = assets[name]
+      ? resolveUrl(assets[name], getPageUrl())
+      : resolveUrl(path, base);
+
+    if (cacheBust) {
+      url += `${url.includes("?") ? "&" : "?"}t=${stamp}`;
+    }
+
+    urls[name] = url;
+  }
+
+  return urls;
+}
+
+/**
+ * Normalize a base URL so relative paths resolve inside it
+ */
+function toBaseUrl(assetBaseUrl) {
+  const withSlash =
+    assetBaseUrl && !assetBaseUrl.endsWith("/")
+      ? `${assetBaseUrl}/`
+      : assetBaseUrl;
+
+  return resolveUrl(withSlash || "./", getPageUrl());
+}
+
+function getPageUrl() {
+  return typeof location !== "undefined" ? location.href : undefined;
+}
+
+function resolveUrl(path, base) {
+  try {
+    return new URL(path, base).href;
+  } catch (error) {
+    // No usable base (e.g. outside a browser): keep the path as given
+    return base && !/^[a-z]+:/i.test(path) ? `${base}${path}` : path;
+  }
+}
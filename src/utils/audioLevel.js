@@ -0,0 +1,39 @@
+/**
+ * Loudness metering shared by the mixer (remote audio) and the publisher
+ * (local microphone)
+ */
+
+// Levels are reported on a dB scale: SILENCE_DB and below is 0, 0 dBFS is 1
+const SILENCE_DB = -60;
+
+/**
+ * Analyser to connect an audio node to for metering
+ * @param {BaseAudioContext} context
+ * @returns {AnalyserNode}
+ */
+export function createLevelMeter(context) {
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 512;
+  analyser.smoothingTimeConstant = 0;
+  return analyser;
+}
+
+/**
+ * Current level of what feeds the analyser, from 0 (silence) to 1
+ * @param {AnalyserNode} analyser - Node from createLevelMeter()
+ * @returns {number}
+ */
+export function readLevel(analyser) {
+  const samples = new Float32Array(analyser.fftSize);
+  analyser.getFloatTimeDomainData(samples);
+
+  let sum = 0;
+  for (const sample of samples) {
+    sum += sample * sample;
+  }
+  const rms = Math.sqrt(sum / samples.length);
+  if (rms === 0) return 0;
+
+  const db = 20 * Math.log10(rms);
+  return Math.max(0, Math.min(1, 1 - db / SILENCE_DB));
+}
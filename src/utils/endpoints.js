@@ -0,0 +1,46 @@
+/**
+ * Default media endpoint templates.
+ * `{roomId}` and `{streamId}` are filled in per connection.
+ */
+export const DEFAULT_SUBSCRIBE_TEMPLATE =
+  "wss://sfu-adaptive-bitrate.ermis-network.workers.dev/meeting/{roomId}/{streamId}";
+
+/**
+ * Normalize an endpoint setting to a list of gateway templates
+ * @param {string|string[]|null|undefined} value
+ * @returns {string[]}
+ */
+export function toGatewayList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : [value]).filter(Boolean);
+}
+
+/**
+ * Fill `{roomId}` / `{streamId}` placeholders in an endpoint template
+ * @param {string} template - e.g. "wss://sfu.example.com/meeting/{roomId}/{streamId}"
+ * @param {Object} params - Placeholder values
+ * @returns {string}
+ */
+export function formatEndpoint(template, params = {}) {
+  return template.replace(/\{(\w+)\}/g, (match, key) =>
+    params[key] !== undefined ? encodeURIComponent(params[key]) : match
+  );
+}
+
+/**
+ * Build the media endpoint set from client config
+ * @param {Object} config - ErmisClient config
+ * @returns {{ publish: string[], subscribe: string[] }}
+ */
+export function resolveMediaEndpoints(config) {
+  const endpoints = config.endpoints || {};
+  const publish = toGatewayList(endpoints.publish);
+  const subscribe = toGatewayList(endpoints.subscribe);
+
+  return {
+    publish: publish.length
+      ? publish
+      : [`${config.webtpUrl}/{roomId}/{streamId}`],
+    subscribe: subscribe.length ? subscribe : [DEFAULT_SUBSCRIBE_TEMPLATE],
+  };
+}
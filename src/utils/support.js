@@ -0,0 +1,184 @@
+import {
+  DEFAULT_SUB_STREAMS,
+  DEFAULT_VIDEO_CODEC,
+} from "../media/Publisher.js";
+
+/**
+ * Browser APIs the SDK relies on.
+ * `polyfill` names the bundled polyfill that can stand in for the API and
+ * `canPolyfill` tells whether that polyfill's own prerequisites are present.
+ */
+const REQUIRED_APIS = [
+  {
+    name: "WebTransport",
+    usedBy: "publish",
+    isSupported: () => typeof WebTransport !== "undefined",
+  },
+  {
+    name: "getUserMedia",
+    usedBy: "publish",
+    isSupported: () =>
+      typeof navigator !== "undefined" &&
+      typeof navigator.mediaDevices?.getUserMedia === "function",
+  },
+  {
+    name: "VideoEncoder",
+    usedBy: "publish",
+    isSupported: () => typeof VideoEncoder !== "undefined",
+  },
+  {
+    name: "MediaStreamTrackProcessor",
+    usedBy: "publish",
+    isSupported: () => typeof MediaStreamTrackProcessor !== "undefined",
+    polyfill: "MSTP",
+    canPolyfill: () =>
+      typeof OffscreenCanvas !== "undefined" &&
+      typeof VideoFrame !== "undefined",
+  },
+  {
+    name: "WebSocket",
+    usedBy: "subscribe",
+    isSupported: () => typeof WebSocket !== "undefined",
+  },
+  {
+    name: "VideoDecoder",
+    usedBy: "subscribe",
+    isSupported: () => typeof VideoDecoder !== "undefined",
+  },
+  {
+    name: "MediaStreamTrackGenerator",
+    usedBy: "subscribe",
+    isSupported: () => typeof MediaStreamTrackGenerator !== "undefined",
+    polyfill: "MSTG",
+    canPolyfill: () =>
+      typeof HTMLCanvasElement !== "undefined" &&
+      typeof HTMLCanvasElement.prototype.captureStream === "function",
+  },
+  {
+    name: "AudioWorklet",
+    usedBy: "subscribe",
+    isSupported: () => typeof AudioWorkletNode !== "undefined",
+  },
+  {
+    name: "AudioData",
+    usedBy: "subscribe",
+    isSupported: () => typeof AudioData !== "undefined",
+    polyfill: "AudioData",
+    canPolyfill: () => true,
+  },
+  {
+    name: "EncodedAudioChunk",
+    usedBy: "subscribe",
+    isSupported: () => typeof EncodedAudioChunk !== "undefined",
+    polyfill: "EncodedAudioChunk",
+    canPolyfill: () => true,
+  },
+  {
+    name: "Worker",
+    usedBy: "both",
+    isSupported: () => typeof Worker !== "undefined",
+  },
+  {
+    name: "WebAssembly",
+    usedBy: "both",
+    isSupported: () => typeof WebAssembly !== "undefined",
+  },
+];
+
+/**
+ * Check which browser APIs and codecs the SDK can use here
+ * @param {Object} [options]
+ * @param {string[]} [options.codecs] - Video codec strings to probe, defaults to the publisher codec
+ * @param {Object[]} [options.layers] - Video layers to probe, defaults to the publisher layers
+ * @returns {Promise<Object>} - `{ verdict, apis, codecs }`
+ */
+export async function checkSupport(options = {}) {
+  const codecList = options.codecs || [DEFAULT_VIDEO_CODEC];
+  const layers =
+    options.layers || DEFAULT_SUB_STREAMS.filter((layer) => layer.width);
+
+  const apis = REQUIRED_APIS.map((api) => {
+    const native = safeCheck(api.isSupported);
+    const coveredByPolyfill =
+      !native && Boolean(api.polyfill) && safeCheck(api.canPolyfill);
+
+    return {
+      name: api.name,
+      usedBy: api.usedBy,
+      native,
+      polyfill: api.polyfill || null,
+      coveredByPolyfill,
+      available: native || coveredByPolyfill,
+    };
+  });
+
+  const codecs = [];
+  for (const codec of codecList) {
+    for (const layer of layers) {
+      codecs.push({
+        codec,
+        layer: layer.name,
+        width: layer.width,
+        height: layer.height,
+        bitrate: layer.bitrate,
+        framerate: layer.framerate,
+        supported: await isEncoderConfigSupported({
+          codec,
+          width: layer.width,
+          height: layer.height,
+          bitrate: layer.bitrate,
+          framerate: layer.framerate,
+          latencyMode: "realtime",
+        }),
+      });
+    }
+  }
+
+  return { verdict: getVerdict(apis, codecs), apis, codecs };
+}
+
+/**
+ * "unsupported" when an API is missing outright or no layer can be encoded,
+ * "degraded" when a polyfill fills in or some layers can't be encoded
+ */
+function getVerdict(apis, codecs) {
+  const layers = new Set(codecs.map((result) => result.layer));
+  const encodable = new Set(
+    codecs.filter((result) => result.supported).map((result) => result.layer)
+  );
+
+  if (apis.some((api) => !api.available) || encodable.size === 0) {
+    return "unsupported";
+  }
+
+  if (
+    apis.some((api) => api.coveredByPolyfill) ||
+    encodable.size < layers.size
+  ) {
+    return "degraded";
+  }
+
+  return "full";
+}
+
+async function isEncoderConfigSupported(config) {
+  if (typeof VideoEncoder === "undefined") {
+    return false;
+  }
+
+  try {
+    const { supported } = await VideoEncoder.isConfigSupported(config);
+    return Boolean(supported);
+  } catch (error) {
+    // Malformed codec strings reject instead of reporting unsupported
+    return false;
+  }
+}
+
+function safeCheck(check) {
+  try {
+    return Boolean(check());
+  } catch (error) {
+    return false;
+  }
+}
@@ -38,7 +38,7 @@ class JitterResistantProcessor extends AudioWorkletProcessor {
               this.numberOfChannels = workerChannels;
               this.fadeInLength = Math.round(workerSampleRate / 100);
               this.resizeBuffers(workerChannels);
-              console.log(
+              this.log(
                 `Processor configured from worker: ${workerSampleRate}Hz, ${workerChannels} channels.`
               );
             }
@@ -46,7 +46,7 @@ class JitterResistantProcessor extends AudioWorkletProcessor {
             this.addAudioData(receivedChannelDataBuffers);
           }
         };
-        console.log("Worker port connected to AudioWorklet");
+        this.log("Worker port connected to AudioWorklet");
       } else if (type === "reset") {
         this.reset();
       } else if (type === "setBufferSize") {
@@ -130,7 +130,14 @@ class JitterResistantProcessor extends AudioWorkletProcessor {
     this.isPlaying = false;
     this.fadeInSamples = 0;
     this.adaptiveBufferSize = this.bufferSize;
-    console.log("Audio processor reset.");
+    this.log("Audio processor reset.");
+  }
+
+  /**
+   * Worklets have no console in some browsers; hand logs to the main thread
+   */
+  log(message) {
+    this.port.postMessage({ type: "log", level: "debug", message });
   }
 
   /**
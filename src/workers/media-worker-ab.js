@@ -1,8 +1,42 @@
 // import { AacAudioDecoder } from "../aac_decoder/aacDecoder.js";
-import { OpusAudioDecoder } from "../opus_decoder/opusDecoder.js";
+import { OpusAudioDecoder, setLogger } from "../opus_decoder/opusDecoder.js";
 import "../polyfills/audioData.js";
 import "../polyfills/encodedAudioChunk.js";
 
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+let logLevel = "silent";
+
+/**
+ * Forward a log line to the subscriber's logger. Filtered here so silent
+ * builds don't pay a postMessage per frame; arguments are stringified so
+ * they survive structured cloning.
+ */
+function log(level, ...args) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[logLevel]) return;
+  self.postMessage({
+    type: "log",
+    level,
+    message: args.map(formatLogArg).join(" "),
+  });
+}
+
+function formatLogArg(arg) {
+  if (arg instanceof Error) return arg.message;
+  if (typeof arg !== "object" || arg === null) return String(arg);
+  try {
+    return JSON.stringify(arg);
+  } catch (e) {
+    return String(arg);
+  }
+}
+
+setLogger({
+  debug: (...args) => log("debug", ...args),
+  info: (...args) => log("info", ...args),
+  warn: (...args) => log("warn", ...args),
+  error: (...args) => log("error", ...args),
+});
+
 let videoDecoder360p;
 let videoDecoder720p;
 let currentVideoDecoder; // Decoder hiện đang active
@@ -24,12 +58,22 @@ let workletPort = null;
 
 let audioEnabled = true;
 
+// Tracks the app subscribed to; the gateway is asked to skip the others and
+// whatever still arrives is dropped before decoding
+let videoSubscribed = true;
+let audioSubscribed = true;
+
 let mediaUrl = null;
 
 let videoCodecReceived = false;
 let audioCodecReceived = false;
 let keyFrameReceived = false;
 
+// Screen share (1080p, frame types 4 and 5), decoded apart from the camera
+let screenDecoder = null;
+let screenConfig = null;
+let screenKeyFrameReceived = false;
+
 const createVideoInit = (quality) => ({
   output: (frame) => {
     self.postMessage(
@@ -42,7 +86,7 @@ const createVideoInit = (quality) => ({
     );
   },
   error: (e) => {
-    console.error(`Video decoder error (${quality}):`, e);
+    log("error", `Video decoder error (${quality}):`, e);
     self.postMessage({
       type: "error",
       message: `${quality} decoder: ${e.message}`,
@@ -50,9 +94,45 @@ const createVideoInit = (quality) => ({
   },
 });
 
+const screenInit = {
+  output: (frame) => {
+    self.postMessage({ type: "screenData", frame }, [frame]);
+  },
+  error: (e) => {
+    log("error", "Screen decoder error:", e);
+    self.postMessage({
+      type: "error",
+      message: `screen decoder: ${e.message}`,
+    });
+  },
+};
+
+function configureScreenDecoder(config) {
+  screenConfig = {
+    ...config,
+    description: base64ToUint8Array(config.description),
+  };
+  if (!screenDecoder || screenDecoder.state === "closed") {
+    screenDecoder = new VideoDecoder(screenInit);
+  }
+  screenDecoder.configure(screenConfig);
+  screenKeyFrameReceived = false;
+  log("debug", "Screen decoder configured:", config.codec);
+}
+
+// Drop screen state until the next ScreenShareConfig
+function resetScreenDecoder() {
+  if (screenDecoder && screenDecoder.state !== "closed") {
+    screenDecoder.reset();
+  }
+  screenConfig = null;
+  screenKeyFrameReceived = false;
+}
+
 function logStats() {
   setInterval(() => {
-    console.log(
+    log(
+      "debug",
       "Buffer stats:",
       videoFrameBuffer.length,
       audioFrameBuffer.length
@@ -206,19 +286,28 @@ self.onmessage = async function (e) {
   const { type, data, port, quality } = e.data;
   switch (type) {
     case "init":
+      logLevel = data.logLevel || "silent";
       mediaUrl = data.mediaUrl;
-      console.log("Media Worker: Initializing with stream url:", mediaUrl);
+      audioInit.workerUrl = data.decoderWorkerUrl;
+      videoSubscribed = data.video !== false;
+      audioSubscribed = data.audio !== false;
+      log("debug", "Media Worker: Initializing with stream url:", mediaUrl);
       await initializeDecoders();
-      setupWebSocket(quality);
+      currentQuality = quality || currentQuality;
+      setupWebSocket(currentQuality);
       if (port && port instanceof MessagePort) {
-        console.log("Media Worker: Received port to connect to Audio Worklet.");
+        log(
+          "debug",
+          "Media Worker: Received port to connect to Audio Worklet."
+        );
         workletPort = port;
       }
       break;
 
     case "toggleAudio":
       audioEnabled = !audioEnabled;
-      console.log(
+      log(
+        "debug",
         "Media Worker: Toggling audio. Now audioEnabled =",
         audioEnabled
       );
@@ -229,12 +318,23 @@ self.onmessage = async function (e) {
       handleBitrateSwitch(quality);
       break;
 
+    case "setTracks":
+      handleSetTracks(data);
+      break;
+
+    case "stopScreenShare":
+      resetScreenDecoder();
+      break;
+
     case "reset":
-      console.log("Media Worker: Resetting decoders and buffers.");
+      if (data?.mediaUrl) {
+        mediaUrl = data.mediaUrl;
+      }
+      log("debug", "Media Worker: Resetting decoders and buffers.");
       resetWebsocket();
       break;
     case "stop":
-      console.log("Media Worker: Stopping all operations.");
+      log("debug", "Media Worker: Stopping all operations.");
       stop();
       break;
   }
@@ -268,7 +368,7 @@ async function initializeDecoders() {
       event: "opus-decoder-init-fail",
       message: "Failed to initialize OpusAudioDecoder: " + error.message,
     });
-    console.error("Failed to initialize OpusAudioDecoder:", error);
+    log("error", "Failed to initialize OpusAudioDecoder:", error);
   }
 }
 
@@ -277,6 +377,9 @@ function setupWebSocket(initialQuality = "360p") {
   mediaWebsocket.binaryType = "arraybuffer";
   mediaWebsocket.onopen = () => {
     mediaWebsocket.send(JSON.stringify({ quality: initialQuality }));
+    if (!videoSubscribed || !audioSubscribed) {
+      sendTracks();
+    }
     self.postMessage({
       type: "log",
       level: "info",
@@ -294,7 +397,7 @@ function handleBitrateSwitch(quality) {
     const message = {
       quality,
     };
-    console.log(`Switching bitrate to ${quality}, message:`, message);
+    log("debug", `Switching bitrate to ${quality}, message:`, message);
     mediaWebsocket.send(JSON.stringify(message));
 
     // Chuyển decoder
@@ -321,15 +424,36 @@ function handleBitrateSwitch(quality) {
       quality: quality,
     });
   } else {
-    console.error("WebSocket not ready for bitrate switch");
+    log("error", "WebSocket not ready for bitrate switch");
+  }
+}
+
+function handleSetTracks({ video, audio }) {
+  // Wait for a key frame before decoding video again
+  if (video && !videoSubscribed) {
+    keyFrameReceived = false;
+  }
+  videoSubscribed = video;
+  audioSubscribed = audio;
+  log("debug", `Subscribed tracks: video=${video}, audio=${audio}`);
+
+  if (mediaWebsocket && mediaWebsocket.readyState === WebSocket.OPEN) {
+    sendTracks();
   }
 }
 
+function sendTracks() {
+  mediaWebsocket.send(
+    JSON.stringify({ video: videoSubscribed, audio: audioSubscribed })
+  );
+}
+
 function handleMediaWsMessage(event) {
   if (typeof event.data === "string") {
     const dataJson = JSON.parse(event.data);
     if (dataJson.type === "TotalViewerCount") {
-      console.log(
+      log(
+        "debug",
         "[Media worker]: TotalViewerCount received from websocket:",
         dataJson.total_viewers
       );
@@ -340,6 +464,13 @@ function handleMediaWsMessage(event) {
       return;
     }
 
+    // Sent when the publisher starts sharing, and in DecoderConfigs for
+    // viewers who join while a share is running
+    if (dataJson.type === "ScreenShareConfig") {
+      configureScreenDecoder(dataJson.config);
+      return;
+    }
+
     if (
       dataJson.type === "DecoderConfigs" &&
       (!videoCodecReceived || !audioCodecReceived)
@@ -380,9 +511,13 @@ function handleMediaWsMessage(event) {
           data,
         });
         audioDecoder.decode(chunk);
-        console.log("Decoded first audio frame to initialize decoder.");
+        log("debug", "Decoded first audio frame to initialize decoder.");
       } catch (error) {
-        console.log("Error decoding first audio frame:", error);
+        log("warn", "Error decoding first audio frame:", error);
+      }
+
+      if (dataJson.screenConfig) {
+        configureScreenDecoder(dataJson.screenConfig);
       }
 
       videoCodecReceived = true;
@@ -402,6 +537,7 @@ function handleMediaWsMessage(event) {
       videoDecoder360p.reset();
       videoDecoder720p.reset();
       audioDecoder.reset();
+      resetScreenDecoder();
       videoCodecReceived = false;
       audioCodecReceived = false;
       keyFrameReceived = false;
@@ -432,7 +568,7 @@ function handleMediaWsMessage(event) {
 
     if (frameType === 6) {
       // Audio frame
-      if (!audioEnabled) return;
+      if (!audioEnabled || !audioSubscribed) return;
 
       if (audioDecoder.state === "closed") {
         audioDecoder = new OpusAudioDecoder(audioInit);
@@ -445,6 +581,9 @@ function handleMediaWsMessage(event) {
       });
       audioDecoder.decode(chunk);
       return;
+    } else if (frameType <= 3 && !videoSubscribed) {
+      // Camera video not subscribed
+      return;
     } else if (frameType === 0 || frameType === 1) {
       // Video 360p
       const type = frameType === 0 ? "key" : "delta";
@@ -493,16 +632,40 @@ function handleMediaWsMessage(event) {
         // }
       }
       return;
+    } else if (frameType === 4 || frameType === 5) {
+      // Screen share 1080p
+      if (!screenConfig) return;
+
+      const type = frameType === 4 ? "key" : "delta";
+
+      if (type === "key") {
+        screenKeyFrameReceived = true;
+      }
+
+      if (screenKeyFrameReceived) {
+        if (screenDecoder.state === "closed") {
+          screenDecoder = new VideoDecoder(screenInit);
+          screenDecoder.configure(screenConfig);
+        }
+        screenDecoder.decode(
+          new EncodedVideoChunk({
+            timestamp: timestamp * 1000,
+            type,
+            data,
+          })
+        );
+      }
+      return;
     } else if (frameType === 7) {
       // Config data
-      console.warn("[Media worker]: Received config data (unexpected):", data);
+      log("warn", "[Media worker]: Received config data (unexpected):", data);
       return;
     }
   }
 }
 
 function handleMediaWsClose() {
-  console.warn("Media WebSocket closed");
+  log("warn", "Media WebSocket closed");
   self.postMessage({
     type: "connectionClosed",
     stream: "media",
@@ -513,6 +676,8 @@ function handleMediaWsClose() {
 function resetWebsocket() {
   // Đóng websocket cũ nếu còn mở
   if (mediaWebsocket && mediaWebsocket.readyState !== WebSocket.CLOSED) {
+    // Deliberate close: don't report it as a lost connection
+    mediaWebsocket.onclose = null;
     try {
       mediaWebsocket.close();
     } catch (e) {}
@@ -529,6 +694,7 @@ function resetWebsocket() {
   if (audioDecoder) {
     audioDecoder.reset();
   }
+  resetScreenDecoder();
 
   videoCodecReceived = false;
   audioCodecReceived = false;
@@ -538,7 +704,7 @@ function resetWebsocket() {
   clearInterval(videoIntervalID);
   clearInterval(audioIntervalID);
 
-  setupWebSocket();
+  setupWebSocket(currentQuality);
 
   self.postMessage({
     type: "log",
@@ -579,6 +745,13 @@ function stop() {
     } catch (e) {}
     audioDecoder = null;
   }
+  if (screenDecoder) {
+    try {
+      screenDecoder.close();
+    } catch (e) {}
+    screenDecoder = null;
+  }
+  screenConfig = null;
 
   videoFrameBuffer = [];
   audioFrameBuffer = [];
@@ -1,8 +1,42 @@
 // import { AacAudioDecoder } from "../aac_decoder/aacDecoder.js";
-import { OpusAudioDecoder } from "../opus_decoder/opusDecoder.js";
+import { OpusAudioDecoder, setLogger } from "../opus_decoder/opusDecoder.js";
 import "../polyfills/audioData.js";
 import "../polyfills/encodedAudioChunk.js";
 
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+let logLevel = "silent";
+
+/**
+ * Forward a log line to the subscriber's logger. Filtered here so silent
+ * builds don't pay a postMessage per frame; arguments are stringified so
+ * they survive structured cloning.
+ */
+function log(level, ...args) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[logLevel]) return;
+  self.postMessage({
+    type: "log",
+    level,
+    message: args.map(formatLogArg).join(" "),
+  });
+}
+
+function formatLogArg(arg) {
+  if (arg instanceof Error) return arg.message;
+  if (typeof arg !== "object" || arg === null) return String(arg);
+  try {
+    return JSON.stringify(arg);
+  } catch (e) {
+    return String(arg);
+  }
+}
+
+setLogger({
+  debug: (...args) => log("debug", ...args),
+  info: (...args) => log("info", ...args),
+  warn: (...args) => log("warn", ...args),
+  error: (...args) => log("error", ...args),
+});
+
 // import { OpusAudioDecoder } from "../opus_decoder/opusDecoder";
 
 // importScripts("../opus_decoder/opusDecoder.js?v=1");
@@ -43,14 +77,15 @@ const videoInit = {
     );
   },
   error: (e) => {
-    console.error("Video decoder error:", e);
+    log("error", "Video decoder error:", e);
     self.postMessage({ type: "error", message: e.message });
   },
 };
 
 function logStats() {
   setInterval(() => {
-    console.log(
+    log(
+      "debug",
       "Buffer stats:",
       videoFrameBuffer.length,
       audioFrameBuffer.length
@@ -204,19 +239,25 @@ self.onmessage = async function (e) {
   const { type, data, port } = e.data;
   switch (type) {
     case "init":
+      logLevel = data.logLevel || "silent";
       mediaUrl = data.mediaUrl;
-      console.log("Media Worker: Initializing with stream url:", mediaUrl);
+      audioInit.workerUrl = data.decoderWorkerUrl;
+      log("debug", "Media Worker: Initializing with stream url:", mediaUrl);
       await initializeDecoders();
       setupWebSocket();
       if (port && port instanceof MessagePort) {
-        console.log("Media Worker: Received port to connect to Audio Worklet.");
+        log(
+          "debug",
+          "Media Worker: Received port to connect to Audio Worklet."
+        );
         workletPort = port;
       }
       break;
 
     case "toggle-audio":
       audioEnabled = !audioEnabled;
-      console.log(
+      log(
+        "debug",
         "Media Worker: Toggling audio. Now audioEnabled =",
         audioEnabled
       );
@@ -224,11 +265,14 @@ self.onmessage = async function (e) {
       break;
 
     case "reset":
-      console.log("Media Worker: Resetting decoders and buffers.");
+      if (data?.mediaUrl) {
+        mediaUrl = data.mediaUrl;
+      }
+      log("debug", "Media Worker: Resetting decoders and buffers.");
       resetWebsocket();
       break;
     case "stop":
-      console.log("Media Worker: Stopping all operations.");
+      log("debug", "Media Worker: Stopping all operations.");
       stop();
       break;
   }
@@ -257,7 +301,7 @@ async function initializeDecoders() {
       event: "opus-decoder-init-fail",
       message: "Failed to initialize OpusAudioDecoder: " + error.message,
     });
-    console.error("Failed to initialize OpusAudioDecoder:", error);
+    log("error", "Failed to initialize OpusAudioDecoder:", error);
   }
 }
 
@@ -280,7 +324,8 @@ function handleMediaWsMessage(event) {
   if (typeof event.data === "string") {
     const dataJson = JSON.parse(event.data);
     if (dataJson.type === "TotalViewerCount") {
-      console.log(
+      log(
+        "debug",
         "[Media worker]: TotalViewerCount received from websocket:",
         dataJson.total_viewers
       );
@@ -320,9 +365,9 @@ function handleMediaWsMessage(event) {
           data,
         });
         audioDecoder.decode(chunk);
-        console.log("Decoded first audio frame to initialize decoder.");
+        log("debug", "Decoded first audio frame to initialize decoder.");
       } catch (error) {
-        console.log("Error decoding first audio frame:", error);
+        log("warn", "Error decoding first audio frame:", error);
       }
       videoCodecReceived = true;
       audioCodecReceived = true;
@@ -396,7 +441,7 @@ function handleMediaWsMessage(event) {
       }
     } else if (type === "config") {
       // Config data
-      console.warn("[Media worker]: Received config data (unexpected):", data);
+      log("warn", "[Media worker]: Received config data (unexpected):", data);
       return;
     }
     // Unknown type
@@ -404,7 +449,7 @@ function handleMediaWsMessage(event) {
 }
 
 function handleMediaWsClose() {
-  console.warn("Media WebSocket closed");
+  log("warn", "Media WebSocket closed");
   self.postMessage({
     type: "connectionClosed",
     stream: "media",
@@ -415,6 +460,8 @@ function handleMediaWsClose() {
 function resetWebsocket() {
   // Đóng websocket cũ nếu còn mở
   if (mediaWebsocket && mediaWebsocket.readyState !== WebSocket.CLOSED) {
+    // Deliberate close: don't report it as a lost connection
+    mediaWebsocket.onclose = null;
     try {
       mediaWebsocket.close();
     } catch (e) {}
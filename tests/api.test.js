@@ -0,0 +1,162 @@
+/**
+ * ApiClient request policy tests: retries, timeouts, cancellation, interceptors
+ */
+
+import ErmisClassroom, { ApiError, ErrorCodes } from '../src/index.js';
+import { jsonResponse } from './helpers.js';
+
+// Never settles on its own; rejects like fetch once the signal aborts
+const hangingFetch = (url, { signal }) =>
+  new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new Error('aborted')));
+  });
+
+const createClient = async (config = {}) => {
+  const client = ErmisClassroom.create({
+    host: 'test.com',
+    tokenProvider: jest.fn().mockResolvedValue('token'),
+    requestRetryDelay: 1,
+    ...config,
+  });
+  await client.authenticate('student-1');
+  return client;
+};
+
+describe('ApiClient retries', () => {
+  test('should retry idempotent requests on 5xx', async () => {
+    const fetch = jest
+      .fn()
+      .mockResolvedValueOnce(jsonResponse(503))
+      .mockResolvedValueOnce(jsonResponse(200, { room: { id: 'room-1' } }));
+    const client = await createClient({ fetch });
+
+    const result = await client.apiClient.getRoomById('room-1');
+
+    expect(result.room.id).toBe('room-1');
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('should give up after the configured retries', async () => {
+    const fetch = jest.fn().mockRejectedValue(new TypeError('offline'));
+    const client = await createClient({ fetch, requestRetries: 3 });
+
+    const error = await client.apiClient.getRoomById('room-1').catch((e) => e);
+
+    expect(error.code).toBe(ErrorCodes.NETWORK_ERROR);
+    expect(fetch).toHaveBeenCalledTimes(4);
+  });
+
+  test('should not replay POST requests', async () => {
+    const fetch = jest.fn().mockResolvedValue(jsonResponse(500));
+    const client = await createClient({ fetch });
+
+    await expect(client.apiClient.joinRoom('ABC123')).rejects.toBeInstanceOf(
+      ApiError
+    );
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not retry client errors', async () => {
+    const fetch = jest.fn().mockResolvedValue(jsonResponse(404));
+    const client = await createClient({ fetch });
+
+    await expect(client.apiClient.getRoomById('room-1')).rejects.toMatchObject({
+      code: ErrorCodes.ROOM_NOT_FOUND,
+    });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('ApiClient timeouts and cancellation', () => {
+  test('should time out a request', async () => {
+    const client = await createClient({
+      fetch: jest.fn(hangingFetch),
+      requestTimeout: 10,
+      requestRetries: 0,
+    });
+
+    const error = await client.apiClient.getRoomById('room-1').catch((e) => e);
+
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.code).toBe(ErrorCodes.TIMEOUT);
+    expect(error.retryable).toBe(true);
+  });
+
+  test('should abort through a caller signal without retrying', async () => {
+    const fetch = jest.fn(hangingFetch);
+    const client = await createClient({ fetch });
+    const controller = new AbortController();
+
+    const pending = client.apiClient.apiCall('/rooms/room-1', 'GET', null, {
+      signal: controller.signal,
+    });
+    controller.abort();
+
+    await expect(pending).rejects.toMatchObject({
+      code: ErrorCodes.ABORTED,
+      retryable: false,
+    });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('should cancel a join when leaving mid-join', async () => {
+    const fetch = jest.fn(hangingFetch);
+    const client = await createClient({ fetch });
+    const cancelled = jest.fn();
+    const errored = jest.fn();
+    client.on('joinCancelled', cancelled);
+    client.on('error', errored);
+
+    const joining = client.joinRoom('ABC123');
+    await Promise.resolve();
+    await client.leaveRoom();
+
+    await expect(joining).rejects.toMatchObject({
+      code: ErrorCodes.ABORTED,
+    });
+    expect(cancelled).toHaveBeenCalledWith({ roomCode: 'ABC123' });
+    expect(errored).not.toHaveBeenCalled();
+    expect(client.getCurrentRoom()).toBeNull();
+  });
+});
+
+describe('ApiClient interceptors', () => {
+  test('should run request and response interceptors on each call', async () => {
+    const fetch = jest.fn().mockResolvedValue(jsonResponse(200, { ok: 1 }));
+    const onResponse = jest.fn();
+    const client = await createClient({
+      fetch,
+      interceptors: {
+        request: [
+          (request) => {
+            request.headers['X-Tenant-Id'] = 'acme';
+          },
+        ],
+        response: [onResponse],
+      },
+    });
+
+    await client.apiClient.getRoomById('room-1');
+
+    const [url, options] = fetch.mock.calls[0];
+    expect(url).toBe('https://test.com/meeting/rooms/room-1');
+    expect(options.headers['X-Tenant-Id']).toBe('acme');
+    expect(options.headers.Authorization).toBe('Bearer token');
+    expect(onResponse).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 200 }),
+      expect.objectContaining({ endpoint: '/rooms/room-1', method: 'GET' })
+    );
+  });
+
+  test('should remove an interceptor', async () => {
+    const fetch = jest.fn().mockResolvedValue(jsonResponse(200));
+    const client = await createClient({ fetch });
+    const interceptor = jest.fn();
+
+    const remove = client.apiClient.addRequestInterceptor(interceptor);
+    remove();
+    await client.apiClient.getRoomById('room-1');
+
+    expect(interceptor).not.toHaveBeenCalled();
+  });
+});
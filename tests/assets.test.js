@@ -0,0 +1,56 @@
+/**
+ * Runtime asset URL tests
+ */
+
+import ErmisClassroom from '../src/index.js';
+import { resolveAssetUrls } from '../src/utils/assets.js';
+
+describe('Asset URLs', () => {
+  test('should resolve defaults against the asset base URL', () => {
+    const assets = resolveAssetUrls({
+      assetBaseUrl: 'https://cdn.test/sdk',
+    });
+
+    expect(assets.mediaWorker).toBe(
+      'https://cdn.test/sdk/workers/media-worker-ab.js'
+    );
+    expect(assets.raptorqWasm).toBe(
+      'https://cdn.test/sdk/raptorQ/raptorq_wasm_bg.wasm'
+    );
+  });
+
+  test('should apply per-asset overrides', () => {
+    const assets = resolveAssetUrls({
+      assetBaseUrl: 'https://cdn.test/sdk/',
+      assets: { audioWorklet: 'https://static.test/worklet.js' },
+    });
+
+    expect(assets.audioWorklet).toBe('https://static.test/worklet.js');
+    expect(assets.mstgPolyfill).toBe(
+      'https://cdn.test/sdk/polyfills/MSTG_polyfill.js'
+    );
+  });
+
+  test('should only cache-bust when asked to', () => {
+    expect(resolveAssetUrls().opusDecoder).not.toContain('?t=');
+    expect(resolveAssetUrls({ cacheBust: true }).opusDecoder).toMatch(
+      /\?t=\d+$/
+    );
+  });
+
+  test('should expose resolved assets to rooms through mediaConfig', () => {
+    const client = ErmisClassroom.create({
+      host: 'test.com',
+      assetBaseUrl: 'https://cdn.test/sdk/',
+    });
+
+    expect(client.mediaConfig.assets.triggerWorker).toBe(
+      'https://cdn.test/sdk/polyfills/triggerWorker.js'
+    );
+
+    client.updateConfig({ assetBaseUrl: 'https://cdn2.test/' });
+    expect(client.mediaConfig.assets.triggerWorker).toBe(
+      'https://cdn2.test/polyfills/triggerWorker.js'
+    );
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * Authentication and token refresh tests
+ */
+
+import ErmisClassroom from '../src/index.js';
+import { jsonResponse } from './helpers.js';
+
+const makeJwt = (claims) => {
+  const encode = (obj) =>
+    Buffer.from(JSON.stringify(obj)).toString('base64url');
+  return `${encode({ alg: 'none', typ: 'JWT' })}.${encode(claims)}.sig`;
+};
+
+afterEach(() => {
+  jest.useRealTimers();
+  delete global.fetch;
+});
+
+describe('Token provider', () => {
+  test('should use a function token provider', async () => {
+    const tokenProvider = jest.fn().mockResolvedValue('token-1');
+    const client = ErmisClassroom.create({ host: 'test.com', tokenProvider });
+
+    const user = await client.authenticate('student-1');
+
+    expect(tokenProvider).toHaveBeenCalledWith('student-1');
+    expect(user.token).toBe('token-1');
+    expect(client.apiClient.jwtToken).toBe('token-1');
+  });
+
+  test('should accept an object provider returning access_token', async () => {
+    const tokenProvider = {
+      getToken: jest.fn().mockResolvedValue({ access_token: 'token-2' }),
+    };
+    const client = ErmisClassroom.create({ host: 'test.com', tokenProvider });
+
+    const user = await client.authenticate('student-1');
+
+    expect(user.token).toBe('token-2');
+  });
+
+  test('should refresh the token before the JWT expires', async () => {
+    jest.useFakeTimers();
+    const now = Date.now();
+    const exp = Math.floor(now / 1000) + 120;
+    const tokenProvider = jest
+      .fn()
+      .mockResolvedValueOnce(makeJwt({ exp }))
+      .mockResolvedValueOnce(makeJwt({ exp: exp + 3600 }));
+
+    const client = ErmisClassroom.create({
+      host: 'test.com',
+      tokenProvider,
+      tokenRefreshMargin: 60_000,
+    });
+    const refreshed = jest.fn();
+    client.on('tokenRefreshed', refreshed);
+
+    const user = await client.authenticate('student-1');
+    expect(user.expiresAt).toBe(exp * 1000);
+
+    await jest.advanceTimersByTimeAsync(exp * 1000 - now - 60_000);
+
+    expect(tokenProvider).toHaveBeenCalledTimes(2);
+    expect(refreshed).toHaveBeenCalledTimes(1);
+    expect(client.getState().user.expiresAt).toBe((exp + 3600) * 1000);
+
+    await client.logout();
+  });
+});
+
+describe('ApiClient 401 handling', () => {
+  test('should retry once with a fresh token after a 401', async () => {
+    const tokenProvider = jest
+      .fn()
+      .mockResolvedValueOnce('stale')
+      .mockResolvedValueOnce('fresh');
+    const client = ErmisClassroom.create({ host: 'test.com', tokenProvider });
+    await client.authenticate('student-1');
+
+    global.fetch = jest
+      .fn()
+      .mockResolvedValueOnce(jsonResponse(401))
+      .mockResolvedValueOnce(jsonResponse(200, { id: 'room-1' }));
+
+    const result = await client.apiClient.getRoomById('room-1');
+
+    expect(result).toEqual({ id: 'room-1' });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(global.fetch.mock.calls[1][1].headers.Authorization).toBe(
+      'Bearer fresh'
+    );
+  });
+
+  test('should not retry more than once', async () => {
+    const tokenProvider = jest.fn().mockResolvedValue('token');
+    const client = ErmisClassroom.create({ host: 'test.com', tokenProvider });
+    await client.authenticate('student-1');
+
+    global.fetch = jest.fn().mockResolvedValue(jsonResponse(401));
+
+    await expect(client.apiClient.getRoomById('room-1')).rejects.toThrow(
+      'status: 401'
+    );
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('Resumable session', () => {
+  const createStorage = () => {
+    const items = new Map();
+    return {
+      getItem: jest.fn((key) => items.get(key) ?? null),
+      setItem: jest.fn((key, value) => items.set(key, value)),
+      removeItem: jest.fn((key) => items.delete(key)),
+    };
+  };
+
+  test('should save credentials after authentication', async () => {
+    const storage = createStorage();
+    const client = ErmisClassroom.create({
+      host: 'test.com',
+      storage,
+      tokenProvider: jest.fn().mockResolvedValue('token-1'),
+    });
+
+    await client.authenticate('student-1');
+
+    expect(await client.getSavedSession()).toMatchObject({
+      userId: 'student-1',
+      token: 'token-1',
+    });
+  });
+
+  test('should keep the saved room when authenticating first', async () => {
+    const storage = createStorage();
+    storage.setItem(
+      'ermis-classroom-session',
+      JSON.stringify({ userId: 'student-1', roomCode: 'abc-def' })
+    );
+    const client = ErmisClassroom.create({
+      host: 'test.com',
+      storage,
+      tokenProvider: jest.fn().mockResolvedValue('token-2'),
+    });
+
+    await client.authenticate('student-1');
+
+    expect(await client.getSavedSession()).toMatchObject({
+      userId: 'student-1',
+      token: 'token-2',
+      roomCode: 'abc-def',
+    });
+  });
+
+  test('should not save when autoSaveCredentials is off', async () => {
+    const storage = createStorage();
+    const client = ErmisClassroom.create({
+      host: 'test.com',
+      storage,
+      autoSaveCredentials: false,
+      tokenProvider: jest.fn().mockResolvedValue('token-1'),
+    });
+
+    await client.authenticate('student-1');
+
+    expect(storage.setItem).not.toHaveBeenCalled();
+  });
+
+  test('should clear the session on logout', async () => {
+    const storage = createStorage();
+    const client = ErmisClassroom.create({
+      host: 'test.com',
+      storage,
+      tokenProvider: jest.fn().mockResolvedValue('token-1'),
+    });
+
+    await client.authenticate('student-1');
+    await client.logout();
+
+    expect(await client.getSavedSession()).toBeNull();
+  });
+
+  test('should resume credentials and room after a reload', async () => {
+    const storage = createStorage();
+    const exp = Math.floor(Date.now() / 1000) + 3600;
+    const token = makeJwt({ exp });
+    storage.setItem(
+      'ermis-classroom-session',
+      JSON.stringify({
+        userId: 'student-1',
+        token,
+        roomCode: 'abc-def',
+        roomId: 'room-1',
+        membershipId: 'member-old',
+        pinnedUserId: 'teacher',
+        audioEnabled: false,
+        videoEnabled: true,
+      })
+    );
+
+    const tokenProvider = jest.fn();
+    const client = ErmisClassroom.create({
+      host: 'test.com',
+      storage,
+      tokenProvider,
+    });
+
+    const room = {
+      code: 'abc-def',
+      getParticipant: jest.fn().mockReturnValue({ userId: 'teacher' }),
+      pinParticipant: jest.fn(),
+    };
+    const leaveRoom = jest
+      .spyOn(client.apiClient, 'leaveRoom')
+      .mockResolvedValue({});
+    const joinRoom = jest
+      .spyOn(client, 'joinRoom')
+      .mockResolvedValue({ room });
+
+    const result = await client.resumeSession();
+
+    expect(tokenProvider).not.toHaveBeenCalled();
+    expect(client.getState().user.token).toBe(token);
+    expect(leaveRoom).toHaveBeenCalledWith('room-1', 'member-old');
+    expect(joinRoom).toHaveBeenCalledWith('abc-def', {
+      audioEnabled: false,
+      videoEnabled: true,
+    });
+    expect(room.pinParticipant).toHaveBeenCalledWith('teacher');
+    expect(result.room).toBe(room);
+
+    client._clearTokenRefresh();
+  });
+
+  test('should resolve to null without a saved session', async () => {
+    const client = ErmisClassroom.create({
+      host: 'test.com',
+      storage: createStorage(),
+    });
+
+    expect(await client.resumeSession()).toBeNull();
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * In-room chat tests
+ */
+
+import { PermissionDeniedError, ValidationError } from '../src/index.js';
+import { createJoinedRoom } from './helpers.js';
+
+// Joined with the event stream open
+const createRoom = (options) =>
+  createJoinedRoom({ publisher: true, ...options });
+
+const sentMessages = (publisher) =>
+  publisher.sendEvent.mock.calls
+    .map(([event]) => event)
+    .filter((event) => event.type === 'ChatMessage');
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('Sending chat messages', () => {
+  test('should resolve once the server acknowledges the message', async () => {
+    const { room, publisher } = await createRoom();
+
+    const sending = room.sendChatMessage('Hello', { to: 'user-2' });
+    const [event] = sentMessages(publisher);
+    expect(event).toMatchObject({ text: 'Hello', to: 'user-2' });
+    expect(room.getPendingChatMessages()).toHaveLength(1);
+
+    await room._handleServerEvent({
+      type: 'chat_ack',
+      id: event.id,
+      timestamp: 1234,
+    });
+
+    await expect(sending).resolves.toMatchObject({
+      id: event.id,
+      senderId: 'user-1',
+      status: 'sent',
+      timestamp: 1234,
+    });
+    expect(room.getPendingChatMessages()).toHaveLength(0);
+  });
+
+  test('should keep messages until the stream is back', async () => {
+    const { room, publisher } = await createRoom();
+    publisher.isChannelOpen = false;
+
+    room.sendChatMessage('Are you there?').catch(() => {});
+    expect(sentMessages(publisher)).toHaveLength(0);
+
+    // What a reconnect does once the new publisher is up
+    publisher.isChannelOpen = true;
+    room._chat.flush();
+
+    expect(sentMessages(publisher)).toHaveLength(1);
+    room._chat.close();
+  });
+
+  test('should resend messages that were not acknowledged', async () => {
+    jest.useFakeTimers();
+    const { room, publisher } = await createRoom();
+
+    room.sendChatMessage('Hello').catch(() => {});
+    jest.advanceTimersByTime(5000);
+
+    const [first, retry] = sentMessages(publisher);
+    expect(retry.id).toBe(first.id);
+    room._chat.close();
+  });
+
+  test('should reject pending messages when leaving', async () => {
+    const { room, publisher } = await createRoom();
+    publisher.isChannelOpen = false;
+
+    const sending = room.sendChatMessage('Bye');
+    await room.leave();
+
+    await expect(sending).rejects.toMatchObject({ code: 'ABORTED' });
+  });
+
+  test('should reject a message the server refuses', async () => {
+    const { room, publisher } = await createRoom();
+
+    const sending = room.sendChatMessage('Hello');
+    const [event] = sentMessages(publisher);
+    await room._handleServerEvent({
+      type: 'chat_ack',
+      id: event.id,
+      error: 'chat disabled',
+    });
+
+    await expect(sending).rejects.toThrow('chat disabled');
+  });
+
+  test('should validate the message and recipient', async () => {
+    const { room } = await createRoom();
+
+    await expect(room.sendChatMessage('  ')).rejects.toBeInstanceOf(
+      ValidationError
+    );
+    await expect(
+      room.sendChatMessage('Hi', { to: 'user-9' })
+    ).rejects.toBeInstanceOf(ValidationError);
+  });
+
+  test('should only let hosts post into every sub room', async () => {
+    const { room } = await createRoom();
+
+    await expect(
+      room.sendChatMessage('Time is up', { toSubRooms: true })
+    ).rejects.toBeInstanceOf(PermissionDeniedError);
+  });
+
+  test('should send a host post to the sub rooms', async () => {
+    const { room, publisher } = await createRoom({ role: 'owner' });
+
+    room.sendChatMessage('Time is up', { toSubRooms: true }).catch(() => {});
+
+    expect(sentMessages(publisher)[0]).toMatchObject({ toSubRooms: true });
+    room._chat.close();
+  });
+});
+
+describe('Receiving chat messages', () => {
+  test('should emit chatMessage for other participants', async () => {
+    const { client, room } = await createRoom();
+    const received = jest.fn();
+    client.on('chatMessage', received);
+
+    await room._handleServerEvent({
+      type: 'chat_message',
+      id: 'msg-1',
+      room_id: 'room-1',
+      sender: { user_id: 'user-2' },
+      text: 'Hi all',
+      timestamp: 1000,
+    });
+    await room._handleServerEvent({
+      type: 'chat_message',
+      id: 'msg-2',
+      sender: { user_id: 'user-1' },
+      text: 'Echo of our own message',
+    });
+
+    expect(received).toHaveBeenCalledTimes(1);
+    expect(received).toHaveBeenCalledWith({
+      room,
+      participant: room.getParticipant('user-2'),
+      message: {
+        id: 'msg-1',
+        roomId: 'room-1',
+        senderId: 'user-2',
+        text: 'Hi all',
+        to: null,
+        toSubRooms: false,
+        timestamp: 1000,
+        status: 'sent',
+      },
+    });
+  });
+
+  test('should load history page by page', async () => {
+    const { room } = await createRoom();
+    jest.spyOn(room.apiClient, 'getChatMessages').mockResolvedValue({
+      messages: [{ id: 'msg-9', sender_id: 'user-2', text: 'Earlier' }],
+      has_more: true,
+    });
+
+    const page = await room.getChatHistory({ before: 'msg-10', limit: 1 });
+
+    expect(room.apiClient.getChatMessages).toHaveBeenCalledWith('room-1', {
+      before: 'msg-10',
+      limit: 1,
+    });
+    expect(page.hasMore).toBe(true);
+    expect(page.messages[0]).toMatchObject({
+      id: 'msg-9',
+      senderId: 'user-2',
+      text: 'Earlier',
+    });
+  });
+});
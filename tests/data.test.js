@@ -0,0 +1,194 @@
+/**
+ * Data message tests
+ */
+
+import { ErrorCodes, TransportError, ValidationError } from '../src/index.js';
+import Publisher from '../src/media/Publisher.js';
+import { createJoinedRoom } from './helpers.js';
+
+// Joined with the event stream open and datagrams available
+const createRoom = (options) =>
+  createJoinedRoom({
+    publisher: { sendDatagram: jest.fn().mockResolvedValue() },
+    ...options,
+  });
+
+const decodeDatagram = (bytes) => JSON.parse(new TextDecoder().decode(bytes));
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Sending data', () => {
+  test('should send reliable messages on the event stream', async () => {
+    const { room, publisher } = await createRoom();
+
+    await room.sendData({ answer: 'B' }, { topic: 'quiz', to: 'user-2' });
+
+    expect(publisher.sendEvent).toHaveBeenCalledWith({
+      type: 'DataMessage',
+      topic: 'quiz',
+      to: 'user-2',
+      reliable: true,
+      encoding: 'json',
+      data: { answer: 'B' },
+    });
+    expect(publisher.sendDatagram).not.toHaveBeenCalled();
+  });
+
+  test('should send lossy binary messages as datagrams', async () => {
+    const { room, publisher } = await createRoom();
+
+    await room.sendData(new Uint8Array([1, 2, 255]), { reliable: false });
+
+    const [[bytes]] = publisher.sendDatagram.mock.calls;
+    expect(decodeDatagram(bytes)).toMatchObject({
+      reliable: false,
+      encoding: 'binary',
+      data: 'AQL/',
+    });
+  });
+
+  test('should enforce the size limits', async () => {
+    const { room } = await createRoom();
+    const text = 'x'.repeat(2000);
+
+    await expect(
+      room.sendData(text, { reliable: false })
+    ).rejects.toBeInstanceOf(ValidationError);
+    await expect(room.sendData(text)).resolves.toBeUndefined();
+    await expect(room.sendData('x'.repeat(20000))).rejects.toMatchObject({
+      code: ErrorCodes.INVALID_ARGUMENT,
+    });
+  });
+
+  test('should rate limit without emitting errors', async () => {
+    const { room } = await createRoom();
+    const errors = jest.fn();
+    room.on('error', errors);
+    jest.spyOn(Date, 'now').mockReturnValue(1000);
+
+    for (let i = 0; i < 30; i++) {
+      await room.sendData(i, { reliable: false });
+    }
+    await expect(room.sendData(30)).rejects.toMatchObject({
+      code: ErrorCodes.RATE_LIMITED,
+      retryable: true,
+    });
+    expect(errors).not.toHaveBeenCalled();
+
+    Date.now.mockReturnValue(2000);
+    await expect(room.sendData(31)).resolves.toBeUndefined();
+  });
+
+  test('should drop lossy messages while disconnected', async () => {
+    const { room, publisher } = await createRoom();
+    publisher.isChannelOpen = false;
+
+    await room.sendData({ x: 1 }, { reliable: false });
+    await expect(room.sendData({ x: 1 })).rejects.toBeInstanceOf(
+      TransportError
+    );
+
+    expect(publisher.sendDatagram).not.toHaveBeenCalled();
+  });
+
+  test('should reject payloads that are not JSON or binary', async () => {
+    const { room } = await createRoom();
+    const cyclic = {};
+    cyclic.self = cyclic;
+
+    await expect(room.sendData(cyclic)).rejects.toBeInstanceOf(ValidationError);
+    await expect(room.sendData(undefined)).rejects.toBeInstanceOf(
+      ValidationError
+    );
+  });
+});
+
+describe('Receiving data', () => {
+  test('should emit dataReceived with the decoded payload', async () => {
+    const { client, room } = await createRoom();
+    const received = jest.fn();
+    client.on('dataReceived', received);
+
+    await room._handleServerEvent({
+      type: 'data_message',
+      sender: { user_id: 'user-2' },
+      topic: 'slides',
+      encoding: 'json',
+      data: { index: 4 },
+    });
+    await room._handleServerEvent({
+      type: 'data_message',
+      sender: { user_id: 'user-2' },
+      to: 'user-1',
+      reliable: false,
+      encoding: 'binary',
+      data: 'AQL/',
+    });
+
+    expect(received).toHaveBeenNthCalledWith(1, {
+      room,
+      participant: room.getParticipant('user-2'),
+      topic: 'slides',
+      to: null,
+      reliable: true,
+      payload: { index: 4 },
+    });
+    expect(received.mock.calls[1][0]).toMatchObject({
+      to: 'user-1',
+      reliable: false,
+      payload: new Uint8Array([1, 2, 255]),
+    });
+  });
+
+  test('should read datagrams as lossy server events', async () => {
+    const onServerEvent = jest.fn();
+    const publisher = new Publisher({
+      publishUrls: ['https://wt.test/room-1/stream-1'],
+      onServerEvent,
+    });
+    const datagram = new TextEncoder().encode(
+      JSON.stringify({ type: 'data_message', data: 1 })
+    );
+    const read = jest
+      .fn()
+      .mockResolvedValueOnce({ value: datagram, done: false })
+      .mockResolvedValueOnce({ done: true });
+    publisher.webTransport = {
+      datagrams: { readable: { getReader: () => ({ read }) } },
+    };
+
+    publisher.setupDatagramReader();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(onServerEvent).toHaveBeenCalledWith({
+      type: 'data_message',
+      data: 1,
+      reliable: false,
+    });
+  });
+
+  test('should ignore other server events sent as datagrams', async () => {
+    const onServerEvent = jest.fn();
+    const publisher = new Publisher({
+      publishUrls: ['https://wt.test/room-1/stream-1'],
+      onServerEvent,
+    });
+    const datagram = new TextEncoder().encode(
+      JSON.stringify({ type: 'kick', participant: { user_id: 'user-1' } })
+    );
+    const read = jest
+      .fn()
+      .mockResolvedValueOnce({ value: datagram, done: false })
+      .mockResolvedValueOnce({ done: true });
+    publisher.webTransport = {
+      datagrams: { readable: { getReader: () => ({ read }) } },
+    };
+
+    publisher.setupDatagramReader();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(onServerEvent).not.toHaveBeenCalled();
+  });
+});
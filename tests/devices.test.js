@@ -0,0 +1,394 @@
+/**
+ * Local device selection and media acquisition tests
+ */
+
+import ErmisClassroom, {
+  ErrorCodes,
+  MediaDeviceError,
+  Participant,
+  Room,
+  UnsupportedBrowserError,
+} from '../src/index.js';
+import Publisher from '../src/media/Publisher.js';
+import AudioMixer from '../src/media/AudioMixer.js';
+import DeviceWatcher from '../src/media/DeviceWatcher.js';
+
+const fakeTrack = (kind) => ({ kind, stop: jest.fn() });
+
+const fakeStream = (tracks) => ({
+  getTracks: () => tracks,
+  getAudioTracks: () => tracks.filter((t) => t.kind === 'audio'),
+  getVideoTracks: () => tracks.filter((t) => t.kind === 'video'),
+});
+
+const createPublisher = (options = {}) => {
+  const publisher = new Publisher({
+    publishUrls: ['https://wt.test/room-1/stream-1'],
+    ...options,
+  });
+  jest.spyOn(publisher, 'init').mockResolvedValue();
+  jest.spyOn(publisher, 'setupConnection').mockResolvedValue();
+  jest.spyOn(publisher, 'startStreaming').mockResolvedValue();
+  return publisher;
+};
+
+beforeAll(() => {
+  globalThis.WebTransport = jest.fn();
+  globalThis.VideoEncoder = jest.fn();
+  globalThis.MediaStream = class {
+    constructor(tracks = []) {
+      Object.assign(this, fakeStream([...tracks]));
+    }
+
+    addTrack() {}
+  };
+  globalThis.MediaStreamTrackProcessor = class {
+    constructor(track) {
+      this.track = track;
+      this.readable = {
+        getReader: () => ({
+          read: () => new Promise(() => {}),
+          cancel: jest.fn().mockResolvedValue(),
+        }),
+      };
+    }
+  };
+  Object.defineProperty(navigator, 'mediaDevices', {
+    configurable: true,
+    value: {
+      getUserMedia: jest.fn(),
+      enumerateDevices: jest.fn(),
+      addEventListener: jest.fn(),
+      removeEventListener: jest.fn(),
+    },
+  });
+});
+
+afterAll(() => {
+  delete globalThis.WebTransport;
+  delete globalThis.VideoEncoder;
+  delete globalThis.MediaStream;
+  delete globalThis.MediaStreamTrackProcessor;
+  delete navigator.mediaDevices;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  navigator.mediaDevices.getUserMedia.mockReset();
+  navigator.mediaDevices.enumerateDevices.mockReset();
+});
+
+describe('Publisher media acquisition', () => {
+  test('should open the selected devices', async () => {
+    navigator.mediaDevices.getUserMedia.mockResolvedValue(
+      fakeStream([fakeTrack('audio'), fakeTrack('video')])
+    );
+    const publisher = createPublisher({
+      audioDeviceId: 'mic-2',
+      videoDeviceId: 'cam-2',
+    });
+
+    await publisher.startPublishing();
+
+    const [constraints] = navigator.mediaDevices.getUserMedia.mock.calls[0];
+    expect(constraints.audio.deviceId).toEqual({ exact: 'mic-2' });
+    expect(constraints.video.deviceId).toEqual({ exact: 'cam-2' });
+  });
+
+  test('should fail before connecting when permission is denied', async () => {
+    const denied = Object.assign(new Error('Permission denied'), {
+      name: 'NotAllowedError',
+    });
+    navigator.mediaDevices.getUserMedia.mockRejectedValue(denied);
+    const publisher = createPublisher();
+
+    const error = await publisher.startPublishing().catch((e) => e);
+
+    expect(error).toBeInstanceOf(MediaDeviceError);
+    expect(error.code).toBe(ErrorCodes.DEVICE_PERMISSION_DENIED);
+    expect(publisher.setupConnection).not.toHaveBeenCalled();
+    expect(publisher.isPublishing).toBe(false);
+  });
+
+  test('should reject a provided stream without the published tracks', async () => {
+    const publisher = createPublisher({
+      mediaStream: fakeStream([fakeTrack('audio')]),
+    });
+
+    await expect(publisher.startPublishing()).rejects.toMatchObject({
+      code: ErrorCodes.DEVICE_NOT_FOUND,
+      details: { missing: ['video'] },
+    });
+    expect(navigator.mediaDevices.getUserMedia).not.toHaveBeenCalled();
+  });
+
+  test('should release opened devices when the connection fails', async () => {
+    const tracks = [fakeTrack('audio'), fakeTrack('video')];
+    navigator.mediaDevices.getUserMedia.mockResolvedValue(fakeStream(tracks));
+    const publisher = createPublisher();
+    publisher.setupConnection.mockRejectedValue(new Error('unreachable'));
+
+    await expect(publisher.startPublishing()).rejects.toThrow('unreachable');
+
+    tracks.forEach((track) => expect(track.stop).toHaveBeenCalled());
+    expect(publisher.stream).toBeNull();
+  });
+});
+
+describe('Room join device options', () => {
+  test('should hand the selected devices to the publisher', async () => {
+    const client = ErmisClassroom.create({
+      host: 'test.com',
+      fetch: jest.fn(),
+    });
+    const room = new Room({
+      code: 'MAIN',
+      apiClient: client.apiClient,
+      mediaConfig: client.mediaConfig,
+    });
+    jest.spyOn(room.apiClient, 'joinRoom').mockRejectedValue(new Error('x'));
+    jest.spyOn(Publisher.prototype, 'startPublishing').mockResolvedValue();
+
+    await room
+      .join('user-1', { audioDeviceId: 'mic-2', videoDeviceId: 'cam-2' })
+      .catch(() => {});
+    room.addParticipant({ user_id: 'user-1', role: 'participant' }, 'user-1');
+    room.streamId = 'stream-1';
+    room.mediaEndpoints = { publish: ['https://wt.test/{streamId}'] };
+    await room._setupLocalPublisher({ audioEnabled: false });
+
+    const publisher = room.localParticipant.publisher;
+    expect(publisher.audioDeviceId).toBe('mic-2');
+    expect(publisher.videoDeviceId).toBe('cam-2');
+    expect(room.localParticipant.isAudioEnabled).toBe(false);
+  });
+});
+
+describe('Device switching', () => {
+  // Publisher that is already sending `tracks`
+  const createLivePublisher = (tracks) => {
+    const publisher = createPublisher();
+    publisher.isPublishing = true;
+    publisher.stream = fakeStream(tracks);
+    publisher.audioProcessor = { sourceNode: {} };
+    publisher.replaceRecorderTrack = jest.fn();
+    publisher.startVideoFrameLoop(tracks.find((t) => t.kind === 'video'));
+    return publisher;
+  };
+
+  test('should move video encoding to the new camera', async () => {
+    const oldCamera = fakeTrack('video');
+    const newCamera = fakeTrack('video');
+    const mic = fakeTrack('audio');
+    navigator.mediaDevices.getUserMedia.mockResolvedValue(
+      fakeStream([newCamera])
+    );
+    const publisher = createLivePublisher([mic, oldCamera]);
+    const previousReader = publisher.videoReader;
+    const streamReady = jest.fn();
+    publisher.on('localStreamReady', streamReady);
+
+    await publisher.switchCamera('cam-2');
+
+    const [constraints] = navigator.mediaDevices.getUserMedia.mock.calls[0];
+    expect(constraints.audio).toBeUndefined();
+    expect(constraints.video.deviceId).toEqual({ exact: 'cam-2' });
+    expect(previousReader.cancel).toHaveBeenCalled();
+    expect(publisher.videoProcessor.track).toBe(newCamera);
+    expect(oldCamera.stop).toHaveBeenCalled();
+    expect(mic.stop).not.toHaveBeenCalled();
+    expect(publisher.stream.getTracks()).toEqual([mic, newCamera]);
+    expect(streamReady).toHaveBeenCalled();
+  });
+
+  test('should feed the running recorder from the new microphone', async () => {
+    const oldMic = fakeTrack('audio');
+    const newMic = fakeTrack('audio');
+    navigator.mediaDevices.getUserMedia.mockResolvedValue(fakeStream([newMic]));
+    const publisher = createLivePublisher([oldMic, fakeTrack('video')]);
+
+    await publisher.switchMicrophone('mic-2');
+
+    expect(publisher.replaceRecorderTrack).toHaveBeenCalledWith(
+      publisher.audioProcessor,
+      newMic
+    );
+    expect(publisher.audioDeviceId).toBe('mic-2');
+    expect(oldMic.stop).toHaveBeenCalled();
+  });
+
+  test('should keep the current camera when the new one fails', async () => {
+    const camera = fakeTrack('video');
+    navigator.mediaDevices.getUserMedia.mockRejectedValue(
+      Object.assign(new Error('busy'), { name: 'NotReadableError' })
+    );
+    const publisher = createLivePublisher([fakeTrack('audio'), camera]);
+    const participant = new Participant({ userId: 'user-1', isLocal: true });
+    participant.setPublisher(publisher);
+
+    await expect(participant.switchCamera('cam-2')).rejects.toMatchObject({
+      code: ErrorCodes.DEVICE_IN_USE,
+    });
+    expect(camera.stop).not.toHaveBeenCalled();
+    expect(publisher.videoProcessor.track).toBe(camera);
+  });
+
+  test('should leave the app stream running after switching and leaving', async () => {
+    const appMic = fakeTrack('audio');
+    const appCamera = fakeTrack('video');
+    const newCamera = fakeTrack('video');
+    navigator.mediaDevices.getUserMedia.mockResolvedValue(
+      fakeStream([newCamera])
+    );
+    jest.spyOn(Publisher.prototype, 'init').mockResolvedValue();
+    jest.spyOn(Publisher.prototype, 'setupConnection').mockResolvedValue();
+    jest
+      .spyOn(Publisher.prototype, 'startStreaming')
+      .mockImplementation(function () {
+        this.audioProcessor = { sourceNode: {} };
+        this.startVideoFrameLoop(this.stream.getVideoTracks()[0]);
+      });
+    const client = ErmisClassroom.create({ host: 'test.com' });
+    const room = new Room({
+      code: 'MAIN',
+      apiClient: client.apiClient,
+      mediaConfig: client.mediaConfig,
+    });
+    room.addParticipant({ user_id: 'user-1', role: 'participant' }, 'user-1');
+    room.streamId = 'stream-1';
+    room.mediaEndpoints = { publish: ['https://wt.test/{streamId}'] };
+    await room._setupLocalPublisher({
+      mediaStream: fakeStream([appMic, appCamera]),
+    });
+    room.isActive = true;
+
+    await room.localParticipant.switchCamera('cam-2');
+    await room.leave();
+
+    expect(appCamera.stop).not.toHaveBeenCalled();
+    expect(appMic.stop).not.toHaveBeenCalled();
+    expect(newCamera.stop).toHaveBeenCalled();
+  });
+
+  test('should remember the switched device in the room', async () => {
+    const client = ErmisClassroom.create({ host: 'test.com' });
+    const room = new Room({
+      code: 'MAIN',
+      apiClient: client.apiClient,
+      mediaConfig: client.mediaConfig,
+    });
+    const participant = room.addParticipant({ user_id: 'user-1' }, 'user-1');
+    participant.setPublisher({ switchMicrophone: jest.fn() });
+    const switched = jest.fn();
+    room.on('deviceSwitched', switched);
+
+    await participant.switchMicrophone('mic-2');
+
+    expect(room._deviceIds.audio).toBe('mic-2');
+    expect(switched).toHaveBeenCalledWith(
+      expect.objectContaining({ kind: 'audio', deviceId: 'mic-2' })
+    );
+  });
+});
+
+describe('Device changes', () => {
+  const device = (kind, deviceId) => ({ kind, deviceId, label: deviceId });
+  const defaultMic = device('audioinput', 'default');
+  const usbMic = device('audioinput', 'usb-mic');
+  const headset = device('audiooutput', 'headset');
+
+  // Room with media running and the watcher holding `devices`
+  const createRoomWithDevices = async (devices) => {
+    const client = ErmisClassroom.create({ host: 'test.com' });
+    const room = new Room({
+      code: 'MAIN',
+      apiClient: client.apiClient,
+      mediaConfig: client.mediaConfig,
+    });
+    room.addParticipant({ user_id: 'user-1' }, 'user-1');
+    client._setupRoomEvents(room);
+    navigator.mediaDevices.enumerateDevices.mockResolvedValue(devices);
+    await room._startDeviceWatcher();
+    return { client, room };
+  };
+
+  test('should report added and removed devices', async () => {
+    navigator.mediaDevices.enumerateDevices.mockResolvedValue([defaultMic]);
+    const watcher = new DeviceWatcher();
+    const changed = jest.fn();
+    watcher.on('deviceListChanged', changed);
+    await watcher.start();
+
+    navigator.mediaDevices.enumerateDevices.mockResolvedValue([
+      defaultMic,
+      headset,
+    ]);
+    await watcher.refresh();
+    await watcher.refresh();
+    watcher.stop();
+
+    expect(changed).toHaveBeenCalledTimes(1);
+    expect(changed).toHaveBeenCalledWith({
+      cameras: [],
+      microphones: [defaultMic],
+      speakers: [headset],
+      added: [headset],
+      removed: [],
+    });
+    expect(navigator.mediaDevices.removeEventListener).toHaveBeenCalledWith(
+      'devicechange',
+      watcher._onDeviceChange
+    );
+  });
+
+  test('should fall back to the default microphone when it is unplugged', async () => {
+    const { client, room } = await createRoomWithDevices([defaultMic, usbMic]);
+    room._deviceIds.audio = 'usb-mic';
+    const publisher = { hasMic: true, switchMicrophone: jest.fn() };
+    room.localParticipant.setPublisher(publisher);
+    const lost = jest.fn();
+    client.on('activeDeviceLost', lost);
+
+    navigator.mediaDevices.enumerateDevices.mockResolvedValue([defaultMic]);
+    await room.deviceWatcher.refresh();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(publisher.switchMicrophone).toHaveBeenCalledWith('default');
+    expect(room._deviceIds.audio).toBe('default');
+    expect(lost).toHaveBeenCalledWith({
+      room,
+      kind: 'audio',
+      deviceId: 'usb-mic',
+      fallbackDeviceId: 'default',
+    });
+  });
+
+  test('should return to the default speaker when it is unplugged', async () => {
+    const { room } = await createRoomWithDevices([headset]);
+    room.audioMixer = new AudioMixer();
+    room.audioMixer.outputAudioElement = { setSinkId: jest.fn() };
+    await room.setOutputDevice('headset');
+    const lost = jest.fn();
+    room.on('activeDeviceLost', lost);
+
+    navigator.mediaDevices.enumerateDevices.mockResolvedValue([]);
+    await room.deviceWatcher.refresh();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    const { setSinkId } = room.audioMixer.outputAudioElement;
+    expect(setSinkId.mock.calls).toEqual([['headset'], ['']]);
+    expect(lost).toHaveBeenCalledWith(
+      expect.objectContaining({ kind: 'speaker', fallbackDeviceId: '' })
+    );
+  });
+
+  test('should keep the speaker when output selection is unsupported', async () => {
+    const mixer = new AudioMixer();
+    mixer.outputAudioElement = {};
+
+    await expect(mixer.setOutputDevice('headset')).rejects.toBeInstanceOf(
+      UnsupportedBrowserError
+    );
+    expect(mixer.outputDeviceId).toBe('');
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Media endpoint configuration tests
+ */
+
+import ErmisClassroom from '../src/index.js';
+import Room from '../src/core/Room.js';
+import Subscriber from '../src/media/Subscriber.js';
+import {
+  formatEndpoint,
+  resolveMediaEndpoints,
+} from '../src/utils/endpoints.js';
+
+describe('Media endpoints', () => {
+  test('should fill room and stream placeholders', () => {
+    expect(
+      formatEndpoint('wss://sfu.test/meeting/{roomId}/{streamId}', {
+        roomId: 'room-1',
+        streamId: 'stream 2',
+      })
+    ).toBe('wss://sfu.test/meeting/room-1/stream%202');
+  });
+
+  test('should default the publish template to webtpUrl', () => {
+    const endpoints = resolveMediaEndpoints({
+      webtpUrl: 'https://wt.test/meeting/wt',
+      endpoints: { subscribe: 'wss://sfu.test/{roomId}/{streamId}' },
+    });
+
+    expect(endpoints).toEqual({
+      publish: ['https://wt.test/meeting/wt/{roomId}/{streamId}'],
+      subscribe: ['wss://sfu.test/{roomId}/{streamId}'],
+    });
+  });
+
+  test('should use endpoints.api for REST calls', () => {
+    const client = ErmisClassroom.create({
+      host: 'test.com',
+      endpoints: { api: 'https://api.test/meeting' },
+    });
+
+    expect(client.apiClient.apiBaseUrl).toBe('https://api.test/meeting');
+  });
+
+  test('should prefer discovered gateways and fall back on failure', async () => {
+    const apiClient = { getMediaEndpoints: jest.fn() };
+    const room = new Room({
+      code: 'abc',
+      apiClient,
+      mediaConfig: {
+        webtpUrl: 'https://wt.test',
+        endpoints: { publish: ['p1'], subscribe: ['s1'] },
+        discoverEndpoints: true,
+      },
+    });
+
+    apiClient.getMediaEndpoints.mockResolvedValueOnce({ subscribe: ['s2'] });
+    expect(await room._resolveMediaEndpoints()).toEqual({
+      publish: ['p1'],
+      subscribe: ['s2'],
+    });
+
+    apiClient.getMediaEndpoints.mockRejectedValueOnce(new Error('404'));
+    expect(await room._resolveMediaEndpoints()).toEqual({
+      publish: ['p1'],
+      subscribe: ['s1'],
+    });
+  });
+});
+
+describe('Subscriber gateway failover', () => {
+  const createSubscriber = () => {
+    const subscriber = new Subscriber({
+      streamId: 'stream-1',
+      roomId: 'room-1',
+      mediaUrls: ['wss://a.test', 'wss://b.test'],
+    });
+    subscriber.isStarted = true;
+    subscriber.worker = { postMessage: jest.fn() };
+    return subscriber;
+  };
+
+  const workerMessage = (data) => ({ data });
+
+  test('should switch to the next gateway when the socket closes', () => {
+    const subscriber = createSubscriber();
+    const lost = jest.fn();
+    subscriber.on('connectionLost', lost);
+
+    subscriber._handleWorkerMessage(
+      workerMessage({ type: 'connectionClosed', message: 'closed' })
+    );
+
+    expect(subscriber.worker.postMessage).toHaveBeenCalledWith({
+      type: 'reset',
+      data: { mediaUrl: 'wss://b.test' },
+    });
+    expect(lost).not.toHaveBeenCalled();
+  });
+
+  test('should report the loss once every gateway failed in a row', () => {
+    const subscriber = createSubscriber();
+    const lost = jest.fn();
+    subscriber.on('connectionLost', lost);
+
+    const closed = workerMessage({ type: 'connectionClosed', message: 'x' });
+    subscriber._handleWorkerMessage(closed);
+    subscriber._handleWorkerMessage(closed);
+
+    expect(lost).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reset the failure count after a successful connect', () => {
+    const subscriber = createSubscriber();
+    const lost = jest.fn();
+    subscriber.on('connectionLost', lost);
+
+    const closed = workerMessage({ type: 'connectionClosed', message: 'x' });
+    subscriber._handleWorkerMessage(closed);
+    subscriber._handleWorkerMessage(
+      workerMessage({ type: 'log', event: 'ws-connected' })
+    );
+    subscriber._handleWorkerMessage(closed);
+
+    expect(lost).not.toHaveBeenCalled();
+    expect(subscriber.gatewayIndex).toBe(0);
+  });
+});
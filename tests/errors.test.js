@@ -0,0 +1,176 @@
+/**
+ * Error hierarchy tests
+ */
+
+import ErmisClassroom, {
+  ApiError,
+  AuthError,
+  ErmisError,
+  ErrorCodes,
+  MediaDeviceError,
+  PermissionDeniedError,
+  RoomNotFoundError,
+  TransportError,
+} from '../src/index.js';
+import Room from '../src/core/Room.js';
+import { jsonResponse } from './helpers.js';
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+describe('ErmisError', () => {
+  test('should carry name, code and retryable', () => {
+    const error = new TransportError('gateway down');
+
+    expect(error).toBeInstanceOf(ErmisError);
+    expect(error).toBeInstanceOf(Error);
+    expect(error.name).toBe('TransportError');
+    expect(error.code).toBe(ErrorCodes.TRANSPORT_FAILED);
+    expect(error.retryable).toBe(true);
+  });
+
+  test('should map getUserMedia rejections to device codes', () => {
+    const denied = MediaDeviceError.fromDomException({
+      name: 'NotAllowedError',
+      message: 'Permission denied',
+    });
+    const busy = MediaDeviceError.fromDomException({
+      name: 'NotReadableError',
+      message: 'Device in use',
+    });
+
+    expect(denied.code).toBe('DEVICE_PERMISSION_DENIED');
+    expect(denied.retryable).toBe(false);
+    expect(busy.code).toBe('DEVICE_IN_USE');
+    expect(busy.retryable).toBe(true);
+  });
+
+  test('should pass existing ErmisErrors through from()', () => {
+    const original = new AuthError('nope');
+    expect(ErmisError.from(original)).toBe(original);
+    expect(ErmisError.from(new Error('x')).cause).toBeInstanceOf(Error);
+  });
+});
+
+describe('ApiClient errors', () => {
+  const createClient = async () => {
+    const client = ErmisClassroom.create({
+      host: 'test.com',
+      tokenProvider: jest.fn().mockResolvedValue('token'),
+    });
+    await client.authenticate('student-1');
+    return client;
+  };
+
+  test.each([
+    [403, PermissionDeniedError, 'PERMISSION_DENIED', false],
+    [404, RoomNotFoundError, 'ROOM_NOT_FOUND', false],
+    [500, ApiError, 'API_ERROR', true],
+    [429, ApiError, 'API_ERROR', true],
+  ])('should map HTTP %i', async (status, ErrorClass, code, retryable) => {
+    const client = await createClient();
+    global.fetch = jest.fn().mockResolvedValue(jsonResponse(status));
+
+    const error = await client.apiClient
+      .getRoomById('room-1')
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(ErrorClass);
+    expect(error.code).toBe(code);
+    expect(error.retryable).toBe(retryable);
+    expect(error.details.status).toBe(status);
+  });
+
+  test('should report network failures as retryable', async () => {
+    const client = await createClient();
+    global.fetch = jest.fn().mockRejectedValue(new TypeError('offline'));
+
+    const error = await client.apiClient.listRooms().catch((e) => e);
+
+    expect(error.code).toBe(ErrorCodes.NETWORK_ERROR);
+    expect(error.retryable).toBe(true);
+  });
+
+  test('should require authentication', async () => {
+    const client = ErmisClassroom.create({ host: 'test.com' });
+
+    await expect(client.apiClient.listRooms()).rejects.toMatchObject({
+      code: ErrorCodes.AUTH_REQUIRED,
+    });
+  });
+});
+
+describe('Client and room errors', () => {
+  test('should wrap token provider failures in AuthError', async () => {
+    const client = ErmisClassroom.create({
+      host: 'test.com',
+      tokenProvider: jest.fn().mockRejectedValue(new Error('backend down')),
+    });
+    const failed = jest.fn();
+    client.on('authenticationFailed', failed);
+
+    await expect(client.authenticate('student-1')).rejects.toBeInstanceOf(
+      AuthError
+    );
+    expect(failed.mock.calls[0][0].error).toBeInstanceOf(AuthError);
+  });
+
+  test('should reject joining twice with ALREADY_JOINED', async () => {
+    const room = new Room({ code: 'abc', apiClient: {}, mediaConfig: {} });
+    room.isActive = true;
+
+    await expect(room.join('student-1')).rejects.toMatchObject({
+      name: 'InvalidStateError',
+      code: ErrorCodes.ALREADY_JOINED,
+    });
+  });
+
+  test('should emit typed errors from join', async () => {
+    const room = new Room({
+      code: 'abc',
+      apiClient: {
+        joinRoom: jest
+          .fn()
+          .mockRejectedValue(ApiError.fromStatus(404, '/rooms/join')),
+      },
+      mediaConfig: {},
+    });
+    const onError = jest.fn();
+    room.on('error', onError);
+
+    await expect(room.join('student-1')).rejects.toBeInstanceOf(
+      RoomNotFoundError
+    );
+    expect(onError.mock.calls[0][0]).toMatchObject({
+      action: 'join',
+      error: expect.any(RoomNotFoundError),
+    });
+  });
+
+  test('should stop reconnecting on a non-retryable error', async () => {
+    jest.useFakeTimers();
+    const client = ErmisClassroom.create({
+      host: 'test.com',
+      reconnectDelay: 10,
+      tokenProvider: jest.fn().mockResolvedValue('token'),
+    });
+    await client.authenticate('student-1');
+
+    const room = new Room({ code: 'abc', apiClient: {}, mediaConfig: {} });
+    room.reconnect = jest
+      .fn()
+      .mockRejectedValue(new RoomNotFoundError('room closed'));
+    client._setupRoomEvents(room);
+    client.state.currentRoom = room;
+
+    const failed = jest.fn();
+    client.on('reconnectionFailed', failed);
+    room.emit('connectionLost', { source: 'publisher', reason: 'closed' });
+    await jest.advanceTimersByTimeAsync(100);
+
+    expect(room.reconnect).toHaveBeenCalledTimes(1);
+    expect(failed.mock.calls[0][0].error).toBeInstanceOf(RoomNotFoundError);
+    jest.useRealTimers();
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Raised hand and reaction tests
+ */
+
+import {
+  PermissionDeniedError,
+  TransportError,
+  ValidationError,
+} from '../src/index.js';
+import { createJoinedRoom } from './helpers.js';
+
+// Three participants, the event stream open
+const createRoom = (options) =>
+  createJoinedRoom({
+    participants: [{ user_id: 'user-2' }, { user_id: 'user-3' }],
+    publisher: true,
+    ...options,
+  });
+
+const raise = (room, userId, raisedAt) =>
+  room._handleServerEvent({
+    type: 'hand_raised',
+    participant: { user_id: userId },
+    raised_at: raisedAt,
+  });
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('Raised hands', () => {
+  test('should raise and lower the local hand', async () => {
+    const { client, room, publisher } = await createRoom();
+    const updated = jest.fn();
+    client.on('participantUpdated', updated);
+    const local = room.localParticipant;
+
+    await local.raiseHand();
+
+    expect(publisher.sendEvent).toHaveBeenCalledWith({ type: 'RaiseHand' });
+    expect(local.getInfo().isHandRaised).toBe(true);
+    expect(room.getRaisedHands()).toEqual([local]);
+    expect(updated).toHaveBeenCalledWith({
+      room,
+      participant: local,
+      changes: ['isHandRaised', 'handRaisedAt'],
+    });
+
+    await local.lowerHand();
+
+    expect(publisher.sendEvent).toHaveBeenLastCalledWith({ type: 'LowerHand' });
+    expect(local.handRaisedAt).toBeNull();
+    expect(room.getRaisedHands()).toEqual([]);
+  });
+
+  test('should keep the queue in the order hands went up', async () => {
+    const { room } = await createRoom();
+
+    await raise(room, 'user-3', 2000);
+    await raise(room, 'user-2', 1000);
+
+    expect(room.getRaisedHands().map((p) => p.userId)).toEqual([
+      'user-2',
+      'user-3',
+    ]);
+
+    await room._handleServerEvent({
+      type: 'hand_lowered',
+      participant: { user_id: 'user-2' },
+    });
+    expect(room.getRaisedHands().map((p) => p.userId)).toEqual(['user-3']);
+  });
+
+  test('should restore raised hands from the join snapshot', async () => {
+    const { room } = await createRoom();
+
+    const late = room.addParticipant(
+      { user_id: 'user-4', hand_raised_at: 500 },
+      'user-1'
+    );
+
+    expect(late.isHandRaised).toBe(true);
+    expect(room.getRaisedHands()[0]).toBe(late);
+  });
+
+  test('should fail while the event stream is down', async () => {
+    const { room, publisher } = await createRoom();
+    publisher.isChannelOpen = false;
+
+    await expect(room.localParticipant.raiseHand()).rejects.toBeInstanceOf(
+      TransportError
+    );
+    expect(room.localParticipant.isHandRaised).toBe(false);
+  });
+
+  test('should let hosts lower every hand', async () => {
+    const { room, publisher } = await createRoom({ role: 'owner' });
+    await raise(room, 'user-2', 1000);
+    await raise(room, 'user-3', 2000);
+
+    await room.lowerAllHands();
+
+    expect(publisher.sendEvent).toHaveBeenCalledWith({
+      type: 'LowerAllHands',
+    });
+    expect(room.getRaisedHands()).toEqual([]);
+  });
+
+  test('should apply hands lowered by a host', async () => {
+    const { room } = await createRoom();
+    await raise(room, 'user-2', 1000);
+
+    await room._handleServerEvent({ type: 'hands_lowered', by: 'user-3' });
+
+    expect(room.getRaisedHands()).toEqual([]);
+  });
+
+  test('should not let participants lower every hand', async () => {
+    const { room } = await createRoom();
+
+    await expect(room.lowerAllHands()).rejects.toBeInstanceOf(
+      PermissionDeniedError
+    );
+  });
+});
+
+describe('Reactions', () => {
+  test('should show a reaction for a few seconds', async () => {
+    jest.useFakeTimers();
+    const { client, room, publisher } = await createRoom();
+    const reaction = jest.fn();
+    const updated = jest.fn();
+    client.on('reaction', reaction);
+    client.on('participantUpdated', updated);
+
+    await room.sendReaction('👍');
+
+    const local = room.localParticipant;
+    expect(publisher.sendEvent).toHaveBeenCalledWith({
+      type: 'Reaction',
+      emoji: '👍',
+    });
+    expect(local.getInfo().reaction).toMatchObject({ emoji: '👍' });
+    expect(reaction).toHaveBeenCalledWith(
+      expect.objectContaining({ room, participant: local, emoji: '👍' })
+    );
+
+    jest.advanceTimersByTime(5000);
+
+    expect(local.reaction).toBeNull();
+    expect(updated).toHaveBeenLastCalledWith({
+      room,
+      participant: local,
+      changes: ['reaction'],
+    });
+  });
+
+  test('should show remote reactions but not our own echo', async () => {
+    const { client, room } = await createRoom();
+    const reaction = jest.fn();
+    client.on('reaction', reaction);
+
+    await room._handleServerEvent({
+      type: 'reaction',
+      participant: { user_id: 'user-2' },
+      emoji: '🎉',
+      timestamp: 1000,
+    });
+    await room._handleServerEvent({
+      type: 'reaction',
+      participant: { user_id: 'user-1' },
+      emoji: '👍',
+    });
+
+    expect(reaction).toHaveBeenCalledTimes(1);
+    expect(room.getParticipant('user-2').reaction).toEqual({
+      emoji: '🎉',
+      timestamp: 1000,
+    });
+    room.getParticipant('user-2').cleanup();
+  });
+
+  test('should reject anything but a short emoji', async () => {
+    const { room } = await createRoom();
+
+    await expect(room.sendReaction('')).rejects.toBeInstanceOf(ValidationError);
+    await expect(room.sendReaction('x'.repeat(40))).rejects.toBeInstanceOf(
+      ValidationError
+    );
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Fixtures shared by the test suites
+ */
+
+import ErmisClassroom, { Room } from '../src/index.js';
+
+export const jsonResponse = (status, body = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: jest.fn().mockResolvedValue(body),
+});
+
+// Stands in for the local publisher: the event stream is open
+const createFakePublisher = (overrides = {}) => ({
+  isChannelOpen: true,
+  sendEvent: jest.fn().mockResolvedValue(),
+  stop: jest.fn(),
+  ...overrides,
+});
+
+/**
+ * Authenticated client and a room it joined, without any media.
+ * @param {Object} [options]
+ * @param {string} [options.userId='user-1'] - Local user
+ * @param {string} [options.role='participant'] - Local role
+ * @param {string} [options.membershipId] - Local membership id
+ * @param {Object[]} [options.participants] - Member data of everyone else
+ * @param {Function} [options.fetch] - fetch used by the API client
+ * @param {Object} [options.permissions] - Role permission overrides
+ * @param {boolean|Object} [options.publisher=false] - Give the local
+ *   participant a fake publisher; an object adds or overrides its members
+ * @param {boolean} [options.current=false] - Make it the client's current room
+ */
+export const createJoinedRoom = async ({
+  userId = 'user-1',
+  role = 'participant',
+  membershipId,
+  participants = [{ user_id: 'user-2' }],
+  fetch = jest.fn(),
+  permissions,
+  publisher = false,
+  current = false,
+} = {}) => {
+  const client = ErmisClassroom.create({
+    host: 'test.com',
+    tokenProvider: jest.fn().mockResolvedValue('token'),
+    fetch,
+    permissions,
+  });
+  await client.authenticate(userId);
+
+  const room = new Room({
+    id: 'room-1',
+    code: 'MAIN',
+    apiClient: client.apiClient,
+    mediaConfig: client.mediaConfig,
+  });
+  room.localUserId = userId;
+  room.addParticipant({ user_id: userId, id: membershipId, role }, userId);
+  for (const data of participants) {
+    room.addParticipant(data, userId);
+  }
+  room.isActive = true;
+  client._setupRoomEvents(room);
+
+  if (current) {
+    client.state.currentRoom = room;
+  }
+
+  const fixture = { client, room, fetch };
+  if (publisher) {
+    fixture.publisher = createFakePublisher(
+      publisher === true ? {} : publisher
+    );
+    room.localParticipant.setPublisher(fixture.publisher);
+  }
+  return fixture;
+};
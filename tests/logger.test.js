@@ -0,0 +1,118 @@
+/**
+ * Logger tests
+ */
+
+import ErmisClassroom from '../src/index.js';
+import Logger from '../src/utils/Logger.js';
+import Publisher from '../src/media/Publisher.js';
+
+describe('Logger', () => {
+  test('should be silent by default', () => {
+    const sink = jest.fn();
+    const logger = new Logger({ sink });
+
+    logger.error('boom');
+
+    expect(sink).not.toHaveBeenCalled();
+  });
+
+  test('should filter by level and category', () => {
+    const sink = jest.fn();
+    const root = new Logger({ level: 'info', categories: ['room'], sink });
+
+    root.child('room').debug('hidden');
+    root.child('room').info('joined', { roomId: 'r1' });
+    root.child('publisher').error('other category');
+
+    expect(sink).toHaveBeenCalledTimes(1);
+    expect(sink).toHaveBeenCalledWith(
+      expect.objectContaining({
+        level: 'info',
+        category: 'room',
+        message: 'joined',
+        args: [{ roomId: 'r1' }],
+      })
+    );
+  });
+
+  test('should reconfigure children through the root', () => {
+    const sink = jest.fn();
+    const root = new Logger({ sink });
+    const child = root.child('api');
+
+    root.configure({ level: 'debug' });
+    child.debug('request');
+
+    expect(sink).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reject unknown levels', () => {
+    expect(() => new Logger({ level: 'verbose' })).toThrow(TypeError);
+  });
+
+  test('should swallow sink errors', () => {
+    const logger = new Logger({
+      level: 'debug',
+      sink: () => {
+        throw new Error('sink down');
+      },
+    });
+
+    expect(() => logger.warn('still fine')).not.toThrow();
+  });
+
+  test('should route client logs to a custom sink', () => {
+    const sink = jest.fn();
+    const client = ErmisClassroom.create({
+      host: 'test.com:9999',
+      logSink: sink,
+    });
+
+    client.logger.info('quiet');
+    expect(sink).not.toHaveBeenCalled();
+
+    client.setLogLevel('info');
+    client.logger.info('loud');
+    expect(sink).toHaveBeenCalledWith(
+      expect.objectContaining({ category: 'client', message: 'loud' })
+    );
+
+    client.enableDebug();
+    expect(client.logger.level).toBe('debug');
+  });
+
+  test('should not log every skipped camera frame', async () => {
+    const frames = [1, 2, 3].map((timestamp) => ({
+      timestamp,
+      close: jest.fn(),
+    }));
+    globalThis.MediaStreamTrackProcessor = class {
+      constructor() {
+        this.readable = {
+          getReader: () => ({
+            read: async () =>
+              frames.length > 0
+                ? { value: frames.shift(), done: false }
+                : { done: true },
+          }),
+        };
+      }
+    };
+    const sink = jest.fn();
+    const publisher = new Publisher({
+      publishUrls: ['https://wt.test/room-1/stream-1'],
+      cameraEnabled: false,
+      logger: new Logger({ level: 'debug', sink }),
+    });
+    publisher.isPublishing = true;
+
+    publisher.startVideoFrameLoop({ kind: 'video' });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    delete globalThis.MediaStreamTrackProcessor;
+
+    const skipped = sink.mock.calls.filter(([entry]) =>
+      entry.message.includes('skipping')
+    );
+    expect(skipped).toHaveLength(1);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Remote microphone / camera state tests
+ */
+
+import Publisher from '../src/media/Publisher.js';
+import { createJoinedRoom } from './helpers.js';
+
+const createPublisher = () => {
+  const publisher = new Publisher({
+    publishUrls: ['https://wt.test/room-1/stream-1'],
+  });
+  publisher.isChannelOpen = true;
+  jest.spyOn(publisher, 'sendEvent').mockResolvedValue();
+  return publisher;
+};
+
+const publisherState = (userId, state) => ({
+  type: 'publisher_state',
+  participant: { user_id: userId },
+  has_mic: true,
+  has_camera: true,
+  mic_enabled: true,
+  camera_enabled: true,
+  ...state,
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Publisher state updates', () => {
+  test('should send the new state on every toggle', async () => {
+    const publisher = createPublisher();
+
+    await publisher.toggleMic();
+    await publisher.toggleCamera();
+
+    expect(publisher.sendEvent).toHaveBeenCalledTimes(2);
+    expect(publisher.sendEvent.mock.calls[0][0]).toMatchObject({
+      type: 'PublisherState',
+      micEnabled: false,
+      cameraEnabled: true,
+    });
+    expect(publisher.sendEvent.mock.calls[1][0]).toMatchObject({
+      micEnabled: false,
+      cameraEnabled: false,
+    });
+  });
+
+  test('should keep the local toggle when the send fails', async () => {
+    const publisher = createPublisher();
+    publisher.sendEvent.mockRejectedValue(new Error('stream closed'));
+
+    await expect(publisher.toggleMic()).resolves.toBeUndefined();
+    expect(publisher.micEnabled).toBe(false);
+  });
+
+  test('should not send before the connection is open', async () => {
+    const publisher = createPublisher();
+    publisher.isChannelOpen = false;
+
+    await publisher.toggleCamera();
+
+    expect(publisher.sendEvent).not.toHaveBeenCalled();
+    expect(publisher.cameraEnabled).toBe(false);
+  });
+});
+
+describe('Remote media state', () => {
+  test('should update the remote participant and emit events', async () => {
+    const { client, room } = await createJoinedRoom();
+    const audioToggled = jest.fn();
+    const videoToggled = jest.fn();
+    client.on('remoteAudioToggled', audioToggled);
+    client.on('remoteVideoToggled', videoToggled);
+
+    await room._handleServerEvent(
+      publisherState('user-2', { mic_enabled: false })
+    );
+
+    const remote = room.getParticipant('user-2');
+    expect(remote.isAudioEnabled).toBe(false);
+    expect(remote.isVideoEnabled).toBe(true);
+    expect(audioToggled).toHaveBeenCalledWith({
+      room,
+      participant: remote,
+      enabled: false,
+    });
+    expect(videoToggled).not.toHaveBeenCalled();
+  });
+
+  test('should treat an unpublished camera as turned off', async () => {
+    const { room } = await createJoinedRoom();
+
+    await room._handleServerEvent(
+      publisherState('user-2', { has_camera: false })
+    );
+
+    expect(room.getParticipant('user-2').isVideoEnabled).toBe(false);
+  });
+
+  test('should ignore state echoed for the local participant', async () => {
+    const { room } = await createJoinedRoom();
+    const toggled = jest.fn();
+    room.on('remoteAudioToggled', toggled);
+
+    await room._handleServerEvent(
+      publisherState('user-1', { mic_enabled: false })
+    );
+
+    expect(room.localParticipant.isAudioEnabled).toBe(true);
+    expect(toggled).not.toHaveBeenCalled();
+  });
+});
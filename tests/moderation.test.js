@@ -0,0 +1,181 @@
+/**
+ * Host moderation tests
+ */
+
+import { PermissionDeniedError, ValidationError } from '../src/index.js';
+import Publisher from '../src/media/Publisher.js';
+import { createJoinedRoom, jsonResponse } from './helpers.js';
+
+// A host with one student; API calls succeed
+const createRoom = ({ role = 'owner' } = {}) =>
+  createJoinedRoom({
+    userId: 'teacher-1',
+    role,
+    membershipId: 'member-1',
+    participants: [{ user_id: 'student-1', id: 'member-2' }],
+    fetch: jest.fn().mockResolvedValue(jsonResponse(200)),
+    current: true,
+  });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Host controls', () => {
+  test('should remove and ban a participant', async () => {
+    const { room, fetch } = await createRoom();
+
+    await room.removeParticipant('student-1', { ban: true });
+
+    const [url, options] = fetch.mock.calls[0];
+    expect(url).toBe(
+      'https://test.com/meeting/rooms/room-1/members/member-2/kick'
+    );
+    expect(JSON.parse(options.body)).toEqual({ ban: true });
+    expect(room.getParticipant('student-1')).toBeUndefined();
+  });
+
+  test('should change a role and emit roleChanged', async () => {
+    const { client, room, fetch } = await createRoom();
+    const roleChanged = jest.fn();
+    client.on('roleChanged', roleChanged);
+
+    await room.setRole('student-1', 'moderator');
+
+    expect(fetch.mock.calls[0][1].method).toBe('PATCH');
+    expect(room.getParticipant('student-1').role).toBe('moderator');
+    expect(roleChanged).toHaveBeenCalledWith(
+      expect.objectContaining({
+        role: 'moderator',
+        previousRole: 'participant',
+      })
+    );
+  });
+
+  test('should reject unknown roles and mute kinds', async () => {
+    const { room } = await createRoom();
+
+    await expect(room.setRole('student-1', 'admin')).rejects.toBeInstanceOf(
+      ValidationError
+    );
+    await expect(
+      room.requestMute('student-1', 'screen')
+    ).rejects.toBeInstanceOf(ValidationError);
+  });
+
+  test('should refuse host controls to other roles', async () => {
+    const { room, fetch } = await createRoom({
+      role: 'participant',
+    });
+
+    await expect(room.muteAll()).rejects.toBeInstanceOf(PermissionDeniedError);
+    await expect(room.removeParticipant('student-1')).rejects.toBeInstanceOf(
+      PermissionDeniedError
+    );
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('Moderation server events', () => {
+  test('should mute the local microphone on request', async () => {
+    const { client, room } = await createRoom({
+      role: 'participant',
+    });
+    const publisher = { toggleMic: jest.fn(), toggleCamera: jest.fn() };
+    room.localParticipant.setPublisher(publisher);
+    const muteRequested = jest.fn();
+    client.on('muteRequested', muteRequested);
+
+    await room._handleServerEvent({
+      type: 'mute_request',
+      participant: { user_id: 'teacher-1' },
+      kind: 'audio',
+      by: 'student-1',
+    });
+
+    expect(publisher.toggleMic).toHaveBeenCalledTimes(1);
+    expect(room.localParticipant.isAudioEnabled).toBe(false);
+    expect(muteRequested).toHaveBeenCalledWith(
+      expect.objectContaining({ kind: 'audio', by: 'student-1' })
+    );
+  });
+
+  test('should not mute the host who sent mute_all', async () => {
+    const { room } = await createRoom();
+    const publisher = { toggleMic: jest.fn() };
+    room.localParticipant.setPublisher(publisher);
+
+    await room._handleServerEvent({
+      type: 'mute_all',
+      kind: 'audio',
+      by: 'teacher-1',
+    });
+
+    expect(publisher.toggleMic).not.toHaveBeenCalled();
+  });
+
+  test('should leave the room when kicked', async () => {
+    const { client, room } = await createRoom({
+      role: 'participant',
+    });
+    const kicked = jest.fn();
+    client.on('kicked', kicked);
+
+    await room._handleServerEvent({
+      type: 'kick',
+      participant: { user_id: 'teacher-1' },
+      ban: true,
+      by: 'student-1',
+    });
+
+    expect(kicked).toHaveBeenCalledWith({ room, ban: true, by: 'student-1' });
+    expect(room.isActive).toBe(false);
+    expect(client.getCurrentRoom()).toBeNull();
+  });
+
+  test('should leave the room when it ends', async () => {
+    const { client, room } = await createRoom({
+      role: 'participant',
+    });
+    const ended = jest.fn();
+    client.on('roomEnded', ended);
+
+    await room._handleServerEvent({ type: 'room_ended', by: 'student-1' });
+
+    expect(ended).toHaveBeenCalledWith({ room, by: 'student-1' });
+    expect(client.getCurrentRoom()).toBeNull();
+  });
+
+  test('should ignore moderation events without a participant', async () => {
+    const { client, room } = await createRoom({ role: 'participant' });
+    const kicked = jest.fn();
+    client.on('kicked', kicked);
+
+    for (const type of ['kick', 'leave', 'role_changed', 'mute_request']) {
+      await room._handleServerEvent({ type, role: 'owner', by: 'student-1' });
+    }
+
+    expect(kicked).not.toHaveBeenCalled();
+    expect(room.isActive).toBe(true);
+    expect(room.participants.size).toBe(2);
+    expect(room.localParticipant.role).toBe('participant');
+  });
+
+  test('should report a server event that cannot be handled', async () => {
+    const { client, room } = await createRoom();
+    room.streamId = 'stream-1';
+    room.mediaEndpoints = { publish: ['https://wt.test/{streamId}'] };
+    jest.spyOn(Publisher.prototype, 'startPublishing').mockResolvedValue();
+    await room._setupLocalPublisher();
+    const failure = new Error('boom');
+    jest.spyOn(room, '_handleServerEvent').mockRejectedValue(failure);
+    const error = jest.fn();
+    client.on('error', error);
+
+    await room.localParticipant.publisher.onServerEvent({ type: 'kick' });
+
+    expect(error).toHaveBeenCalledWith(
+      expect.objectContaining({ room, action: 'serverEvent' })
+    );
+  });
+});
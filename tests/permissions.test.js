@@ -0,0 +1,159 @@
+/**
+ * Role permission matrix tests
+ */
+
+import {
+  Capabilities,
+  Permissions,
+  PermissionDeniedError,
+  ValidationError,
+} from '../src/index.js';
+import { createJoinedRoom, jsonResponse } from './helpers.js';
+
+// A host with one participant; API calls succeed
+const createRoom = ({ role = 'owner', permissions } = {}) =>
+  createJoinedRoom({
+    role,
+    membershipId: 'member-1',
+    participants: [{ user_id: 'user-2', id: 'member-2' }],
+    fetch: jest.fn().mockResolvedValue(jsonResponse(200)),
+    permissions,
+    current: true,
+  });
+
+describe('Permissions', () => {
+  test('should apply the default matrix', () => {
+    const permissions = new Permissions();
+
+    expect(permissions.can('owner', Capabilities.MODERATE)).toBe(true);
+    expect(permissions.can('participant', Capabilities.PUBLISH_VIDEO)).toBe(
+      true
+    );
+    expect(permissions.can('participant', Capabilities.MODERATE)).toBe(false);
+    expect(permissions.forRole('observer')).toEqual([Capabilities.CHAT]);
+    expect(permissions.can(undefined, Capabilities.CHAT)).toBe(false);
+  });
+
+  test('should replace the capabilities of overridden roles', () => {
+    const permissions = new Permissions({
+      observer: [Capabilities.PUBLISH_AUDIO],
+    });
+
+    expect(permissions.can('observer', Capabilities.PUBLISH_AUDIO)).toBe(true);
+    expect(permissions.can('observer', Capabilities.CHAT)).toBe(false);
+    expect(() => permissions.assert('observer', Capabilities.CHAT)).toThrow(
+      PermissionDeniedError
+    );
+  });
+
+  test('should reject unknown roles and capabilities', () => {
+    expect(() => new Permissions({ admin: [] })).toThrow(ValidationError);
+    expect(() => new Permissions({ observer: ['fly'] })).toThrow(
+      ValidationError
+    );
+  });
+});
+
+describe('Permission checks', () => {
+  test('should refuse sub room creation to observers', async () => {
+    const { client, room, fetch } = await createRoom({
+      role: 'observer',
+    });
+
+    await expect(
+      room.createSubRoom({ name: 'Group 1' })
+    ).rejects.toBeInstanceOf(PermissionDeniedError);
+    await expect(
+      client.createSubRoom({ name: 'Group 1' })
+    ).rejects.toBeInstanceOf(PermissionDeniedError);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('should refuse to unmute without publish rights', async () => {
+    const { room } = await createRoom({ role: 'observer' });
+    const publisher = { toggleMic: jest.fn() };
+    room.localParticipant.setPublisher(publisher);
+    room.localParticipant.isAudioEnabled = false;
+
+    await expect(room.localParticipant.toggleMicrophone()).rejects.toThrow(
+      PermissionDeniedError
+    );
+    expect(publisher.toggleMic).not.toHaveBeenCalled();
+  });
+
+  test('should pin for everyone', async () => {
+    const { room, fetch } = await createRoom();
+
+    await room.pinForEveryone('user-2');
+
+    const [url, options] = fetch.mock.calls[0];
+    expect(url).toBe('https://test.com/meeting/rooms/room-1/pin');
+    expect(JSON.parse(options.body)).toEqual({ user_id: 'user-2' });
+    expect(room.pinnedParticipant.userId).toBe('user-2');
+  });
+
+  test('should follow client permission overrides', async () => {
+    const { client, room } = await createRoom({
+      role: 'participant',
+    });
+
+    expect(client.can(Capabilities.PIN_FOR_EVERYONE)).toBe(false);
+
+    await client.setPermissions({
+      participant: [Capabilities.PIN_FOR_EVERYONE],
+    });
+
+    expect(room.can(Capabilities.PIN_FOR_EVERYONE)).toBe(true);
+  });
+});
+
+describe('Live role changes', () => {
+  test('should restart the publisher without media when demoted', async () => {
+    const { client, room } = await createRoom({
+      role: 'participant',
+    });
+    const publisher = {
+      hasMic: true,
+      hasCamera: true,
+      stop: jest.fn().mockResolvedValue(),
+    };
+    room.localParticipant.setPublisher(publisher);
+    const setupPublisher = jest
+      .spyOn(room, '_setupLocalPublisher')
+      .mockResolvedValue();
+    const changed = jest.fn();
+    client.on('permissionsChanged', changed);
+
+    await room._handleServerEvent({
+      type: 'role_changed',
+      participant: { user_id: 'user-1' },
+      role: 'observer',
+      by: 'user-2',
+    });
+
+    expect(publisher.stop).toHaveBeenCalled();
+    expect(setupPublisher).toHaveBeenCalledWith(
+      expect.objectContaining({ audioEnabled: false, videoEnabled: false })
+    );
+    expect(changed).toHaveBeenCalledWith({
+      room,
+      role: 'observer',
+      capabilities: [Capabilities.CHAT],
+    });
+  });
+
+  test('should keep the publisher when the allowed tracks are the same', async () => {
+    const { room } = await createRoom({ role: 'participant' });
+    const publisher = { hasMic: true, hasCamera: true, stop: jest.fn() };
+    room.localParticipant.setPublisher(publisher);
+
+    await room._handleServerEvent({
+      type: 'role_changed',
+      participant: { user_id: 'user-1' },
+      role: 'moderator',
+    });
+
+    expect(publisher.stop).not.toHaveBeenCalled();
+    expect(room.can(Capabilities.MODERATE)).toBe(true);
+  });
+});
@@ -0,0 +1,333 @@
+/**
+ * Poll tests
+ */
+
+import {
+  InvalidStateError,
+  PermissionDeniedError,
+  SubRoom,
+  ValidationError,
+} from '../src/index.js';
+import { createJoinedRoom } from './helpers.js';
+
+const pollData = (fields = {}) => ({
+  id: 'poll-1',
+  room_id: 'room-1',
+  question: 'Largest planet?',
+  type: 'single',
+  options: [
+    { id: 'a', text: 'Earth' },
+    { id: 'b', text: 'Jupiter' },
+  ],
+  status: 'open',
+  ...fields,
+});
+
+const results = (roomId, fields) => ({
+  type: 'poll_results',
+  poll_id: 'poll-1',
+  room_id: roomId,
+  results: fields,
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Running polls', () => {
+  test('should create and open a poll as a host', async () => {
+    const { client, room } = await createJoinedRoom({ role: 'owner' });
+    const updated = jest.fn();
+    client.on('pollUpdated', updated);
+    jest
+      .spyOn(room.apiClient, 'createPoll')
+      .mockResolvedValue(pollData({ status: 'draft', anonymous: true }));
+    jest
+      .spyOn(room.apiClient, 'updatePollStatus')
+      .mockResolvedValue(pollData({ status: 'open', anonymous: true }));
+
+    const poll = await room.polls.create({
+      question: ' Largest planet? ',
+      options: ['Earth', 'Jupiter'],
+      anonymous: true,
+    });
+    await room.polls.open(poll.id);
+
+    expect(room.apiClient.createPoll).toHaveBeenCalledWith('room-1', {
+      question: 'Largest planet?',
+      type: 'single',
+      options: ['Earth', 'Jupiter'],
+      anonymous: true,
+      show_results: false,
+      include_sub_rooms: false,
+    });
+    expect(room.apiClient.updatePollStatus).toHaveBeenCalledWith(
+      'room-1',
+      'poll-1',
+      'open'
+    );
+    expect(room.polls.get('poll-1')).toBe(poll);
+    expect(poll).toMatchObject({ status: 'open', anonymous: true });
+    expect(updated).toHaveBeenLastCalledWith({ room, poll });
+  });
+
+  test('should only let hosts create polls', async () => {
+    const { room } = await createJoinedRoom();
+
+    await expect(
+      room.polls.create({ question: 'Q?', options: ['a', 'b'] })
+    ).rejects.toBeInstanceOf(PermissionDeniedError);
+  });
+
+  test('should validate new polls', async () => {
+    const { room } = await createJoinedRoom({ role: 'owner' });
+
+    await expect(
+      room.polls.create({ question: 'Q?', options: ['only one'] })
+    ).rejects.toBeInstanceOf(ValidationError);
+    await expect(
+      room.polls.create({ question: 'Q?', type: 'ranking' })
+    ).rejects.toBeInstanceOf(ValidationError);
+  });
+
+  test('should submit answers that fit the poll', async () => {
+    const { room } = await createJoinedRoom();
+    room.polls.applyPoll(pollData({ type: 'multiple' }));
+    jest.spyOn(room.apiClient, 'submitPollAnswer').mockResolvedValue({});
+
+    await room.polls.submit('poll-1', ['a', 'b']);
+
+    expect(room.apiClient.submitPollAnswer).toHaveBeenCalledWith(
+      'room-1',
+      'poll-1',
+      { option_ids: ['a', 'b'] }
+    );
+    expect(room.polls.get('poll-1').myAnswer).toEqual(['a', 'b']);
+    await expect(room.polls.submit('poll-1', ['z'])).rejects.toBeInstanceOf(
+      ValidationError
+    );
+  });
+
+  test('should submit free text answers', async () => {
+    const { room } = await createJoinedRoom();
+    room.polls.applyPoll(pollData({ type: 'text', options: [] }));
+    jest.spyOn(room.apiClient, 'submitPollAnswer').mockResolvedValue({});
+
+    await room.polls.submit('poll-1', 'Jupiter');
+
+    expect(room.apiClient.submitPollAnswer).toHaveBeenCalledWith(
+      'room-1',
+      'poll-1',
+      { text: 'Jupiter' }
+    );
+  });
+
+  test('should reject answers to a closed poll', async () => {
+    const { room } = await createJoinedRoom();
+    await room._handleServerEvent({
+      type: 'poll_updated',
+      poll: pollData({ status: 'closed' }),
+    });
+
+    await expect(room.polls.submit('poll-1', 'a')).rejects.toBeInstanceOf(
+      InvalidStateError
+    );
+  });
+});
+
+describe('Loading polls', () => {
+  test('should join even when polls cannot be loaded', async () => {
+    const { client, room } = await createJoinedRoom();
+    room.isActive = false;
+    jest.spyOn(room.apiClient, 'joinRoom').mockResolvedValue({
+      room_id: 'room-1',
+      id: 'member-1',
+      stream_id: 'stream-1',
+    });
+    jest.spyOn(room.apiClient, 'getRoomById').mockResolvedValue({
+      room: {},
+      participants: [],
+    });
+    jest.spyOn(room, '_resolveMediaEndpoints').mockResolvedValue({});
+    jest.spyOn(room, '_setupMediaConnections').mockResolvedValue();
+    jest.spyOn(room.apiClient, 'getRoomState').mockResolvedValue({});
+    jest
+      .spyOn(room.apiClient, 'getPolls')
+      .mockRejectedValue(new Error('Not found'));
+    const error = jest.fn();
+    client.on('error', error);
+
+    await room.join('user-1');
+
+    expect(room.isActive).toBe(true);
+    expect(room.polls.getAll()).toEqual([]);
+    expect(error).toHaveBeenCalledWith(
+      expect.objectContaining({ room, action: 'polls.refresh' })
+    );
+  });
+});
+
+describe('Poll results', () => {
+  test('should apply live results from the event stream', async () => {
+    const { client, room } = await createJoinedRoom();
+    const received = jest.fn();
+    client.on('pollResults', received);
+    await room._handleServerEvent({ type: 'poll_created', poll: pollData() });
+
+    await room._handleServerEvent(
+      results('room-1', {
+        total: 2,
+        counts: { a: 1, b: 1 },
+        voters: { a: ['user-1'], b: ['user-2'] },
+      })
+    );
+
+    const poll = room.polls.get('poll-1');
+    expect(poll.results.counts).toEqual({ a: 1, b: 1 });
+    expect(received).toHaveBeenCalledWith({
+      room,
+      poll,
+      results: {
+        total: 2,
+        counts: { a: 1, b: 1 },
+        voters: { a: ['user-1'], b: ['user-2'] },
+        answers: [],
+      },
+    });
+  });
+
+  test('should roll up sub room results in the main room', async () => {
+    const { room } = await createJoinedRoom({ role: 'owner' });
+    room.polls.applyPoll(pollData({ include_sub_rooms: true }));
+
+    room.polls.applyResults(
+      results('room-1', { total: 1, counts: { a: 1 }, voters: { a: ['u1'] } })
+    );
+    room.polls.applyResults(
+      results('sub-1', {
+        total: 2,
+        counts: { a: 1, b: 1 },
+        voters: { a: ['u2'], b: ['u3'] },
+      })
+    );
+
+    expect(room.polls.getResults('poll-1')).toEqual({
+      total: 3,
+      counts: { a: 2, b: 1 },
+      voters: { a: ['u1', 'u2'], b: ['u3'] },
+      answers: [],
+    });
+    expect(
+      room.polls.getResults('poll-1', { includeSubRooms: false }).total
+    ).toBe(1);
+  });
+
+  test('should run polls inside a sub room', async () => {
+    const { client } = await createJoinedRoom();
+    const subRoom = new SubRoom({
+      id: 'sub-1',
+      code: 'SUB1',
+      apiClient: client.apiClient,
+      mediaConfig: client.mediaConfig,
+    });
+    subRoom.localUserId = 'user-1';
+    subRoom.addParticipant({ user_id: 'user-1' }, 'user-1');
+    subRoom.isActive = true;
+    jest.spyOn(client.apiClient, 'submitPollAnswer').mockResolvedValue({});
+
+    await subRoom._handleServerEvent({
+      type: 'poll_created',
+      poll: pollData({
+        id: 'poll-9',
+        room_id: 'sub-1',
+        parent_poll_id: 'poll-1',
+      }),
+    });
+    await subRoom.polls.submit('poll-9', 'b');
+
+    expect(subRoom.polls.get('poll-9').parentPollId).toBe('poll-1');
+    expect(client.apiClient.submitPollAnswer).toHaveBeenCalledWith(
+      'sub-1',
+      'poll-9',
+      { option_ids: ['b'] }
+    );
+  });
+});
+
+describe('Exporting results', () => {
+  test('should export one CSV row per room and option', async () => {
+    const { room } = await createJoinedRoom({ role: 'owner' });
+    room.polls.applyPoll(
+      pollData({
+        options: [
+          { id: 'a', text: 'Earth, the blue one' },
+          { id: 'b', text: 'Jupiter' },
+        ],
+      })
+    );
+    room.polls.applyResults(
+      results('room-1', {
+        total: 2,
+        counts: { a: 2 },
+        voters: { a: ['u1', 'u2'] },
+      })
+    );
+    room.polls.applyResults(
+      results('sub-1', { total: 1, counts: { b: 1 }, voters: { b: ['u3'] } })
+    );
+
+    expect(room.polls.export('poll-1', 'csv').split('\r\n')).toEqual([
+      'room_id,option_id,option,votes,voters',
+      'room-1,a,"Earth, the blue one",2,u1;u2',
+      'room-1,b,Jupiter,0,',
+      'sub-1,a,"Earth, the blue one",0,',
+      'sub-1,b,Jupiter,1,u3',
+    ]);
+  });
+
+  test('should keep formulas in answers from running', async () => {
+    const { room } = await createJoinedRoom({ role: 'owner' });
+    room.polls.applyPoll(pollData({ type: 'text', options: [] }));
+    room.polls.applyResults(
+      results('room-1', {
+        total: 2,
+        answers: [
+          { user_id: '@admin', text: '=HYPERLINK("http://evil.test")' },
+          { user_id: 'user-2', text: '-2+3' },
+        ],
+      })
+    );
+
+    expect(room.polls.export('poll-1', 'csv').split('\r\n')).toEqual([
+      'room_id,user_id,answer',
+      `room-1,'@admin,"'=HYPERLINK(""http://evil.test"")"`,
+      "room-1,user-2,'-2+3",
+    ]);
+  });
+
+  test('should leave names out of anonymous text answers', async () => {
+    const { room } = await createJoinedRoom({ role: 'owner' });
+    room.polls.applyPoll(
+      pollData({ type: 'text', options: [], anonymous: true })
+    );
+    room.polls.applyResults(
+      results('room-1', {
+        total: 1,
+        answers: [{ text: 'It is "Jupiter"' }],
+      })
+    );
+
+    expect(room.polls.export('poll-1', 'csv')).toBe(
+      'room_id,user_id,answer\r\nroom-1,,"It is ""Jupiter"""'
+    );
+    const exported = JSON.parse(room.polls.export('poll-1'));
+    expect(exported).toMatchObject({
+      id: 'poll-1',
+      anonymous: true,
+      results: { total: 1, voters: null },
+      rooms: { 'room-1': { total: 1 } },
+    });
+    expect(exported).not.toHaveProperty('myAnswer');
+    expect(exported).not.toHaveProperty('subRoomResults');
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * Viewer joins and late publishing tests
+ */
+
+import {
+  InvalidStateError,
+  PermissionDeniedError,
+  ValidationError,
+} from '../src/index.js';
+import Publisher from '../src/media/Publisher.js';
+import AudioMixer from '../src/media/AudioMixer.js';
+import { createJoinedRoom } from './helpers.js';
+
+// Alone in the room
+const createRoom = (options) =>
+  createJoinedRoom({ membershipId: 'member-1', participants: [], ...options });
+
+const fakeTrack = (kind) => ({ kind, stop: jest.fn() });
+
+// Publisher that joined as a viewer: event stream only
+const viewerPublisher = () => ({
+  hasMic: false,
+  hasCamera: false,
+  toggleMic: jest.fn(),
+  openDeviceTrack: jest.fn(async (kind) => fakeTrack(kind)),
+  stop: jest.fn().mockResolvedValue(),
+});
+
+// Publisher sending `tracks`; `appTracks` came from the app
+const mediaPublisher = (tracks, appTracks = []) => ({
+  ...viewerPublisher(),
+  hasMic: tracks.some((t) => t.kind === 'audio'),
+  hasCamera: tracks.some((t) => t.kind === 'video'),
+  stream: { getTracks: () => tracks },
+  appTracks: new Set(appTracks),
+});
+
+beforeAll(() => {
+  globalThis.MediaStream = class {
+    constructor(tracks = []) {
+      this.tracks = tracks;
+    }
+
+    getTracks() {
+      return this.tracks;
+    }
+  };
+});
+
+afterAll(() => {
+  delete globalThis.MediaStream;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete globalThis.WebTransport;
+  delete globalThis.VideoEncoder;
+});
+
+describe('Viewer publisher', () => {
+  test('should open only the event stream without local media', async () => {
+    globalThis.WebTransport = jest.fn();
+    globalThis.VideoEncoder = jest.fn();
+    const publisher = new Publisher({
+      publishUrls: ['https://wt.test/room-1/stream-1'],
+      hasCamera: false,
+      hasMic: false,
+    });
+    jest.spyOn(publisher, 'init').mockResolvedValue();
+    jest.spyOn(publisher, 'connectToGateway').mockResolvedValue({
+      closed: new Promise(() => {}),
+    });
+    jest.spyOn(publisher, 'createEventStream').mockResolvedValue();
+    const createStream = jest.spyOn(publisher, 'createBidirectionalStream');
+    const getMediaStream = jest.spyOn(publisher, 'getMediaStream');
+
+    await publisher.startPublishing();
+
+    expect(publisher.isPublishing).toBe(true);
+    expect(createStream).not.toHaveBeenCalled();
+    expect(getMediaStream).not.toHaveBeenCalled();
+  });
+
+  test('should join as a viewer without VideoEncoder or media modules', async () => {
+    globalThis.WebTransport = jest.fn();
+    const { room } = await createRoom();
+    room.isActive = false;
+    jest.spyOn(room.apiClient, 'joinRoom').mockResolvedValue({
+      room_id: 'room-1',
+      id: 'member-1',
+      stream_id: 'stream-1',
+    });
+    jest.spyOn(room.apiClient, 'getRoomById').mockResolvedValue({
+      room: {},
+      participants: [{ user_id: 'user-1', role: 'participant' }],
+    });
+    jest.spyOn(room.apiClient, 'getRoomState').mockResolvedValue({});
+    jest.spyOn(room.apiClient, 'getPolls').mockResolvedValue({});
+    jest.spyOn(room, '_resolveMediaEndpoints').mockResolvedValue({
+      publish: ['https://wt.test/{streamId}'],
+      subscribe: [],
+    });
+    jest.spyOn(room, '_startDeviceWatcher').mockResolvedValue();
+    jest.spyOn(room, '_startSpeakerDetector').mockReturnValue();
+    jest.spyOn(AudioMixer.prototype, 'initialize').mockResolvedValue();
+    jest.spyOn(Publisher.prototype, 'connectToGateway').mockResolvedValue({
+      closed: new Promise(() => {}),
+    });
+    jest.spyOn(Publisher.prototype, 'createEventStream').mockResolvedValue();
+    jest.spyOn(Publisher.prototype, 'setupDatagramReader').mockReturnValue();
+    const init = jest.spyOn(Publisher.prototype, 'init');
+
+    await room.join('user-1', { publish: false });
+
+    const publisher = room.localParticipant.publisher;
+    expect(room.isActive).toBe(true);
+    expect(publisher.isChannelOpen).toBe(true);
+    expect(init).not.toHaveBeenCalled();
+  });
+});
+
+describe('Room publishing', () => {
+  test('should read publish choices from join options', async () => {
+    const { room } = await createRoom();
+    room.isActive = false;
+    jest.spyOn(room.apiClient, 'joinRoom').mockRejectedValue(new Error('x'));
+
+    await room.join('user-1', { audio: false }).catch(() => {});
+    expect(room._publishTracks).toEqual({ audio: false, video: true });
+
+    await room.join('user-1', { publish: false }).catch(() => {});
+    expect(room._publishTracks).toEqual({ audio: false, video: false });
+  });
+
+  test('should start publishing after joining as a viewer', async () => {
+    const { client, room } = await createRoom();
+    const publisher = viewerPublisher();
+    room.localParticipant.setPublisher(publisher);
+    room._publishTracks = { audio: false, video: false };
+    const setupPublisher = jest
+      .spyOn(room, '_setupLocalPublisher')
+      .mockResolvedValue();
+    const changed = jest.fn();
+    client.on('publishingChanged', changed);
+
+    await room.startPublishing({ audio: true, video: false });
+
+    expect(publisher.openDeviceTrack).toHaveBeenCalledWith('audio');
+    expect(publisher.stop).toHaveBeenCalledWith({ keepStream: true });
+    const [options] = setupPublisher.mock.calls[0];
+    expect(options).toMatchObject({ audioEnabled: true, videoEnabled: false });
+    expect(options.mediaStream.getTracks()).toEqual([
+      expect.objectContaining({ kind: 'audio' }),
+    ]);
+    expect(changed).toHaveBeenCalledWith({ room, audio: true, video: false });
+  });
+
+  test('should stop publishing and keep the room joined', async () => {
+    const { room } = await createRoom();
+    const tracks = [fakeTrack('audio'), fakeTrack('video')];
+    room.localParticipant.setPublisher(mediaPublisher(tracks));
+    const setupPublisher = jest
+      .spyOn(room, '_setupLocalPublisher')
+      .mockResolvedValue();
+
+    await room.stopPublishing();
+
+    expect(setupPublisher).toHaveBeenCalledWith(
+      expect.objectContaining({
+        audioEnabled: false,
+        videoEnabled: false,
+        mediaStream: undefined,
+      })
+    );
+    tracks.forEach((track) => expect(track.stop).toHaveBeenCalled());
+    expect(room.isActive).toBe(true);
+  });
+
+  test('should keep the app stream when a track is dropped', async () => {
+    const { room } = await createRoom();
+    const mic = fakeTrack('audio');
+    const camera = fakeTrack('video');
+    const publisher = mediaPublisher([mic, camera], [mic, camera]);
+    room.localParticipant.setPublisher(publisher);
+    const setupPublisher = jest
+      .spyOn(room, '_setupLocalPublisher')
+      .mockResolvedValue();
+
+    await room.startPublishing({ audio: true, video: false });
+
+    const [options] = setupPublisher.mock.calls[0];
+    expect(options.mediaStream.getTracks()).toEqual([mic]);
+    expect(options.appTracks).toBe(publisher.appTracks);
+    expect(camera.stop).not.toHaveBeenCalled();
+    expect(publisher.openDeviceTrack).not.toHaveBeenCalled();
+  });
+
+  test('should only open the device of an added track', async () => {
+    const { room } = await createRoom();
+    const mic = fakeTrack('audio');
+    const publisher = mediaPublisher([mic]);
+    room.localParticipant.setPublisher(publisher);
+    room.localParticipant.isAudioEnabled = false;
+    const setupPublisher = jest
+      .spyOn(room, '_setupLocalPublisher')
+      .mockResolvedValue();
+
+    await room.startPublishing({ audio: true, video: true });
+
+    expect(publisher.openDeviceTrack).toHaveBeenCalledTimes(1);
+    expect(publisher.openDeviceTrack).toHaveBeenCalledWith('video');
+    const [options] = setupPublisher.mock.calls[0];
+    expect(options).toMatchObject({ audioEnabled: false, videoEnabled: true });
+    expect(options.mediaStream.getTracks()).toEqual([
+      mic,
+      expect.objectContaining({ kind: 'video' }),
+    ]);
+    expect(mic.stop).not.toHaveBeenCalled();
+  });
+
+  test('should refuse to publish for observers', async () => {
+    const { room } = await createRoom({ role: 'observer' });
+    room.localParticipant.setPublisher(viewerPublisher());
+
+    const error = await room.startPublishing().catch((e) => e);
+
+    expect(error).toBeInstanceOf(PermissionDeniedError);
+    expect(error.message).toBe('Role observer is not allowed to publish media');
+  });
+
+  test('should refuse an empty publish request', async () => {
+    const { room } = await createRoom();
+    room.localParticipant.setPublisher(viewerPublisher());
+
+    await expect(
+      room.startPublishing({ audio: false, video: false })
+    ).rejects.toBeInstanceOf(ValidationError);
+  });
+
+  test('should not unmute a track that is not published', async () => {
+    const { room } = await createRoom();
+    const publisher = viewerPublisher();
+    room.localParticipant.setPublisher(publisher);
+    room.localParticipant.isAudioEnabled = false;
+
+    await expect(room.localParticipant.toggleMicrophone()).rejects.toThrow(
+      InvalidStateError
+    );
+    expect(publisher.toggleMic).not.toHaveBeenCalled();
+  });
+});
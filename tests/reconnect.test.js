@@ -0,0 +1,88 @@
+/**
+ * Session reconnection tests
+ */
+
+import ErmisClassroom, { EventEmitter } from '../src/index.js';
+
+const createConnectedClient = async (config = {}) => {
+  const client = ErmisClassroom.create({
+    host: 'test.com',
+    reconnectDelay: 1000,
+    tokenProvider: jest.fn().mockResolvedValue('token'),
+    ...config,
+  });
+  await client.authenticate('student-1');
+
+  const room = new EventEmitter();
+  room.reconnect = jest.fn();
+  room.getInfo = jest.fn().mockReturnValue({ code: 'abc' });
+  client._setupRoomEvents(room);
+  client.state.currentRoom = room;
+
+  return { client, room };
+};
+
+describe('Reconnection', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test('should rejoin the room with backoff after a transport loss', async () => {
+    const { client, room } = await createConnectedClient();
+    room.reconnect
+      .mockRejectedValueOnce(new Error('gateway down'))
+      .mockResolvedValueOnce({});
+
+    const reconnecting = jest.fn();
+    const reconnected = jest.fn();
+    client.on('reconnecting', reconnecting);
+    client.on('reconnected', reconnected);
+
+    room.emit('connectionLost', { source: 'publisher', reason: 'closed' });
+    expect(client.getState().connectionStatus).toBe('reconnecting');
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(room.reconnect).toHaveBeenCalledTimes(1);
+
+    // Second attempt waits twice as long
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(room.reconnect).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+
+    expect(room.reconnect).toHaveBeenCalledTimes(2);
+    expect(reconnecting).toHaveBeenCalledTimes(2);
+    expect(reconnecting.mock.calls[1][0]).toMatchObject({ attempt: 2 });
+    expect(reconnected).toHaveBeenCalledWith({ attempts: 2, room });
+    expect(client.getState().connectionStatus).toBe('connected');
+  });
+
+  test('should give up after the configured attempts', async () => {
+    const { client, room } = await createConnectedClient({
+      reconnectAttempts: 2,
+    });
+    room.reconnect.mockRejectedValue(new Error('gateway down'));
+
+    const failed = jest.fn();
+    client.on('reconnectionFailed', failed);
+
+    room.emit('connectionLost', { source: 'publisher', reason: 'closed' });
+    await jest.advanceTimersByTimeAsync(3000);
+
+    expect(room.reconnect).toHaveBeenCalledTimes(2);
+    expect(failed).toHaveBeenCalledWith({
+      attempts: 2,
+      room,
+      error: expect.any(Error),
+    });
+    expect(client.getState().connectionStatus).toBe('failed');
+  });
+
+  test('should stop when the user leaves the room', async () => {
+    const { client, room } = await createConnectedClient();
+
+    room.emit('connectionLost', { source: 'subscriber', reason: 'closed' });
+    client.state.currentRoom = null;
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(room.reconnect).not.toHaveBeenCalled();
+  });
+});
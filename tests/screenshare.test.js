@@ -0,0 +1,272 @@
+/**
+ * Screen sharing tests
+ */
+
+import { InvalidStateError, PermissionDeniedError } from '../src/index.js';
+import Publisher from '../src/media/Publisher.js';
+import Subscriber from '../src/media/Subscriber.js';
+import { createJoinedRoom } from './helpers.js';
+
+const fakeTrack = (kind) => ({ kind, stop: jest.fn(), onended: null });
+
+const fakeStream = (tracks) => ({
+  getTracks: () => tracks,
+  getAudioTracks: () => tracks.filter((t) => t.kind === 'audio'),
+  getVideoTracks: () => tracks.filter((t) => t.kind === 'video'),
+});
+
+// Publisher already connected, with channel and encoder plumbing stubbed
+const createConnectedPublisher = () => {
+  const publisher = new Publisher({
+    publishUrls: ['https://wt.test/room-1/stream-1'],
+  });
+  publisher.isPublishing = true;
+  publisher.isChannelOpen = true;
+  jest.spyOn(publisher, 'sendPublisherState').mockResolvedValue();
+  jest
+    .spyOn(publisher, 'createBidirectionalStream')
+    .mockImplementation(async (channelName) => {
+      publisher.publishStreams.set(channelName, {
+        writer: { close: jest.fn().mockResolvedValue() },
+      });
+    });
+  return publisher;
+};
+
+beforeAll(() => {
+  globalThis.VideoEncoder = class {
+    constructor() {
+      this.state = 'unconfigured';
+      this.encodeQueueSize = 0;
+      this.configure = jest.fn();
+      this.encode = jest.fn();
+      this.close = jest.fn(() => {
+        this.state = 'closed';
+      });
+    }
+  };
+  globalThis.Worker = class {
+    postMessage() {}
+
+    terminate() {}
+  };
+  globalThis.MediaStream = class {
+    constructor(tracks = []) {
+      Object.assign(this, fakeStream([...tracks]));
+    }
+  };
+  globalThis.MediaStreamTrackProcessor = class {
+    constructor() {
+      this.readable = {
+        getReader: () => ({
+          read: () => new Promise(() => {}),
+          cancel: jest.fn().mockResolvedValue(),
+        }),
+      };
+    }
+  };
+  globalThis.MediaStreamTrackGenerator = class {
+    constructor() {
+      this.kind = 'video';
+      this.stop = jest.fn();
+      this.writable = {
+        getWriter: () => ({ write: jest.fn(), releaseLock: jest.fn() }),
+      };
+    }
+  };
+  Object.defineProperty(navigator, 'mediaDevices', {
+    configurable: true,
+    value: { getDisplayMedia: jest.fn() },
+  });
+});
+
+afterAll(() => {
+  delete globalThis.VideoEncoder;
+  delete globalThis.Worker;
+  delete globalThis.MediaStream;
+  delete globalThis.MediaStreamTrackProcessor;
+  delete globalThis.MediaStreamTrackGenerator;
+  delete navigator.mediaDevices;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  navigator.mediaDevices.getDisplayMedia.mockReset();
+});
+
+describe('Publisher screen share', () => {
+  test('should open the screen channel next to the camera', async () => {
+    const screen = fakeTrack('video');
+    navigator.mediaDevices.getDisplayMedia.mockResolvedValue(
+      fakeStream([screen])
+    );
+    const publisher = createConnectedPublisher();
+    const started = jest.fn();
+    publisher.on('screenShareStarted', started);
+
+    await publisher.startScreenShare();
+
+    expect(publisher.createBidirectionalStream).toHaveBeenCalledWith(
+      'screen_share_1080p'
+    );
+    const { encoder, config } = publisher.videoEncoders.get('screen');
+    expect(encoder.configure).toHaveBeenCalledWith(config);
+    expect(config).toMatchObject({ width: 1920, height: 1080 });
+    expect(publisher.isScreenSharing).toBe(true);
+    expect(publisher.sendPublisherState).toHaveBeenCalled();
+    expect(started).toHaveBeenCalledWith(
+      expect.objectContaining({ hasAudio: false })
+    );
+  });
+
+  test('should clean up when sharing ends from the browser UI', async () => {
+    const screen = fakeTrack('video');
+    navigator.mediaDevices.getDisplayMedia.mockResolvedValue(
+      fakeStream([screen])
+    );
+    const publisher = createConnectedPublisher();
+    await publisher.startScreenShare();
+    const { encoder } = publisher.videoEncoders.get('screen');
+    const { writer } = publisher.publishStreams.get('screen_share_1080p');
+    const stopped = jest.fn();
+    publisher.on('screenShareStopped', stopped);
+
+    screen.onended();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(screen.stop).toHaveBeenCalled();
+    expect(encoder.close).toHaveBeenCalled();
+    expect(writer.close).toHaveBeenCalled();
+    expect(publisher.publishStreams.has('screen_share_1080p')).toBe(false);
+    expect(publisher.screenStream).toBeNull();
+    expect(stopped).toHaveBeenCalled();
+  });
+
+  test('should mix tab audio into the microphone recorder', async () => {
+    const tabAudio = fakeTrack('audio');
+    navigator.mediaDevices.getDisplayMedia.mockResolvedValue(
+      fakeStream([fakeTrack('video'), tabAudio])
+    );
+    const publisher = createConnectedPublisher();
+    const source = { disconnect: jest.fn() };
+    publisher.audioProcessor = {};
+    publisher.addRecorderTrack = jest.fn().mockReturnValue(source);
+
+    await publisher.startScreenShare({ audio: true });
+    await publisher.stopScreenShare();
+
+    expect(navigator.mediaDevices.getDisplayMedia).toHaveBeenCalledWith({
+      video: true,
+      audio: true,
+    });
+    expect(publisher.addRecorderTrack).toHaveBeenCalledWith(
+      publisher.audioProcessor,
+      tabAudio
+    );
+    expect(source.disconnect).toHaveBeenCalled();
+  });
+
+  test('should refuse tab audio without a published microphone', async () => {
+    const publisher = createConnectedPublisher();
+
+    await expect(
+      publisher.startScreenShare({ audio: true })
+    ).rejects.toBeInstanceOf(InvalidStateError);
+    expect(navigator.mediaDevices.getDisplayMedia).not.toHaveBeenCalled();
+  });
+});
+
+describe('Room screen share', () => {
+  test('should emit screenShareStarted for the local share', async () => {
+    const { client, room } = await createJoinedRoom();
+    const publisher = {
+      startScreenShare: jest.fn(async () => {
+        room._setScreenShare(room.localParticipant, 'screen-stream');
+      }),
+    };
+    room.localParticipant.setPublisher(publisher);
+    const started = jest.fn();
+    client.on('screenShareStarted', started);
+
+    await room.startScreenShare({ audio: false });
+
+    expect(publisher.startScreenShare).toHaveBeenCalledWith({ audio: false });
+    expect(room.localParticipant.isScreenSharing).toBe(true);
+    expect(started).toHaveBeenCalledWith(
+      expect.objectContaining({
+        participant: room.localParticipant,
+        stream: 'screen-stream',
+      })
+    );
+  });
+
+  test('should refuse screen sharing to observers', async () => {
+    const { room } = await createJoinedRoom({ role: 'observer' });
+    room.localParticipant.setPublisher({ startScreenShare: jest.fn() });
+
+    await expect(room.startScreenShare()).rejects.toBeInstanceOf(
+      PermissionDeniedError
+    );
+  });
+
+  test('should give a remote share its own stream until it stops', async () => {
+    const { client, room } = await createJoinedRoom();
+    const remote = room.getParticipant('user-2');
+    room.mediaEndpoints = { subscribe: ['wss://media.test/{streamId}'] };
+    jest.spyOn(Subscriber.prototype, 'start').mockResolvedValue();
+    await room._setupRemoteSubscriber(remote);
+    const { subscriber } = remote;
+    subscriber.worker = { postMessage: jest.fn() };
+    const started = jest.fn();
+    const stopped = jest.fn();
+    client.on('screenShareStarted', started);
+    client.on('screenShareStopped', stopped);
+
+    subscriber._handleWorkerMessage({
+      data: { type: 'screenData', frame: { close: jest.fn() } },
+    });
+    await room._handleServerEvent({
+      type: 'publisher_state',
+      participant: { user_id: 'user-2' },
+      screen_sharing: false,
+    });
+
+    const [{ stream, participant }] = started.mock.calls[0];
+    expect(participant).toBe(remote);
+    expect(stream).toBeInstanceOf(MediaStream);
+    expect(subscriber.worker.postMessage).toHaveBeenCalledWith({
+      type: 'stopScreenShare',
+    });
+    expect(stopped).toHaveBeenCalledWith({ room, participant: remote });
+    expect(remote.isScreenSharing).toBe(false);
+  });
+
+  test('should write overlapping screen frames through one writer', async () => {
+    const { room } = await createJoinedRoom();
+    const remote = room.getParticipant('user-2');
+    room.mediaEndpoints = { subscribe: ['wss://media.test/{streamId}'] };
+    jest.spyOn(Subscriber.prototype, 'start').mockResolvedValue();
+    await room._setupRemoteSubscriber(remote);
+    const { subscriber } = remote;
+    const error = jest.fn();
+    subscriber.on('error', error);
+    // Writes stay pending, like a track the page has not drawn yet
+    const writer = {
+      write: jest.fn(() => new Promise(() => {})),
+      releaseLock: jest.fn(),
+    };
+    const getWriter = jest.fn(() => writer);
+    jest
+      .spyOn(globalThis, 'MediaStreamTrackGenerator')
+      .mockImplementation(() => ({ stop: jest.fn(), writable: { getWriter } }));
+
+    subscriber._handleScreenData({ close: jest.fn() });
+    subscriber._handleScreenData({ close: jest.fn() });
+    subscriber._cleanupScreenShare();
+
+    expect(getWriter).toHaveBeenCalledTimes(1);
+    expect(writer.write).toHaveBeenCalledTimes(2);
+    expect(writer.releaseLock).toHaveBeenCalledTimes(1);
+    expect(error).not.toHaveBeenCalled();
+  });
+});
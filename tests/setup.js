@@ -3,6 +3,12 @@
  * This file is run before each test file
  */
 
+import { TextDecoder, TextEncoder } from 'util';
+
+// jsdom does not provide these
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
 // Mock global objects for browser environment
 global.navigator = {
   mediaDevices: {
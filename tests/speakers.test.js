@@ -0,0 +1,168 @@
+/**
+ * Active speaker detection tests
+ */
+
+import ActiveSpeakerDetector from '../src/media/ActiveSpeakerDetector.js';
+import Publisher from '../src/media/Publisher.js';
+import { createJoinedRoom } from './helpers.js';
+
+const levels = (entries) => new Map(Object.entries(entries));
+
+// Three participants; the detector is driven by hand instead of the
+// sampling timer
+const createRoom = async () => {
+  const fixture = await createJoinedRoom({
+    participants: [{ user_id: 'user-2' }, { user_id: 'user-3' }],
+  });
+  fixture.room._startSpeakerDetector();
+  fixture.room.speakerDetector.stop();
+  return fixture;
+};
+
+// Feed the same levels for a second of 100 ms ticks
+const speak = (room, entries, from = 0) => {
+  for (let now = from; now < from + 1000; now += 100) {
+    room.speakerDetector.update(levels(entries), now);
+  }
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ActiveSpeakerDetector', () => {
+  test('should smooth levels before counting someone as speaking', () => {
+    const detector = new ActiveSpeakerDetector();
+    const changed = jest.fn();
+    detector.on('activeSpeakersChanged', changed);
+
+    detector.update(levels({ a: 1 }), 0);
+    expect(detector.levels.get('a')).toBeCloseTo(0.3);
+    expect(changed).not.toHaveBeenCalled();
+
+    detector.update(levels({ a: 1 }), 100);
+    expect(changed).toHaveBeenCalledWith({
+      speakers: ['a'],
+      dominantSpeaker: 'a',
+    });
+  });
+
+  test('should hold a speaker through short pauses', () => {
+    const detector = new ActiveSpeakerDetector({ smoothing: 1 });
+
+    detector.update(levels({ a: 1 }), 0);
+    detector.update(levels({ a: 0 }), 500);
+    expect(detector.isSpeaking('a')).toBe(true);
+
+    detector.update(levels({ a: 0 }), 900);
+    expect(detector.isSpeaking('a')).toBe(false);
+    expect(detector.dominantSpeaker).toBeNull();
+  });
+
+  test('should keep the dominant speaker while they keep talking', () => {
+    const detector = new ActiveSpeakerDetector({ smoothing: 1 });
+
+    detector.update(levels({ a: 0.5, b: 0 }), 0);
+    detector.update(levels({ a: 0.5, b: 0.9 }), 100);
+
+    expect(detector.dominantSpeaker).toBe('a');
+    expect(detector.speakers).toEqual(['a', 'b']);
+
+    detector.update(levels({ a: 0, b: 0.9 }), 1000);
+    expect(detector.dominantSpeaker).toBe('b');
+  });
+
+  test('should forget participants that are no longer sampled', () => {
+    const detector = new ActiveSpeakerDetector({ smoothing: 1 });
+
+    detector.update(levels({ a: 1 }), 0);
+    detector.update(levels({}), 100);
+
+    expect(detector.speakers).toEqual([]);
+  });
+});
+
+describe('Local microphone level', () => {
+  test('should meter the current recorder source', () => {
+    const publisher = new Publisher({
+      publishUrls: ['https://wt.test/room-1/stream-1'],
+    });
+    const analyser = {
+      fftSize: 4,
+      getFloatTimeDomainData: (samples) => samples.fill(0.1),
+    };
+    const context = { createAnalyser: jest.fn(() => analyser) };
+    const first = { context, connect: jest.fn() };
+    const second = { context, connect: jest.fn() };
+    publisher.audioProcessor = { sourceNode: first };
+
+    expect(publisher.getAudioLevel()).toBeCloseTo(2 / 3);
+
+    // switchMicrophone() replaced the recorder source
+    publisher.audioProcessor.sourceNode = second;
+    publisher.getAudioLevel();
+    expect(second.connect).toHaveBeenCalledWith(analyser);
+    expect(context.createAnalyser).toHaveBeenCalledTimes(1);
+
+    publisher.micEnabled = false;
+    expect(publisher.getAudioLevel()).toBe(0);
+  });
+});
+
+describe('Room active speakers', () => {
+  test('should update participants and emit activeSpeakersChanged', async () => {
+    const { client, room } = await createRoom();
+    const changed = jest.fn();
+    client.on('activeSpeakersChanged', changed);
+
+    speak(room, { 'user-1': 0, 'user-2': 1, 'user-3': 0 });
+
+    const speaker = room.getParticipant('user-2');
+    expect(speaker.isSpeaking).toBe(true);
+    expect(speaker.audioLevel).toBeGreaterThan(0.5);
+    expect(speaker.getInfo().isSpeaking).toBe(true);
+    expect(room.getParticipant('user-3').isSpeaking).toBe(false);
+    expect(changed).toHaveBeenCalledWith({
+      room,
+      speakers: [speaker],
+      dominantSpeaker: speaker,
+    });
+  });
+
+  test('should pin the dominant speaker in follow mode', async () => {
+    const { room } = await createRoom();
+    const pinned = jest.fn();
+    room.on('participantPinned', pinned);
+    room.setFollowActiveSpeaker(true);
+
+    speak(room, { 'user-1': 0, 'user-2': 1, 'user-3': 0 });
+    speak(room, { 'user-1': 0, 'user-2': 0, 'user-3': 1 }, 2000);
+
+    expect(room.pinnedParticipant.userId).toBe('user-3');
+    expect(pinned).toHaveBeenLastCalledWith(
+      expect.objectContaining({ auto: true })
+    );
+    expect(room.isFollowingSpeaker).toBe(true);
+  });
+
+  test('should not follow the local participant', async () => {
+    const { room } = await createRoom();
+    room.pinParticipant('user-2');
+    room.setFollowActiveSpeaker(true);
+
+    speak(room, { 'user-1': 1, 'user-2': 0, 'user-3': 0 });
+
+    expect(room.pinnedParticipant.userId).toBe('user-2');
+  });
+
+  test('should stop following after a manual pin', async () => {
+    const { room } = await createRoom();
+    room.setFollowActiveSpeaker(true);
+
+    room.pinParticipant('user-2');
+    speak(room, { 'user-1': 0, 'user-2': 0, 'user-3': 1 });
+
+    expect(room.isFollowingSpeaker).toBe(false);
+    expect(room.pinnedParticipant.userId).toBe('user-2');
+  });
+});
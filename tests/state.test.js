@@ -0,0 +1,258 @@
+/**
+ * Shared room state tests
+ */
+
+import {
+  PermissionDeniedError,
+  TransportError,
+  ValidationError,
+} from '../src/index.js';
+import { createJoinedRoom } from './helpers.js';
+
+// Joined with the event stream open
+const createRoom = (options) =>
+  createJoinedRoom({ publisher: true, ...options });
+
+const stateChanged = (room, fields) =>
+  room._handleServerEvent({ type: 'state_changed', by: 'user-2', ...fields });
+
+const lastWrite = (publisher) =>
+  publisher.sendEvent.mock.calls
+    .map(([event]) => event)
+    .filter((event) => event.type === 'StateSet')
+    .pop();
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('Writing state', () => {
+  test('should apply a write once the server broadcasts it', async () => {
+    const { client, room, publisher } = await createRoom();
+    const changed = jest.fn();
+    client.on('stateChanged', changed);
+
+    const writing = room.state.set('slide', 4);
+    const write = lastWrite(publisher);
+    expect(write).toMatchObject({ key: 'slide', value: 4, hostOnly: false });
+    expect(room.state.get('slide')).toBeUndefined();
+
+    await stateChanged(room, {
+      key: 'slide',
+      value: 4,
+      version: 7,
+      by: 'user-1',
+      request_id: write.id,
+    });
+
+    await expect(writing).resolves.toMatchObject({ value: 4, version: 7 });
+    expect(room.state.get('slide')).toBe(4);
+    expect(changed).toHaveBeenCalledWith(
+      expect.objectContaining({
+        room,
+        key: 'slide',
+        value: 4,
+        previousValue: undefined,
+      })
+    );
+  });
+
+  test('should keep the write the server ordered last', async () => {
+    const { room } = await createRoom();
+
+    await stateChanged(room, { key: 'timer', value: 60, version: 5 });
+    // Delivered late; the server already ordered it before version 5
+    await stateChanged(room, { key: 'timer', value: 30, version: 4 });
+
+    expect(room.state.getEntry('timer')).toMatchObject({
+      value: 60,
+      version: 5,
+      updatedBy: 'user-2',
+    });
+  });
+
+  test('should reject a write the server refuses', async () => {
+    const { room, publisher } = await createRoom();
+
+    const writing = room.state.set('phase', 'answering');
+    await room._handleServerEvent({
+      type: 'state_rejected',
+      request_id: lastWrite(publisher).id,
+      error: 'key is host only',
+    });
+
+    await expect(writing).rejects.toThrow('key is host only');
+  });
+
+  test('should time out without an answer', async () => {
+    jest.useFakeTimers();
+    const { room } = await createRoom();
+
+    const writing = room.state.set('phase', 'answering');
+    jest.advanceTimersByTime(10000);
+
+    await expect(writing).rejects.toMatchObject({ code: 'TIMEOUT' });
+  });
+
+  test('should fail while the event stream is down', async () => {
+    const { room, publisher } = await createRoom();
+    publisher.isChannelOpen = false;
+
+    await expect(room.state.set('slide', 1)).rejects.toBeInstanceOf(
+      TransportError
+    );
+  });
+
+  test('should validate keys and values', async () => {
+    const { room } = await createRoom();
+
+    await expect(room.state.set('', 1)).rejects.toBeInstanceOf(ValidationError);
+    await expect(room.state.set('slide', undefined)).rejects.toBeInstanceOf(
+      ValidationError
+    );
+    await expect(
+      room.state.set('notes', 'x'.repeat(20000))
+    ).rejects.toBeInstanceOf(ValidationError);
+  });
+});
+
+describe('Host-only keys', () => {
+  test('should only let hosts create a host-only key', async () => {
+    const { room } = await createRoom();
+
+    await expect(
+      room.state.set('slide', 1, { hostOnly: true })
+    ).rejects.toBeInstanceOf(PermissionDeniedError);
+  });
+
+  test('should only let hosts write a host-only key', async () => {
+    const { room } = await createRoom();
+    await stateChanged(room, {
+      key: 'slide',
+      value: 1,
+      version: 1,
+      host_only: true,
+    });
+
+    await expect(room.state.set('slide', 2)).rejects.toBeInstanceOf(
+      PermissionDeniedError
+    );
+    await expect(
+      room.state.set('slide', 2, { hostOnly: false })
+    ).rejects.toBeInstanceOf(PermissionDeniedError);
+  });
+
+  test('should let hosts write host-only keys', async () => {
+    const { room, publisher } = await createRoom({ role: 'owner' });
+
+    room.state.set('slide', 1, { hostOnly: true }).catch(() => {});
+
+    expect(lastWrite(publisher)).toMatchObject({ hostOnly: true });
+    room.state.close();
+  });
+});
+
+describe('Subscriptions and snapshots', () => {
+  test('should notify subscribers of their key only', async () => {
+    const { room } = await createRoom();
+    const listener = jest.fn();
+    const unsubscribe = room.state.subscribe('slide', listener);
+
+    await stateChanged(room, { key: 'timer', value: 10, version: 1 });
+    await stateChanged(room, { key: 'slide', value: 2, version: 2 });
+    unsubscribe();
+    await stateChanged(room, { key: 'slide', value: 3, version: 3 });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(
+      2,
+      expect.objectContaining({ version: 2 })
+    );
+  });
+
+  test('should report deleted keys as undefined', async () => {
+    const { room } = await createRoom();
+    const listener = jest.fn();
+    room.state.subscribe('slide', listener);
+
+    await stateChanged(room, { key: 'slide', value: 2, version: 1 });
+    await stateChanged(room, { key: 'slide', value: null, version: 2 });
+
+    expect(listener).toHaveBeenLastCalledWith(undefined, null);
+    expect(room.state.getAll()).toEqual({});
+  });
+
+  test('should merge a snapshot by version', async () => {
+    const { room } = await createRoom();
+    await stateChanged(room, { key: 'old', value: true, version: 2 });
+    // Written while the snapshot was loading
+    await stateChanged(room, { key: 'fresh', value: 'new', version: 12 });
+
+    room.state.load({
+      version: 10,
+      entries: [
+        { key: 'slide', value: 5, version: 9, host_only: true },
+        { key: 'fresh', value: 'stale', version: 8 },
+      ],
+    });
+
+    expect(room.state.getAll()).toEqual({ slide: 5, fresh: 'new' });
+    expect(room.state.getEntry('slide').hostOnly).toBe(true);
+  });
+
+  test('should load the snapshot while joining', async () => {
+    const { room } = await createRoom();
+    room.isActive = false;
+    jest.spyOn(room.apiClient, 'joinRoom').mockResolvedValue({
+      room_id: 'room-1',
+      id: 'member-1',
+      stream_id: 'stream-1',
+    });
+    jest.spyOn(room.apiClient, 'getRoomById').mockResolvedValue({
+      room: {},
+      participants: [],
+    });
+    jest.spyOn(room, '_resolveMediaEndpoints').mockResolvedValue({});
+    jest.spyOn(room, '_setupMediaConnections').mockResolvedValue();
+    jest.spyOn(room.apiClient, 'getRoomState').mockResolvedValue({
+      version: 3,
+      entries: [{ key: 'phase', value: 'lobby', version: 3 }],
+    });
+    jest.spyOn(room.apiClient, 'getPolls').mockResolvedValue({ polls: [] });
+
+    await room.join('user-1');
+
+    expect(room.apiClient.getRoomState).toHaveBeenCalledWith('room-1', {
+      signal: expect.any(AbortSignal),
+    });
+    expect(room.state.get('phase')).toBe('lobby');
+  });
+
+  test('should leave again when the snapshot cannot be loaded', async () => {
+    const { room, publisher } = await createRoom();
+    room.isActive = false;
+    jest.spyOn(room.apiClient, 'joinRoom').mockResolvedValue({
+      room_id: 'room-1',
+      id: 'member-1',
+      stream_id: 'stream-1',
+    });
+    jest.spyOn(room.apiClient, 'getRoomById').mockResolvedValue({
+      room: {},
+      participants: [],
+    });
+    jest.spyOn(room, '_resolveMediaEndpoints').mockResolvedValue({});
+    jest.spyOn(room, '_setupMediaConnections').mockResolvedValue();
+    jest
+      .spyOn(room.apiClient, 'getRoomState')
+      .mockRejectedValue(new TransportError('Offline'));
+    jest.spyOn(room.apiClient, 'leaveRoom').mockResolvedValue({});
+
+    await expect(room.join('user-1')).rejects.toBeInstanceOf(TransportError);
+
+    expect(publisher.stop).toHaveBeenCalled();
+    expect(room.apiClient.leaveRoom).toHaveBeenCalledWith('room-1', 'member-1');
+    expect(room.participants.size).toBe(0);
+    expect(room.isActive).toBe(false);
+  });
+});
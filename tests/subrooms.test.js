@@ -0,0 +1,193 @@
+/**
+ * Breakout room API and server event tests
+ */
+
+import ErmisClassroom, { Room, SubRoom } from '../src/index.js';
+import { jsonResponse } from './helpers.js';
+
+const subRoomData = {
+  id: 'sub-1',
+  room_code: 'GROUP1',
+  room_name: 'Group 1',
+  room_type: 'breakout',
+};
+
+const createMainRoom = async (fetch = jest.fn()) => {
+  const client = ErmisClassroom.create({
+    host: 'test.com',
+    tokenProvider: jest.fn().mockResolvedValue('token'),
+    fetch,
+  });
+  await client.authenticate('student-1');
+
+  const room = new Room({
+    id: 'main-1',
+    code: 'MAIN',
+    type: 'main',
+    apiClient: client.apiClient,
+    mediaConfig: client.mediaConfig,
+    subRoomFactory: (config) => client._createSubRoom(config),
+  });
+  client._setupRoomEvents(room);
+  client.state.currentRoom = room;
+
+  return { client, room };
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Sub room API', () => {
+  test.each([
+    ['inviteParticipant', '/rooms/sub-1/invitations', { user_id: 'student-2' }],
+    ['assignParticipant', '/rooms/sub-1/assignments', { user_id: 'student-2' }],
+  ])('%s should call the API', async (method, endpoint, body) => {
+    const fetch = jest.fn().mockResolvedValue(jsonResponse(200, { ok: true }));
+    const { room } = await createMainRoom(fetch);
+    const subRoom = room._getOrCreateSubRoom(subRoomData);
+
+    await subRoom[method]('student-2');
+
+    const [url, options] = fetch.mock.calls[0];
+    expect(url).toBe(`https://test.com/meeting${endpoint}`);
+    expect(options.method).toBe('POST');
+    expect(JSON.parse(options.body)).toEqual(body);
+  });
+
+  test('broadcastMessage should call the API', async () => {
+    const fetch = jest.fn().mockResolvedValue(jsonResponse(200));
+    const { room } = await createMainRoom(fetch);
+    const subRoom = room._getOrCreateSubRoom(subRoomData);
+
+    await subRoom.broadcastMessage('Two minutes left', 'warning');
+
+    const [url, options] = fetch.mock.calls[0];
+    expect(url).toBe('https://test.com/meeting/rooms/sub-1/broadcast');
+    expect(JSON.parse(options.body)).toEqual({
+      message: 'Two minutes left',
+      message_type: 'warning',
+    });
+  });
+});
+
+describe('Sub room server events', () => {
+  test('should build SubRoom instances linked to the parent', async () => {
+    const { room } = await createMainRoom();
+
+    const subRoom = room._getOrCreateSubRoom(subRoomData);
+
+    expect(subRoom).toBeInstanceOf(SubRoom);
+    expect(subRoom.parentRoom).toBe(room);
+    expect(subRoom.code).toBe('GROUP1');
+    expect(room._getOrCreateSubRoom(subRoomData)).toBe(subRoom);
+  });
+
+  test('should move the local user when assigned', async () => {
+    const { client, room } = await createMainRoom();
+    const joinFromMain = jest
+      .spyOn(SubRoom.prototype, 'joinFromMain')
+      .mockResolvedValue({});
+    const joined = jest.fn();
+    client.on('subRoomJoined', joined);
+
+    await room._handleServerEvent({
+      type: 'sub_room_assigned',
+      sub_room: subRoomData,
+      user_id: 'student-1',
+    });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    const subRoom = room.subRooms.get('sub-1');
+    expect(joinFromMain).toHaveBeenCalledWith('student-1');
+    expect(client.getCurrentRoom()).toBe(subRoom);
+    expect(joined).toHaveBeenCalledWith({ subRoom, parentRoom: room });
+  });
+
+  test('should move the local user between sub rooms when reassigned', async () => {
+    const { client, room } = await createMainRoom();
+    const current = room._getOrCreateSubRoom(subRoomData);
+    current.localUserId = 'student-1';
+    client.state.currentRoom = current;
+    const leave = jest.spyOn(SubRoom.prototype, 'leave').mockResolvedValue();
+    const joinFromMain = jest
+      .spyOn(SubRoom.prototype, 'joinFromMain')
+      .mockResolvedValue({});
+    const switched = jest.fn();
+    client.on('subRoomSwitched', switched);
+
+    // The main room is paused: the move arrives on the sub room's stream
+    await current._handleServerEvent({
+      type: 'sub_room_assigned',
+      sub_room: { ...subRoomData, id: 'sub-2', room_code: 'GROUP2' },
+      user_id: 'student-1',
+    });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    const target = room.subRooms.get('sub-2');
+    expect(target.parentRoom).toBe(room);
+    expect(current.subRooms.size).toBe(0);
+    expect(leave.mock.contexts[0]).toBe(current);
+    expect(joinFromMain).toHaveBeenCalledWith('student-1');
+    expect(joinFromMain.mock.contexts[0]).toBe(target);
+    expect(client.getCurrentRoom()).toBe(target);
+    expect(switched).toHaveBeenCalledWith({
+      fromSubRoom: current,
+      toSubRoom: target,
+    });
+  });
+
+  test('should only report assignments of other users', async () => {
+    const { client, room } = await createMainRoom();
+    const joinFromMain = jest.spyOn(SubRoom.prototype, 'joinFromMain');
+    const assigned = jest.fn();
+    client.on('subRoomAssigned', assigned);
+
+    await room._handleServerEvent({
+      type: 'sub_room_assigned',
+      sub_room: subRoomData,
+      user_id: 'student-2',
+    });
+
+    expect(assigned).toHaveBeenCalledWith(
+      expect.objectContaining({ userId: 'student-2' })
+    );
+    expect(joinFromMain).not.toHaveBeenCalled();
+    expect(client.getCurrentRoom()).toBe(room);
+  });
+
+  test('should forward invitations and broadcasts', async () => {
+    const { client, room } = await createMainRoom();
+    const invited = jest.fn();
+    const broadcast = jest.fn();
+    client.on('subRoomInvite', invited);
+    client.on('broadcast', broadcast);
+
+    await room._handleServerEvent({
+      type: 'sub_room_invite',
+      sub_room: subRoomData,
+      user_id: 'student-1',
+      invited_by: 'teacher-1',
+    });
+    await room._handleServerEvent({
+      type: 'broadcast',
+      message: 'Back in 5',
+      message_type: 'info',
+      sender_id: 'teacher-1',
+    });
+
+    expect(invited).toHaveBeenCalledWith(
+      expect.objectContaining({
+        subRoom: room.subRooms.get('sub-1'),
+        userId: 'student-1',
+        invitedBy: 'teacher-1',
+      })
+    );
+    expect(broadcast).toHaveBeenCalledWith({
+      room,
+      message: 'Back in 5',
+      type: 'info',
+      senderId: 'teacher-1',
+    });
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Selective subscription and last-N tests
+ */
+
+import { ValidationError } from '../src/index.js';
+import Subscriber from '../src/media/Subscriber.js';
+import { createJoinedRoom } from './helpers.js';
+
+// Four participants with streams, subscribed the way join() does it
+const createRoom = async ({ autoSubscribe = true } = {}) => {
+  const fixture = await createJoinedRoom({
+    participants: ['user-2', 'user-3', 'user-4'].map((userId) => ({
+      user_id: userId,
+      stream_id: userId,
+    })),
+  });
+  const { room } = fixture;
+  room.mediaEndpoints = { subscribe: ['wss://media.test/{streamId}'] };
+  room._autoSubscribe = autoSubscribe;
+  for (const participant of room.getParticipants()) {
+    if (!participant.isLocal) {
+      await room._setupRemoteSubscriber(participant);
+    }
+  }
+  return fixture;
+};
+
+const workerMessages = (participant, type) =>
+  participant.subscriber.worker.postMessage.mock.calls
+    .map(([message]) => message)
+    .filter((message) => message.type === type);
+
+beforeEach(() => {
+  jest
+    .spyOn(Subscriber.prototype, 'start')
+    .mockImplementation(async function () {
+      this.worker = { postMessage: jest.fn(), terminate: jest.fn() };
+      this.isStarted = true;
+    });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Selective subscription', () => {
+  test('should receive nobody until subscribed without autoSubscribe', async () => {
+    const { client, room } = await createRoom({ autoSubscribe: false });
+    const changed = jest.fn();
+    client.on('subscriptionChanged', changed);
+    const remote = room.getParticipant('user-2');
+
+    expect(remote.subscriber).toBeNull();
+    expect(remote.subscription).toEqual({
+      video: false,
+      audio: false,
+      quality: null,
+    });
+
+    await room.subscribe('user-2', { video: false });
+
+    expect(remote.subscriber.tracks).toEqual({ video: false, audio: true });
+    expect(room.getParticipant('user-3').subscriber).toBeNull();
+    expect(changed).toHaveBeenCalledWith({
+      room,
+      participant: remote,
+      video: false,
+      audio: true,
+      quality: '360p',
+    });
+  });
+
+  test('should close the connection on unsubscribe', async () => {
+    const { room } = await createRoom();
+    const remote = room.getParticipant('user-2');
+    const { subscriber } = remote;
+    jest.spyOn(subscriber, 'stop');
+
+    await room.unsubscribe('user-2');
+
+    expect(subscriber.stop).toHaveBeenCalled();
+    expect(remote.subscriber).toBeNull();
+    expect(remote.subscription.video).toBe(false);
+  });
+
+  test('should switch tracks and quality on a live subscriber', async () => {
+    const { room } = await createRoom();
+    const remote = room.getParticipant('user-2');
+
+    await room.setSubscriptions([
+      { userId: 'user-2', video: false },
+      { userId: 'user-3', quality: '720p' },
+    ]);
+
+    expect(workerMessages(remote, 'setTracks')).toEqual([
+      { type: 'setTracks', data: { video: false, audio: true } },
+    ]);
+    expect(
+      workerMessages(room.getParticipant('user-3'), 'switchBitrate')
+    ).toEqual([{ type: 'switchBitrate', quality: '720p' }]);
+  });
+
+  test('should apply a subscription when the participant joins', async () => {
+    const { room } = await createRoom({ autoSubscribe: false });
+    await room.subscribe('user-5', { quality: '720p' });
+
+    const late = room.addParticipant(
+      { user_id: 'user-5', stream_id: 'user-5' },
+      'user-1'
+    );
+    await room._setupRemoteSubscriber(late);
+
+    expect(late.subscriber.quality).toBe('720p');
+  });
+
+  test('should reject entries without a userId', async () => {
+    const { room } = await createRoom();
+
+    await expect(
+      room.setSubscriptions([{ video: false }])
+    ).rejects.toBeInstanceOf(ValidationError);
+  });
+});
+
+describe('Last-N', () => {
+  test('should keep video for the most recent speakers only', async () => {
+    const { room } = await createRoom();
+
+    await room.setLastN(1);
+    room._handleActiveSpeakersChanged(['user-3']);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(room.getParticipant('user-3').subscription).toEqual({
+      video: true,
+      audio: true,
+      quality: '360p',
+    });
+    expect(room.getParticipant('user-2').subscription).toEqual({
+      video: false,
+      audio: true,
+      quality: '360p',
+    });
+    expect(room.getParticipant('user-4').subscription.video).toBe(false);
+  });
+
+  test('should give the pinned participant a slot in high quality', async () => {
+    const { room } = await createRoom();
+    await room.setLastN(1);
+
+    room.pinParticipant('user-4');
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    const pinned = room.getParticipant('user-4');
+    expect(pinned.subscription).toEqual({
+      video: true,
+      audio: true,
+      quality: '720p',
+    });
+    expect(room.getParticipant('user-2').subscription.video).toBe(false);
+  });
+
+  test('should rank visible tiles before speakers', async () => {
+    const { room } = await createRoom();
+    await room.setLastN(1);
+    room._handleActiveSpeakersChanged(['user-2']);
+
+    await room.setVisibleParticipants(['user-4']);
+
+    expect(room.getParticipant('user-4').subscription.video).toBe(true);
+    expect(room.getParticipant('user-2').subscription.video).toBe(false);
+  });
+
+  test('should receive all video again when turned off', async () => {
+    const { room } = await createRoom();
+    await room.setLastN(0);
+
+    await room.setLastN(null);
+
+    for (const userId of ['user-2', 'user-3', 'user-4']) {
+      expect(room.getParticipant(userId).subscription.video).toBe(true);
+    }
+  });
+
+  test('should reject an invalid size', async () => {
+    const { room } = await createRoom();
+
+    await expect(room.setLastN(-1)).rejects.toBeInstanceOf(ValidationError);
+  });
+});
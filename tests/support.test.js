@@ -0,0 +1,130 @@
+/**
+ * Browser capability preflight tests
+ */
+
+import ErmisClassroom from '../src/index.js';
+
+const NATIVE_APIS = {
+  WebTransport: class {},
+  VideoEncoder: {
+    isConfigSupported: jest.fn(async (config) => ({ supported: true, config })),
+  },
+  VideoDecoder: class {},
+  MediaStreamTrackProcessor: class {},
+  MediaStreamTrackGenerator: class {},
+  AudioWorkletNode: class {},
+  AudioData: class {},
+  EncodedAudioChunk: class {},
+  WebSocket: class {},
+  Worker: class {},
+};
+
+const installApis = (apis) => {
+  const previous = {};
+  for (const [name, value] of Object.entries(apis)) {
+    previous[name] = global[name];
+    global[name] = value;
+  }
+  return () => {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) {
+        delete global[name];
+      } else {
+        global[name] = value;
+      }
+    }
+  };
+};
+
+describe('ErmisClassroom.checkSupport', () => {
+  let restore = () => {};
+
+  beforeAll(() => {
+    Object.defineProperty(navigator, 'mediaDevices', {
+      configurable: true,
+      value: { getUserMedia: jest.fn() },
+    });
+  });
+
+  afterAll(() => {
+    delete navigator.mediaDevices;
+  });
+
+  afterEach(() => {
+    restore();
+    NATIVE_APIS.VideoEncoder.isConfigSupported.mockClear();
+  });
+
+  test('should report full support when every API is native', async () => {
+    restore = installApis(NATIVE_APIS);
+
+    const report = await ErmisClassroom.checkSupport();
+
+    expect(report.verdict).toBe('full');
+    expect(report.apis.every((api) => api.native)).toBe(true);
+    expect(report.codecs.map((result) => result.layer)).toEqual([
+      'high',
+      'low',
+      'screen',
+    ]);
+  });
+
+  test('should degrade when a bundled polyfill covers a missing API', async () => {
+    restore = installApis({
+      ...NATIVE_APIS,
+      MediaStreamTrackProcessor: undefined,
+      OffscreenCanvas: class {},
+      VideoFrame: class {},
+    });
+
+    const report = await ErmisClassroom.checkSupport();
+    const mstp = report.apis.find(
+      (api) => api.name === 'MediaStreamTrackProcessor'
+    );
+
+    expect(mstp).toMatchObject({
+      native: false,
+      polyfill: 'MSTP',
+      coveredByPolyfill: true,
+      available: true,
+    });
+    expect(report.verdict).toBe('degraded');
+  });
+
+  test('should degrade when only some layers can be encoded', async () => {
+    restore = installApis(NATIVE_APIS);
+    NATIVE_APIS.VideoEncoder.isConfigSupported.mockImplementation(
+      async (config) => ({ supported: config.width < 1920 })
+    );
+
+    const report = await ErmisClassroom.checkSupport();
+
+    expect(report.codecs.find((c) => c.layer === 'screen').supported).toBe(
+      false
+    );
+    expect(report.verdict).toBe('degraded');
+  });
+
+  test('should be unsupported without WebTransport', async () => {
+    restore = installApis({ ...NATIVE_APIS, WebTransport: undefined });
+
+    const report = await ErmisClassroom.checkSupport();
+
+    expect(report.verdict).toBe('unsupported');
+    expect(report.apis.find((api) => api.name === 'WebTransport')).toMatchObject(
+      { native: false, polyfill: null, available: false }
+    );
+  });
+
+  test('should treat a rejected codec probe as unsupported', async () => {
+    restore = installApis(NATIVE_APIS);
+    NATIVE_APIS.VideoEncoder.isConfigSupported.mockRejectedValue(
+      new TypeError('bad codec')
+    );
+
+    const report = await ErmisClassroom.checkSupport({ codecs: ['nope'] });
+
+    expect(report.codecs.every((result) => !result.supported)).toBe(true);
+    expect(report.verdict).toBe('unsupported');
+  });
+});
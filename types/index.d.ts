@@ -2,13 +2,140 @@
 // Project: https://github.com/tuannt591/ermis-classroom-sdk
 // Definitions by: Ermis Team <https://github.com/tuannt591>
 
+export type TokenResult = string | { access_token: string };
+
+export type TokenProvider =
+  | ((userId: string) => Promise<TokenResult> | TokenResult)
+  | { getToken(userId: string): Promise<TokenResult> | TokenResult };
+
+export interface SessionStorageAdapter {
+  getItem(key: string): string | null | Promise<string | null>;
+  setItem(key: string, value: string): void | Promise<void>;
+  removeItem(key: string): void | Promise<void>;
+}
+
+export interface SavedSession {
+  userId: string;
+  token: string;
+  roomCode?: string | null;
+  roomId?: string | null;
+  membershipId?: string | null;
+  pinnedUserId?: string | null;
+  audioEnabled?: boolean;
+  videoEnabled?: boolean;
+  publishAudio?: boolean;
+  publishVideo?: boolean;
+  savedAt: number;
+}
+
+export interface ResumeSessionResult {
+  user: User;
+  room: Room | null;
+  joinResult?: JoinResult;
+}
+
+export interface AssetUrls {
+  mediaWorker?: string;
+  audioWorklet?: string;
+  mstpPolyfill?: string;
+  mstgPolyfill?: string;
+  intervalWorker?: string;
+  triggerWorker?: string;
+  raptorqWasm?: string;
+  opusDecoder?: string;
+  opusRecorder?: string;
+  opusEncoderWorker?: string;
+  opusDecoderWorker?: string;
+}
+
+export interface EndpointConfig {
+  /** REST API base URL; takes precedence over `apiUrl` */
+  api?: string;
+  /** WebTransport publish URL template(s) with `{roomId}` / `{streamId}` */
+  publish?: string | string[];
+  /** WebSocket subscribe URL template(s) with `{roomId}` / `{streamId}` */
+  subscribe?: string | string[];
+}
+
+export interface MediaEndpoints {
+  publish: string[];
+  subscribe: string[];
+}
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+export type LogCategory =
+  | 'client'
+  | 'api'
+  | 'room'
+  | 'publisher'
+  | 'subscriber'
+  | 'worker'
+  | 'mixer'
+  | 'worklet'
+  | (string & {});
+
+export interface LogEntry {
+  level: Exclude<LogLevel, 'silent'>;
+  category: LogCategory;
+  message: string;
+  args: any[];
+  timestamp: number;
+}
+
+export type LogSink = (entry: LogEntry) => void;
+
+export interface LoggerOptions {
+  level?: LogLevel;
+  categories?: LogCategory[] | null;
+  sink?: LogSink | null;
+  category?: LogCategory;
+}
+
+export declare const LogLevels: Record<LogLevel, number>;
+export declare function consoleSink(entry: LogEntry): void;
+
+export declare class Logger {
+  constructor(options?: LoggerOptions);
+  readonly category: LogCategory;
+  readonly level: LogLevel;
+  configure(options: Omit<LoggerOptions, 'category'>): this;
+  child(category: LogCategory): Logger;
+  isEnabled(level: LogLevel): boolean;
+  log(level: Exclude<LogLevel, 'silent'>, message: string, ...args: any[]): void;
+  debug(message: string, ...args: any[]): void;
+  info(message: string, ...args: any[]): void;
+  warn(message: string, ...args: any[]): void;
+  error(message: string, ...args: any[]): void;
+}
+
 export interface ClientConfig {
   host: string;
   apiUrl?: string;
   webtpUrl?: string;
+  endpoints?: EndpointConfig;
+  discoverEndpoints?: boolean;
   reconnectAttempts?: number;
   reconnectDelay?: number;
+  maxReconnectDelay?: number;
+  tokenProvider?: TokenProvider;
+  tokenRefreshMargin?: number;
+  autoSaveCredentials?: boolean;
+  storage?: SessionStorageAdapter | null;
+  sessionKey?: string;
+  assetBaseUrl?: string;
+  assets?: AssetUrls;
+  cacheBustAssets?: boolean;
   debug?: boolean;
+  logLevel?: LogLevel;
+  logCategories?: LogCategory[] | null;
+  logSink?: LogSink | null;
+  requestTimeout?: number;
+  requestRetries?: number;
+  requestRetryDelay?: number;
+  fetch?: typeof fetch;
+  interceptors?: ApiInterceptors;
+  permissions?: PermissionMatrix;
   defaultVideoConfig?: {
     width?: number;
     height?: number;
@@ -26,6 +153,77 @@ export interface ConnectionOptions {
   [key: string]: any;
 }
 
+export interface JoinOptions {
+  /** false joins as a viewer: no camera, microphone or media streams */
+  publish?: boolean;
+  /** Publish the microphone (default true) */
+  audio?: boolean;
+  /** Publish the camera (default true) */
+  video?: boolean;
+  /** Start with the microphone muted when false */
+  audioEnabled?: boolean;
+  /** Start with the camera off when false */
+  videoEnabled?: boolean;
+  /** Microphone to open, from MediaDevices.getDevices() */
+  audioDeviceId?: string;
+  /** Camera to open, from MediaDevices.getDevices() */
+  videoDeviceId?: string;
+  /** Publish this stream instead of calling getUserMedia() */
+  mediaStream?: MediaStream;
+  /** false receives nobody until subscribe() / setSubscriptions() (default true) */
+  autoSubscribe?: boolean;
+}
+
+export type VideoQuality = '360p' | '720p';
+
+export interface SubscriptionOptions {
+  /** Receive camera video (default true) */
+  video?: boolean;
+  /** Receive microphone audio (default true) */
+  audio?: boolean;
+  quality?: VideoQuality;
+}
+
+export interface Subscription extends SubscriptionOptions {
+  userId: string;
+}
+
+export interface SubscriptionState {
+  video: boolean;
+  audio: boolean;
+  quality: VideoQuality | null;
+}
+
+export interface StartPublishingOptions {
+  audio?: boolean;
+  video?: boolean;
+}
+
+export interface PublishingChangedEvent {
+  room: Room;
+  audio: boolean;
+  video: boolean;
+}
+
+export interface ScreenShareOptions {
+  /** Also share tab / system audio, mixed into the published microphone */
+  audio?: boolean;
+}
+
+export interface ScreenShareStartedEvent {
+  room: Room;
+  participant: Participant;
+  /** The shared screen, separate from the participant's camera stream */
+  stream: MediaStream;
+  /** Whether tab audio is mixed in (local shares only) */
+  hasAudio: boolean;
+}
+
+export interface ScreenShareStoppedEvent {
+  room: Room;
+  participant: Participant;
+}
+
 export interface RoomConfig {
   name: string;
   type?: string;
@@ -67,9 +265,30 @@ export interface StreamRemovedEvent {
   participant: ParticipantInfo;
 }
 
+export interface ReconnectingEvent {
+  attempt: number;
+  maxAttempts: number;
+  reason: string;
+  room: Room | null;
+}
+
+export interface GatewayFailedEvent {
+  room: Room;
+  source: 'publisher' | 'subscriber';
+  participant?: Participant;
+  url: string;
+  reason?: string;
+}
+
+export interface ReconnectedEvent {
+  attempts: number;
+  room: Room | null;
+}
+
 export interface User {
   id: string;
   token: string;
+  expiresAt: number | null;
   authenticatedAt: number;
 }
 
@@ -82,6 +301,11 @@ export interface ParticipantInfo {
   isAudioEnabled: boolean;
   isVideoEnabled: boolean;
   isPinned: boolean;
+  isScreenSharing: boolean;
+  isSpeaking: boolean;
+  isHandRaised: boolean;
+  handRaisedAt: number | null;
+  reaction: Reaction | null;
   connectionStatus: string;
 }
 
@@ -118,6 +342,434 @@ export interface MediaPermissions {
   microphone?: PermissionStatus;
 }
 
+// Errors
+export type ErrorCode =
+  | 'UNKNOWN'
+  | 'INVALID_ARGUMENT'
+  | 'INVALID_STATE'
+  | 'ALREADY_JOINED'
+  | 'AUTH_REQUIRED'
+  | 'AUTH_FAILED'
+  | 'TOKEN_INVALID'
+  | 'UNAUTHORIZED'
+  | 'ROOM_NOT_FOUND'
+  | 'PERMISSION_DENIED'
+  | 'DEVICE_PERMISSION_DENIED'
+  | 'DEVICE_NOT_FOUND'
+  | 'DEVICE_IN_USE'
+  | 'DEVICE_ERROR'
+  | 'TRANSPORT_FAILED'
+  | 'CONNECTION_LOST'
+  | 'ASSET_LOAD_FAILED'
+  | 'UNSUPPORTED_BROWSER'
+  | 'API_ERROR'
+  | 'NETWORK_ERROR'
+  | 'TIMEOUT'
+  | 'ABORTED'
+  | 'RATE_LIMITED';
+
+export interface ErmisErrorOptions {
+  code?: ErrorCode;
+  retryable?: boolean;
+  cause?: unknown;
+  details?: Record<string, any>;
+}
+
+export declare class ErmisError extends Error {
+  readonly code: ErrorCode;
+  readonly retryable: boolean;
+  readonly details: Record<string, any>;
+  readonly cause?: unknown;
+
+  constructor(message: string, options?: ErmisErrorOptions);
+  static from(error: unknown, options?: ErmisErrorOptions): ErmisError;
+  toJSON(): {
+    name: string;
+    code: ErrorCode;
+    message: string;
+    retryable: boolean;
+    details: Record<string, any>;
+  };
+}
+
+export declare class ValidationError extends ErmisError {}
+export declare class InvalidStateError extends ErmisError {}
+export declare class AuthError extends ErmisError {}
+export declare class RoomNotFoundError extends ErmisError {}
+export declare class PermissionDeniedError extends ErmisError {}
+export declare class MediaDeviceError extends ErmisError {
+  static fromDomException(error: unknown): MediaDeviceError;
+}
+export declare class TransportError extends ErmisError {}
+export declare class UnsupportedBrowserError extends ErmisError {}
+export declare class ApiError extends ErmisError {
+  readonly status: number | null;
+  constructor(message: string, options?: ErmisErrorOptions & { status?: number });
+  static fromStatus(status: number, endpoint?: string): ErmisError;
+}
+
+export declare const ErrorCodes: { readonly [K in ErrorCode]: K };
+
+export interface ErrorEvent {
+  error: ErmisError;
+  action: string;
+  room?: Room;
+  participant?: Participant;
+}
+
+export interface ConnectionLostEvent {
+  room: Room;
+  source: 'publisher' | 'subscriber';
+  reason: string;
+  error?: ErmisError;
+}
+
+export interface ReconnectionFailedEvent {
+  attempts: number;
+  room: Room | null;
+  error: ErmisError | Error | null;
+}
+
+export type ParticipantRole = 'owner' | 'moderator' | 'participant' | 'observer';
+
+export type MuteKind = 'audio' | 'video';
+
+export type Capability =
+  | 'publishAudio'
+  | 'publishVideo'
+  | 'publishScreen'
+  | 'createSubRoom'
+  | 'pinForEveryone'
+  | 'moderate'
+  | 'chat';
+
+export type PermissionMatrix = Partial<Record<ParticipantRole, Capability[]>>;
+
+export declare const Capabilities: {
+  readonly PUBLISH_AUDIO: 'publishAudio';
+  readonly PUBLISH_VIDEO: 'publishVideo';
+  readonly PUBLISH_SCREEN: 'publishScreen';
+  readonly CREATE_SUB_ROOM: 'createSubRoom';
+  readonly PIN_FOR_EVERYONE: 'pinForEveryone';
+  readonly MODERATE: 'moderate';
+  readonly CHAT: 'chat';
+};
+
+export declare const DEFAULT_PERMISSIONS: Record<ParticipantRole, Capability[]>;
+
+export declare class Permissions {
+  constructor(overrides?: PermissionMatrix);
+  update(overrides: PermissionMatrix): void;
+  can(role: ParticipantRole | string | undefined, capability: Capability): boolean;
+  assert(
+    role: ParticipantRole | string | undefined,
+    capability: Capability,
+    action?: string
+  ): void;
+  forRole(role: ParticipantRole | string): Capability[];
+  toJSON(): PermissionMatrix;
+}
+
+export interface PermissionsChangedEvent {
+  room: Room;
+  role: ParticipantRole;
+  capabilities: Capability[];
+}
+
+export interface RemoveParticipantOptions {
+  ban?: boolean;
+}
+
+export interface KickedEvent {
+  room: Room;
+  ban: boolean;
+  by?: string;
+}
+
+export interface RoomEndedEvent {
+  room: Room;
+  by?: string;
+}
+
+export interface RoleChangedEvent {
+  room: Room;
+  participant: Participant;
+  role: ParticipantRole;
+  previousRole: ParticipantRole;
+  by?: string;
+}
+
+export interface DeviceSwitchedEvent {
+  room: Room;
+  participant: Participant;
+  kind: MuteKind;
+  deviceId: string;
+}
+
+export interface DeviceListChangedEvent extends MediaDevices {
+  room: Room;
+  added: MediaDeviceInfo[];
+  removed: MediaDeviceInfo[];
+}
+
+export interface ActiveDeviceLostEvent {
+  room: Room;
+  kind: MuteKind | 'speaker';
+  deviceId: string;
+  /** Device now in use: "" for the default speaker, null when none was found */
+  fallbackDeviceId: string | null;
+}
+
+export interface RemoteMediaToggledEvent {
+  room: Room;
+  participant: Participant;
+  enabled: boolean;
+}
+
+export interface ActiveSpeakersChangedEvent {
+  room: Room;
+  /** Participants speaking now, dominant speaker first */
+  speakers: Participant[];
+  dominantSpeaker: Participant | null;
+}
+
+export interface ChatMessage {
+  id: string;
+  roomId: string;
+  senderId: string;
+  text: string;
+  /** Recipient of a private message, null for everyone */
+  to: string | null;
+  /** Posted by a host into every sub room */
+  toSubRooms: boolean;
+  timestamp: number;
+  status: 'sending' | 'sent' | 'failed';
+}
+
+export interface SendChatMessageOptions {
+  /** userId of the recipient of a private message */
+  to?: string;
+  /** Post into every sub room (needs the moderate capability) */
+  toSubRooms?: boolean;
+}
+
+export interface ChatHistoryOptions {
+  /** id of the oldest message already loaded */
+  before?: string;
+  limit?: number;
+}
+
+export interface ChatHistoryPage {
+  messages: ChatMessage[];
+  hasMore: boolean;
+}
+
+export interface ChatMessageEvent {
+  room: Room;
+  message: ChatMessage;
+  /** Sender, null once they left the room */
+  participant: Participant | null;
+}
+
+/** JSON value, or binary data sent as an ArrayBuffer or typed array */
+export type DataPayload = any;
+
+export interface SendDataOptions {
+  /** userId of the only recipient, default everyone */
+  to?: string;
+  /** false sends a datagram that may be dropped, default true */
+  reliable?: boolean;
+  topic?: string;
+}
+
+export interface Reaction {
+  emoji: string;
+  timestamp: number;
+}
+
+export interface ReactionEvent extends Reaction {
+  room: Room;
+  participant: Participant;
+}
+
+export interface ParticipantUpdatedEvent {
+  room: Room;
+  participant: Participant;
+  /** getInfo() fields that changed */
+  changes: (keyof ParticipantInfo)[];
+}
+
+export interface StateEntry<T = any> {
+  value: T;
+  /** Server order of the write; later writes have higher versions */
+  version: number;
+  hostOnly: boolean;
+  updatedBy: string | null;
+  updatedAt: number | null;
+}
+
+export interface StateSetOptions {
+  /** Only hosts may write the key; omitted keeps the key's setting */
+  hostOnly?: boolean;
+}
+
+export interface StateChange {
+  key: string;
+  /** undefined once the key was deleted */
+  value: any;
+  previousValue: any;
+  entry: StateEntry | null;
+}
+
+export interface StateChangedEvent extends StateChange {
+  room: Room;
+}
+
+export interface RoomState extends EventEmitter {
+  get<T = any>(key: string): T | undefined;
+  getEntry<T = any>(key: string): StateEntry<T> | null;
+  getAll(): Record<string, any>;
+  set<T = any>(
+    key: string,
+    value: T | null,
+    options?: StateSetOptions
+  ): Promise<StateEntry<T> | null>;
+  delete(key: string): Promise<null>;
+  subscribe<T = any>(
+    key: string,
+    listener: (value: T | undefined, entry: StateEntry<T> | null) => void
+  ): () => void;
+}
+
+export type PollType = 'single' | 'multiple' | 'text';
+export type PollStatus = 'draft' | 'open' | 'closed';
+
+export interface PollOption {
+  id: string;
+  text: string;
+}
+
+export interface PollResults {
+  total: number;
+  /** optionId -> answers */
+  counts: Record<string, number>;
+  /** optionId -> userIds; null in anonymous polls */
+  voters: Record<string, string[]> | null;
+  /** Free text answers; userId is null in anonymous polls */
+  answers: { userId: string | null; text: string }[];
+}
+
+export interface Poll {
+  id: string;
+  roomId: string;
+  question: string;
+  type: PollType;
+  options: PollOption[];
+  anonymous: boolean;
+  /** Live results are sent to students too */
+  showResults: boolean;
+  /** Also runs in every sub room */
+  includeSubRooms: boolean;
+  /** Main room poll this sub room copy belongs to */
+  parentPollId: string | null;
+  status: PollStatus;
+  createdBy: string;
+  createdAt: number;
+  /** This room's results, null until the server sent any */
+  results: PollResults | null;
+  /** subRoomId -> results, main room polls only */
+  subRoomResults: Record<string, PollResults>;
+  myAnswer: string | string[] | null;
+}
+
+export interface CreatePollOptions {
+  question: string;
+  type?: PollType;
+  /** Choices, at least two for choice polls */
+  options?: string[];
+  anonymous?: boolean;
+  showResults?: boolean;
+  includeSubRooms?: boolean;
+}
+
+export interface PollManager extends EventEmitter {
+  create(options: CreatePollOptions): Promise<Poll>;
+  open(pollId: string): Promise<Poll>;
+  close(pollId: string): Promise<Poll>;
+  submit(pollId: string, answer: string | string[]): Promise<void>;
+  refresh(): Promise<void>;
+  get(pollId: string): Poll | null;
+  getAll(): Poll[];
+  getResults(
+    pollId: string,
+    options?: { includeSubRooms?: boolean }
+  ): PollResults | null;
+  export(pollId: string, format?: 'json' | 'csv'): string;
+}
+
+export interface PollUpdatedEvent {
+  room: Room;
+  poll: Poll;
+}
+
+export interface PollResultsEvent {
+  room: Room;
+  poll: Poll;
+  /** Rolled up with the sub rooms' results */
+  results: PollResults | null;
+}
+
+export interface DataReceivedEvent {
+  room: Room;
+  /** Sender, null once they left the room */
+  participant: Participant | null;
+  /** JSON value, or a Uint8Array for binary payloads */
+  payload: DataPayload;
+  topic: string | null;
+  /** Set when the message was sent to us only */
+  to: string | null;
+  reliable: boolean;
+}
+
+export interface SubscriptionChangedEvent extends SubscriptionState {
+  room: Room;
+  participant: Participant;
+}
+
+export interface ParticipantPinnedEvent {
+  room: Room;
+  participant: Participant;
+  /** true when the SDK pinned on its own, e.g. following the speaker */
+  auto: boolean;
+}
+
+export interface MuteRequestedEvent {
+  room: Room;
+  kind: MuteKind;
+  by?: string;
+}
+
+export interface SubRoomInviteEvent {
+  room: Room;
+  subRoom: SubRoom;
+  userId: string;
+  invitedBy?: string;
+}
+
+export interface SubRoomAssignedEvent {
+  room: Room;
+  subRoom: SubRoom;
+  userId: string;
+  assignedBy?: string;
+}
+
+export interface BroadcastEvent {
+  room: Room;
+  message: string;
+  type: string;
+  senderId?: string;
+}
+
 // Event Emitter interface
 export declare abstract class EventEmitter {
   on(event: string, listener: (...args: any[]) => void): this;
@@ -141,14 +793,36 @@ export declare class Participant extends EventEmitter {
   isAudioEnabled: boolean;
   isVideoEnabled: boolean;
   isPinned: boolean;
+  isScreenSharing: boolean;
+  screenStream: MediaStream | null;
+  /** Smoothed audio level, 0 to 1, while the room has media */
+  audioLevel: number;
+  isSpeaking: boolean;
+  /** What is received from a remote participant; null for the local one */
+  subscription: SubscriptionState | null;
+  isHandRaised: boolean;
+  /** When the hand went up; orders room.getRaisedHands() */
+  handRaisedAt: number | null;
+  /** Latest reaction, cleared after a few seconds */
+  reaction: Reaction | null;
   connectionStatus: string;
 
   constructor(config: any);
   
   toggleMicrophone(): Promise<void>;
   toggleCamera(): Promise<void>;
+  switchCamera(deviceId: string): Promise<void>;
+  switchMicrophone(deviceId: string): Promise<void>;
   toggleRemoteAudio(): Promise<void>;
+  setRemoteMediaState(kind: MuteKind, enabled: boolean): void;
+  setAudioLevel(level: number, speaking: boolean): void;
+  raiseHand(): Promise<void>;
+  lowerHand(): Promise<void>;
+  setHandRaised(raised: boolean, raisedAt?: number): void;
+  showReaction(emoji: string, timestamp?: number): void;
   togglePin(): void;
+  setRole(role: ParticipantRole): void;
+  can(capability: Capability): boolean;
   setConnectionStatus(status: string): void;
   setPublisher(publisher: any): void;
   setSubscriber(subscriber: any): void;
@@ -167,19 +841,59 @@ export declare class Room extends EventEmitter {
   participants: Map<string, Participant>;
   localParticipant: Participant | null;
   pinnedParticipant: Participant | null;
+  activeSpeakers: Participant[];
+  isFollowingSpeaker: boolean;
+  /** Shared key-value state, loaded by join() */
+  state: RoomState;
+  polls: PollManager;
+  mediaEndpoints: MediaEndpoints | null;
+  subRooms: Map<string, SubRoom>;
+  isPaused: boolean;
+  permissions: Permissions;
 
   constructor(config: any);
   
-  join(userId: string): Promise<JoinResult>;
+  join(userId: string, options?: JoinOptions): Promise<JoinResult>;
   leave(): Promise<void>;
+  reconnect(): Promise<JoinResult>;
   createSubRoom(config: SubRoomConfig): Promise<SubRoom>;
   getSubRooms(): Promise<SubRoom[]>;
   addParticipant(memberData: any, userId: string): Participant;
-  removeParticipant(userId: string): Participant | null;
+  removeParticipant(
+    userId: string,
+    options?: RemoveParticipantOptions
+  ): Promise<void>;
+  setRole(userId: string, role: ParticipantRole): Promise<void>;
+  requestMute(userId: string, kind?: MuteKind): Promise<void>;
+  muteAll(kind?: MuteKind): Promise<void>;
+  end(): Promise<void>;
+  startPublishing(options?: StartPublishingOptions): Promise<void>;
+  stopPublishing(): Promise<void>;
+  startScreenShare(options?: ScreenShareOptions): Promise<void>;
+  stopScreenShare(): Promise<void>;
+  pinForEveryone(userId: string | null): Promise<void>;
+  setOutputDevice(sinkId: string): Promise<void>;
+  setSubscriptions(subscriptions: Subscription[]): Promise<void>;
+  subscribe(userId: string, options?: SubscriptionOptions): Promise<void>;
+  unsubscribe(userId: string): Promise<void>;
+  setLastN(n: number | null): Promise<void>;
+  setVisibleParticipants(userIds: string[]): Promise<void>;
+  sendChatMessage(
+    text: string,
+    options?: SendChatMessageOptions
+  ): Promise<ChatMessage>;
+  getChatHistory(options?: ChatHistoryOptions): Promise<ChatHistoryPage>;
+  getPendingChatMessages(): ChatMessage[];
+  sendData(payload: DataPayload, options?: SendDataOptions): Promise<void>;
+  getRaisedHands(): Participant[];
+  lowerAllHands(): Promise<void>;
+  sendReaction(emoji: string): Promise<void>;
+  can(capability: Capability): boolean;
   getParticipant(userId: string): Participant | null;
   getParticipants(): Participant[];
-  pinParticipant(userId: string): boolean;
+  pinParticipant(userId: string, options?: { auto?: boolean }): boolean;
   unpinParticipant(): boolean;
+  setFollowActiveSpeaker(enabled?: boolean): void;
   setUIContainers(mainVideoArea: HTMLElement, sidebarArea: HTMLElement): void;
   renderParticipantTiles(): void;
   getInfo(): RoomInfo;
@@ -212,27 +926,112 @@ export declare class SubRoom extends Room {
 }
 
 // API Client
+export interface ApiRequest {
+  url: string;
+  endpoint: string;
+  method: string;
+  headers: Record<string, string>;
+  body?: string;
+}
+
+export type RequestInterceptor = (
+  request: ApiRequest
+) => ApiRequest | void | Promise<ApiRequest | void>;
+
+export type ResponseInterceptor = (
+  response: Response,
+  request: ApiRequest
+) => Response | void | Promise<Response | void>;
+
+export interface ApiInterceptors {
+  request?: RequestInterceptor[];
+  response?: ResponseInterceptor[];
+}
+
+export interface ApiCallOptions {
+  signal?: AbortSignal;
+  timeout?: number;
+  idempotent?: boolean;
+  retries?: number;
+}
+
 export declare class ApiClient {
   constructor(config: any);
-  
+
+  addRequestInterceptor(interceptor: RequestInterceptor): () => void;
+  addResponseInterceptor(interceptor: ResponseInterceptor): () => void;
+  apiCall<T = any>(
+    endpoint: string,
+    method?: string,
+    body?: any,
+    options?: ApiCallOptions
+  ): Promise<T>;
   authenticate(userId: string): Promise<User>;
   createRoom(config: RoomConfig): Promise<any>;
-  joinRoom(roomCode: string): Promise<any>;
+  joinRoom(
+    roomCode: string,
+    appName?: string,
+    options?: ApiCallOptions
+  ): Promise<any>;
   leaveRoom(): Promise<void>;
   getRooms(options?: any): Promise<any[]>;
   createSubRoom(config: SubRoomConfig): Promise<any>;
   joinSubRoom(subRoomCode: string): Promise<any>;
+  removeMember(
+    roomId: string,
+    membershipId: string,
+    options?: RemoveParticipantOptions
+  ): Promise<any>;
+  updateMemberRole(
+    roomId: string,
+    membershipId: string,
+    role: ParticipantRole
+  ): Promise<any>;
+  requestMute(
+    roomId: string,
+    membershipId: string,
+    kind?: MuteKind
+  ): Promise<any>;
+  muteAll(roomId: string, kind?: MuteKind): Promise<any>;
+  pinForEveryone(roomId: string, userId: string | null): Promise<any>;
+  getRoomState(roomId: string, options?: ApiCallOptions): Promise<any>;
+  getPolls(roomId: string, options?: ApiCallOptions): Promise<any>;
+  createPoll(roomId: string, poll: any): Promise<any>;
+  updatePollStatus(
+    roomId: string,
+    pollId: string,
+    status: 'open' | 'closed'
+  ): Promise<any>;
+  submitPollAnswer(roomId: string, pollId: string, answer: any): Promise<any>;
+  inviteToSubRoom(subRoomId: string, userId: string): Promise<any>;
+  assignToSubRoom(subRoomId: string, userId: string): Promise<any>;
+  broadcastToSubRoom(
+    subRoomId: string,
+    message: string,
+    type?: string
+  ): Promise<any>;
+  getMediaEndpoints(
+    roomId: string,
+    options?: ApiCallOptions
+  ): Promise<Partial<MediaEndpoints>>;
 }
 
 // Ermis Client
 export declare class ErmisClient extends EventEmitter {
   constructor(config: ClientConfig);
-  
+
+  readonly logger: Logger;
+  readonly permissions: Permissions;
+
   authenticate(userId: string): Promise<User>;
+  refreshToken(): Promise<string>;
   logout(): Promise<void>;
   createRoom(config: RoomConfig): Promise<Room>;
-  joinRoom(roomCode: string): Promise<JoinResult>;
+  joinRoom(roomCode: string, options?: JoinOptions): Promise<JoinResult>;
   leaveRoom(): Promise<void>;
+  resumeSession(): Promise<ResumeSessionResult | null>;
+  getSavedSession(): Promise<SavedSession | null>;
+  clearSavedSession(): Promise<void>;
   getRooms(options?: any): Promise<RoomInfo[]>;
   createSubRoom(config: SubRoomConfig): Promise<SubRoom>;
   joinSubRoom(subRoomCode: string): Promise<JoinResult>;
@@ -243,27 +1042,100 @@ export declare class ErmisClient extends EventEmitter {
   getRoom(roomId: string): Room | null;
   getState(): any;
   getConfig(): ClientConfig;
+  updateConfig(newConfig: Partial<ClientConfig>): void;
+  enableDebug(): void;
+  disableDebug(): void;
+  setLogLevel(level: LogLevel): void;
+  setLogSink(sink: LogSink | null): void;
+  setPermissions(overrides: PermissionMatrix): Promise<void>;
+  can(capability: Capability): boolean;
   cleanup(): Promise<void>;
 }
 
+export type SupportVerdict = 'full' | 'degraded' | 'unsupported';
+
+export interface ApiSupport {
+  name: string;
+  usedBy: 'publish' | 'subscribe' | 'both';
+  native: boolean;
+  polyfill: 'MSTP' | 'MSTG' | 'AudioData' | 'EncodedAudioChunk' | null;
+  coveredByPolyfill: boolean;
+  available: boolean;
+}
+
+export interface CodecSupport {
+  codec: string;
+  layer: string;
+  width: number;
+  height: number;
+  bitrate: number;
+  framerate: number;
+  supported: boolean;
+}
+
+export interface VideoLayer {
+  name: string;
+  width: number;
+  height: number;
+  bitrate: number;
+  framerate: number;
+}
+
+export interface SupportCheckOptions {
+  codecs?: string[];
+  layers?: VideoLayer[];
+}
+
+export interface SupportReport {
+  verdict: SupportVerdict;
+  apis: ApiSupport[];
+  codecs: CodecSupport[];
+}
+
 // Main SDK class
 export declare class ErmisClassroom {
   static readonly version: string;
+
+  static checkSupport(options?: SupportCheckOptions): Promise<SupportReport>;
   
   static readonly events: {
     readonly CLIENT_AUTHENTICATED: 'authenticated';
     readonly CLIENT_AUTHENTICATION_FAILED: 'authenticationFailed';
     readonly CLIENT_LOGGED_OUT: 'loggedOut';
     readonly CLIENT_CONNECTION_STATUS_CHANGED: 'connectionStatusChanged';
+    readonly CLIENT_RECONNECTING: 'reconnecting';
+    readonly CLIENT_RECONNECTED: 'reconnected';
+    readonly CLIENT_RECONNECTION_FAILED: 'reconnectionFailed';
     readonly ROOM_CREATED: 'roomCreated';
     readonly ROOM_JOINED: 'roomJoined';
+    readonly ROOM_JOIN_CANCELLED: 'joinCancelled';
     readonly ROOM_LEFT: 'roomLeft';
+    readonly ROOM_ENDED: 'roomEnded';
+    readonly KICKED: 'kicked';
     readonly PARTICIPANT_ADDED: 'participantAdded';
     readonly PARTICIPANT_REMOVED: 'participantRemoved';
     readonly PARTICIPANT_PINNED: 'participantPinned';
     readonly PARTICIPANT_UNPINNED: 'participantUnpinned';
     readonly AUDIO_TOGGLED: 'audioToggled';
     readonly VIDEO_TOGGLED: 'videoToggled';
+    readonly REMOTE_AUDIO_TOGGLED: 'remoteAudioToggled';
+    readonly REMOTE_VIDEO_TOGGLED: 'remoteVideoToggled';
+    readonly ACTIVE_SPEAKERS_CHANGED: 'activeSpeakersChanged';
+    readonly SUBSCRIPTION_CHANGED: 'subscriptionChanged';
+    readonly CHAT_MESSAGE: 'chatMessage';
+    readonly DATA_RECEIVED: 'dataReceived';
+    readonly PARTICIPANT_UPDATED: 'participantUpdated';
+    readonly REACTION: 'reaction';
+    readonly STATE_CHANGED: 'stateChanged';
+    readonly POLL_UPDATED: 'pollUpdated';
+    readonly POLL_RESULTS: 'pollResults';
+    readonly DEVICE_SWITCHED: 'deviceSwitched';
+    readonly DEVICE_LIST_CHANGED: 'deviceListChanged';
+    readonly ACTIVE_DEVICE_LOST: 'activeDeviceLost';
+    readonly ROLE_CHANGED: 'roleChanged';
+    readonly PERMISSIONS_CHANGED: 'permissionsChanged';
+    readonly PUBLISHING_CHANGED: 'publishingChanged';
+    readonly MUTE_REQUESTED: 'muteRequested';
     readonly SUB_ROOM_CREATED: 'subRoomCreated';
     readonly SUB_ROOM_JOINED: 'subRoomJoined';
     readonly SUB_ROOM_LEFT: 'subRoomLeft';
@@ -271,6 +1143,9 @@ export declare class ErmisClassroom {
     readonly LOCAL_STREAM_READY: 'localStreamReady';
     readonly REMOTE_STREAM_READY: 'remoteStreamReady';
     readonly STREAM_REMOVED: 'streamRemoved';
+    readonly SCREEN_SHARE_STARTED: 'screenShareStarted';
+    readonly SCREEN_SHARE_STOPPED: 'screenShareStopped';
+    readonly GATEWAY_FAILED: 'gatewayFailed';
     readonly ERROR: 'error';
   };
 
@@ -291,9 +1166,12 @@ export declare class ErmisClassroom {
     readonly DISCONNECTED: 'disconnected';
     readonly CONNECTING: 'connecting';
     readonly CONNECTED: 'connected';
+    readonly RECONNECTING: 'reconnecting';
     readonly FAILED: 'failed';
   };
 
+  static readonly ErrorCodes: typeof ErrorCodes;
+
   static readonly ParticipantRoles: {
     readonly OWNER: 'owner';
     readonly MODERATOR: 'moderator';
@@ -301,6 +1179,14 @@ export declare class ErmisClassroom {
     readonly OBSERVER: 'observer';
   };
 
+  static readonly Capabilities: typeof Capabilities;
+
+  static readonly PollTypes: {
+    readonly SINGLE: 'single';
+    readonly MULTIPLE: 'multiple';
+    readonly TEXT: 'text';
+  };
+
   static create(config: ClientConfig): ErmisClient;
   static connect(serverUrl: string, userId: string, options?: ConnectionOptions): Promise<ErmisClient>;
 }